@@ -1,10 +1,22 @@
 /**
  * API Server Tests
- * Basic test suite for the API server functionality
+ * Basic test suite for the API server functionality, and endpoint tests against a server
+ * running in mock provider mode
  */
 
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
 const request = require('supertest');
 const express = require('express');
+const crypto = require('crypto');
+const config = require('../config/basic-config.json');
+const ResponseCache = require('../core/response_cache');
+const RateLimiter = require('../providers/rate_limiter');
+const OpenAICompatibleProvider = require('../providers/openai_compatible_provider');
+const LocalProvider = require('../providers/local_provider');
+const { logger } = require('../core/logger');
+const { ProviderRateLimitError, ProviderRequestError, ProviderUnavailableError } = require('../core/error_handler');
 
 describe('API Server', () => {
     let app;
@@ -59,3 +71,1530 @@ describe('API Server', () => {
         expect(Array.isArray(response.body.templates)).toBe(true);
     });
 });
+
+describe('ApiServer endpoints', () => {
+    const testTemplateDir = path.join(__dirname, 'test_api_templates');
+    const testConfigDir = path.join(__dirname, 'test_api_config');
+    let ApiServer;
+    let server;
+    let mock;
+
+    const generate = (body) => request(server.app)
+        .post('/api/generate')
+        .set('x-api-key', 'test-api-key')
+        .send({ template: 'support/reply', variables: { customer_name: 'Ann' }, ...body });
+
+    const generateBatch = (body) => request(server.app)
+        .post('/api/generate/batch')
+        .set('x-api-key', 'test-api-key')
+        .send({ template: 'support/reply', ...body });
+
+    const api = (method, url) => request(server.app)[method](url).set('x-api-key', 'test-api-key');
+
+    // Split a Server-Sent Events body into `{ event, data }` pairs
+    const parseEvents = (text) => text.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+
+    beforeAll(async () => {
+        await fs.mkdir(path.join(testTemplateDir, 'support'), { recursive: true });
+        await fs.mkdir(testConfigDir, { recursive: true });
+        await fs.writeFile(path.join(testTemplateDir, 'support', 'reply.txt'), 'Write a short reply to {{customer_name}}.');
+        await fs.writeFile(path.join(testTemplateDir, 'support', 'greeting.txt'), [
+            '---',
+            'template_info:',
+            '  description: Greets a customer',
+            'variables:',
+            '  required: [customer_name]',
+            '  optional: [tone]',
+            '  definitions:',
+            '    tone: { type: string, enum: [formal, casual], default: casual }',
+            '---',
+            'Greet {{customer_name}} in a {{tone}} tone.'
+        ].join('\n'));
+        await fs.writeFile(path.join(testTemplateDir, 'support', 'signoff.txt'), [
+            '---',
+            'variables:',
+            '  required: [customer_name]',
+            '  optional: [agent_name]',
+            '---',
+            'Thank {{customer_name}} and sign as {{agent_name}}.'
+        ].join('\n'));
+        await fs.writeFile(
+            path.join(testTemplateDir, 'support', 'escalation.txt'),
+            '{{#if priority == "Critical"}}Escalate for {{customer_name | upper}}.{{else}}Reply to {{customer_name}}.{{/if}}'
+        );
+        await fs.writeFile(path.join(testConfigDir, 'mock-fixtures.json'), JSON.stringify({
+            defaults: { latencyMs: 0 },
+            fixtures: [{ template: 'support/reply', content: 'Thanks for waiting, Ann.', usage: { inputTokens: 10, outputTokens: 5 } }]
+        }));
+
+        process.env.ENABLE_MOCK_PROVIDERS = 'true';
+        process.env.MOCK_FIXTURES_FILE = path.join(testConfigDir, 'mock-fixtures.json');
+        ApiServer = require('../api_server');
+        server = new ApiServer({ templateDir: testTemplateDir, configDir: testConfigDir });
+        await server.templateManager.ready;
+        mock = server.providers.get('mock');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        server.shutdown();
+        delete process.env.ENABLE_MOCK_PROVIDERS;
+        delete process.env.MOCK_FIXTURES_FILE;
+        await fs.rm(testTemplateDir, { recursive: true, force: true });
+        await fs.rm(testConfigDir, { recursive: true, force: true });
+    });
+
+    describe('template metadata and variable schemas', () => {
+        test('should return the front matter metadata and variable schema of a template', async () => {
+            const response = await request(server.app)
+                .get('/api/templates/support/greeting')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(response.body.template.metadata).toEqual({ template_info: { description: 'Greets a customer' } });
+            expect(response.body.template.variableSchema).toMatchObject({
+                required: ['customer_name'],
+                optional: ['tone'],
+                definitions: { tone: { type: 'string', enum: ['formal', 'casual'], default: 'casual' } }
+            });
+            expect(response.body.template.content).toBe('Greet {{customer_name}} in a {{tone}} tone.');
+        });
+
+        test('should reject missing, unknown and invalid variables by name', async () => {
+            const response = await generate({ template: 'support/greeting', variables: { tone: 'rude', extra: 'x' } }).expect(400);
+
+            expect(response.body).toMatchObject({ error: true, type: 'validation_error', message: 'Variables for template \'support/greeting\' failed validation' });
+            expect(response.body.details).toMatchObject({ missing: ['customer_name'], unknown: ['extra'] });
+            expect(response.body.details.invalid.map(item => item.name)).toEqual(['tone']);
+        });
+
+        test('should apply variable defaults to the prompt sent', async () => {
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ template: 'support/greeting', variables: { customer_name: 'Ann' } }).expect(200);
+
+            expect(generateCompletion.mock.calls[0][0]).toBe('Greet Ann in a casual tone.');
+        });
+    });
+
+    describe('template authoring', () => {
+        test('should create a template and serve it', async () => {
+            const created = await api('post', '/api/templates/drafts/welcome').send({ content: 'Welcome {{customer_name}}' }).expect(201);
+
+            expect(created.body).toMatchObject({ success: true, template: { key: 'drafts/welcome' } });
+            expect(created.body.version.version).toBe(created.body.template.version);
+            const fetched = await api('get', '/api/templates/drafts/welcome').expect(200);
+            expect(fetched.body.template).toMatchObject({ content: 'Welcome {{customer_name}}', variables: ['customer_name'] });
+        });
+
+        test('should refuse to create a template that already exists', async () => {
+            await api('post', '/api/templates/drafts/duplicate').send({ content: 'Hello' }).expect(201);
+
+            await api('post', '/api/templates/drafts/duplicate').send({ content: 'Hello again' }).expect(409);
+        });
+
+        test('should reject template names outside the allowed characters', async () => {
+            const response = await api('post', '/api/templates/drafts/bad.name').send({ content: 'Hello' }).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+
+        test('should update a template and list both versions', async () => {
+            const created = await api('post', '/api/templates/drafts/notice').send({ content: 'Notice for {{customer_name}}' }).expect(201);
+            const updated = await api('put', '/api/templates/drafts/notice').send({ content: 'Final notice for {{customer_name}}' }).expect(200);
+
+            const fetched = await api('get', '/api/templates/drafts/notice').expect(200);
+            expect(fetched.body.template.content).toBe('Final notice for {{customer_name}}');
+            const history = await api('get', '/api/templates/drafts/notice/versions').expect(200);
+            expect(history.body).toMatchObject({ count: 2, current: updated.body.version.version });
+            expect(history.body.versions.map(version => version.version)).toContain(created.body.version.version);
+        });
+
+        test('should not update a template that does not exist', async () => {
+            await api('put', '/api/templates/drafts/missing').send({ content: 'Hello' }).expect(404);
+        });
+
+        test('should return the content of one version', async () => {
+            const created = await api('post', '/api/templates/drafts/receipt').send({ content: 'Receipt for {{order_id}}' }).expect(201);
+
+            const response = await api('get', `/api/templates/drafts/receipt/versions/${created.body.version.version}`).expect(200);
+
+            expect(response.body.version.content).toBe('Receipt for {{order_id}}');
+            await api('get', '/api/templates/drafts/receipt/versions/9.9.9').expect(404);
+        });
+
+        test('should diff two versions and list the variables they add', async () => {
+            const first = await api('post', '/api/templates/drafts/invoice').send({ content: 'Invoice {{order_id}}' }).expect(201);
+            const second = await api('put', '/api/templates/drafts/invoice').send({ content: 'Invoice {{order_id}} for {{company}}' }).expect(200);
+
+            const response = await api('get', '/api/templates/drafts/invoice/diff')
+                .query({ from: first.body.version.version, to: second.body.version.version })
+                .expect(200);
+
+            expect(response.body.diff.migration.addedVariables).toEqual(['company']);
+        });
+
+        test('should roll a template back to an earlier version', async () => {
+            const first = await api('post', '/api/templates/drafts/reminder').send({ content: 'Reminder {{order_id}}' }).expect(201);
+            await api('put', '/api/templates/drafts/reminder').send({ content: 'Last reminder {{order_id}}' }).expect(200);
+
+            await api('post', '/api/templates/drafts/reminder/rollback').send({ version: first.body.version.version }).expect(200);
+
+            const fetched = await api('get', '/api/templates/drafts/reminder').expect(200);
+            expect(fetched.body.template.content).toBe('Reminder {{order_id}}');
+        });
+
+        test('should delete a template', async () => {
+            await api('post', '/api/templates/drafts/farewell').send({ content: 'Goodbye' }).expect(201);
+
+            await api('delete', '/api/templates/drafts/farewell').expect(200);
+
+            await api('get', '/api/templates/drafts/farewell').expect(404);
+            await api('delete', '/api/templates/drafts/farewell').expect(404);
+        });
+    });
+
+    describe('template rendering', () => {
+        test('should send the prompt rendered by the template engine', async () => {
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ template: 'support/escalation', variables: { customer_name: 'Ann', priority: 'Critical' } }).expect(200);
+            await generate({ template: 'support/escalation', variables: { customer_name: 'Ann' } }).expect(200);
+
+            expect(generateCompletion.mock.calls.map(([prompt]) => prompt)).toEqual(['Escalate for ANN.', 'Reply to Ann.']);
+        });
+    });
+
+    describe('render-only dry run', () => {
+        const render = (body) => api('post', '/api/templates/render').send(body);
+
+        test('should return the rendered prompt without calling a provider', async () => {
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await render({ template: 'support/greeting', variables: { customer_name: 'Ann' } }).expect(200);
+
+            expect(response.body).toMatchObject({
+                success: true,
+                template: 'support/greeting',
+                prompt: 'Greet Ann in a casual tone.',
+                variables: { customer_name: 'Ann', tone: 'casual' }
+            });
+            expect(generateCompletion).not.toHaveBeenCalled();
+        });
+
+        test('should estimate input tokens and cost per provider', async () => {
+            const response = await render({ template: 'support/reply', variables: { customer_name: 'Ann' } }).expect(200);
+
+            expect(response.body.estimates.mock).toEqual({
+                model: 'mock-model',
+                inputTokens: expect.any(Number),
+                estimatedCost: expect.any(Number)
+            });
+            expect(response.body.estimates.mock.inputTokens).toBeGreaterThan(0);
+        });
+
+        test('should list placeholders that render without a value', async () => {
+            const response = await render({ template: 'support/signoff', variables: { customer_name: 'Ann' } }).expect(200);
+
+            expect(response.body.prompt).toBe('Thank Ann and sign as .');
+            expect(response.body.unresolvedPlaceholders).toEqual(['agent_name']);
+        });
+
+        test('should reject variables that fail the template schema', async () => {
+            const response = await render({ template: 'support/greeting', variables: {} }).expect(400);
+
+            expect(response.body.details.missing).toEqual(['customer_name']);
+        });
+
+        test('should reject an unknown template', async () => {
+            await render({ template: 'support/missing' }).expect(400);
+        });
+    });
+
+    describe('generation jobs', () => {
+        const createJob = (body) => api('post', '/api/jobs')
+            .send({ template: 'support/reply', variables: { customer_name: 'Ann' }, ...body });
+
+        // Poll the job until it leaves the queue
+        const waitForJob = async (id) => {
+            for (let i = 0; i < 100; i++) {
+                const response = await api('get', `/api/jobs/${id}`).expect(200);
+                if (!['queued', 'running'].includes(response.body.job.status)) {
+                    return response.body.job;
+                }
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            throw new Error(`Job ${id} did not finish`);
+        };
+
+        test('should accept a job and report where to poll it', async () => {
+            const response = await createJob().expect(202);
+
+            expect(response.body).toMatchObject({ success: true, job: { template: 'support/reply' } });
+            expect(response.body.statusUrl).toBe(`/api/jobs/${response.body.job.id}`);
+            await waitForJob(response.body.job.id);
+        });
+
+        test('should complete a job with the generation result', async () => {
+            const response = await createJob().expect(202);
+
+            const job = await waitForJob(response.body.job.id);
+
+            expect(job).toMatchObject({ status: 'completed', result: { content: 'Thanks for waiting, Ann.', provider: 'mock' } });
+        });
+
+        test('should record a failed job with a sanitized error', async () => {
+            jest.spyOn(mock, 'generateCompletion').mockRejectedValue(new ProviderRequestError('Prompt is too long', { provider: 'mock', status: 400 }));
+            const response = await createJob().expect(202);
+
+            const job = await waitForJob(response.body.job.id);
+
+            expect(job.status).toBe('failed');
+            expect(job.error).toMatchObject({ type: 'client_error', message: 'Client error occurred' });
+        });
+
+        test('should reject invalid variables before queueing', async () => {
+            const response = await createJob({ variables: {} }).expect(400);
+
+            expect(response.body.details.missing).toEqual(['customer_name']);
+        });
+
+        test('should cancel a running job and abort its provider call', async () => {
+            let providerSignal;
+            jest.spyOn(mock, 'generateCompletion').mockImplementation((prompt, options) => new Promise((resolve, reject) => {
+                providerSignal = options.signal;
+                options.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+            }));
+            const response = await createJob().expect(202);
+            const id = response.body.job.id;
+            for (let i = 0; i < 100 && !providerSignal; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            const cancelled = await api('delete', `/api/jobs/${id}`).expect(200);
+
+            expect(cancelled.body.job.status).toBe('cancelled');
+            expect(providerSignal.aborted).toBe(true);
+        });
+
+        test('should refuse to cancel a finished job', async () => {
+            const response = await createJob().expect(202);
+            await waitForJob(response.body.job.id);
+
+            const cancelled = await api('delete', `/api/jobs/${response.body.job.id}`).expect(409);
+
+            expect(cancelled.body.message).toBe('Job already completed');
+        });
+
+        test('should answer 404 for an unknown job', async () => {
+            await api('get', '/api/jobs/job_missing').expect(404);
+            await api('delete', '/api/jobs/job_missing').expect(404);
+        });
+
+        test('should require a callback secret to accept a callback URL', async () => {
+            const response = await createJob({ callbackUrl: 'http://127.0.0.1:9/hook' }).expect(400);
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Job callbacks require JOB_CALLBACK_SECRET to be configured' });
+        });
+
+        test('should post the signed result to the callback URL', async () => {
+            const callbacks = [];
+            const receiver = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => body += chunk);
+                req.on('end', () => {
+                    callbacks.push({ headers: req.headers, body });
+                    res.end();
+                });
+            });
+            await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+            server.jobQueue.callbackSecret = 'callback-secret';
+
+            try {
+                const response = await createJob({ callbackUrl: `http://127.0.0.1:${receiver.address().port}/hook` }).expect(202);
+                for (let i = 0; i < 100 && callbacks.length === 0; i++) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+
+                const [{ headers, body }] = callbacks;
+                const digest = crypto.createHmac('sha256', 'callback-secret')
+                    .update(`${headers['x-signature-timestamp']}.${body}`)
+                    .digest('hex');
+                expect(headers['x-job-id']).toBe(response.body.job.id);
+                expect(headers['x-signature']).toBe(`sha256=${digest}`);
+                expect(JSON.parse(body)).toMatchObject({ jobId: response.body.job.id, status: 'completed' });
+            } finally {
+                server.jobQueue.callbackSecret = null;
+                await new Promise(resolve => receiver.close(resolve));
+            }
+        });
+    });
+
+    describe('conversations', () => {
+        const startConversation = (body = { systemPrompt: 'Be brief.' }) => api('post', '/api/conversations').send(body);
+        const sendMessage = (id, content) => api('post', `/api/conversations/${id}/messages`).send({ content });
+
+        test('should start a conversation and serve it', async () => {
+            const created = await startConversation().expect(201);
+
+            expect(created.body.conversation).toMatchObject({ systemPrompt: 'Be brief.', messages: [] });
+            const fetched = await api('get', `/api/conversations/${created.body.conversation.id}`).expect(200);
+            expect(fetched.body.conversation.id).toBe(created.body.conversation.id);
+        });
+
+        test('should use the rendered template as the system prompt', async () => {
+            const created = await startConversation({ template: 'support/greeting', variables: { customer_name: 'Ann' } }).expect(201);
+
+            expect(created.body.conversation).toMatchObject({ template: 'support/greeting', systemPrompt: 'Greet Ann in a casual tone.' });
+        });
+
+        test('should reject a template and a system prompt together', async () => {
+            const response = await startConversation({ template: 'support/reply', variables: { customer_name: 'Ann' }, systemPrompt: 'Be brief.' }).expect(400);
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Provide either a template or a systemPrompt, not both' });
+        });
+
+        test('should reply to a message and store the exchange', async () => {
+            const { body } = await startConversation().expect(201);
+
+            const response = await sendMessage(body.conversation.id, 'Where is my order?').expect(200);
+
+            expect(response.body).toMatchObject({ success: true, message: { role: 'assistant' }, context: { sentMessages: 1, trimmedMessages: 0 } });
+            const fetched = await api('get', `/api/conversations/${body.conversation.id}`).expect(200);
+            expect(fetched.body.conversation.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+        });
+
+        test('should send earlier exchanges and the system prompt with the next message', async () => {
+            const { body } = await startConversation().expect(201);
+            await sendMessage(body.conversation.id, 'Where is my order?').expect(200);
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await sendMessage(body.conversation.id, 'And my refund?').expect(200);
+
+            const [prompt, options] = generateCompletion.mock.calls[0];
+            expect(prompt).toBe('And my refund?');
+            expect(options.systemPrompt).toBe('Be brief.');
+            expect(options.messages.map(message => message.content)[0]).toBe('Where is my order?');
+            expect(options.messages).toHaveLength(2);
+        });
+
+        test('should not store an exchange whose provider call failed', async () => {
+            const { body } = await startConversation().expect(201);
+            jest.spyOn(mock, 'generateCompletion').mockRejectedValue(new ProviderRequestError('Prompt is too long', { provider: 'mock', status: 400 }));
+
+            await sendMessage(body.conversation.id, 'Where is my order?').expect(400);
+
+            const fetched = await api('get', `/api/conversations/${body.conversation.id}`).expect(200);
+            expect(fetched.body.conversation.messages).toEqual([]);
+        });
+
+        test('should refuse a message while another is being answered', async () => {
+            const { body } = await startConversation().expect(201);
+            let answer;
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            jest.spyOn(mock, 'generateCompletion').mockImplementation((prompt, options) => new Promise(resolve => {
+                answer = () => resolve(generateCompletion(prompt, options));
+            }));
+            // then() sends the request without waiting for the reply
+            const first = sendMessage(body.conversation.id, 'Where is my order?').then(response => response);
+            for (let i = 0; i < 100 && !answer; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            await sendMessage(body.conversation.id, 'Hello?').expect(409);
+
+            answer();
+            expect((await first).status).toBe(200);
+        });
+
+        test('should delete a conversation', async () => {
+            const { body } = await startConversation().expect(201);
+
+            await api('delete', `/api/conversations/${body.conversation.id}`).expect(200);
+
+            await api('get', `/api/conversations/${body.conversation.id}`).expect(404);
+            await sendMessage(body.conversation.id, 'Hello?').expect(404);
+            await api('delete', `/api/conversations/${body.conversation.id}`).expect(404);
+        });
+    });
+
+    describe('streaming generation', () => {
+        test('should stream delta events followed by a done event with the result', async () => {
+            const response = await generate({ stream: true }).expect(200);
+
+            expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+            const events = parseEvents(response.text);
+            expect(events.slice(0, -1).every(({ event }) => event === 'delta')).toBe(true);
+            expect(events.slice(0, -1).map(({ data }) => data.content).join('')).toBe('Thanks for waiting, Ann.');
+            expect(events[events.length - 1]).toMatchObject({
+                event: 'done',
+                data: { success: true, result: { content: 'Thanks for waiting, Ann.', provider: 'mock' } }
+            });
+        });
+
+        test('should answer with a JSON error when the stream fails before its first event', async () => {
+            jest.spyOn(mock, 'streamCompletion').mockImplementation(() => {
+                throw new ProviderRequestError('Prompt is too long', { provider: 'mock', status: 400 });
+            });
+
+            const response = await generate({ stream: true });
+
+            expect(response.status).toBeGreaterThanOrEqual(400);
+            expect(response.headers['content-type']).toMatch(/^application\/json/);
+            expect(response.body).toMatchObject({ error: true, type: 'client_error' });
+        });
+
+        test('should report an error event when the stream fails after headers are sent', async () => {
+            jest.spyOn(mock, 'streamCompletion').mockImplementation(async function* () {
+                yield { type: 'delta', content: 'Thanks ' };
+                throw new ProviderUnavailableError('mock is unavailable', { provider: 'mock', status: 503 });
+            });
+
+            const response = await generate({ stream: true }).expect(200);
+
+            const events = parseEvents(response.text);
+            expect(events.map(({ event }) => event)).toEqual(['delta', 'error']);
+            expect(events[0].data).toEqual({ content: 'Thanks ' });
+            expect(events[1].data).toMatchObject({ error: true, type: 'service_error', message: 'External service error' });
+            expect(mock.streamCompletion).toHaveBeenCalledTimes(1);
+        });
+
+        test('should cancel the upstream stream when the client disconnects', async () => {
+            let upstreamSignal;
+            const upstreamAborted = new Promise(resolve => {
+                jest.spyOn(mock, 'streamCompletion').mockImplementation(async function* (prompt, options) {
+                    upstreamSignal = options.signal;
+                    options.signal.addEventListener('abort', resolve, { once: true });
+                    yield { type: 'delta', content: 'Thanks ' };
+                    await new Promise(() => {});
+                });
+            });
+            const listener = server.app.listen(0, '127.0.0.1');
+            await new Promise(resolve => listener.once('listening', resolve));
+
+            const client = http.request({
+                host: '127.0.0.1',
+                port: listener.address().port,
+                path: '/api/generate',
+                method: 'POST',
+                headers: { 'content-type': 'application/json', 'x-api-key': 'test-api-key' }
+            });
+            client.on('error', () => {});
+            client.on('response', res => res.once('data', () => client.destroy()));
+            client.end(JSON.stringify({ template: 'support/reply', variables: { customer_name: 'Ann' }, stream: true }));
+
+            await upstreamAborted;
+            expect(upstreamSignal.aborted).toBe(true);
+            listener.closeAllConnections();
+            await new Promise(resolve => listener.close(resolve));
+        });
+    });
+
+    describe('batch generation', () => {
+        const items = names => names.map(customer_name => ({ customer_name }));
+
+        test('should run at most the configured number of items at once', async () => {
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            let running = 0;
+            let maxRunning = 0;
+            jest.spyOn(mock, 'generateCompletion').mockImplementation(async (prompt, options) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                running--;
+                return generateCompletion(prompt, options);
+            });
+
+            const response = await generateBatch({ items: items(['Ann', 'Bob', 'Cy', 'Dee', 'Eve', 'Fay', 'Gus']) }).expect(200);
+
+            expect(response.body.summary.succeeded).toBe(7);
+            expect(maxRunning).toBe(config.batch.concurrency);
+        });
+
+        test('should return results in request order', async () => {
+            const response = await generateBatch({ items: items(['Ann', 'Bob', 'Cy']) }).expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.results.map(item => item.index)).toEqual([0, 1, 2]);
+            expect(response.body.results.every(item => item.result.content === 'Thanks for waiting, Ann.')).toBe(true);
+        });
+
+        test('should stream one NDJSON line per item followed by a summary line', async () => {
+            const response = await generateBatch({ items: items(['Ann', 'Bob', 'Cy']), stream: true }).expect(200);
+
+            expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+            expect(response.text.endsWith('\n')).toBe(true);
+            const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.map(line => line.type)).toEqual(['item', 'item', 'item', 'summary']);
+            expect(lines.slice(0, 3).map(line => line.index).sort()).toEqual([0, 1, 2]);
+            expect(lines[3]).toMatchObject({ total: 3, succeeded: 3, failed: 0 });
+        });
+
+        test('should report a failed item without failing the others', async () => {
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            jest.spyOn(mock, 'generateCompletion').mockImplementation((prompt, options) => (prompt.includes('Bob')
+                ? Promise.reject(new ProviderRequestError('Prompt is too long', { provider: 'mock', status: 400 }))
+                : generateCompletion(prompt, options)));
+
+            const response = await generateBatch({ items: items(['Ann', 'Bob', 'Cy']) }).expect(200);
+
+            expect(response.body.success).toBe(false);
+            expect(response.body.results.map(item => item.success)).toEqual([true, false, true]);
+            expect(response.body.results[1].error).toMatchObject({ error: true, type: 'client_error' });
+            expect(response.body.summary).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+        });
+
+        test('should sum usage and cost over the items that succeeded', async () => {
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            jest.spyOn(mock, 'generateCompletion').mockImplementation((prompt, options) => (prompt.includes('Cy')
+                ? Promise.reject(new ProviderRequestError('Prompt is too long', { provider: 'mock', status: 400 }))
+                : generateCompletion(prompt, options)));
+
+            const response = await generateBatch({ items: items(['Ann', 'Bob', 'Cy']) }).expect(200);
+
+            const [first, second] = response.body.results.map(item => item.result);
+            expect(response.body.summary.usage).toEqual({ inputTokens: 20, outputTokens: 10, totalTokens: 30 });
+            expect(response.body.summary.cost).toBeGreaterThan(0);
+            expect(response.body.summary.cost).toBeCloseTo(first.cost + second.cost, 10);
+        });
+    });
+
+    describe('response cache', () => {
+        let responseCache;
+
+        beforeEach(() => {
+            // The cache is off in the shipped config
+            responseCache = server.responseCache;
+            server.responseCache = new ResponseCache({ enabled: true });
+        });
+
+        afterEach(() => {
+            server.responseCache = responseCache;
+        });
+
+        test('should serve an identical request from the cache', async () => {
+            jest.spyOn(mock, 'generateCompletion');
+
+            const first = await generate().expect(200);
+            const second = await generate().expect(200);
+
+            expect(first.body.result.cached).toBe(false);
+            expect(second.body.result).toMatchObject({ cached: true, content: first.body.result.content });
+            expect(mock.generateCompletion).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not serve a request with different variables from the cache', async () => {
+            jest.spyOn(mock, 'generateCompletion');
+
+            await generate().expect(200);
+            const response = await generate({ variables: { customer_name: 'Bob' } }).expect(200);
+
+            expect(response.body.result.cached).toBe(false);
+            expect(mock.generateCompletion).toHaveBeenCalledTimes(2);
+        });
+
+        test('should skip the lookup but refresh the entry for Cache-Control: no-cache', async () => {
+            await generate().expect(200);
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            jest.spyOn(mock, 'generateCompletion').mockImplementation(async (prompt, options) => ({
+                ...await generateCompletion(prompt, options),
+                content: 'Refreshed reply'
+            }));
+
+            const bypassed = await generate().set('Cache-Control', 'no-cache').expect(200);
+            const cached = await generate().expect(200);
+
+            expect(bypassed.body.result).toMatchObject({ cached: false, content: 'Refreshed reply' });
+            expect(cached.body.result).toMatchObject({ cached: true, content: 'Refreshed reply' });
+            expect(mock.generateCompletion).toHaveBeenCalledTimes(1);
+        });
+
+        test('should report the cache size in the metrics', async () => {
+            await generate().expect(200);
+
+            const response = await api('get', '/api/metrics').expect(200);
+
+            expect(response.body.metrics.responseCache).toMatchObject({ enabled: true, backend: 'memory', size: 1 });
+        });
+    });
+
+    describe('model catalog', () => {
+        test('should list the catalog with limits, prices and availability', async () => {
+            const response = await api('get', '/api/models').expect(200);
+
+            expect(response.body.providers.mock).toMatchObject({
+                defaultModel: 'mock-model',
+                available: true,
+                models: [{ name: 'mock-model', maxTokens: 4096, costPerMillionTokens: { input: 3, output: 15 } }]
+            });
+            expect(response.body.providers.claude.available).toBe(false);
+        });
+
+        test('should list the models of one provider', async () => {
+            const response = await api('get', '/api/models?provider=mock').expect(200);
+
+            expect(Object.keys(response.body.providers)).toEqual(['mock']);
+        });
+
+        test('should return 404 for a provider the catalog does not list', async () => {
+            const response = await api('get', '/api/models?provider=gemini').expect(404);
+
+            expect(response.body).toMatchObject({ error: true, message: 'Provider not found' });
+        });
+
+        test('should reject a generation with a model the provider does not offer', async () => {
+            const response = await generate({ provider: 'mock', options: { model: 'gpt-4' } }).expect(400);
+
+            expect(response.body).toMatchObject({
+                error: true,
+                type: 'validation_error',
+                details: { provider: 'mock', model: 'gpt-4', availableModels: ['mock-model'] }
+            });
+        });
+
+        test('should price a generation from the catalog', async () => {
+            const response = await generate().expect(200);
+
+            // 10 input tokens at $3 and 5 output tokens at $15 per million
+            expect(response.body.result.cost).toBeCloseTo(0.000105, 10);
+        });
+    });
+
+    describe('rate limits', () => {
+        test('should answer 429 when a provider stays over its rate limit', async () => {
+            jest.spyOn(server.providerExecutor, 'sleep').mockResolvedValue();
+            jest.spyOn(mock, 'generateCompletion').mockRejectedValue(
+                new ProviderRateLimitError('mock rate limit queue wait exceeded 30000ms', { provider: 'mock', retryAfter: 5 })
+            );
+
+            const response = await generate().expect(429);
+
+            expect(response.body).toMatchObject({ error: true, type: 'rate_limit_error' });
+        });
+
+        test('should report rate limiter budgets and queues in the metrics', async () => {
+            const limiter = new RateLimiter({ name: 'mock', requestsPerMinute: 60 });
+            await limiter.acquire(100);
+            server.monitoring.registerRateLimiter('mock', limiter);
+
+            const response = await api('get', '/api/metrics').expect(200);
+
+            expect(response.body.metrics.rateLimits.mock).toMatchObject({
+                requestsPerMinute: 60,
+                requestsInWindow: 1,
+                tokensInWindow: 100,
+                queueDepth: 0
+            });
+            server.monitoring.rateLimiters.delete('mock');
+        });
+    });
+
+    describe('template tools', () => {
+        const withTools = tools => ['---', `tools: [${tools.join(', ')}]`, '---', 'Work out the refund for {{customer_name}}.'].join('\n');
+
+        beforeAll(async () => {
+            await api('post', '/api/templates/tools/refund').send({ content: withTools(['calculator', 'date']) }).expect(201);
+            await api('post', '/api/templates/tools/unknown').send({ content: withTools(['shell']) }).expect(201);
+        });
+
+        const supportTools = () => jest.spyOn(mock, 'getCapabilities')
+            .mockReturnValue({ ...mock.getCapabilities(), supportsTools: true });
+
+        test('should reject a template with tools on a provider without tool support', async () => {
+            const response = await generate({ template: 'tools/refund' }).expect(400);
+
+            expect(response.body).toMatchObject({ error: true, type: 'validation_error', message: 'Provider \'mock\' does not support tools' });
+        });
+
+        test('should pass the template tools to a provider that supports them', async () => {
+            supportTools();
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            jest.spyOn(mock, 'generateCompletion').mockImplementation(async (prompt, options) => ({
+                ...await generateCompletion(prompt, options),
+                toolCalls: [{ name: 'calculator', input: { expression: '40 * 0.5' }, output: '20', isError: false }]
+            }));
+
+            const response = await generate({ template: 'tools/refund' }).expect(200);
+
+            const options = mock.generateCompletion.mock.calls[0][1];
+            expect(options.tools.map(tool => tool.name)).toEqual(['calculator', 'date']);
+            expect(options.maxToolIterations).toBe(config.tools.maxIterations);
+            expect(response.body.result.toolCalls).toEqual([
+                { name: 'calculator', input: { expression: '40 * 0.5' }, output: '20', isError: false }
+            ]);
+        });
+
+        test('should reject streaming for a template with tools', async () => {
+            supportTools();
+
+            const response = await generate({ template: 'tools/refund', stream: true }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Streaming is not supported for templates that use tools' });
+        });
+
+        test('should reject a template with tools as the start of a conversation', async () => {
+            const response = await api('post', '/api/conversations').send({ template: 'tools/refund', variables: { customer_name: 'Ann' } }).expect(400);
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Templates that use tools cannot start a conversation' });
+        });
+
+        test('should reject a template that names an unknown tool', async () => {
+            const response = await generate({ template: 'tools/unknown' }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Unknown tool \'shell\'. Available tools: calculator, date' });
+        });
+
+        test('should list the template tools in a render dry run', async () => {
+            const response = await api('post', '/api/templates/render')
+                .send({ template: 'tools/refund', variables: { customer_name: 'Ann' } })
+                .expect(200);
+
+            expect(response.body.tools).toEqual(['calculator', 'date']);
+        });
+    });
+
+    describe('structured output', () => {
+        const outputSchema = {
+            type: 'object',
+            properties: { sentiment: { type: 'string', enum: ['positive', 'negative'] } },
+            required: ['sentiment']
+        };
+
+        // Answer with each completion in turn, keeping the mock's usage and cost
+        const answerWith = (...contents) => {
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            return jest.spyOn(mock, 'generateCompletion').mockImplementation(async (prompt, options) => ({
+                ...await generateCompletion(prompt, options),
+                content: contents.length > 1 ? contents.shift() : contents[0]
+            }));
+        };
+
+        test('should return the parsed JSON of a conforming answer', async () => {
+            const generateCompletion = answerWith('{"sentiment": "positive"}');
+
+            const response = await generate({ outputSchema }).expect(200);
+
+            expect(response.body.result).toMatchObject({ data: { sentiment: 'positive' }, repairAttempts: 0 });
+            expect(response.body.result.validationErrors).toBeUndefined();
+            expect(generateCompletion.mock.calls[0][0]).toContain(JSON.stringify(outputSchema, null, 2));
+        });
+
+        test('should repair an answer that does not conform and sum the usage', async () => {
+            const generateCompletion = answerWith('{"sentiment": "meh"}', '{"sentiment": "negative"}');
+
+            const response = await generate({ outputSchema }).expect(200);
+
+            expect(response.body.result).toMatchObject({
+                data: { sentiment: 'negative' },
+                repairAttempts: 1,
+                usage: { inputTokens: 20, outputTokens: 10 }
+            });
+            expect(generateCompletion.mock.calls[1][0]).toContain('{"sentiment": "meh"}');
+        });
+
+        test('should report validation errors once the repair attempts run out', async () => {
+            const generateCompletion = answerWith('No JSON here.');
+
+            const response = await generate({ outputSchema }).expect(200);
+
+            expect(generateCompletion).toHaveBeenCalledTimes(config.structuredOutput.maxRepairAttempts + 1);
+            expect(response.body.result).toMatchObject({
+                data: null,
+                repairAttempts: config.structuredOutput.maxRepairAttempts,
+                validationErrors: ['Response does not contain valid JSON']
+            });
+        });
+
+        test('should reject streaming with an output schema', async () => {
+            const response = await generate({ outputSchema, stream: true }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Streaming is not supported with an output schema' });
+        });
+
+        test('should reject an output schema that is not an object', async () => {
+            const response = await generate({ outputSchema: ['sentiment'] }).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+    });
+
+    describe('attachments', () => {
+        const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x01]);
+        const image = { mediaType: 'image/png', data: PNG.toString('base64'), name: 'receipt.png' };
+
+        test('should send JSON attachments to the provider before the prompt', async () => {
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ attachments: [image] }).expect(200);
+
+            const options = generateCompletion.mock.calls[0][1];
+            expect(options.attachmentPosition).toBe('before');
+            expect(options.attachments).toEqual([expect.objectContaining({ kind: 'image', mediaType: 'image/png', name: 'receipt.png', size: 10 })]);
+        });
+
+        test('should place attachments where the template asks', async () => {
+            await api('post', '/api/templates/attachments/describe').send({
+                content: ['---', 'attachment_position: after', '---', 'Describe the image for {{customer_name}}.'].join('\n')
+            }).expect(201);
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ template: 'attachments/describe', attachments: [image] }).expect(200);
+
+            expect(generateCompletion.mock.calls[0][1].attachmentPosition).toBe('after');
+        });
+
+        test('should read uploaded files and JSON fields from a multipart body', async () => {
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await api('post', '/api/generate')
+                .field('template', 'support/reply')
+                .field('variables', JSON.stringify({ customer_name: 'Ann' }))
+                .attach('file', PNG, { filename: 'receipt.png', contentType: 'image/png' })
+                .expect(200);
+
+            const [prompt, options] = generateCompletion.mock.calls[0];
+            expect(prompt).toBe('Write a short reply to Ann.');
+            expect(options.attachments).toEqual([expect.objectContaining({ mediaType: 'image/png', name: 'receipt.png', data: image.data })]);
+        });
+
+        test('should reject a multipart field that is not valid JSON', async () => {
+            const response = await api('post', '/api/generate')
+                .field('template', 'support/reply')
+                .field('variables', '{customer_name: Ann}')
+                .attach('file', PNG, { filename: 'receipt.png', contentType: 'image/png' })
+                .expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Field \'variables\' must be valid JSON' });
+        });
+
+        test('should reject an attachment whose content does not match its type', async () => {
+            const response = await generate({ attachments: [{ ...image, mediaType: 'application/pdf' }] }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Attachment \'receipt.png\' content does not match its type \'application/pdf\'' });
+        });
+
+        test('should reject attachments the model cannot read', async () => {
+            jest.spyOn(mock, 'getModelInfo').mockReturnValue({ name: 'mock-model', supports_images: false });
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await generate({ attachments: [image] }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Model \'mock-model\' of provider \'mock\' does not accept images' });
+            expect(generateCompletion).not.toHaveBeenCalled();
+        });
+
+        test('should accept JSON attachments up to the total size limit', async () => {
+            const large = Buffer.concat([PNG, Buffer.alloc(4 * 1024 * 1024)]);
+            const attachment = { mediaType: 'image/png', data: large.toString('base64') };
+            const generateCompletion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ attachments: [attachment, attachment] }).expect(200);
+
+            expect(generateCompletion.mock.calls[0][1].attachments).toHaveLength(2);
+        });
+
+        test('should answer 413 for a JSON body over the size limit', async () => {
+            const oversized = 'x'.repeat(Math.ceil(config.attachments.maxTotalSize * 4 / 3) + 2 * 1024 * 1024);
+
+            const response = await generate({ variables: { customer_name: oversized } }).expect(413);
+
+            expect(response.body).toMatchObject({ error: true, type: 'payload_too_large_error' });
+        });
+    });
+
+    describe('mock provider mode', () => {
+        test('should serve every generation from the mock provider only', async () => {
+            const response = await api('get', '/api/providers').expect(200);
+
+            expect(response.body).toMatchObject({ mockMode: true, default: 'mock', fallbackChain: ['mock'] });
+            expect(response.body.providers.map(provider => provider.name)).toEqual(['mock']);
+        });
+
+        test('should answer from the fixture of the template', async () => {
+            const response = await generate().expect(200);
+
+            expect(response.body.result).toMatchObject({
+                content: 'Thanks for waiting, Ann.',
+                provider: 'mock',
+                model: 'mock-model',
+                usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 }
+            });
+        });
+
+        test('should retry an injected failure like a provider error', async () => {
+            jest.spyOn(server.providerExecutor, 'sleep').mockResolvedValue();
+            mock.fixtures.unshift(mock.compileFixture({ pattern: 'Zed', error: 'server_error', failures: 1, content: 'Recovered' }));
+
+            try {
+                const response = await generate({ variables: { customer_name: 'Zed' } }).expect(200);
+
+                expect(response.body.result).toMatchObject({ content: 'Recovered', attempts: 2 });
+            } finally {
+                mock.fixtures.shift();
+            }
+        });
+    });
+
+    describe('OpenAI-compatible providers', () => {
+        let upstream;
+
+        beforeAll(async () => {
+            upstream = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => body += chunk);
+                req.on('end', () => {
+                    res.writeHead(200, { 'content-type': 'application/json' });
+                    if (req.url === '/v1/models') {
+                        return res.end(JSON.stringify({ data: [{ id: 'qwen2.5-7b-instruct' }] }));
+                    }
+                    res.end(JSON.stringify({
+                        model: JSON.parse(body).model,
+                        choices: [{ message: { content: 'Self-hosted reply' }, finish_reason: 'stop' }],
+                        usage: { prompt_tokens: 12, completion_tokens: 3 }
+                    }));
+                });
+            });
+            await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+        });
+
+        beforeEach(() => {
+            server.providers.set('vllm', new OpenAICompatibleProvider({
+                name: 'vllm',
+                baseUrl: `http://127.0.0.1:${upstream.address().port}/v1`
+            }));
+        });
+
+        afterEach(() => {
+            server.providers.delete('vllm');
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => upstream.close(resolve));
+        });
+
+        test('should generate with a model the server reports', async () => {
+            const response = await generate({ provider: 'vllm', options: { model: 'qwen2.5-7b-instruct' } }).expect(200);
+
+            expect(response.body.result).toMatchObject({
+                content: 'Self-hosted reply',
+                provider: 'vllm',
+                model: 'qwen2.5-7b-instruct',
+                cost: 0
+            });
+        });
+
+        test('should reject a model the server does not report', async () => {
+            const response = await generate({ provider: 'vllm', options: { model: 'llama-3-70b' } }).expect(400);
+
+            expect(response.body.details).toEqual({
+                provider: 'vllm',
+                model: 'llama-3-70b',
+                availableModels: ['qwen2.5-7b-instruct']
+            });
+        });
+    });
+
+    describe('local model management', () => {
+        let ollama;
+        const installed = new Set();
+
+        beforeAll(async () => {
+            // Stand-in for the Ollama model management API
+            ollama = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => body += chunk);
+                req.on('end', () => {
+                    const { model } = body ? JSON.parse(body) : {};
+                    const json = (status, data) => {
+                        res.writeHead(status, { 'content-type': 'application/json' });
+                        res.end(JSON.stringify(data));
+                    };
+
+                    if (req.url === '/api/tags') {
+                        return json(200, { models: [...installed].map(name => ({ name, size: 1024, digest: 'sha256:abc' })) });
+                    }
+                    if (req.url === '/api/show') {
+                        return installed.has(model) ? json(200, { details: { family: 'llama' } }) : json(404, { error: 'not found' });
+                    }
+                    if (req.url === '/api/delete') {
+                        return installed.delete(model) ? json(200, {}) : json(404, { error: 'not found' });
+                    }
+                    if (req.url === '/api/generate') {
+                        return json(200, { model, response: 'Local reply', done: true, prompt_eval_count: 12, eval_count: 3 });
+                    }
+
+                    res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+                    if (model === 'missing') {
+                        return res.end('{"status":"pulling manifest"}\n{"error":"pull model manifest: file does not exist"}\n');
+                    }
+                    installed.add(model);
+                    res.write('{"status":"pulling manifest"}\n');
+                    res.write('{"status":"downloading","digest":"sha256:6a07","total":200,"completed":50}\n');
+                    res.end('{"status":"success"}\n');
+                });
+            });
+            await new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve));
+        });
+
+        beforeEach(() => {
+            installed.clear();
+            server.providers.set('local', new LocalProvider({
+                endpoint: `http://127.0.0.1:${ollama.address().port}`,
+                model: 'llama2',
+                rateLimiter: new RateLimiter({ name: 'local', requestsPerMinute: 1000 })
+            }));
+        });
+
+        afterEach(() => {
+            server.providers.delete('local');
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => ollama.close(resolve));
+        });
+
+        test('should stream pull progress as Server-Sent Events', async () => {
+            const response = await api('post', '/api/providers/local/models').send({ name: 'gemma2:2b' }).expect(200);
+
+            const events = parseEvents(response.text);
+            expect(events.map(event => event.event)).toEqual(['progress', 'progress', 'progress', 'done']);
+            expect(events[1].data).toMatchObject({ status: 'downloading', total: 200, completed: 50, percent: 25 });
+            expect(events[3].data).toEqual({ success: true, model: 'gemma2:2b' });
+        });
+
+        test('should report a pull that fails after it started as an error event', async () => {
+            const response = await api('post', '/api/providers/local/models').send({ name: 'missing' }).expect(200);
+
+            const events = parseEvents(response.text);
+            expect(events.map(event => event.event)).toEqual(['progress', 'error']);
+            expect(events[1].data).toMatchObject({ error: true });
+        });
+
+        test('should reject a pull with an invalid model name', async () => {
+            const response = await api('post', '/api/providers/local/models').send({ name: 'gemma2; rm -rf' }).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+
+        test('should list installed models with the templates validated against them', async () => {
+            installed.add('gemma2:2b');
+            await generate({ provider: 'local', options: { model: 'gemma2:2b' } }).expect(200);
+
+            const response = await api('get', '/api/providers/local/models').expect(200);
+
+            expect(response.body.models).toEqual([expect.objectContaining({ name: 'gemma2:2b', validatedTemplates: ['support/reply'] })]);
+            expect(response.body.templates['support/reply']).toEqual([
+                expect.objectContaining({ model: 'gemma2:2b', successfulExecutions: 1, installed: true })
+            ]);
+        });
+
+        test('should show an installed model', async () => {
+            installed.add('gemma2:2b');
+
+            const response = await api('get', '/api/providers/local/models/gemma2:2b').expect(200);
+
+            expect(response.body.model).toMatchObject({ name: 'gemma2:2b', details: { family: 'llama' } });
+        });
+
+        test('should return 404 for a model that is not installed', async () => {
+            await api('get', '/api/providers/local/models/gemma2:2b').expect(404);
+        });
+
+        test('should delete an installed model', async () => {
+            installed.add('gemma2:2b');
+
+            const response = await api('delete', '/api/providers/local/models/gemma2:2b').expect(200);
+
+            expect(response.body).toEqual({ success: true, model: 'gemma2:2b' });
+            await api('delete', '/api/providers/local/models/gemma2:2b').expect(404);
+        });
+
+        test('should reject model management without the local provider', async () => {
+            server.providers.delete('local');
+
+            const response = await api('get', '/api/providers/local/models').expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+    });
+
+    describe('circuit breakers', () => {
+        const refreshed = () => server.healthMonitor.refreshService('circuit_mock');
+
+        const openMockBreaker = async () => {
+            const breaker = mock.circuitBreaker;
+            for (let i = 0; i < breaker.failureThreshold; i++) {
+                breaker.recordFailure(new ProviderUnavailableError('mock is unavailable', { status: 503 }));
+            }
+            await refreshed();
+        };
+
+        afterEach(async () => {
+            mock.circuitBreaker.transition('closed', 'Reset after test');
+            await refreshed();
+        });
+
+        test('should report the breaker state of each provider', async () => {
+            const response = await api('get', '/api/providers').expect(200);
+
+            expect(response.body.providers[0]).toMatchObject({ name: 'mock', circuitState: 'closed' });
+        });
+
+        test('should report an open breaker as an unhealthy service', async () => {
+            await openMockBreaker();
+
+            const response = await request(server.app).get('/api/health');
+
+            expect(response.body.services.circuit_mock).toMatchObject({
+                status: 'unhealthy',
+                details: { state: 'open', consecutiveFailures: mock.circuitBreaker.failureThreshold }
+            });
+        });
+
+        test('should show an open breaker in the provider list', async () => {
+            await openMockBreaker();
+
+            const response = await api('get', '/api/providers').expect(200);
+
+            expect(response.body.providers[0].circuitState).toBe('open');
+        });
+
+        test('should answer 502 without calling a provider whose breaker is open', async () => {
+            await openMockBreaker();
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await generate().expect(502);
+
+            expect(response.body).toMatchObject({ type: 'service_error', message: 'Provider temporarily unavailable' });
+            expect(completion).not.toHaveBeenCalled();
+        });
+
+        test('should remove its listener from the shared breaker on shutdown', () => {
+            // Ending the shared logger would silence the rest of the suite
+            jest.spyOn(logger, 'cleanup').mockImplementation(() => {});
+            const listeners = mock.circuitBreaker.listeners.length;
+            const other = new ApiServer({ templateDir: testTemplateDir, configDir: testConfigDir });
+            expect(mock.circuitBreaker.listeners).toHaveLength(listeners + 1);
+
+            other.shutdown();
+
+            expect(mock.circuitBreaker.listeners).toHaveLength(listeners);
+        });
+    });
+
+    describe('routing policies', () => {
+        let local;
+
+        beforeAll(async () => {
+            await api('post', '/api/templates/routing/fast').send({
+                content: ['---', 'routing: fastest', '---', 'Reply to {{customer_name}}.'].join('\n')
+            }).expect(201);
+        });
+
+        beforeEach(() => {
+            local = new LocalProvider({ model: 'llama2', rateLimiter: new RateLimiter({ name: 'local', requestsPerMinute: 1000 }) });
+            jest.spyOn(local, 'generateCompletion').mockResolvedValue({
+                content: 'Hello from llama2',
+                model: 'llama2',
+                usage: { inputTokens: 10, outputTokens: 4, totalTokens: 14 },
+                cost: 0,
+                responseTime: 5,
+                finishReason: 'stop'
+            });
+        });
+
+        afterEach(() => {
+            server.providers.delete('local');
+        });
+
+        test('should explain the default order without a policy', async () => {
+            const response = await generate().expect(200);
+
+            expect(response.body.result.routing).toMatchObject({ policy: 'default', source: 'config', selected: 'mock' });
+        });
+
+        test('should route to the cheapest provider under a request policy', async () => {
+            server.providers.set('local', local);
+
+            const response = await generate({ routing: 'cheapest' }).expect(200);
+
+            expect(response.body.result).toMatchObject({ provider: 'local', content: 'Hello from llama2' });
+            expect(response.body.result.routing).toMatchObject({ policy: 'cheapest', source: 'request', selected: 'local' });
+            expect(response.body.result.routing.candidates.map(candidate => candidate.provider)).toEqual(['mock', 'local']);
+        });
+
+        test('should keep the provider named in the request', async () => {
+            server.providers.set('local', local);
+
+            const response = await generate({ provider: 'mock', routing: 'cheapest' }).expect(200);
+
+            expect(response.body.result.routing).toMatchObject({ policy: 'provider', selected: 'mock' });
+            expect(local.generateCompletion).not.toHaveBeenCalled();
+        });
+
+        test('should use the routing policy in the template front matter', async () => {
+            const response = await generate({ template: 'routing/fast' }).expect(200);
+
+            expect(response.body.result.routing).toMatchObject({ policy: 'fastest', source: 'template' });
+        });
+
+        test('should let a request policy replace the template policy', async () => {
+            const response = await generate({ template: 'routing/fast', routing: { policy: 'quality', maxCost: 1 } }).expect(200);
+
+            expect(response.body.result.routing).toMatchObject({ policy: 'quality', source: 'request', maxCost: 1 });
+        });
+
+        test('should reject an unknown routing policy', async () => {
+            const response = await generate({ routing: 'best' }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Unknown routing policy \'best\'. Supported: cheapest, fastest, quality' });
+        });
+
+        test('should reject a routing policy given as an array', async () => {
+            const response = await generate({ routing: ['cheapest'] }).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+
+        test('should reject a request no provider can serve under the cost cap', async () => {
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await generate({ routing: { policy: 'cheapest', maxCost: 0.0000001 } }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'No provider satisfies the \'cheapest\' routing policy' });
+            expect(completion).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('model comparisons', () => {
+        const compare = (body) => api('post', '/api/compare').send({
+            template: 'support/reply',
+            variables: { customer_name: 'Ann' },
+            targets: [{ provider: 'mock' }, { provider: 'mock', options: { temperature: 0.9 } }],
+            ...body
+        });
+
+        test('should run every target on the same prompt', async () => {
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await compare().expect(200);
+
+            expect(response.body).toMatchObject({ success: true, saved: false });
+            expect(response.body.comparison.prompt).toBe('Write a short reply to Ann.');
+            expect(response.body.comparison.results).toEqual([
+                expect.objectContaining({ provider: 'mock', success: true, content: 'Thanks for waiting, Ann.' }),
+                expect.objectContaining({ provider: 'mock', success: true, options: { temperature: 0.9 } })
+            ]);
+            expect(completion.mock.calls.map(([prompt]) => prompt)).toEqual(['Write a short reply to Ann.', 'Write a short reply to Ann.']);
+        });
+
+        test('should report a failed target in place of its output', async () => {
+            const generateCompletion = mock.generateCompletion.bind(mock);
+            jest.spyOn(mock, 'generateCompletion').mockImplementation((prompt, options) => options.temperature === 0.9
+                ? Promise.reject(new ProviderRequestError('Bad request', { provider: 'mock', status: 400 }))
+                : generateCompletion(prompt, options));
+
+            const response = await compare().expect(200);
+
+            expect(response.body.success).toBe(false);
+            expect(response.body.comparison.results[0].success).toBe(true);
+            expect(response.body.comparison.results[1]).toMatchObject({ success: false, error: { error: true } });
+        });
+
+        test('should reject an unknown target provider before calling any provider', async () => {
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await compare({ targets: [{ provider: 'mock' }, { provider: 'gemini' }] }).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+            expect(completion).not.toHaveBeenCalled();
+        });
+
+        test('should reject a comparison without targets', async () => {
+            const response = await compare({ targets: [] }).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+
+        test('should save a comparison and list it by template', async () => {
+            const saved = await compare({ save: true, label: 'temperature' }).expect(200);
+
+            const response = await api('get', '/api/comparisons?template=support/reply').expect(200);
+
+            expect(saved.body).toMatchObject({ saved: true, comparison: { id: expect.stringMatching(/^cmp_/) } });
+            expect(response.body.comparisons[0]).toMatchObject({ id: saved.body.comparison.id, label: 'temperature' });
+        });
+
+        test('should return a saved comparison with its outputs', async () => {
+            const saved = await compare({ save: true }).expect(200);
+
+            const response = await api('get', `/api/comparisons/${saved.body.comparison.id}`).expect(200);
+
+            expect(response.body.comparison).toMatchObject({
+                prompt: 'Write a short reply to Ann.',
+                results: [expect.objectContaining({ content: 'Thanks for waiting, Ann.' }), expect.any(Object)]
+            });
+        });
+
+        test('should delete a saved comparison', async () => {
+            const saved = await compare({ save: true }).expect(200);
+            const id = saved.body.comparison.id;
+
+            const response = await api('delete', `/api/comparisons/${id}`).expect(200);
+
+            expect(response.body).toEqual({ success: true, comparisonId: id });
+            await api('get', `/api/comparisons/${id}`).expect(404);
+            await api('delete', `/api/comparisons/${id}`).expect(404);
+        });
+
+        test('should reject an invalid list limit', async () => {
+            const response = await api('get', '/api/comparisons?limit=0').expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+    });
+
+    describe('prompt caching', () => {
+        const cachedReply = async () => ({
+            content: 'Thanks for waiting, Ann.',
+            model: 'mock-model',
+            usage: { inputTokens: 2050, outputTokens: 5, totalTokens: 2055, cacheCreationInputTokens: 0, cacheReadInputTokens: 2000 },
+            cost: 0.0001,
+            cacheSavings: 0.0054,
+            responseTime: 1,
+            finishReason: 'stop'
+        });
+
+        beforeAll(async () => {
+            await api('post', '/api/templates/cache/policy').send({
+                content: ['{{#cache}}', 'Policy: refunds within 30 days.', '{{/cache}}', 'Reply to {{customer_name}}.'].join('\n')
+            }).expect(201);
+        });
+
+        test('should send the cached sections of the prompt to the provider', async () => {
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ template: 'cache/policy' }).expect(200);
+
+            expect(completion.mock.calls[0][0]).toBe('Policy: refunds within 30 days.\nReply to Ann.');
+            expect(completion.mock.calls[0][1].promptSections).toEqual([
+                { text: 'Policy: refunds within 30 days.\n', cache: true },
+                { text: 'Reply to Ann.', cache: false }
+            ]);
+        });
+
+        test('should not send sections for a template without cache blocks', async () => {
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate().expect(200);
+
+            expect(completion.mock.calls[0][1].promptSections).toBeUndefined();
+        });
+
+        test('should return the cache usage and savings reported by the provider', async () => {
+            jest.spyOn(mock, 'generateCompletion').mockImplementation(cachedReply);
+
+            const response = await generate({ template: 'cache/policy' }).expect(200);
+
+            expect(response.body.result).toMatchObject({
+                usage: { cacheReadInputTokens: 2000 },
+                cacheSavings: 0.0054
+            });
+        });
+
+        test('should report the cache savings of each comparison target', async () => {
+            jest.spyOn(mock, 'generateCompletion').mockImplementation(cachedReply);
+
+            const response = await api('post', '/api/compare').send({
+                template: 'cache/policy',
+                variables: { customer_name: 'Ann' },
+                targets: [{ provider: 'mock' }]
+            }).expect(200);
+
+            expect(response.body.comparison.results[0].cacheSavings).toBe(0.0054);
+        });
+
+        test('should count the cache breakpoints of a rendered template', async () => {
+            const response = await api('post', '/api/templates/render')
+                .send({ template: 'cache/policy', variables: { customer_name: 'Ann' } })
+                .expect(200);
+
+            expect(response.body.cacheBreakpoints).toBe(1);
+        });
+    });
+
+    describe('template generation defaults', () => {
+        const setDefaults = (defaults) => api('put', '/api/templates/defaults/reply/defaults').send({ defaults });
+
+        beforeAll(async () => {
+            await api('post', '/api/templates/defaults/reply').send({ content: 'Reply to {{customer_name}}.' }).expect(201);
+        });
+
+        afterEach(async () => {
+            await setDefaults({}).expect(200);
+        });
+
+        test('should store the defaults of a template', async () => {
+            const response = await setDefaults({ temperature: 0.2, maxTokens: 300 }).expect(200);
+
+            expect(response.body).toEqual({ success: true, template: 'defaults/reply', defaults: { temperature: 0.2, maxTokens: 300 } });
+        });
+
+        test('should return 404 for defaults of a missing template', async () => {
+            await api('put', '/api/templates/defaults/missing/defaults').send({ defaults: { temperature: 0.2 } }).expect(404);
+        });
+
+        test('should reject an unknown default', async () => {
+            const response = await setDefaults({ topK: 5 }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Unknown template default \'topK\'. Supported: provider, model, temperature, maxTokens, stopSequences, systemPrompt' });
+        });
+
+        test('should reject a default model the provider does not offer', async () => {
+            const response = await setDefaults({ provider: 'mock', model: 'gpt-4' }).expect(400);
+
+            expect(response.body).toMatchObject({ type: 'validation_error', message: 'Unknown model \'gpt-4\' for provider \'mock\'. Available models: mock-model' });
+        });
+
+        test('should reject defaults that are not an object', async () => {
+            const response = await setDefaults(['temperature']).expect(400);
+
+            expect(response.body.type).toBe('validation_error');
+        });
+
+        test('should send the template defaults to the provider', async () => {
+            await setDefaults({ temperature: 0.2, maxTokens: 300, stopSequences: ['###'] }).expect(200);
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            await generate({ template: 'defaults/reply' }).expect(200);
+
+            expect(completion.mock.calls[0][1]).toMatchObject({ temperature: 0.2, maxTokens: 300, stopSequences: ['###'] });
+        });
+
+        test('should report the parameters used and where each came from', async () => {
+            await setDefaults({ temperature: 0.2 }).expect(200);
+
+            const response = await generate({ template: 'defaults/reply', options: { maxTokens: 200 } }).expect(200);
+
+            expect(response.body.result.parameters).toMatchObject({
+                provider: 'mock',
+                temperature: 0.2,
+                maxTokens: 200,
+                sources: { provider: 'config', temperature: 'template', maxTokens: 'request', stopSequences: 'provider' }
+            });
+        });
+
+        test('should let request options replace the template defaults', async () => {
+            await setDefaults({ temperature: 0.2 }).expect(200);
+            const completion = jest.spyOn(mock, 'generateCompletion');
+
+            const response = await generate({ template: 'defaults/reply', options: { temperature: 0 } }).expect(200);
+
+            expect(completion.mock.calls[0][1].temperature).toBe(0);
+            expect(response.body.result.parameters.sources.temperature).toBe('request');
+        });
+    });
+});
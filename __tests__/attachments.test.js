@@ -0,0 +1,130 @@
+/**
+ * Attachment Tests
+ * Validation of image and PDF attachments and their provider content blocks
+ */
+
+const AttachmentProcessor = require('../core/attachments');
+const ClaudeProvider = require('../providers/claude_provider');
+const OpenAIProvider = require('../providers/openai_provider');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x01]).toString('base64');
+const PDF = Buffer.from('%PDF-1.4\n<< /Type /Page >>\n<< /Type /Page >>\n<< /Type /Pages >>').toString('base64');
+
+describe('AttachmentProcessor', () => {
+    const processor = new AttachmentProcessor({ maxFiles: 2, maxFileSize: 1024, maxTotalSize: 1536 });
+
+    test('should accept a base64 image with its media type', () => {
+        const [image] = processor.normalize([{ mediaType: 'image/png', data: PNG, name: 'screenshot.png' }]);
+
+        expect(image).toMatchObject({ kind: 'image', mediaType: 'image/png', data: PNG, name: 'screenshot.png', size: 10 });
+        expect(image.hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should take the media type of a data URL and count PDF pages', () => {
+        const [document] = processor.normalize([{ data: `data:application/pdf;base64,${PDF}` }]);
+
+        expect(document).toMatchObject({ kind: 'document', mediaType: 'application/pdf', data: PDF, pages: 2 });
+    });
+
+    test('should replace unsafe characters in attachment names', () => {
+        const [image] = processor.normalize([{ mediaType: 'image/png', data: PNG, name: '../etc/passwd.png' }]);
+
+        expect(image.name).toBe('.._etc_passwd.png');
+    });
+
+    test('should reject content that does not match its media type', () => {
+        expect(() => processor.normalize([{ mediaType: 'image/png', data: PDF }]))
+            .toThrow('content does not match its type \'image/png\'');
+    });
+
+    test('should reject a media type that is not allowed', () => {
+        expect(() => processor.normalize([{ mediaType: 'image/svg+xml', data: PNG }]))
+            .toThrow('unsupported type \'image/svg+xml\'');
+    });
+
+    test('should reject data that is not base64', () => {
+        expect(() => processor.normalize([{ mediaType: 'image/png', data: 'not base64!' }]))
+            .toThrow('is not valid base64');
+    });
+
+    test('should reject a file over the size limit', () => {
+        expect(() => processor.normalize([{ mediaType: 'image/png', data: Buffer.alloc(2048).toString('base64') }]))
+            .toThrow('exceeds the size limit of 1024 bytes');
+    });
+
+    test('should reject attachments over the total size limit', () => {
+        const large = Buffer.concat([Buffer.from(PNG, 'base64'), Buffer.alloc(990)]).toString('base64');
+
+        expect(() => processor.normalize([{ mediaType: 'image/png', data: large }, { mediaType: 'image/png', data: large }]))
+            .toThrow('Attachments exceed the total size limit of 1536 bytes');
+    });
+
+    test('should reject more attachments than allowed', () => {
+        expect(() => processor.normalize([{}, {}, {}])).toThrow('At most 2 attachments');
+    });
+
+    test('should turn uploaded files into base64 attachments', () => {
+        const uploads = [{ buffer: Buffer.from(PNG, 'base64'), mediaType: 'image/png', name: 'photo.png' }];
+
+        expect(processor.fromUploads(uploads)).toEqual([{ mediaType: 'image/png', data: PNG, name: 'photo.png' }]);
+    });
+
+    test('should describe attachments without their data', () => {
+        const attachments = processor.normalize([{ mediaType: 'image/png', data: PNG, name: 'photo.png' }]);
+
+        expect(processor.describe(attachments)).toEqual([{ kind: 'image', mediaType: 'image/png', name: 'photo.png', size: 10 }]);
+    });
+});
+
+describe('Provider attachment content', () => {
+    const attachments = new AttachmentProcessor().normalize([
+        { mediaType: 'image/png', data: PNG },
+        { mediaType: 'application/pdf', data: PDF }
+    ]);
+
+    test('should send attachments as Claude content blocks after the prompt', () => {
+        const provider = new ClaudeProvider('sk-ant-test-key-0000000000');
+
+        const request = provider.formatRequest('Summarize these', {
+            model: 'claude-3-5-sonnet-20241022',
+            attachments,
+            attachmentPosition: 'after'
+        });
+
+        expect(request.messages[0].content.map(block => block.type)).toEqual(['text', 'image', 'document']);
+        expect(request.messages[0].content[1].source).toEqual({ type: 'base64', media_type: 'image/png', data: PNG });
+    });
+
+    test('should put attachments before the prompt by default', () => {
+        const provider = new ClaudeProvider('sk-ant-test-key-0000000000');
+
+        const request = provider.formatRequest('Summarize these', { model: 'claude-3-5-sonnet-20241022', attachments });
+
+        expect(request.messages[0].content.map(block => block.type)).toEqual(['image', 'document', 'text']);
+    });
+
+    test('should reject a PDF for a Claude model without PDF support', () => {
+        const provider = new ClaudeProvider('sk-ant-test-key-0000000000');
+
+        expect(() => provider.formatRequest('Summarize these', { model: 'claude-3-haiku-20240307', attachments }))
+            .toThrow('does not accept PDF documents');
+    });
+
+    test('should send images to OpenAI as data URL content parts', () => {
+        const provider = new OpenAIProvider({ apiKey: 'sk-test-key-0000000000' });
+
+        const request = provider.formatRequest('Describe this', { model: 'gpt-4-turbo', attachments: attachments.slice(0, 1) });
+
+        expect(request.messages[0].content).toEqual([
+            { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } },
+            { type: 'text', text: 'Describe this' }
+        ]);
+    });
+
+    test('should reject images for an OpenAI model without image support', () => {
+        const provider = new OpenAIProvider({ apiKey: 'sk-test-key-0000000000' });
+
+        expect(() => provider.formatRequest('Describe this', { model: 'gpt-4', attachments: attachments.slice(0, 1) }))
+            .toThrow('Model \'gpt-4\' of provider \'openai\' does not accept images');
+    });
+});
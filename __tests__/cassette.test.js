@@ -0,0 +1,177 @@
+/**
+ * Cassette Tests
+ * Recording provider HTTP traffic and replaying it offline
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const CassetteRecorder = require('../providers/cassette');
+const ClaudeProvider = require('../providers/claude_provider');
+const OpenAIProvider = require('../providers/openai_provider');
+
+const CLAUDE_KEY = 'sk-ant-test-key-0000000000';
+const OPENAI_KEY = 'sk-openai-test-key-0000000000';
+
+describe('CassetteRecorder', () => {
+    let server;
+    let handler;
+    let calls;
+    let cassetteFile;
+
+    const echo = (req, res, body) => {
+        res.writeHead(200, { 'content-type': 'application/json', 'set-cookie': 'session=abc' });
+        res.end(JSON.stringify({
+            model: 'gpt-4',
+            choices: [{ message: { content: `Echo: ${body.messages[0].content}` }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 4, completion_tokens: 3 }
+        }));
+    };
+
+    const claudeStream = (req, res, body) => {
+        if (body.messages[0].content === 'Busy') {
+            res.writeHead(529, { 'content-type': 'application/json' });
+            return res.end(JSON.stringify({ error: { type: 'overloaded_error' } }));
+        }
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write('event: message_start\ndata: {"message":{"model":"claude-3-haiku-20240307","usage":{"input_tokens":12}}}\n\n');
+        res.write('event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"Hi "}}\n\n');
+        res.write('event: content_block_delta\ndata: {"delta":{"type":"text_delta","text":"there"}}\n\n');
+        res.end('event: message_delta\ndata: {"delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":2}}\n\n');
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                calls++;
+                handler(req, res, body ? JSON.parse(body) : null);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        calls = 0;
+        handler = echo;
+        cassetteFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'session.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(cassetteFile), { recursive: true, force: true });
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const openAIUrl = () => `http://127.0.0.1:${server.address().port}/v1/chat/completions?api_key=${OPENAI_KEY}`;
+    const openAI = mode => new OpenAIProvider({
+        apiKey: OPENAI_KEY,
+        baseUrl: openAIUrl(),
+        cassette: new CassetteRecorder({ mode, file: cassetteFile })
+    });
+    const claude = mode => {
+        const provider = new ClaudeProvider({ apiKey: CLAUDE_KEY, cassette: new CassetteRecorder({ mode, file: cassetteFile }) });
+        provider.apiUrl = `http://127.0.0.1:${server.address().port}/v1/messages`;
+        return provider;
+    };
+    const readCassette = () => JSON.parse(fs.readFileSync(cassetteFile, 'utf8'));
+    const collect = async (provider) => {
+        const events = [];
+        for await (const event of provider.streamCompletion('Hello', { model: 'claude-3-haiku-20240307' })) {
+            events.push(event);
+        }
+        return events;
+    };
+
+    test('should reject an unknown mode', () => {
+        expect(() => new CassetteRecorder({ mode: 'rewind', file: cassetteFile })).toThrow('Unknown cassette mode \'rewind\'');
+    });
+
+    test('should record fetch traffic while passing the live response through', async () => {
+        const result = await openAI('record').generateCompletion('Hello');
+
+        expect(result.content).toBe('Echo: Hello');
+        expect(calls).toBe(1);
+        expect(readCassette().interactions).toEqual([expect.objectContaining({
+            provider: 'openai',
+            request: expect.objectContaining({ method: 'POST' }),
+            response: expect.objectContaining({ status: 200 })
+        })]);
+    });
+
+    test('should redact API keys from recorded headers and URLs', async () => {
+        await openAI('record').generateCompletion('Hello');
+
+        expect(fs.readFileSync(cassetteFile, 'utf8')).not.toContain(OPENAI_KEY);
+        const [interaction] = readCassette().interactions;
+        expect(interaction.request.headers.authorization).toBe('[REDACTED]');
+        expect(interaction.request.url).toContain('api_key=%5BREDACTED%5D');
+    });
+
+    test('should redact sensitive response headers', async () => {
+        await openAI('record').generateCompletion('Hello');
+
+        expect(readCassette().interactions[0].response.headers['set-cookie']).toBe('[REDACTED]');
+    });
+
+    test('should replay a recorded fetch response without the network', async () => {
+        const recorded = await openAI('record').generateCompletion('Hello');
+
+        const replayed = await openAI('replay').generateCompletion('Hello');
+
+        expect(replayed).toMatchObject({ content: 'Echo: Hello', usage: recorded.usage, cost: recorded.cost });
+        expect(calls).toBe(1);
+    });
+
+    test('should fail a request the cassette has no recording of', async () => {
+        await openAI('record').generateCompletion('Hello');
+
+        await expect(openAI('replay').generateCompletion('Something else'))
+            .rejects.toMatchObject({ name: 'ProviderRequestError', code: 'cassette_miss' });
+    });
+
+    test('should replay identical requests in recorded order and repeat the last', async () => {
+        const recorder = new CassetteRecorder({ mode: 'record', file: cassetteFile });
+        const request = { method: 'POST', url: 'http://127.0.0.1/v1/messages', headers: {}, body: '{}' };
+        await recorder.record('claude', request, { status: 529, headers: {}, body: 'first' });
+        await recorder.record('claude', request, { status: 200, headers: {}, body: 'second' });
+
+        const replaying = new CassetteRecorder({ mode: 'replay', file: cassetteFile });
+
+        expect([1, 2, 3].map(() => replaying.replay('claude', request).response.body)).toEqual(['first', 'second', 'second']);
+    });
+
+    test('should replace earlier recordings of a request when recording again', async () => {
+        await openAI('record').generateCompletion('Hello');
+
+        await openAI('record').generateCompletion('Hello');
+
+        expect(readCassette().interactions).toHaveLength(1);
+    });
+
+    test('should record and replay a streamed axios response', async () => {
+        handler = claudeStream;
+        const recordedEvents = await collect(claude('record'));
+
+        const replayedEvents = await collect(claude('replay'));
+
+        expect(fs.readFileSync(cassetteFile, 'utf8')).not.toContain(CLAUDE_KEY);
+        expect(replayedEvents.map(event => event.content)).toEqual(['Hi ', 'there', 'Hi there']);
+        expect(replayedEvents[2].usage).toEqual(recordedEvents[2].usage);
+        expect(calls).toBe(1);
+    });
+
+    test('should record and replay an error status as the same provider error', async () => {
+        handler = claudeStream;
+        await expect(claude('record').generateCompletion('Busy', { model: 'claude-3-haiku-20240307' }))
+            .rejects.toMatchObject({ status: 529, retryable: true });
+
+        await expect(claude('replay').generateCompletion('Busy', { model: 'claude-3-haiku-20240307' }))
+            .rejects.toMatchObject({ status: 529, retryable: true });
+        expect(calls).toBe(1);
+    });
+});
@@ -0,0 +1,298 @@
+/**
+ * Circuit Breaker Tests
+ * State transitions, short-circuited failover, stream outcomes and health reporting
+ */
+
+const CircuitBreaker = require('../providers/circuit_breaker');
+const { getSharedCircuitBreaker } = require('../providers/circuit_breaker');
+const ProviderExecutor = require('../core/provider_executor');
+const HealthMonitor = require('../core/health_monitor');
+const { logger } = require('../core/logger');
+const {
+    ProviderAuthenticationError,
+    ProviderTimeoutError,
+    ProviderUnavailableError,
+    ValidationError
+} = require('../core/error_handler');
+
+describe('CircuitBreaker', () => {
+    let health;
+    const timeout = new ProviderTimeoutError('claude request timed out');
+
+    const openBreaker = () => {
+        const breaker = new CircuitBreaker({ name: 'claude', failureThreshold: 2, openMs: 10000 });
+        breaker.recordFailure(timeout);
+        breaker.recordFailure(timeout);
+        return breaker;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        health = jest.spyOn(logger, 'health').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('should not count authentication or validation errors as failures', () => {
+        const breaker = new CircuitBreaker({ name: 'claude', failureThreshold: 2 });
+
+        breaker.acquire();
+        breaker.recordFailure(timeout);
+        breaker.acquire();
+        breaker.recordFailure(new ProviderAuthenticationError('Invalid key', { status: 401 }));
+        breaker.acquire();
+        breaker.recordFailure(new ValidationError('Bad input'));
+
+        expect(breaker.getStatus()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('should open after consecutive failures', () => {
+        expect(openBreaker().state).toBe('open');
+    });
+
+    test('should reject calls while open with a retryable circuit open error', () => {
+        const breaker = openBreaker();
+
+        expect(() => breaker.acquire()).toThrow(expect.objectContaining({
+            name: 'ProviderCircuitOpenError',
+            status: 503,
+            retryAfter: 10
+        }));
+    });
+
+    test('should log the provider as unhealthy with the reason it opened', () => {
+        openBreaker();
+
+        expect(health).toHaveBeenLastCalledWith('circuit_claude', 'unhealthy', expect.objectContaining({
+            state: 'open',
+            previousState: 'closed',
+            reason: '2 consecutive failures'
+        }));
+    });
+
+    test('should let a single trial call through once the open period ends', () => {
+        const breaker = openBreaker();
+
+        jest.advanceTimersByTime(10000);
+        breaker.acquire();
+
+        expect(breaker.state).toBe('half_open');
+        expect(() => breaker.acquire()).toThrow('is half-open');
+    });
+
+    test('should reopen when the trial call fails', () => {
+        const breaker = openBreaker();
+        jest.advanceTimersByTime(10000);
+        breaker.acquire();
+
+        breaker.recordFailure(timeout);
+
+        expect(breaker.state).toBe('open');
+    });
+
+    test('should close and clear the window when the trial call succeeds', () => {
+        const breaker = openBreaker();
+        expect(() => breaker.acquire()).toThrow();
+        jest.advanceTimersByTime(10000);
+        breaker.acquire();
+
+        breaker.recordSuccess();
+
+        expect(breaker.getStatus()).toMatchObject({ state: 'closed', windowRequests: 0, stats: { opened: 1, shortCircuited: 1 } });
+    });
+
+    test('should log a health status for every state change', () => {
+        const breaker = openBreaker();
+        jest.advanceTimersByTime(10000);
+        breaker.acquire();
+        breaker.recordFailure(timeout);
+        jest.advanceTimersByTime(10000);
+        breaker.acquire();
+        breaker.recordSuccess();
+
+        expect(health.mock.calls.map(([, status]) => status)).toEqual(['unhealthy', 'degraded', 'unhealthy', 'degraded', 'healthy']);
+    });
+
+    test('should stop calling a state change listener once it is removed', () => {
+        const breaker = new CircuitBreaker({ name: 'claude', failureThreshold: 2 });
+        const listener = jest.fn();
+        const unsubscribe = breaker.onStateChange(listener);
+
+        unsubscribe();
+        breaker.recordFailure(timeout);
+        breaker.recordFailure(timeout);
+
+        expect(breaker.state).toBe('open');
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should open when the error rate crosses its threshold', () => {
+        const breaker = new CircuitBreaker({ name: 'openai', failureThreshold: 10, minimumRequests: 4, errorRateThreshold: 0.5 });
+        const unavailable = new ProviderUnavailableError('openai is unavailable', { status: 502 });
+
+        for (const failed of [false, true, false, true]) {
+            failed ? breaker.recordFailure(unavailable) : breaker.recordSuccess();
+        }
+
+        expect(breaker.state).toBe('open');
+        expect(health).toHaveBeenLastCalledWith('circuit_openai', 'unhealthy', expect.objectContaining({ reason: 'Error rate 50% over 4 requests' }));
+    });
+});
+
+describe('Shared circuit breakers', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should share one breaker between instances of a provider', () => {
+        expect(getSharedCircuitBreaker('test-shared')).toBe(getSharedCircuitBreaker('test-shared'));
+        expect(getSharedCircuitBreaker('test-shared')).not.toBe(getSharedCircuitBreaker('test-other'));
+    });
+
+    test('should warn when a later caller asks for different thresholds', () => {
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        const breaker = getSharedCircuitBreaker('test-thresholds', { failureThreshold: 3 });
+
+        expect(getSharedCircuitBreaker('test-thresholds', { failureThreshold: 8, openMs: undefined })).toBe(breaker);
+        expect(breaker.failureThreshold).toBe(3);
+        expect(warn).toHaveBeenCalledWith('Circuit breaker thresholds ignored, the shared breaker already exists', expect.objectContaining({
+            provider: 'test-thresholds',
+            ignored: { failureThreshold: { requested: 8, applied: 3 } }
+        }));
+    });
+
+    test('should not warn when a later caller asks for the same thresholds', () => {
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        getSharedCircuitBreaker('test-same', { failureThreshold: 3 });
+
+        getSharedCircuitBreaker('test-same', { failureThreshold: 3 });
+
+        expect(warn).not.toHaveBeenCalled();
+    });
+});
+
+describe('CircuitBreaker with the executor', () => {
+    let breaker;
+    let executor;
+    let calls;
+
+    const operation = async (provider, name) => {
+        calls.push(name);
+        if (name === 'claude') {
+            throw new ProviderTimeoutError('claude request timed out');
+        }
+        return 'fallback answer';
+    };
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'health').mockImplementation(() => {});
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        breaker = new CircuitBreaker({ name: 'claude', failureThreshold: 2 });
+        executor = new ProviderExecutor({
+            providers: new Map([['claude', { circuitBreaker: breaker }], ['openai', {}]]),
+            maxRetries: 1,
+            retryDelay: 1
+        });
+        jest.spyOn(executor, 'sleep').mockResolvedValue();
+        calls = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should open after retries fail and fail over to the next provider', async () => {
+        const execution = await executor.execute(['claude', 'openai'], operation);
+
+        expect(execution).toMatchObject({ result: 'fallback answer', provider: 'openai' });
+        expect(calls).toEqual(['claude', 'claude', 'openai']);
+        expect(breaker.state).toBe('open');
+    });
+
+    test('should fail over without calling an open provider', async () => {
+        await executor.execute(['claude', 'openai'], operation);
+        calls.length = 0;
+
+        await executor.execute(['claude', 'openai'], operation);
+
+        expect(calls).toEqual(['openai']);
+    });
+
+    test('should record the short-circuited attempt', async () => {
+        await executor.execute(['claude', 'openai'], operation);
+
+        const { attempts } = await executor.execute(['claude', 'openai'], operation);
+
+        expect(attempts[0]).toMatchObject({ provider: 'claude', errorType: 'ProviderCircuitOpenError', shortCircuited: true });
+    });
+
+    test('should report an open breaker to the health monitor', async () => {
+        const monitor = new HealthMonitor();
+        monitor.registerService('circuit_claude', async () => {
+            const status = breaker.getStatus();
+            return { healthy: status.state !== 'open', details: status };
+        });
+        const refreshed = new Promise(resolve => {
+            breaker.onStateChange(() => monitor.refreshService('circuit_claude').then(resolve));
+        });
+
+        await executor.execute(['claude', 'openai'], operation);
+        await refreshed;
+
+        const status = monitor.getHealthStatus();
+        expect(status.status).toBe('degraded');
+        expect(status.services.circuit_claude).toMatchObject({
+            status: 'unhealthy',
+            details: { state: 'open', consecutiveFailures: 2, thresholds: { failureThreshold: 2 } }
+        });
+    });
+});
+
+describe('CircuitBreaker with streams', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should record a stream that fails after its first event as a failure', async () => {
+        jest.spyOn(logger, 'health').mockImplementation(() => {});
+        const breaker = new CircuitBreaker({ name: 'openai', failureThreshold: 2 });
+        const executor = new ProviderExecutor({ providers: new Map([['openai', { circuitBreaker: breaker }]]) });
+        const dropped = async function* () {
+            yield { type: 'delta', content: 'Hel' };
+            throw new ProviderUnavailableError('openai is unreachable');
+        };
+        const consume = async () => {
+            const execution = await executor.executeStream(['openai'], dropped);
+            for await (const event of execution.result) {
+                expect(event.type).toBe('delta');
+            }
+        };
+
+        await expect(consume()).rejects.toThrow('openai is unreachable');
+        expect(breaker.getStatus()).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+        await expect(consume()).rejects.toThrow('openai is unreachable');
+        expect(breaker.state).toBe('open');
+    });
+
+    test('should record a stream as a success only once it ends', async () => {
+        const breaker = new CircuitBreaker({ name: 'claude' });
+        const executor = new ProviderExecutor({ providers: new Map([['claude', { circuitBreaker: breaker }]]) });
+        const complete = async function* () {
+            yield { type: 'delta', content: 'Hello' };
+            yield { type: 'done', content: 'Hello' };
+        };
+
+        const execution = await executor.executeStream(['claude'], complete);
+        expect(breaker.stats.successes).toBe(0);
+
+        const events = [];
+        for await (const event of execution.result) {
+            events.push(event.type);
+        }
+        expect(events).toEqual(['delta', 'done']);
+        expect(breaker.stats.successes).toBe(1);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Claude Provider Tests
+ * Prompt cache breakpoints, cache usage and cache pricing against a local stand-in server,
+ * and the sampling defaults sent when a request leaves them out
+ */
+
+const http = require('http');
+const ClaudeProvider = require('../providers/claude_provider');
+
+describe('ClaudeProvider', () => {
+    let server;
+    let requests;
+    let usage;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const json = JSON.parse(body);
+                requests.push(json);
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    model: json.model,
+                    content: [{ type: 'text', text: 'Refund approved' }],
+                    stop_reason: 'end_turn',
+                    usage
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const createProvider = () => {
+        const provider = new ClaudeProvider({ apiKey: 'sk-ant-test-key-0000000000', model: 'claude-3-haiku-20240307' });
+        provider.apiUrl = `http://127.0.0.1:${server.address().port}/v1/messages`;
+        return provider;
+    };
+
+    const sections = [
+        { text: 'Refund policy: 30 days.\n', cache: true },
+        { text: 'Customer: Ann', cache: false }
+    ];
+
+    test('should send a cached system prompt with a cache breakpoint', () => {
+        const request = createProvider().formatRequest('Customer: Ann', {
+            systemPrompt: 'You are a support agent.',
+            cacheSystemPrompt: true
+        });
+
+        expect(request.system).toEqual([
+            { type: 'text', text: 'You are a support agent.', cache_control: { type: 'ephemeral' } }
+        ]);
+    });
+
+    test('should send a cache breakpoint after each cached section', () => {
+        // Structured output instructions are appended after the rendered template
+        const prompt = 'Refund policy: 30 days.\nCustomer: Ann\n\nRespond with JSON.';
+
+        const request = createProvider().formatRequest(prompt, { promptSections: sections });
+
+        expect(request.messages[0].content).toEqual([
+            { type: 'text', text: 'Refund policy: 30 days.\n', cache_control: { type: 'ephemeral' } },
+            { type: 'text', text: 'Customer: Ann' },
+            { type: 'text', text: '\n\nRespond with JSON.' }
+        ]);
+    });
+
+    test('should ignore sections that do not match the prompt', () => {
+        const request = createProvider().formatRequest('Something else', { promptSections: sections });
+
+        expect(request.messages[0].content).toBe('Something else');
+    });
+
+    test('should keep only the last four cache breakpoints', () => {
+        const many = Array.from({ length: 5 }, (_, index) => ({ text: `Part ${index}. `, cache: true }));
+
+        const request = createProvider().formatRequest(many.map(section => section.text).join(''), { promptSections: many });
+
+        expect(request.messages[0].content.map(block => Boolean(block.cache_control))).toEqual([false, true, true, true, true]);
+    });
+
+    describe('sampling defaults', () => {
+        let provider;
+
+        beforeEach(() => {
+            provider = new ClaudeProvider({ apiKey: 'sk-ant-test-key-0000000000', temperature: 0.3, maxTokens: 500 });
+        });
+
+        test('should report the configured sampling defaults', () => {
+            expect(provider.getDefaultParameters()).toEqual({ temperature: 0.3, maxTokens: 500 });
+        });
+
+        test('should send the configured defaults when a request leaves them out', () => {
+            const request = provider.formatRequest('Summarize this ticket');
+
+            expect(request).toMatchObject({ temperature: 0.3, max_tokens: 500 });
+            expect(request.stop_sequences).toBeUndefined();
+        });
+
+        test('should keep a zero temperature from the request', () => {
+            expect(provider.formatRequest('Summarize this ticket', { temperature: 0 }).temperature).toBe(0);
+        });
+
+        test('should cap maxTokens at the model limit', () => {
+            expect(provider.formatRequest('Summarize this ticket', { maxTokens: 999999 }).max_tokens).toBe(provider.getModelInfo().max_tokens);
+        });
+
+        test('should send stop sequences from the request', () => {
+            expect(provider.formatRequest('Summarize this ticket', { stopSequences: ['###'] }).stop_sequences).toEqual(['###']);
+        });
+    });
+
+    test('should send temperatures above 1 as 1', () => {
+        const provider = new ClaudeProvider({ apiKey: 'sk-ant-test-key-0000000000', temperature: 1.5 });
+
+        expect(provider.formatRequest('Summarize this ticket').temperature).toBe(1);
+        expect(provider.formatRequest('Summarize this ticket', { temperature: 1.8 }).temperature).toBe(1);
+        expect(provider.clampTemperature(1.8)).toBe(1);
+    });
+
+    describe('cache usage', () => {
+        const options = { promptSections: [{ text: 'Policy. ', cache: true }, { text: 'Question', cache: false }] };
+
+        test('should report cache write tokens in the usage', async () => {
+            usage = { input_tokens: 50, cache_creation_input_tokens: 2000, cache_read_input_tokens: 0, output_tokens: 100 };
+
+            const result = await createProvider().generateCompletion('Policy. Question', options);
+
+            expect(result.usage).toEqual({
+                inputTokens: 2050,
+                outputTokens: 100,
+                totalTokens: 2150,
+                cacheCreationInputTokens: 2000,
+                cacheReadInputTokens: 0
+            });
+        });
+
+        // Haiku: input 0.25, cache write 0.30, cache read 0.03, output 1.25 per million tokens
+        test('should price a cache write above plain input', async () => {
+            usage = { input_tokens: 50, cache_creation_input_tokens: 2000, cache_read_input_tokens: 0, output_tokens: 100 };
+
+            const result = await createProvider().generateCompletion('Policy. Question', options);
+
+            expect(result.cost).toBeCloseTo(0.0007375, 10);
+            expect(result.cacheSavings).toBeCloseTo(-0.0001, 10);
+        });
+
+        test('should price a cache read below plain input', async () => {
+            usage = { input_tokens: 50, cache_creation_input_tokens: 0, cache_read_input_tokens: 2000, output_tokens: 100 };
+
+            const result = await createProvider().generateCompletion('Policy. Question', options);
+
+            expect(result.cost).toBeCloseTo(0.0001975, 10);
+            expect(result.cacheSavings).toBeCloseTo(0.00044, 10);
+            expect(requests[0].messages[0].content[0].cache_control).toEqual({ type: 'ephemeral' });
+        });
+
+        test('should leave cache fields out of an uncached completion', async () => {
+            usage = { input_tokens: 50, output_tokens: 100 };
+
+            const result = await createProvider().generateCompletion('Question');
+
+            expect(result.usage).toEqual({ inputTokens: 50, outputTokens: 100, totalTokens: 150 });
+            expect(result.cacheSavings).toBeUndefined();
+        });
+    });
+});
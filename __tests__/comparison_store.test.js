@@ -0,0 +1,107 @@
+/**
+ * Comparison Store Tests
+ * Saving, listing and retention of side-by-side model comparisons
+ */
+
+const ComparisonStore = require('../core/comparison_store');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('ComparisonStore', () => {
+    const testConfigDir = path.join(__dirname, 'test_comparisons_config');
+    let store;
+
+    const comparison = (template, costs) => ({
+        template,
+        label: null,
+        variables: {},
+        prompt: 'Summarize this ticket',
+        results: costs.map((cost, index) => ({
+            provider: index === 0 ? 'claude' : 'openai',
+            model: index === 0 ? 'claude-3-5-sonnet-20241022' : 'gpt-4',
+            success: true,
+            content: 'Summary',
+            usage: { inputTokens: 5, outputTokens: 2, totalTokens: 7 },
+            cost,
+            responseTime: 900,
+            finishReason: 'stop'
+        }))
+    });
+
+    const reload = async () => {
+        const reloaded = new ComparisonStore({ configDir: testConfigDir });
+        await reloaded.ready;
+        return reloaded;
+    };
+
+    beforeEach(() => {
+        store = new ComparisonStore({ configDir: testConfigDir, autoInit: false });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testConfigDir, { recursive: true, force: true });
+    });
+
+    test('should give a saved comparison an id', async () => {
+        const saved = await store.save(comparison('business/customer_support', [0.001]));
+
+        expect(saved.id).toMatch(/^cmp_/);
+        expect(store.get(saved.id)).toEqual(saved);
+    });
+
+    test('should list comparisons of a template newest first', async () => {
+        const first = await store.save(comparison('business/customer_support', [0.001, 0.004]));
+        await store.save(comparison('development/code_review', [0.002]));
+        const third = await store.save(comparison('business/customer_support', [0.003, 0.005]));
+
+        expect(store.list({ template: 'business/customer_support' }).map(item => item.id)).toEqual([third.id, first.id]);
+    });
+
+    test('should list each result without its output or usage', async () => {
+        await store.save(comparison('business/customer_support', [0.003, 0.005]));
+
+        expect(store.list()[0].results[1]).toEqual({
+            provider: 'openai',
+            model: 'gpt-4',
+            success: true,
+            responseTime: 900,
+            cost: 0.005,
+            finishReason: 'stop'
+        });
+    });
+
+    test('should limit the number of listed comparisons', async () => {
+        await store.save(comparison('business/customer_support', [0.001]));
+        await store.save(comparison('business/customer_support', [0.002]));
+
+        expect(store.list({ limit: 1 })).toHaveLength(1);
+    });
+
+    test('should reload saved comparisons from disk', async () => {
+        const saved = await store.save(comparison('business/customer_support', [0.001, 0.004]));
+
+        const reloaded = await reload();
+
+        expect(reloaded.get(saved.id)).toEqual(saved);
+    });
+
+    test('should delete a comparison and report a missing one', async () => {
+        const saved = await store.save(comparison('business/customer_support', [0.001]));
+        const reloaded = await reload();
+
+        expect(await reloaded.delete(saved.id)).toBe(true);
+        expect(await reloaded.delete(saved.id)).toBe(false);
+        expect(reloaded.get(saved.id)).toBeNull();
+    });
+
+    test('should drop the oldest comparisons beyond maxRecords', async () => {
+        const capped = new ComparisonStore({ configDir: testConfigDir, autoInit: false, maxRecords: 2 });
+        const saved = [];
+        for (const cost of [0.001, 0.002, 0.003]) {
+            saved.push(await capped.save(comparison('business/customer_support', [cost])));
+        }
+
+        expect(capped.get(saved[0].id)).toBeNull();
+        expect(capped.list().map(item => item.id)).toEqual([saved[2].id, saved[1].id]);
+    });
+});
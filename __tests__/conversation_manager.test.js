@@ -0,0 +1,72 @@
+/**
+ * Conversation Manager Tests
+ * History trimming and expiry of conversation sessions
+ */
+
+const ConversationManager = require('../core/conversation_manager');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('ConversationManager', () => {
+    const testConfigDir = path.join(__dirname, 'test_conversations_config');
+    let manager;
+
+    beforeEach(() => {
+        manager = new ConversationManager({ configDir: testConfigDir, autoInit: false, ttlMs: 60000 });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testConfigDir, { recursive: true, force: true });
+    });
+
+    // Three exchanges; one token per character keeps the arithmetic readable
+    const createConversation = async () => {
+        const conversation = await manager.create({ systemPrompt: 'Be brief.' });
+        for (const turn of ['one', 'two', 'three']) {
+            await manager.appendExchange(conversation, `question ${turn}`, { content: `answer ${turn}`, usage: { totalTokens: 2 } });
+        }
+        return conversation;
+    };
+    const estimateTokens = text => text.length;
+
+    test('should send the whole history when it fits the context window', async () => {
+        const conversation = await createConversation();
+
+        const context = manager.buildContext(conversation, 'next', { contextWindow: 1000, reserveTokens: 100, estimateTokens });
+
+        expect(context.messages).toHaveLength(6);
+        expect(context.trimmed).toBe(0);
+    });
+
+    test('should trim the oldest exchanges to fit the context window', async () => {
+        const conversation = await createConversation();
+
+        const context = manager.buildContext(conversation, 'next', { contextWindow: 160, reserveTokens: 100, estimateTokens });
+
+        expect(context.messages.map(message => message.content)).toEqual(['question three', 'answer three']);
+        expect(context.trimmed).toBe(4);
+    });
+
+    test('should add up usage over every exchange', async () => {
+        const conversation = await createConversation();
+
+        expect(conversation.usage.totalTokens).toBe(6);
+    });
+
+    test('should stop returning a conversation once it expires', async () => {
+        const conversation = await manager.create({});
+        expect(manager.getConversation(conversation.id)).toBe(conversation);
+
+        conversation.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+        expect(manager.getConversation(conversation.id)).toBeNull();
+    });
+
+    test('should prune expired conversations', async () => {
+        const conversation = await manager.create({});
+        await manager.create({});
+        conversation.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+        expect(await manager.pruneExpired()).toBe(1);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Job Queue Tests
+ * Processing, cancellation, persistence and callback signing of generation jobs
+ */
+
+const JobQueue = require('../core/job_queue');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+describe('JobQueue', () => {
+    const testConfigDir = path.join(__dirname, 'test_jobs_config');
+    const waitFor = async (check) => {
+        for (let i = 0; i < 50 && !check(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    };
+
+    afterEach(async () => {
+        await fs.rm(testConfigDir, { recursive: true, force: true });
+    });
+
+    const createQueue = async (processor) => {
+        const queue = new JobQueue({ configDir: testConfigDir, autoInit: false, processor });
+        await queue.init();
+        return queue;
+    };
+    const waitForIdle = queue => waitFor(() => queue.getStats().running === 0 && queue.getStats().queued === 0);
+
+    test('should complete a job with the processor result', async () => {
+        const queue = await createQueue(async (job) => ({ content: `done ${job.request.template}` }));
+
+        const job = await queue.enqueue({ template: 'general/greeting' });
+        await waitForIdle(queue);
+
+        expect(queue.getJob(job.id).status).toBe('completed');
+        expect(queue.getJob(job.id).result.content).toBe('done general/greeting');
+        queue.stop();
+    });
+
+    test('should record a failed job with its error', async () => {
+        const queue = await createQueue(async () => {
+            throw new Error('Provider failed');
+        });
+
+        const job = await queue.enqueue({ template: 'broken' });
+        await waitForIdle(queue);
+
+        expect(queue.getJob(job.id).status).toBe('failed');
+        expect(queue.getJob(job.id).error.message).toBe('Provider failed');
+        queue.stop();
+    });
+
+    // Jobs loaded but not started stay queued until the queue restarts
+    const enqueueBeforeRestart = async (processor) => {
+        const queue = new JobQueue({ configDir: testConfigDir, autoInit: false, processor });
+        await queue.loadJobs();
+
+        const cancelled = await queue.enqueue({ template: 'a' });
+        const pending = await queue.enqueue({ template: 'b' });
+        await queue.cancel(cancelled.id);
+        await queue.saveChain;
+
+        return { cancelled, pending, restarted: await createQueue(processor) };
+    };
+
+    test('should resume queued jobs after a restart', async () => {
+        const processor = jest.fn(async () => ({ content: 'done' }));
+        const { pending, restarted } = await enqueueBeforeRestart(processor);
+
+        await waitFor(() => restarted.getJob(pending.id).status === 'completed');
+
+        expect(restarted.getJob(pending.id).status).toBe('completed');
+        restarted.stop();
+    });
+
+    test('should not run a cancelled job after a restart', async () => {
+        const processor = jest.fn(async () => ({ content: 'done' }));
+        const { cancelled, pending, restarted } = await enqueueBeforeRestart(processor);
+
+        await waitFor(() => restarted.getJob(pending.id).status === 'completed');
+
+        expect(restarted.getJob(cancelled.id).status).toBe('cancelled');
+        expect(processor).toHaveBeenCalledTimes(1);
+        restarted.stop();
+    });
+
+    test('should sign callback payloads with the shared secret', () => {
+        const queue = new JobQueue({ configDir: testConfigDir, autoInit: false, callbackSecret: 'secret' });
+        const body = JSON.stringify({ jobId: 'job_1', status: 'completed' });
+        const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+        expect(queue.signPayload(body, 1700000000)).toBe(`sha256=${expected}`);
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * Local Provider Tests
+ * Ollama model management, models outside the catalog and system prompts against a local stand-in server
+ */
+
+const http = require('http');
+const LocalProvider = require('../providers/local_provider');
+
+describe('LocalProvider model management', () => {
+    let server;
+    let provider;
+    const installed = new Set();
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const { model } = body ? JSON.parse(body) : {};
+                const json = (status, data) => {
+                    res.writeHead(status, { 'content-type': 'application/json' });
+                    res.end(JSON.stringify(data));
+                };
+
+                if (req.url === '/api/tags') {
+                    return json(200, { models: [...installed].map(name => ({ name, size: 1024, digest: 'sha256:abc', details: { family: 'llama' } })) });
+                }
+                if (req.url === '/api/show') {
+                    return installed.has(model) ? json(200, { details: { family: 'llama' }, capabilities: ['completion'] }) : json(404, { error: `model '${model}' not found` });
+                }
+                if (req.url === '/api/delete') {
+                    return installed.delete(model) ? json(200, {}) : json(404, { error: `model '${model}' not found` });
+                }
+                if (req.url === '/api/generate') {
+                    return installed.has(model)
+                        ? json(200, { model, response: 'Refund approved', done: true, prompt_eval_count: 12, eval_count: 3 })
+                        : json(404, { error: `model '${model}' not found` });
+                }
+
+                res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+                if (model === 'missing') {
+                    return res.end('{"status":"pulling manifest"}\n{"error":"pull model manifest: file does not exist"}\n');
+                }
+                installed.add(model);
+                res.write('{"status":"pulling manifest"}\n');
+                res.write('{"status":"pulling 6a0746a1ec1a","digest":"sha256:6a07","total":200,"completed":100}\n');
+                res.end('{"status":"success"}\n');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        installed.clear();
+        provider = new LocalProvider({ endpoint: `http://127.0.0.1:${server.address().port}/`, model: 'llama2' });
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const pull = async (name) => {
+        const progress = [];
+        for await (const event of provider.pullModel(name)) {
+            progress.push(event);
+        }
+        return progress;
+    };
+
+    test('should stream pull progress until the pull succeeds', async () => {
+        const progress = await pull('llama3.1:8b');
+
+        expect(progress.map(event => event.status)).toEqual(['pulling manifest', 'pulling 6a0746a1ec1a', 'success']);
+        expect(progress[1]).toMatchObject({ digest: 'sha256:6a07', total: 200, completed: 100 });
+    });
+
+    test('should report a failed pull with the Ollama error', async () => {
+        await expect(pull('missing')).rejects.toThrow('Failed to pull model \'missing\': pull model manifest: file does not exist');
+    });
+
+    test('should list the installed models', async () => {
+        installed.add('llama3.1:8b');
+
+        expect(await provider.listOllamaModels()).toEqual([
+            { name: 'llama3.1:8b', size: 1024, digest: 'sha256:abc', modifiedAt: undefined, details: { family: 'llama' } }
+        ]);
+    });
+
+    test('should show an installed model and return null for one that is not', async () => {
+        installed.add('llama3.1:8b');
+
+        expect(await provider.showModel('llama3.1:8b')).toMatchObject({ name: 'llama3.1:8b', capabilities: ['completion'] });
+        expect(await provider.showModel('unknown')).toBeNull();
+    });
+
+    test('should delete an installed model and report one that is not', async () => {
+        installed.add('llama3.1:8b');
+
+        expect(await provider.deleteModel('llama3.1:8b')).toBe(true);
+        expect(await provider.deleteModel('llama3.1:8b')).toBe(false);
+    });
+
+    test('should treat a model name without a tag as the latest tag', () => {
+        expect(provider.isSameModel('llama2', 'llama2:latest')).toBe(true);
+        expect(provider.isSameModel('llama2:7b', 'llama2')).toBe(false);
+    });
+
+    test('should generate with a model once it is pulled', async () => {
+        await expect(provider.generateCompletion('Summarize this ticket', { model: 'gemma2:2b' })).rejects.toThrow('Unknown model');
+
+        // A lookup that just failed is not repeated within a minute; the pull refreshes the list itself
+        await pull('gemma2:2b');
+
+        expect(await provider.generateCompletion('Summarize this ticket', { model: 'gemma2:2b' }))
+            .toMatchObject({ content: 'Refund approved', model: 'gemma2:2b' });
+    });
+
+    test('should forget a model once it is deleted', async () => {
+        await pull('gemma2:2b');
+
+        await provider.deleteModel('gemma2:2b');
+
+        expect(provider.hasModel('gemma2:2b')).toBe(false);
+    });
+
+    test('should require the Ollama API for model management', async () => {
+        const llamacpp = new LocalProvider({ endpoint: 'http://127.0.0.1:1', apiType: 'llamacpp' });
+
+        await expect(llamacpp.listOllamaModels()).rejects.toThrow('Model management requires the Ollama API');
+    });
+});
+
+describe('LocalProvider models outside the catalog', () => {
+    let server;
+    let requests;
+    let installed;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                if (req.url === '/api/tags') {
+                    return res.end(JSON.stringify({ models: installed.map(name => ({ name })) }));
+                }
+                const json = JSON.parse(body);
+                requests.push(json);
+                res.end(JSON.stringify({ model: json.model, response: 'Refund approved', done: true, prompt_eval_count: 12, eval_count: 3 }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        installed = [];
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const createProvider = (config = {}) =>
+        new LocalProvider({ endpoint: `http://127.0.0.1:${server.address().port}`, ...config });
+
+    test('should generate with a configured model the catalog does not list', async () => {
+        const provider = createProvider({ model: 'qwen2.5:7b', contextWindow: 32768 });
+
+        const result = await provider.generateCompletion('Summarize this ticket', { maxTokens: 3000 });
+
+        expect(result).toMatchObject({ content: 'Refund approved', model: 'qwen2.5:7b', cost: 0 });
+        expect(requests[0]).toMatchObject({ model: 'qwen2.5:7b', options: { num_predict: 3000 } });
+    });
+
+    test('should use the configured context window for a model outside the catalog', () => {
+        const provider = createProvider({ model: 'qwen2.5:7b', contextWindow: 32768 });
+
+        expect(provider.getContextWindow('qwen2.5:7b')).toBe(32768);
+    });
+
+    test('should accept models the server reports as installed', async () => {
+        installed = ['phi3:latest'];
+        const provider = createProvider({ model: 'llama2' });
+
+        await provider.generateCompletion('Summarize this ticket', { model: 'phi3' });
+
+        expect(requests[0].model).toBe('phi3');
+        expect(provider.hasModel('phi3:latest')).toBe(true);
+    });
+
+    test('should list configured and installed models as available', async () => {
+        installed = ['phi3:latest'];
+        const provider = createProvider({ model: 'llama2' });
+
+        await provider.ensureModel('phi3');
+
+        expect(provider.getAvailableModels()).toEqual(expect.arrayContaining(['llama2', 'phi3:latest']));
+    });
+
+    test('should reject models that are neither listed, configured nor installed', async () => {
+        const provider = createProvider({ model: 'llama2' });
+
+        await expect(provider.generateCompletion('Summarize this ticket', { model: 'gemma2' }))
+            .rejects.toThrow('Unknown model \'gemma2\' for provider \'local\'');
+        expect(requests).toHaveLength(0);
+    });
+});
+
+describe('LocalProvider system prompts', () => {
+    test('should send the system prompt to Ollama in the system field', () => {
+        const provider = new LocalProvider({ model: 'llama2' });
+
+        expect(provider.formatRequest('Summarize this ticket', { systemPrompt: 'Be brief.' }))
+            .toMatchObject({ prompt: 'Summarize this ticket', system: 'Be brief.' });
+    });
+
+    test('should leave out the system field without a system prompt', () => {
+        const provider = new LocalProvider({ model: 'llama2' });
+
+        expect(provider.formatRequest('Summarize this ticket').system).toBeUndefined();
+    });
+
+    test('should put the system prompt first for servers without a system field', () => {
+        const provider = new LocalProvider({ model: 'llama2', apiType: 'llamacpp' });
+
+        expect(provider.formatRequest('Summarize this ticket', { systemPrompt: 'Be brief.' }).prompt)
+            .toBe('Be brief.\n\nSummarize this ticket');
+    });
+
+    test('should put the system prompt before the transcript of earlier turns', () => {
+        const provider = new LocalProvider({ model: 'llama2', apiType: 'llamacpp' });
+
+        expect(provider.formatRequest('Thanks', {
+            systemPrompt: 'Be brief.',
+            messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]
+        }).prompt).toBe('Be brief.\n\nUser: Hi\nAssistant: Hello\nUser: Thanks\nAssistant:');
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Mock Provider Tests
+ * Fixture matching and injected failures of the built-in mock provider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MockProvider = require('../providers/mock_provider');
+
+describe('MockProvider', () => {
+    const createProvider = (fixtures, defaults = { latencyMs: 0 }) => new MockProvider({ defaults, fixtures });
+
+    test('should answer from a fixture matched by template with its usage and catalog cost', async () => {
+        const provider = createProvider([
+            { template: 'support/reply', content: 'Template reply', usage: { inputTokens: 1000000, outputTokens: 0 } }
+        ]);
+
+        expect(await provider.generateCompletion('Anything', { template: 'support/reply' })).toMatchObject({
+            content: 'Template reply',
+            model: 'mock-model',
+            usage: { inputTokens: 1000000, outputTokens: 0, totalTokens: 1000000 },
+            cost: 3,
+            finishReason: 'end_turn'
+        });
+    });
+
+    test('should answer with the JSON of a fixture matched by prompt hash', async () => {
+        const promptHash = new MockProvider({ fixtures: [] }).hashPrompt('Exact prompt');
+        const provider = createProvider([{ promptHash, json: { answer: 42 } }]);
+
+        expect((await provider.generateCompletion('Exact prompt')).content).toBe('{"answer":42}');
+    });
+
+    test('should answer from a fixture matched by pattern', async () => {
+        const provider = createProvider([{ pattern: '^summari[sz]e', flags: 'i', content: 'Pattern reply' }]);
+
+        expect((await provider.generateCompletion('Summarize this')).content).toBe('Pattern reply');
+    });
+
+    test('should use the first matching fixture in file order', async () => {
+        const provider = createProvider([
+            { pattern: 'refund', content: 'First' },
+            { template: 'support/reply', content: 'Second' }
+        ]);
+
+        expect((await provider.generateCompletion('A refund please', { template: 'support/reply' })).content).toBe('First');
+    });
+
+    test('should give a fixed reply naming the prompt hash when no fixture matches', async () => {
+        const provider = createProvider([]);
+
+        const result = await provider.generateCompletion('Something else', { template: 'other/template' });
+
+        expect(result.content).toBe(`Mock response for template 'other/template' (prompt hash ${provider.hashPrompt('Something else').slice(0, 12)})`);
+        expect(result.usage.inputTokens).toBeGreaterThan(0);
+        expect(result.usage.outputTokens).toBeGreaterThan(0);
+    });
+
+    test('should reject a model the mock provider does not offer', async () => {
+        await expect(createProvider([]).generateCompletion('Hi', { model: 'gpt-4' })).rejects.toThrow('gpt-4');
+    });
+
+    test('should reject an empty prompt', async () => {
+        await expect(createProvider([]).generateCompletion('  ')).rejects.toThrow('Prompt cannot be empty');
+    });
+
+    test('should inject a failure for the configured number of calls', async () => {
+        const provider = createProvider([{ pattern: 'flaky', error: 'server_error', failures: 1, content: 'Recovered now' }]);
+
+        await expect(provider.generateCompletion('flaky call')).rejects.toMatchObject({ status: 500, retryable: true });
+        expect((await provider.generateCompletion('flaky call')).content).toBe('Recovered now');
+    });
+
+    test('should inject a failure on every call without a failure count', async () => {
+        const provider = createProvider([{ pattern: 'limited', error: 'rate_limit', retryAfter: 2 }]);
+
+        await expect(provider.generateCompletion('limited call')).rejects.toMatchObject({ status: 429, retryAfter: 2 });
+        await expect(provider.generateCompletion('limited call')).rejects.toMatchObject({ status: 429, retryAfter: 2 });
+    });
+
+    test('should reject an unknown injected failure', () => {
+        expect(() => createProvider([{ pattern: 'x', error: 'meltdown' }])).toThrow('Unknown mock failure \'meltdown\'');
+    });
+
+    test('should stream the reply word by word and finish with a done event', async () => {
+        const provider = createProvider([{ pattern: 'stream', content: 'Recovered now' }]);
+
+        const events = [];
+        for await (const event of provider.streamCompletion('stream call')) {
+            events.push(event);
+        }
+
+        expect(events.filter(event => event.type === 'delta').map(event => event.content)).toEqual(['Recovered ', 'now']);
+        expect(events[events.length - 1]).toMatchObject({ type: 'done', content: 'Recovered now', finishReason: 'end_turn' });
+    });
+
+    test('should stop waiting for the simulated latency when the request is aborted', async () => {
+        const provider = createProvider([], { latencyMs: 10000 });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 10);
+
+        await expect(provider.generateCompletion('Hi', { signal: controller.signal })).rejects.toThrow('request was cancelled');
+    });
+
+    describe('fixtures file', () => {
+        const fixturesFile = path.join(__dirname, 'test_mock_fixtures', 'fixtures.json');
+
+        afterEach(() => {
+            fs.rmSync(path.dirname(fixturesFile), { recursive: true, force: true });
+        });
+
+        test('should load fixtures and defaults from the fixtures file', async () => {
+            fs.mkdirSync(path.dirname(fixturesFile), { recursive: true });
+            fs.writeFileSync(fixturesFile, JSON.stringify({ defaults: { latencyMs: 0 }, fixtures: [{ pattern: 'Hi', content: 'From file' }] }));
+
+            const provider = new MockProvider({ fixturesFile });
+
+            expect(provider.defaults.latencyMs).toBe(0);
+            expect((await provider.generateCompletion('Hi')).content).toBe('From file');
+        });
+
+        test('should run without fixtures when the fixtures file is missing', () => {
+            expect(new MockProvider({ fixturesFile }).fixtures).toEqual([]);
+        });
+    });
+});
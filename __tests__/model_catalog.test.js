@@ -0,0 +1,109 @@
+/**
+ * Model Catalog Tests
+ * Model lookup, pricing, limits and reloading of the provider catalog
+ */
+
+const ModelCatalog = require('../core/model_catalog');
+const fs = require('fs');
+const path = require('path');
+
+describe('ModelCatalog', () => {
+    const testCatalogDir = path.join(__dirname, 'test_model_catalog');
+    const testCatalogFile = path.join(testCatalogDir, 'llm-providers.json');
+
+    const writeCatalog = (input) => {
+        fs.mkdirSync(testCatalogDir, { recursive: true });
+        fs.writeFileSync(testCatalogFile, JSON.stringify({
+            providers: {
+                openai: {
+                    default_model: 'gpt-4',
+                    models: [
+                        { name: 'gpt-4', max_tokens: 8192, context_window: 8192, cost_per_million_tokens: { input, output: 60 } },
+                        { name: 'gpt-4-turbo', max_tokens: 4096, context_window: 128000, cost_per_million_tokens: { input: 10, output: 30 } }
+                    ]
+                }
+            }
+        }));
+    };
+
+    afterEach(() => {
+        fs.rmSync(testCatalogDir, { recursive: true, force: true });
+    });
+
+    test('should resolve a dated variant to the listed model', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+
+        expect(catalog.findModel('openai', 'gpt-4-0613').name).toBe('gpt-4');
+    });
+
+    test('should resolve a variant to the longest matching model name', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+
+        expect(catalog.findModel('openai', 'gpt-4-turbo-2024-04-09').name).toBe('gpt-4-turbo');
+    });
+
+    test('should not find a model the catalog does not list', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+
+        expect(catalog.findModel('openai', 'gpt-4o')).toBeNull();
+        expect(catalog.hasModel('openai', 'gpt-4o')).toBe(false);
+    });
+
+    test('should reject an unknown model with the available models', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+
+        expect(() => catalog.requireModel('openai', 'gpt-4o'))
+            .toThrow('Unknown model \'gpt-4o\' for provider \'openai\'. Available models: gpt-4, gpt-4-turbo');
+    });
+
+    test('should price usage from the per-million-token prices', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+        const turbo = catalog.findModel('openai', 'gpt-4-turbo');
+
+        expect(catalog.calculateCost(turbo, { inputTokens: 1000000, outputTokens: 500000 })).toBe(25);
+    });
+
+    test('should price a model without prices at zero', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+
+        expect(catalog.calculateCost(null, { inputTokens: 1000, outputTokens: 500 })).toBe(0);
+    });
+
+    test('should clamp max tokens to what the model can produce', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+        const turbo = catalog.findModel('openai', 'gpt-4-turbo');
+
+        expect(catalog.clampMaxTokens(turbo, 10000)).toBe(4096);
+        expect(catalog.clampMaxTokens(turbo, 500)).toBe(500);
+    });
+
+    test('should describe providers with their models, limits and prices', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile });
+
+        expect(catalog.describe('openai').openai).toMatchObject({
+            defaultModel: 'gpt-4',
+            models: [
+                { name: 'gpt-4', maxTokens: 8192, contextWindow: 8192, costPerMillionTokens: { input: 30, output: 60 } },
+                { name: 'gpt-4-turbo', maxTokens: 4096, contextWindow: 128000, costPerMillionTokens: { input: 10, output: 30 } }
+            ]
+        });
+    });
+
+    test('should pick up price changes when the file changes', () => {
+        writeCatalog(30);
+        const catalog = new ModelCatalog({ file: testCatalogFile, checkInterval: 0 });
+
+        writeCatalog(45);
+        fs.utimesSync(testCatalogFile, new Date(), new Date(Date.now() + 1000));
+
+        expect(catalog.findModel('openai', 'gpt-4').cost_per_million_tokens.input).toBe(45);
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * OpenAI-compatible Provider Tests
+ * Chat completions, model discovery and named instances against a local stand-in server
+ */
+
+const http = require('http');
+const OpenAICompatibleProvider = require('../providers/openai_compatible_provider');
+const providerFactory = require('../providers/provider_factory');
+const { logger } = require('../core/logger');
+
+describe('OpenAICompatibleProvider', () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const json = body ? JSON.parse(body) : null;
+                requests.push({ url: req.url, headers: req.headers, body: json });
+
+                if (req.url === '/v1/models') {
+                    res.writeHead(200, { 'content-type': 'application/json' });
+                    return res.end(JSON.stringify({ data: [{ id: 'qwen2.5-7b-instruct', max_model_len: 32768 }] }));
+                }
+                if (json.stream) {
+                    res.writeHead(200, { 'content-type': 'text/event-stream' });
+                    res.write('data: {"model":"qwen2.5-7b-instruct","choices":[{"delta":{"content":"Hello"}}]}\n\n');
+                    res.write('data: {"choices":[{"delta":{"content":" world"},"finish_reason":"stop"}]}\n\n');
+                    return res.end('data: [DONE]\n\n');
+                }
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    model: json.model,
+                    choices: [{ message: { content: 'Hi there' }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 12, completion_tokens: 3 }
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const createProvider = () => new OpenAICompatibleProvider({ name: 'vllm', baseUrl: `${baseUrl}/` });
+
+    test('should not know the server models before discovery', () => {
+        expect(createProvider().hasModel('qwen2.5-7b-instruct')).toBe(false);
+    });
+
+    test('should discover the server models before the first completion', async () => {
+        const result = await createProvider().generateCompletion('Hello');
+
+        expect(result).toMatchObject({ content: 'Hi there', model: 'qwen2.5-7b-instruct' });
+        expect(requests.map(request => request.url)).toEqual(['/v1/models', '/v1/chat/completions']);
+    });
+
+    test('should send the system prompt and earlier turns as chat messages', async () => {
+        await createProvider().generateCompletion('Hello', {
+            systemPrompt: 'Be brief',
+            messages: [{ role: 'user', content: 'Earlier' }, { role: 'assistant', content: 'Reply' }]
+        });
+
+        const chat = requests[requests.length - 1];
+        expect(chat.body.messages).toEqual([
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'Earlier' },
+            { role: 'assistant', content: 'Reply' },
+            { role: 'user', content: 'Hello' }
+        ]);
+    });
+
+    test('should not send an authorization header without an API key', async () => {
+        await createProvider().generateCompletion('Hello');
+
+        expect(requests.every(request => request.headers.authorization === undefined)).toBe(true);
+    });
+
+    test('should price discovered models at zero and use the server context length', async () => {
+        const provider = createProvider();
+
+        const result = await provider.generateCompletion('Hello');
+
+        expect(result.cost).toBe(0);
+        expect(provider.getAvailableModels()).toEqual(['qwen2.5-7b-instruct']);
+        expect(provider.getContextWindow()).toBe(32768);
+    });
+
+    test('should reject a model the server does not serve', async () => {
+        await expect(createProvider().generateCompletion('Hello', { model: 'llama-3-70b' }))
+            .rejects.toThrow('Unknown model \'llama-3-70b\' for provider \'vllm\'. Available models: qwen2.5-7b-instruct');
+    });
+
+    test('should look up the server models at most once a minute', async () => {
+        const provider = createProvider();
+        await provider.generateCompletion('Hello');
+
+        await expect(provider.generateCompletion('Hello', { model: 'llama-3-70b' })).rejects.toThrow('Unknown model');
+
+        expect(requests.filter(request => request.url === '/v1/models')).toHaveLength(1);
+    });
+
+    describe('named instances', () => {
+        beforeEach(() => {
+            process.env.VLLM_BASE_URL = baseUrl;
+            process.env.VLLM_API_KEY = 'vllm-secret-token';
+            process.env.VLLM_MODEL = 'qwen2.5-7b-instruct';
+            providerFactory.loadEnvironmentConfig();
+        });
+
+        afterEach(() => {
+            delete process.env.VLLM_BASE_URL;
+            delete process.env.VLLM_API_KEY;
+            delete process.env.VLLM_MODEL;
+        });
+
+        test('should configure only the instances whose base URL is set', () => {
+            expect(providerFactory.getConfiguredProviders()).toContain('vllm');
+            expect(providerFactory.getConfiguredProviders()).not.toContain('lmstudio');
+            expect(providerFactory.createProvider('vllm')).toBeInstanceOf(OpenAICompatibleProvider);
+        });
+
+        test('should stream chat completions', async () => {
+            const provider = providerFactory.createProvider('vllm');
+            await provider.discoverModels();
+
+            const events = [];
+            for await (const event of provider.streamCompletion('Hello')) {
+                events.push(event);
+            }
+
+            expect(events.map(event => event.content)).toEqual(['Hello', ' world', 'Hello world']);
+            expect(events[2]).toMatchObject({ type: 'done', model: 'qwen2.5-7b-instruct', finishReason: 'stop' });
+        });
+
+        test('should send the API key from the environment', async () => {
+            await providerFactory.createProvider('vllm').generateCompletion('Hello');
+
+            expect(requests.map(request => request.headers.authorization)).toEqual([
+                'Bearer vllm-secret-token',
+                'Bearer vllm-secret-token'
+            ]);
+        });
+    });
+
+    describe('without a base URL', () => {
+        let provider;
+
+        beforeEach(() => {
+            provider = new OpenAICompatibleProvider({ name: 'vllm', model: 'qwen2.5-7b-instruct', discoverModels: false });
+            jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should name the missing base URL variable', async () => {
+            await expect(provider.generateCompletion('Hello'))
+                .rejects.toThrow('No base URL configured for provider \'vllm\'; set VLLM_BASE_URL');
+            expect(requests).toHaveLength(0);
+        });
+
+        test('should fail a stream with the same error', async () => {
+            await expect(provider.streamCompletion('Hello').next())
+                .rejects.toMatchObject({ name: 'ProviderRequestError', code: 'missing_base_url' });
+            expect(requests).toHaveLength(0);
+        });
+    });
+});
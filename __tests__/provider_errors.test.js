@@ -0,0 +1,166 @@
+/**
+ * Provider Error Tests
+ * HTTP failures, timeouts and cancellation mapped to provider error classes, and the
+ * completion result shared by the Claude, OpenAI and local providers
+ */
+
+const http = require('http');
+const ClaudeProvider = require('../providers/claude_provider');
+const OpenAIProvider = require('../providers/openai_provider');
+const LocalProvider = require('../providers/local_provider');
+const RateLimiter = require('../providers/rate_limiter');
+const { logger } = require('../core/logger');
+const {
+    ProviderAuthenticationError,
+    ProviderError,
+    ProviderRateLimitError,
+    ProviderTimeoutError,
+    ProviderUnavailableError
+} = require('../core/error_handler');
+
+// A limiter per instance, so the pause after a 429 does not hold up the next test
+const rateLimiter = name => new RateLimiter({ name, requestsPerMinute: 1000 });
+
+const providers = [
+    {
+        name: 'claude',
+        create: url => {
+            const provider = new ClaudeProvider({ apiKey: 'sk-ant-test-key-0000000000', rateLimiter: rateLimiter('claude') });
+            provider.apiUrl = `${url}/v1/messages`;
+            return provider;
+        },
+        retryAfter: 7,
+        respond: model => ({
+            model,
+            content: [{ type: 'text', text: 'Refund approved' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 12, output_tokens: 3 }
+        })
+    },
+    {
+        name: 'openai',
+        create: url => new OpenAIProvider({
+            apiKey: 'sk-test-key-0000000000',
+            baseUrl: `${url}/v1/chat/completions`,
+            rateLimiter: rateLimiter('openai')
+        }),
+        retryAfter: 7,
+        respond: model => ({
+            id: 'chatcmpl-1',
+            model,
+            choices: [{ message: { role: 'assistant', content: 'Refund approved' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+        })
+    },
+    {
+        name: 'local',
+        create: url => new LocalProvider({ endpoint: url, apiType: 'ollama', model: 'llama3', rateLimiter: rateLimiter('local') }),
+        // The local provider does not read Retry-After
+        retryAfter: null,
+        respond: model => ({ model, response: 'Refund approved', done: true, prompt_eval_count: 12, eval_count: 3 })
+    }
+];
+
+describe.each(providers)('$name provider errors and results', ({ create, retryAfter, respond }) => {
+    let server;
+    let reply;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const send = () => {
+                    if (res.destroyed) return;
+                    res.writeHead(reply.status, { 'content-type': 'application/json', ...reply.headers });
+                    res.end(JSON.stringify(reply.body || respond(JSON.parse(body).model)));
+                };
+                reply.delayMs ? setTimeout(send, reply.delayMs) : send();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        reply = { status: 200 };
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const generate = (options = {}) => create(`http://127.0.0.1:${server.address().port}`)
+        .generateCompletion('Can I get a refund?', options);
+
+    test('should return the shared completion result fields', async () => {
+        const result = await generate();
+
+        expect(result).toMatchObject({
+            content: 'Refund approved',
+            model: expect.any(String),
+            usage: { inputTokens: 12, outputTokens: 3, totalTokens: 15 },
+            cost: expect.any(Number),
+            responseTime: expect.any(Number),
+            finishReason: expect.any(String)
+        });
+    });
+
+    test('should map 401 to an authentication error', async () => {
+        reply = { status: 401, body: { error: { type: 'authentication_error', message: 'Invalid API key' } } };
+
+        const error = await generate().catch(error => error);
+
+        expect(error).toBeInstanceOf(ProviderAuthenticationError);
+        expect(error).toMatchObject({ status: 401, retryable: false });
+    });
+
+    test('should map 429 to a retryable rate limit error with its Retry-After', async () => {
+        reply = {
+            status: 429,
+            headers: { 'retry-after': '7' },
+            body: { error: { type: 'rate_limit_error', message: 'Too many requests' } }
+        };
+
+        const error = await generate().catch(error => error);
+
+        expect(error).toBeInstanceOf(ProviderRateLimitError);
+        expect(error).toMatchObject({ status: 429, retryable: true, retryAfter });
+    });
+
+    test('should map 5xx to a retryable unavailable error', async () => {
+        reply = { status: 503, body: { error: { type: 'overloaded_error', message: 'Overloaded' } } };
+
+        const error = await generate().catch(error => error);
+
+        expect(error).toBeInstanceOf(ProviderUnavailableError);
+        expect(error).toMatchObject({ status: 503, retryable: true });
+    });
+
+    test('should map a request that runs past its timeout to a timeout error', async () => {
+        reply = { status: 200, delayMs: 1000 };
+
+        const error = await generate({ timeout: 50 }).catch(error => error);
+
+        expect(error).toBeInstanceOf(ProviderTimeoutError);
+        expect(error.retryable).toBe(true);
+    });
+
+    test('should report an aborted request as cancelled and not retryable', async () => {
+        reply = { status: 200, delayMs: 1000 };
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+
+        const error = await generate({ signal: controller.signal }).catch(error => error);
+
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error.message).toMatch(/request was cancelled/);
+        expect(error.retryable).toBe(false);
+    });
+});
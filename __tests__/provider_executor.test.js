@@ -0,0 +1,153 @@
+/**
+ * Provider Executor Tests
+ * Retries, failover, cancellation and the attempt trace
+ */
+
+const ProviderExecutor = require('../core/provider_executor');
+const { logger } = require('../core/logger');
+const {
+    ProviderAuthenticationError,
+    ProviderError,
+    ProviderRateLimitError,
+    ProviderUnavailableError,
+    ValidationError
+} = require('../core/error_handler');
+
+describe('ProviderExecutor', () => {
+    let executor;
+
+    const createExecutor = (options = {}) => new ProviderExecutor({
+        providers: new Map([['claude', { name: 'claude' }], ['openai', { name: 'openai' }]]),
+        fallbackProviders: ['openai'],
+        maxRetries: 2,
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        executor = createExecutor();
+        jest.spyOn(executor, 'sleep').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should build the chain from available providers without duplicates', () => {
+        expect(executor.getProviderChain('claude')).toEqual(['claude', 'openai']);
+        expect(executor.getProviderChain('openai')).toEqual(['openai']);
+        expect(executor.getProviderChain('gemini')).toEqual(['openai']);
+    });
+
+    test('should retry a retryable error on the same provider', async () => {
+        const operation = jest.fn()
+            .mockRejectedValueOnce(new ProviderUnavailableError('claude is unavailable', { status: 503 }))
+            .mockResolvedValueOnce('answer');
+
+        const execution = await executor.execute(['claude', 'openai'], operation);
+
+        expect(execution).toMatchObject({ result: 'answer', provider: 'claude' });
+        expect(operation.mock.calls.map(([, name]) => name)).toEqual(['claude', 'claude']);
+        expect(executor.sleep).toHaveBeenCalledTimes(1);
+    });
+
+    test('should wait as long as a rate limited provider asks before retrying', async () => {
+        const operation = jest.fn()
+            .mockRejectedValueOnce(new ProviderRateLimitError('claude rate limit exceeded', { status: 429, retryAfter: 7 }))
+            .mockResolvedValueOnce('answer');
+
+        await executor.execute(['claude'], operation);
+
+        expect(executor.sleep).toHaveBeenCalledWith(7000);
+    });
+
+    test('should back off exponentially up to the maximum delay', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const backoff = createExecutor({ retryDelay: 100, maxRetryDelay: 500 });
+
+        expect([0, 1, 2, 3].map(retry => backoff.getRetryDelay(retry))).toEqual([100, 200, 400, 500]);
+    });
+
+    test('should fail over to the next provider once retries run out', async () => {
+        const operation = jest.fn((provider, name) => name === 'claude'
+            ? Promise.reject(new ProviderUnavailableError('claude is unavailable', { status: 503 }))
+            : Promise.resolve('fallback answer'));
+
+        const execution = await executor.execute(['claude', 'openai'], operation);
+
+        expect(execution).toMatchObject({ result: 'fallback answer', provider: 'openai' });
+        expect(operation.mock.calls.map(([, name]) => name)).toEqual(['claude', 'claude', 'claude', 'openai']);
+    });
+
+    test('should fail over without retrying an authentication error', async () => {
+        const operation = jest.fn((provider, name) => name === 'claude'
+            ? Promise.reject(new ProviderAuthenticationError('Invalid API key', { status: 401 }))
+            : Promise.resolve('fallback answer'));
+
+        const execution = await executor.execute(['claude', 'openai'], operation);
+
+        expect(execution.provider).toBe('openai');
+        expect(operation.mock.calls.map(([, name]) => name)).toEqual(['claude', 'openai']);
+        expect(executor.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should give up on a validation error without retrying or failing over', async () => {
+        const operation = jest.fn().mockRejectedValue(new ValidationError('Bad input'));
+
+        await expect(executor.execute(['claude', 'openai'], operation)).rejects.toThrow('Bad input');
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop retrying once the signal is aborted', async () => {
+        const controller = new AbortController();
+        const operation = jest.fn(() => {
+            controller.abort();
+            return Promise.reject(new ProviderUnavailableError('claude is unavailable', { status: 503 }));
+        });
+
+        await expect(executor.execute(['claude', 'openai'], operation, { signal: controller.signal }))
+            .rejects.toThrow('claude is unavailable');
+        expect(operation).toHaveBeenCalledTimes(1);
+        expect(executor.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should not retry a cancelled request', async () => {
+        const operation = jest.fn().mockRejectedValue(new ProviderError('claude request was cancelled', { provider: 'claude' }));
+
+        await expect(executor.execute(['claude', 'openai'], operation)).rejects.toThrow('was cancelled');
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should record every attempt on the result', async () => {
+        const operation = jest.fn((provider, name) => name === 'claude'
+            ? Promise.reject(new ProviderAuthenticationError('Invalid API key', { status: 401 }))
+            : Promise.resolve('fallback answer'));
+
+        const { attempts } = await executor.execute(['claude', 'openai'], operation);
+
+        expect(attempts).toEqual([
+            {
+                provider: 'claude',
+                success: false,
+                responseTime: expect.any(Number),
+                error: 'Invalid API key',
+                errorType: 'ProviderAuthenticationError'
+            },
+            { provider: 'openai', success: true, responseTime: expect.any(Number) }
+        ]);
+    });
+
+    test('should attach the attempts to the error when every provider fails', async () => {
+        const operation = jest.fn().mockRejectedValue(new ProviderUnavailableError('provider is unavailable', { status: 503 }));
+
+        const error = await executor.execute(['claude', 'openai'], operation).catch(error => error);
+
+        expect(error.message).toBe('provider is unavailable');
+        expect(error.attempts).toHaveLength(6);
+        expect(error.attempts.every(attempt => !attempt.success && attempt.errorType === 'ProviderUnavailableError')).toBe(true);
+    });
+
+    test('should report an empty chain as no providers available', async () => {
+        await expect(executor.execute([], jest.fn())).rejects.toThrow('No providers available');
+    });
+});
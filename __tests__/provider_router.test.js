@@ -0,0 +1,147 @@
+/**
+ * Provider Router Tests
+ * Routing policies scored from catalog prices, live provider stats and context fit
+ */
+
+const ProviderRouter = require('../core/provider_router');
+const MonitoringService = require('../core/monitoring');
+const ClaudeProvider = require('../providers/claude_provider');
+const OpenAIProvider = require('../providers/openai_provider');
+const LocalProvider = require('../providers/local_provider');
+const providerFactory = require('../providers/provider_factory');
+const { logger } = require('../core/logger');
+
+describe('ProviderRouter', () => {
+    const candidates = ['claude', 'openai', 'local'];
+    const prompt = 'x'.repeat(4000);
+    let providers;
+    let router;
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'business').mockImplementation(() => {});
+        const monitoring = new MonitoringService();
+        monitoring.trackProviderUsage('claude', 'generate_completion', true, 2000);
+        monitoring.trackProviderUsage('openai', 'generate_completion', true, 800);
+        monitoring.trackProviderUsage('openai', 'generate_completion', false, 30000);
+
+        providers = new Map([
+            ['claude', new ClaudeProvider({ apiKey: 'sk-ant-test-key-0000000000', model: 'claude-3-5-sonnet-20241022' })],
+            ['openai', new OpenAIProvider({ apiKey: 'sk-test', model: 'gpt-4' })],
+            ['local', new LocalProvider({ model: 'llama2' })]
+        ]);
+        router = new ProviderRouter({ providers, monitoring });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should order providers by estimated cost under the cheapest policy', () => {
+        const routed = router.route(candidates, { policy: router.resolvePolicy('cheapest', 'request'), prompt });
+
+        expect(routed.chain).toEqual(['local', 'claude', 'openai']);
+        expect(routed.routing).toMatchObject({ policy: 'cheapest', source: 'request', selected: 'local' });
+    });
+
+    test('should describe each candidate with its model, estimates and live stats', () => {
+        const routed = router.route(candidates, { policy: router.resolvePolicy('cheapest', 'request'), prompt });
+
+        expect(routed.routing.candidates[0]).toMatchObject({
+            provider: 'claude',
+            model: 'claude-3-5-sonnet-20241022',
+            estimatedInputTokens: 1000,
+            estimatedCost: 0.0105,
+            quality: 5,
+            avgResponseTime: 2000,
+            rank: 2
+        });
+    });
+
+    test('should scale latency by the recent error rate under the fastest policy', () => {
+        // openai answers in 800ms but half its calls fail, which doubles its expected latency
+        const routed = router.route(candidates, { policy: router.resolvePolicy('fastest', 'template'), prompt });
+
+        expect(routed.chain).toEqual(['openai', 'claude', 'local']);
+        expect(routed.routing).toMatchObject({ source: 'template', reason: 'Lowest recent latency (800ms, 50% recent errors)' });
+    });
+
+    test('should exclude providers over the cost cap', () => {
+        const routed = router.route(candidates, {
+            policy: router.resolvePolicy({ policy: 'quality', maxCost: 0.05 }, 'request'),
+            prompt
+        });
+
+        expect(routed.chain).toEqual(['claude', 'local']);
+        expect(routed.routing).toMatchObject({ maxCost: 0.05, selected: 'claude' });
+        expect(routed.routing.candidates[1]).toMatchObject({ provider: 'openai', rank: null, excluded: 'Estimated cost 0.06 is over the 0.05 cap' });
+    });
+
+    test('should exclude providers whose context window is too small for the prompt', () => {
+        const routed = router.route(candidates, { policy: router.resolvePolicy('cheapest', 'request'), prompt: 'x'.repeat(20000) });
+
+        expect(routed.chain).toEqual(['claude', 'openai']);
+        expect(routed.routing.candidates[2].excluded).toBe('Prompt needs about 5000 tokens, context window is 4096');
+    });
+
+    test('should put providers with an open circuit breaker last', () => {
+        providers.get('claude').circuitBreaker = { state: 'open' };
+
+        const routed = router.route(candidates, { policy: router.resolvePolicy('cheapest', 'request'), prompt: 'x'.repeat(20000) });
+
+        expect(routed.chain).toEqual(['openai', 'claude']);
+    });
+
+    test('should keep the default order without a policy', () => {
+        const routed = router.route(candidates, { prompt });
+
+        expect(routed.chain).toEqual(candidates);
+        expect(routed.routing).toMatchObject({ policy: 'default', source: 'config', selected: 'claude' });
+    });
+
+    test('should reject an unknown policy', () => {
+        expect(() => router.resolvePolicy('best', 'request')).toThrow('Unknown routing policy \'best\'');
+    });
+
+    test('should reject a cost cap that is not a positive number', () => {
+        expect(() => router.resolvePolicy({ policy: 'cheapest', maxCost: -1 }, 'request')).toThrow('Routing maxCost must be a positive number');
+    });
+
+    test('should fail when no provider satisfies the policy', () => {
+        const policy = router.resolvePolicy({ policy: 'cheapest', maxCost: 0.000001 }, 'request');
+
+        expect(() => router.route(candidates, { policy, prompt: 'x'.repeat(20000) }))
+            .toThrow('No provider satisfies the \'cheapest\' routing policy');
+    });
+});
+
+describe('ProviderFactory best provider', () => {
+    let factory;
+
+    beforeEach(() => {
+        factory = new providerFactory.constructor();
+        factory.setProviderConfig('claude', { apiKey: 'sk-ant-test-key-0000000000', model: 'claude-3-5-sonnet-20241022' });
+        factory.setProviderConfig('openai', { apiKey: 'sk-test', model: 'gpt-4' });
+        factory.setProviderConfig('local', { model: 'llama2' });
+    });
+
+    test('should pick the highest quality provider without requirements', () => {
+        expect(factory.getBestProvider()).toBe('claude');
+    });
+
+    test('should pick the cheapest provider for a low budget', () => {
+        expect(factory.getBestProvider({ budget: 'low' })).toBe('local');
+        expect(factory.getProvider({ budget: 'low' })).toBeInstanceOf(LocalProvider);
+    });
+
+    test('should skip providers missing a required feature', () => {
+        expect(factory.getBestProvider({ policy: 'cheapest', features: ['images'] })).toBe('claude');
+    });
+
+    test('should only consider providers offering the requested model', () => {
+        expect(factory.getBestProvider({ quality: 'high', model: 'gpt-4' })).toBe('openai');
+    });
+
+    test('should apply the cost cap of a routing policy', () => {
+        expect(factory.getBestProvider({ policy: 'quality', maxCost: 0.001, prompt: 'Summarize this ticket' })).toBe('claude');
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Rate Limiter Tests
+ * Request and token budgets, queueing and provider rate limit headers
+ */
+
+const RateLimiter = require('../providers/rate_limiter');
+const { getSharedRateLimiter } = require('../providers/rate_limiter');
+const { ProviderRateLimitError } = require('../core/error_handler');
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should grant requests within the budget at once', async () => {
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 2 });
+
+        await expect(limiter.acquire(10)).resolves.toMatchObject({ tokens: 10 });
+        expect(limiter.getStats()).toMatchObject({ requestsInWindow: 1, queueDepth: 0, granted: 1 });
+    });
+
+    test('should queue requests over the request budget', async () => {
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 2, maxWaitMs: 120000 });
+        await limiter.acquire(10);
+        await limiter.acquire(10);
+
+        const started = jest.fn();
+        limiter.acquire(10).then(started);
+        await Promise.resolve();
+
+        expect(started).not.toHaveBeenCalled();
+        expect(limiter.getStats().queueDepth).toBe(1);
+    });
+
+    test('should start a queued request once the window moves on', async () => {
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 2, maxWaitMs: 120000 });
+        await limiter.acquire(10);
+        await limiter.acquire(10);
+        const queued = limiter.acquire(10);
+
+        await jest.advanceTimersByTimeAsync(60000);
+
+        await expect(queued).resolves.toBeDefined();
+        expect(limiter.getStats().queueDepth).toBe(0);
+    });
+
+    test('should queue requests over the token budget', async () => {
+        const limiter = new RateLimiter({ name: 'claude', tokensPerMinute: 1000 });
+        await limiter.acquire(800);
+
+        const started = jest.fn();
+        limiter.acquire(500).then(started);
+        await Promise.resolve();
+
+        expect(started).not.toHaveBeenCalled();
+    });
+
+    test('should start queued requests once actual usage frees the token budget', async () => {
+        const limiter = new RateLimiter({ name: 'claude', tokensPerMinute: 1000 });
+        const first = await limiter.acquire(800);
+        const queued = limiter.acquire(500);
+
+        limiter.record(first, 300);
+
+        await expect(queued).resolves.toBeDefined();
+        expect(limiter.getStats().tokensInWindow).toBe(800);
+    });
+
+    test('should pause until the reset time of an exhausted Anthropic limit', async () => {
+        const limiter = new RateLimiter({ name: 'claude', maxWaitMs: 5000 });
+        limiter.updateFromHeaders({
+            'anthropic-ratelimit-tokens-remaining': '0',
+            'anthropic-ratelimit-tokens-reset': new Date(Date.now() + 3000).toISOString()
+        });
+
+        const started = jest.fn();
+        const resumed = limiter.acquire(10).then(started);
+        await jest.advanceTimersByTimeAsync(2999);
+        expect(started).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        await resumed;
+        expect(started).toHaveBeenCalled();
+    });
+
+    test('should pause for the seconds in a Retry-After header', async () => {
+        const limiter = new RateLimiter({ name: 'openai', maxWaitMs: 5000 });
+
+        limiter.updateFromHeaders({ 'retry-after': '2' });
+
+        expect(limiter.getDelay(10)).toBe(2000);
+        expect(limiter.getStats().pausedUntil).toBe(new Date(Date.now() + 2000).toISOString());
+    });
+
+    test('should give up on a queued request after the maximum wait', async () => {
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 1, maxWaitMs: 5000 });
+        await limiter.acquire(10);
+
+        // The request budget is now spent for a minute, longer than the maximum wait
+        const rejected = expect(limiter.acquire(10)).rejects.toBeInstanceOf(ProviderRateLimitError);
+        await jest.advanceTimersByTimeAsync(5000);
+        await rejected;
+
+        expect(limiter.getStats()).toMatchObject({ rejected: 1, queueDepth: 0 });
+    });
+
+    test('should reject at once when paused for longer than the maximum wait', async () => {
+        const limiter = new RateLimiter({ name: 'claude', maxWaitMs: 5000 });
+        limiter.updateFromHeaders({ 'retry-after': '60' });
+
+        const error = await limiter.acquire(10).catch(error => error);
+
+        expect(error).toBeInstanceOf(ProviderRateLimitError);
+        expect(error.retryAfter).toBe(60);
+    });
+
+    test('should take a cancelled request off the queue', async () => {
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 1, maxWaitMs: 120000 });
+        await limiter.acquire(10);
+        const controller = new AbortController();
+
+        const cancelled = limiter.acquire(10, { signal: controller.signal });
+        controller.abort();
+
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+        expect(limiter.getStats().queueDepth).toBe(0);
+    });
+
+    test('should not keep the process running for queued requests', async () => {
+        jest.useRealTimers();
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 1, maxWaitMs: 120000 });
+        await limiter.acquire(10);
+
+        const queued = limiter.acquire(10).catch(error => error);
+
+        expect(limiter.timer.hasRef()).toBe(false);
+        limiter.close();
+        await queued;
+    });
+
+    test('should reject queued requests and stop its timer when closed', async () => {
+        const limiter = new RateLimiter({ name: 'claude', requestsPerMinute: 1, maxWaitMs: 120000 });
+        await limiter.acquire(10);
+        const queued = limiter.acquire(10);
+
+        limiter.close();
+
+        await expect(queued).rejects.toThrow('claude rate limiter was closed');
+        expect(limiter.getStats().queueDepth).toBe(0);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('should share one limiter between instances of a provider', () => {
+        expect(getSharedRateLimiter('test-shared')).toBe(getSharedRateLimiter('test-shared'));
+        expect(getSharedRateLimiter('test-shared')).not.toBe(getSharedRateLimiter('test-other'));
+    });
+});
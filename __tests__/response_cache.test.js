@@ -0,0 +1,73 @@
+/**
+ * Response Cache Tests
+ * Keys, expiry, LRU eviction and the file backend
+ */
+
+const ResponseCache = require('../core/response_cache');
+const { FileCacheBackend } = require('../core/response_cache');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('ResponseCache', () => {
+    const testCacheFile = path.join(__dirname, 'test_response_cache', 'cache.json');
+
+    afterEach(async () => {
+        await fs.rm(path.dirname(testCacheFile), { recursive: true, force: true });
+    });
+
+    test('should give the same key regardless of option order', () => {
+        const cache = new ResponseCache({ enabled: true });
+        const request = { prompt: 'Hi', provider: 'claude', model: 'm', options: { temperature: 0.2, maxTokens: 10 } };
+
+        expect(cache.createKey(request)).toBe(cache.createKey({ ...request, options: { maxTokens: 10, temperature: 0.2 } }));
+    });
+
+    test('should leave options that do not change the output out of the key', () => {
+        const cache = new ResponseCache({ enabled: true });
+        const request = { prompt: 'Hi', provider: 'claude', model: 'm', options: { temperature: 0.2 } };
+
+        expect(cache.createKey(request)).toBe(cache.createKey({ ...request, options: { temperature: 0.2, timeout: 5 } }));
+    });
+
+    test('should give a different key for a different model or option value', () => {
+        const cache = new ResponseCache({ enabled: true });
+        const request = { prompt: 'Hi', provider: 'claude', model: 'm', options: { temperature: 0.2 } };
+
+        expect(cache.createKey(request)).not.toBe(cache.createKey({ ...request, model: 'other' }));
+        expect(cache.createKey(request)).not.toBe(cache.createKey({ ...request, options: { temperature: 0.3 } }));
+    });
+
+    test('should evict the least recently used entry beyond maxSize', async () => {
+        const cache = new ResponseCache({ enabled: true, maxSize: 2 });
+        await cache.set('a', { content: 'A' });
+        await cache.set('b', { content: 'B' });
+        await cache.get('a'); // "b" is now least recently used
+        await cache.set('c', { content: 'C' });
+
+        expect(await cache.get('b')).toBeNull();
+        expect(await cache.get('a')).toEqual({ content: 'A' });
+        expect(cache.evictions).toBe(1);
+    });
+
+    test('should not return an expired entry', async () => {
+        const cache = new ResponseCache({ enabled: true, ttl: 1000 });
+        await cache.set('a', { content: 'A' });
+
+        (await cache.backend.get('a')).expiresAt = Date.now() - 1;
+
+        expect(await cache.get('a')).toBeNull();
+        expect(await cache.backend.size()).toBe(0);
+    });
+
+    test('should reject an unknown backend', () => {
+        expect(() => new ResponseCache({ enabled: true, backend: 'redis' })).toThrow('Unknown response cache backend \'redis\'');
+    });
+
+    test('should persist entries with the file backend', async () => {
+        const cache = new ResponseCache({ enabled: true, backend: new FileCacheBackend({ file: testCacheFile }) });
+        await cache.set('key', { content: 'stored' });
+
+        const reloaded = new ResponseCache({ enabled: true, backend: new FileCacheBackend({ file: testCacheFile }) });
+        expect(await reloaded.get('key')).toEqual({ content: 'stored' });
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * Streaming Tests
+ * Server-Sent Events and JSON lines parsing, and Claude and local streams against a local stand-in server
+ */
+
+const http = require('http');
+const { Readable } = require('stream');
+const ClaudeProvider = require('../providers/claude_provider');
+const LocalProvider = require('../providers/local_provider');
+const RateLimiter = require('../providers/rate_limiter');
+const { logger } = require('../core/logger');
+const { parseServerSentEvents, parseJsonLines } = require('../providers/stream_parser');
+const { ProviderTimeoutError, ProviderUnavailableError } = require('../core/error_handler');
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+};
+
+describe('Stream parser', () => {
+    test('should parse named events and default to message', async () => {
+        const stream = Readable.from(['event: delta\ndata: {"content":"Hi"}\n\n', 'data: plain\n\n']);
+
+        expect(await collect(parseServerSentEvents(stream))).toEqual([
+            { event: 'delta', data: '{"content":"Hi"}' },
+            { event: 'message', data: 'plain' }
+        ]);
+    });
+
+    test('should join multi-line data and skip keep-alive comments', async () => {
+        const stream = Readable.from([': keep-alive\n\n', 'event: done\ndata: first\ndata: second\n\n']);
+
+        expect(await collect(parseServerSentEvents(stream))).toEqual([{ event: 'done', data: 'first\nsecond' }]);
+    });
+
+    test('should reassemble events split across chunks and CRLF line endings', async () => {
+        const stream = Readable.from(['event: del', 'ta\r\ndata: {"content":', '"Hi"}\r\n', '\r\nevent: error\r\ndata: {}']);
+
+        expect(await collect(parseServerSentEvents(stream))).toEqual([
+            { event: 'delta', data: '{"content":"Hi"}' },
+            { event: 'error', data: '{}' }
+        ]);
+    });
+
+    test('should decode multi-byte characters split across chunks', async () => {
+        const bytes = Buffer.from('data: café\n\n');
+        const stream = Readable.from([bytes.subarray(0, 10), bytes.subarray(10)]);
+
+        expect(await collect(parseServerSentEvents(stream))).toEqual([{ event: 'message', data: 'café' }]);
+    });
+
+    test('should parse JSON lines and skip blank lines', async () => {
+        const stream = Readable.from(['{"response":"Hi"}\n\n{"response":"', ' there","done":true}\n']);
+
+        expect(await collect(parseJsonLines(stream))).toEqual([
+            { response: 'Hi' },
+            { response: ' there', done: true }
+        ]);
+    });
+});
+
+describe('ClaudeProvider streaming', () => {
+    let server;
+    let respond;
+    let closed;
+
+    const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => respond(res));
+            res.on('close', () => closed(res.writableEnded));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        closed = () => {};
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const createProvider = () => {
+        const provider = new ClaudeProvider({
+            apiKey: 'sk-ant-test-key-0000000000',
+            model: 'claude-3-haiku-20240307',
+            rateLimiter: new RateLimiter({ name: 'claude', requestsPerMinute: 1000 })
+        });
+        provider.apiUrl = `http://127.0.0.1:${server.address().port}/v1/messages`;
+        return provider;
+    };
+
+    test('should yield text deltas and a done event with usage', async () => {
+        respond = res => {
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            res.write(sse('message_start', { message: { model: 'claude-3-haiku-20240307', usage: { input_tokens: 12 } } }));
+            res.write(sse('content_block_delta', { delta: { type: 'text_delta', text: 'Refund ' } }));
+            res.write(sse('ping', {}));
+            res.write(sse('content_block_delta', { delta: { type: 'text_delta', text: 'approved' } }));
+            res.write(sse('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }));
+            res.end(sse('message_stop', {}));
+        };
+
+        const events = await collect(createProvider().streamCompletion('Can I get a refund?'));
+
+        expect(events.slice(0, 2)).toEqual([
+            { type: 'delta', content: 'Refund ' },
+            { type: 'delta', content: 'approved' }
+        ]);
+        expect(events[2]).toMatchObject({
+            type: 'done',
+            content: 'Refund approved',
+            model: 'claude-3-haiku-20240307',
+            usage: { inputTokens: 12, outputTokens: 3, totalTokens: 15 },
+            finishReason: 'end_turn'
+        });
+    });
+
+    test('should reserve the same token budget as a plain completion', async () => {
+        const provider = createProvider();
+        const acquire = jest.spyOn(provider.rateLimiter, 'acquire');
+        const options = { systemPrompt: 'You are a support agent.', maxTokens: 999999 };
+        respond = res => {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ content: [{ type: 'text', text: 'Refund approved' }], usage: { input_tokens: 12, output_tokens: 3 } }));
+        };
+        await provider.generateCompletion('Can I get a refund?', options);
+        respond = res => {
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            res.end(sse('message_stop', {}));
+        };
+
+        await collect(provider.streamCompletion('Can I get a refund?', options));
+
+        const [plain, streamed] = acquire.mock.calls.map(([tokens]) => tokens);
+        expect(streamed).toBe(plain);
+        // The completion budget is the model limit, not the requested 999999 tokens
+        expect(streamed).toBeLessThan(10000);
+    });
+
+    test('should throw a provider error for an error event after the first delta', async () => {
+        respond = res => {
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            res.write(sse('content_block_delta', { delta: { type: 'text_delta', text: 'Refund ' } }));
+            res.end(sse('error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }));
+        };
+
+        const events = [];
+        const error = await (async () => {
+            for await (const event of createProvider().streamCompletion('Can I get a refund?')) {
+                events.push(event);
+            }
+        })().catch(error => error);
+
+        expect(events).toEqual([{ type: 'delta', content: 'Refund ' }]);
+        expect(error).toBeInstanceOf(ProviderUnavailableError);
+        expect(error.message).toBe('Claude API is temporarily overloaded');
+    });
+
+    test('should close the upstream request when the signal is aborted mid-stream', async () => {
+        const upstreamClosed = new Promise(resolve => {
+            closed = resolve;
+        });
+        respond = res => {
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            res.write(sse('content_block_delta', { delta: { type: 'text_delta', text: 'Refund ' } }));
+        };
+        const controller = new AbortController();
+
+        const error = await (async () => {
+            for await (const event of createProvider().streamCompletion('Can I get a refund?', { signal: controller.signal })) {
+                expect(event).toEqual({ type: 'delta', content: 'Refund ' });
+                controller.abort();
+            }
+        })().catch(error => error);
+
+        expect(error.message).toMatch(/request was cancelled/);
+        // The stand-in never ended its response, so it was closed from the client side
+        await expect(upstreamClosed).resolves.toBe(false);
+    });
+});
+
+describe('LocalProvider streaming', () => {
+    let server;
+    let closed;
+
+    beforeAll(async () => {
+        // Sends the first line of an Ollama stream, then stalls without ending the response
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+                res.write('{"model":"llama2","response":"Refund ","done":false}\n');
+            });
+            res.on('close', () => closed(res.writableEnded));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should time out a stream that stalls after its first chunk', async () => {
+        const upstreamClosed = new Promise(resolve => {
+            closed = resolve;
+        });
+        const provider = new LocalProvider({
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            model: 'llama2',
+            timeout: 100,
+            rateLimiter: new RateLimiter({ name: 'local', requestsPerMinute: 1000 })
+        });
+
+        const events = [];
+        const error = await (async () => {
+            for await (const event of provider.streamCompletion('Can I get a refund?')) {
+                events.push(event);
+            }
+        })().catch(error => error);
+
+        expect(events).toEqual([{ type: 'delta', content: 'Refund ' }]);
+        expect(error).toBeInstanceOf(ProviderTimeoutError);
+        await expect(upstreamClosed).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Structured Output Tests
+ * JSON extraction, schema validation and repair prompts
+ */
+
+const StructuredOutput = require('../core/structured_output');
+
+describe('StructuredOutput', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            sentiment: { type: 'string', enum: ['positive', 'negative'] },
+            score: { type: 'number' }
+        },
+        required: ['sentiment', 'score']
+    };
+
+    test('should parse a completion that is only JSON', () => {
+        const structured = new StructuredOutput();
+
+        expect(structured.parse('{"sentiment": "positive", "score": 1}', schema)).toEqual({
+            valid: true,
+            data: { sentiment: 'positive', score: 1 },
+            errors: []
+        });
+    });
+
+    test('should extract JSON from a fenced code block', () => {
+        const structured = new StructuredOutput();
+
+        expect(structured.parse('Here it is:\n```json\n{"sentiment": "negative", "score": 0}\n```', schema).data)
+            .toEqual({ sentiment: 'negative', score: 0 });
+    });
+
+    test('should extract JSON surrounded by prose with braces inside strings', () => {
+        const structured = new StructuredOutput();
+
+        expect(structured.parse('Result: {"sentiment": "positive", "score": 0.5, "note": "a } in a string"} Done.', schema).data)
+            .toEqual({ sentiment: 'positive', score: 0.5, note: 'a } in a string' });
+    });
+
+    test('should report a completion without JSON', () => {
+        const structured = new StructuredOutput();
+
+        expect(structured.parse('I cannot answer that.', schema)).toEqual({
+            valid: false,
+            data: null,
+            errors: ['Response does not contain valid JSON']
+        });
+    });
+
+    test('should report schema violations by property', () => {
+        const structured = new StructuredOutput();
+        const parsed = structured.parse('{"sentiment": "meh"}', schema);
+
+        expect(parsed.valid).toBe(false);
+        expect(parsed.errors).toEqual([
+            '$.sentiment is not one of enum values: positive,negative',
+            '$ requires property "score"'
+        ]);
+    });
+
+    test('should ask for JSON matching the schema', () => {
+        const prompt = new StructuredOutput().buildPrompt('Classify the review.', schema);
+
+        expect(prompt.startsWith('Classify the review.')).toBe(true);
+        expect(prompt).toContain(JSON.stringify(schema, null, 2));
+    });
+
+    test('should show the previous answer and its errors in the repair prompt', () => {
+        const structured = new StructuredOutput();
+        const prompt = structured.buildPrompt('Classify the review.', schema);
+
+        const repair = structured.buildRepairPrompt(prompt, '{"sentiment": "meh"}', ['$ requires property "score"']);
+
+        expect(repair.startsWith(prompt)).toBe(true);
+        expect(repair).toContain('{"sentiment": "meh"}');
+        expect(repair).toContain('- $ requires property "score"');
+    });
+
+    test('should truncate a long previous answer in the repair prompt', () => {
+        const repair = new StructuredOutput().buildRepairPrompt('Classify the review.', 'x'.repeat(9000), ['invalid']);
+
+        expect(repair).toContain(`${'x'.repeat(8000)}... [truncated]`);
+        expect(repair).not.toContain('x'.repeat(8001));
+    });
+
+    test('should reject an output schema that is not an object', () => {
+        expect(() => new StructuredOutput().checkSchema([])).toThrow('Output schema must be a JSON Schema object');
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Template Engine Tests
+ * Rendering, variable analysis and sandboxing of prompt templates
+ */
+
+const TemplateEngine = require('../core/template_engine');
+
+describe('TemplateEngine', () => {
+    const partials = {
+        signature: 'Regards, {{company_name | upper}}',
+        recursive: '{{> recursive}}'
+    };
+    let engine;
+
+    beforeEach(() => {
+        engine = new TemplateEngine({ resolvePartial: name => partials[name] || null });
+    });
+
+    test('should fall back to a default for a missing variable', () => {
+        expect(engine.render('Hello {{name | default: "there"}}', {})).toBe('Hello there');
+        expect(engine.render('Hello {{name | default: "there"}}', { name: 'Ann' })).toBe('Hello Ann');
+    });
+
+    test('should render the branch matching a condition', () => {
+        const template = '{{#if priority_level == "Critical"}}Escalate now.{{else}}Handle normally.{{/if}}';
+
+        expect(engine.render(template, { priority_level: 'Critical' })).toBe('Escalate now.');
+        expect(engine.render(template, { priority_level: 'Low' })).toBe('Handle normally.');
+    });
+
+    test('should repeat a loop body for each item with its index', () => {
+        const template = '{{#each key_points}}{{@index}}. {{this}}\n{{/each}}';
+
+        expect(engine.render(template, { key_points: ['First', 'Second'] })).toBe('0. First\n1. Second\n');
+    });
+
+    test('should apply filters with arguments', () => {
+        expect(engine.render('{{point | truncate: 8}}', { point: 'a much longer point' })).toBe('a muc...');
+        expect(engine.render('{{company_name | upper}}', { company_name: 'acme' })).toBe('ACME');
+    });
+
+    test('should render partials with the same variables', () => {
+        expect(engine.render('{{> signature}}', { company_name: 'acme' })).toBe('Regards, ACME');
+    });
+
+    test('should render blocks on their own lines without leaving blank lines', () => {
+        const template = [
+            'Hello {{name | default: "there"}}',
+            '{{#if priority_level == "Critical"}}',
+            'Escalate now.',
+            '{{/if}}',
+            '{{#each key_points}}',
+            '{{@index}}. {{this}}',
+            '{{/each}}',
+            '{{> signature}}'
+        ].join('\n');
+
+        const output = engine.render(template, {
+            priority_level: 'Critical',
+            key_points: ['short'],
+            company_name: 'acme'
+        });
+
+        expect(output).toBe('Hello there\nEscalate now.\n0. short\nRegards, ACME');
+    });
+
+    test('should list required and optional variables', () => {
+        const { variables, optional } = engine.analyze(
+            '{{customer}} {{tone | default: "calm"}} {{#if notes}}{{notes}}{{/if}} {{#each items}}{{title}}{{/each}}'
+        );
+
+        expect(variables).toEqual(['customer', 'tone', 'notes', 'items']);
+        expect(optional).toEqual(['tone', 'notes']);
+    });
+
+    test('should insert variable values as plain text', () => {
+        expect(engine.render('{{value}}', { value: '{{#if x}}{{> signature}}{{/if}} $&' }))
+            .toBe('{{#if x}}{{> signature}}{{/if}} $&');
+    });
+
+    describe('cache blocks', () => {
+        const template = [
+            '{{#cache}}',
+            'Policy: refunds within 30 days.',
+            '{{> signature}}',
+            '{{/cache}}',
+            'Customer: {{customer_name}}'
+        ].join('\n');
+        const variables = { company_name: 'acme', customer_name: 'Ann\u0000' };
+
+        test('should split the prompt after each cache block', () => {
+            expect(engine.renderSections(template, variables)).toEqual([
+                { text: 'Policy: refunds within 30 days.\nRegards, ACME\n', cache: true },
+                { text: 'Customer: Ann', cache: false }
+            ]);
+        });
+
+        test('should render cache blocks as their content', () => {
+            expect(engine.render(template, variables)).toBe('Policy: refunds within 30 days.\nRegards, ACME\nCustomer: Ann');
+        });
+
+        test('should return one uncached section without cache blocks', () => {
+            expect(engine.renderSections('No breakpoints', {})).toEqual([{ text: 'No breakpoints', cache: false }]);
+        });
+
+        test('should list the variables used inside cache blocks', () => {
+            expect(engine.analyze(template).variables).toEqual(['company_name', 'customer_name']);
+        });
+
+        test('should reject an else branch in a cache block', () => {
+            expect(() => engine.render('{{#cache}}a{{else}}b{{/cache}}')).toThrow('Unexpected');
+        });
+
+        test('should reject a cache block with an argument', () => {
+            expect(() => engine.render('{{#cache policy}}a{{/cache}}')).toThrow('Unknown block');
+        });
+    });
+
+    test('should reject access to object internals', () => {
+        expect(() => engine.render('{{constructor.name}}')).toThrow('not allowed');
+    });
+
+    test('should reject unknown filters', () => {
+        expect(() => engine.render('{{name | eval}}')).toThrow('Unknown filter');
+    });
+
+    test('should reject unclosed blocks', () => {
+        expect(() => engine.render('{{#if ready}}unclosed')).toThrow('Unclosed');
+    });
+
+    test('should reject partials nested too deeply', () => {
+        expect(() => engine.render('{{> recursive}}')).toThrow('nested deeper');
+    });
+});
@@ -4,6 +4,7 @@
  */
 
 const TemplateManager = require('../core/template_manager');
+const VersionManager = require('../core/version_manager');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -59,6 +60,175 @@ describe('TemplateManager', () => {
         expect(variables).toEqual(['name', 'order_id', 'support_email']);
     });
 
+    test('should split front matter from template content', () => {
+        const raw = '---\ntemplate_info:\n  name: greeting\nvariables:\n  required: [name]\n---\nHello {{name}}';
+        const { metadata, content } = templateManager.parseFrontMatter(raw);
+
+        expect(metadata.template_info.name).toBe('greeting');
+        expect(metadata.variables.required).toEqual(['name']);
+        expect(content).toBe('Hello {{name}}');
+    });
+
+    const writeGreetingTemplate = async () => {
+        const templateContent = [
+            '---',
+            'variables:',
+            '  required: [name]',
+            '  optional: [tone]',
+            '  definitions:',
+            '    tone: { type: string, enum: [formal, casual], default: casual, description: Tone }',
+            '---',
+            'Hello {{name}}, in a {{tone}} tone.'
+        ].join('\n');
+        await fs.mkdir(path.join(testTemplateDir, 'general'), { recursive: true });
+        await fs.writeFile(path.join(testTemplateDir, 'general', 'greeting.txt'), templateContent);
+        await templateManager.scanTemplates();
+    };
+
+    test('should report missing, unknown and invalid variables', async () => {
+        await writeGreetingTemplate();
+
+        const invalid = templateManager.validateVariables('general/greeting', { tone: 'rude', extra: 'x' });
+        expect(invalid.valid).toBe(false);
+        expect(invalid.missing).toEqual(['name']);
+        expect(invalid.unknown).toEqual(['extra']);
+        expect(invalid.invalid.map(item => item.name)).toEqual(['tone']);
+    });
+
+    test('should fill in defaults for optional variables left out', async () => {
+        await writeGreetingTemplate();
+
+        const valid = templateManager.validateVariables('general/greeting', { name: 'Ada' });
+        expect(valid.valid).toBe(true);
+        expect(valid.variables.tone).toBe('casual');
+    });
+
+    test('should list placeholders that render without a value', () => {
+        const content = 'Hello {{title}} {{name}}{{#if notes}} ({{notes}}){{/if}} from {{team | default: "support"}}';
+
+        expect(templateManager.findUnresolvedVariables(content, { name: 'Ada' })).toEqual(['title']);
+        expect(templateManager.findUnresolvedVariables(content, { name: 'Ada', title: 'Dr.' })).toEqual([]);
+    });
+
+    const useVersionManager = async () => {
+        const versionManager = new VersionManager({ configDir: testConfigDir, autoInit: false });
+        await versionManager.init();
+        templateManager.versionManager = versionManager;
+        return versionManager;
+    };
+
+    test('should create a new version each time a template is saved', async () => {
+        await useVersionManager();
+
+        const first = await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}}');
+        const second = await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}} from {{company}}');
+
+        expect(second.template.version).not.toBe(first.template.version);
+    });
+
+    test('should diff two saved versions', async () => {
+        const versionManager = await useVersionManager();
+        const first = await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}}');
+        const second = await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}} from {{company}}');
+
+        const diff = versionManager.diffVersions('general/greeting', first.version.version, second.version.version);
+
+        expect(diff.changes.map(change => change.type)).toEqual(['removed', 'added']);
+        expect(diff.migration.addedVariables).toEqual(['company']);
+    });
+
+    test('should roll the template file back to an earlier version', async () => {
+        await useVersionManager();
+        const first = await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}}');
+        await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}} from {{company}}');
+
+        await templateManager.rollbackTemplate('general', 'greeting', first.version.version);
+
+        const content = await fs.readFile(path.join(testTemplateDir, 'general', 'greeting.txt'), 'utf8');
+        expect(content).toBe('Hello {{name}}');
+    });
+
+    test('should refuse to save a template into the partials directory', async () => {
+        await expect(templateManager.saveTemplate('partials', 'footer', 'x')).rejects.toThrow();
+    });
+
+    test('should record the models a template has generated successfully with', async () => {
+        const versionManager = new VersionManager({ configDir: testConfigDir, autoInit: false });
+        await versionManager.init();
+        templateManager.versionManager = versionManager;
+        await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}}');
+
+        const execution = { responseTime: 100, tokensUsed: 10, cost: 0 };
+        await templateManager.updateTemplateUsage('general/greeting', { ...execution, success: true, provider: 'local', model: 'llama2' });
+        await templateManager.updateTemplateUsage('general/greeting', { ...execution, success: true, provider: 'local', model: 'llama2' });
+        await templateManager.updateTemplateUsage('general/greeting', { ...execution, success: false, provider: 'local', model: 'mistral' });
+        await templateManager.updateTemplateUsage('general/greeting', { ...execution, success: true, provider: 'claude', model: 'claude-3-haiku-20240307' });
+
+        const validated = templateManager.getValidatedModels('local');
+        expect(Object.keys(validated)).toEqual(['general/greeting']);
+        expect(validated['general/greeting']).toEqual({
+            llama2: { successfulExecutions: 2, lastValidated: expect.any(String), version: expect.any(String) }
+        });
+        expect(templateManager.getValidatedModels('openai')).toEqual({});
+    });
+
+    describe('generation defaults', () => {
+        const defaults = { provider: 'claude', model: 'claude-3-haiku-20240307', temperature: 0, maxTokens: 300, stopSequences: ['###'] };
+
+        beforeEach(async () => {
+            await templateManager.saveTemplate('general', 'greeting', 'Hello {{name}}');
+        });
+
+        test('should store validated defaults on the template', async () => {
+            expect(await templateManager.setTemplateDefaults('general/greeting', defaults)).toEqual(defaults);
+            expect(templateManager.registry.get('general/greeting').defaults).toEqual(defaults);
+        });
+
+        test('should return null when setting defaults on a missing template', async () => {
+            expect(await templateManager.setTemplateDefaults('general/missing', defaults)).toBeNull();
+        });
+
+        test('should reject an unknown default', () => {
+            expect(() => templateManager.validateDefaults({ topK: 5 })).toThrow('Unknown template default \'topK\'');
+        });
+
+        test('should reject an out of range default', () => {
+            expect(() => templateManager.validateDefaults({ temperature: 3 })).toThrow('Invalid value for template default \'temperature\'');
+        });
+
+        test('should reject more than four stop sequences', () => {
+            expect(() => templateManager.validateDefaults({ stopSequences: ['a', 'b', 'c', 'd', 'e'] })).toThrow();
+        });
+
+        test('should keep defaults when the template is edited', async () => {
+            await templateManager.setTemplateDefaults('general/greeting', defaults);
+
+            await templateManager.saveTemplate('general', 'greeting', 'Hi {{name}}');
+
+            expect((await templateManager.getTemplate('general/greeting')).defaults).toEqual(defaults);
+        });
+
+        test('should drop invalid defaults from a hand-edited registry on load', async () => {
+            await templateManager.setTemplateDefaults('general/greeting', defaults);
+            const registry = JSON.parse(await fs.readFile(templateManager.registryFile, 'utf8'));
+            registry.templates['general/greeting'].defaults.maxTokens = -1;
+            await fs.writeFile(templateManager.registryFile, JSON.stringify(registry));
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            await templateManager.loadRegistry();
+
+            expect(templateManager.registry.get('general/greeting').defaults).toBeUndefined();
+            jest.restoreAllMocks();
+        });
+
+        test('should clear defaults when set to an empty object', async () => {
+            await templateManager.setTemplateDefaults('general/greeting', { temperature: 0.2 });
+
+            expect(await templateManager.setTemplateDefaults('general/greeting', {})).toEqual({});
+            expect(templateManager.registry.get('general/greeting').defaults).toBeUndefined();
+        });
+    });
+
     test('should calculate quality scores', () => {
         const content = 'Instructions: Process customer request\nContext: Customer support\nVariable: {{customer_name}}\nOutput: Response';
         const variables = ['customer_name'];
@@ -0,0 +1,124 @@
+/**
+ * Tool Registry Tests
+ * Built-in tools, template tool declarations and error reporting
+ */
+
+const http = require('http');
+const ToolRegistry = require('../core/tool_registry');
+const { logger } = require('../core/logger');
+
+describe('ToolRegistry', () => {
+    const declaration = { name: 'lookup_order', description: 'Look up an order', webhook: 'orders/lookup' };
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should evaluate calculator expressions with operator precedence', async () => {
+        const [calculator] = new ToolRegistry().resolveTools(['calculator']);
+
+        expect(await calculator.execute({ expression: '2 ^ 3 * (4 - 1.5) % 7' })).toEqual({
+            output: JSON.stringify({ expression: '2 ^ 3 * (4 - 1.5) % 7', result: 6 }),
+            isError: false
+        });
+    });
+
+    test('should report a calculator expression that is not arithmetic as a tool error', async () => {
+        const [calculator] = new ToolRegistry().resolveTools(['calculator']);
+
+        expect(await calculator.execute({ expression: 'process.exit()' })).toEqual({
+            output: 'Unexpected token \'p\'',
+            isError: true
+        });
+    });
+
+    test('should report missing required input as a tool error', async () => {
+        const [calculator] = new ToolRegistry().resolveTools(['calculator']);
+
+        expect(await calculator.execute({})).toEqual({ output: 'Missing required input: expression', isError: true });
+    });
+
+    test('should add durations to dates and count the time between them', async () => {
+        const [date] = new ToolRegistry().resolveTools(['date']);
+
+        const added = JSON.parse((await date.execute({ operation: 'add', date: '2024-02-28', amount: 2, unit: 'days' })).output);
+        const difference = JSON.parse((await date.execute({ operation: 'difference', date: '2024-03-01', to: '2024-03-15', unit: 'weeks' })).output);
+
+        expect(added).toEqual({ iso: '2024-03-01T00:00:00.000Z', date: '2024-03-01', weekday: 'Friday' });
+        expect(difference).toEqual({ unit: 'weeks', difference: 2 });
+    });
+
+    test('should truncate tool output beyond the maximum length', async () => {
+        const [date] = new ToolRegistry({ maxOutputLength: 10 }).resolveTools(['date']);
+
+        expect((await date.execute({ operation: 'now' })).output).toMatch(/^.{10}\.\.\. \[truncated\]$/);
+    });
+
+    test('should reject an unknown tool name', () => {
+        expect(() => new ToolRegistry().resolveTools(['shell'])).toThrow('Unknown tool \'shell\'');
+    });
+
+    test('should reject a tool declared more than once', () => {
+        expect(() => new ToolRegistry().resolveTools(['date', 'date'])).toThrow('Tool \'date\' is declared more than once');
+    });
+
+    test('should reject registering a tool with an invalid name', () => {
+        expect(() => new ToolRegistry().register({ name: 'look up', handler: async () => ({}) }))
+            .toThrow('Invalid tool name \'look up\'');
+    });
+
+    test('should require a webhook base URL for webhook tools', () => {
+        expect(() => new ToolRegistry().resolveTools([declaration]))
+            .toThrow('N8N_WEBHOOK_BASE_URL is not configured');
+    });
+
+    test('should resolve webhook tools alongside built-in tools', () => {
+        const registry = new ToolRegistry({ webhookBaseUrl: 'https://n8n.example.com/webhook/' });
+
+        expect(registry.resolveTools([declaration, 'date']).map(tool => tool.name)).toEqual(['lookup_order', 'date']);
+    });
+
+    test('should only allow webhook paths under the configured base URL', () => {
+        const registry = new ToolRegistry({ webhookBaseUrl: 'https://n8n.example.com/webhook/' });
+
+        expect(() => registry.resolveTools([{ ...declaration, webhook: 'https://attacker.example.com/' }]))
+            .toThrow('must be a path under the n8n webhook base URL');
+        expect(() => registry.resolveTools([{ ...declaration, webhook: '../admin' }]))
+            .toThrow('must be a path under the n8n webhook base URL');
+    });
+
+    test('should post webhook tool input with the token and return the response', async () => {
+        let received;
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                received = { url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ status: 'shipped' }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const registry = new ToolRegistry({
+                webhookBaseUrl: `http://127.0.0.1:${server.address().port}/webhook`,
+                webhookToken: 'webhook-token'
+            });
+            const [lookup] = registry.resolveTools([declaration]);
+
+            expect(await lookup.execute({ orderId: 'A-1' })).toEqual({ output: '{"status":"shipped"}', isError: false });
+            expect(received).toEqual({
+                url: '/webhook/orders/lookup',
+                authorization: 'Bearer webhook-token',
+                body: { tool: 'lookup_order', input: { orderId: 'A-1' } }
+            });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -17,19 +17,45 @@ const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
-const { body, validationResult } = require('express-validator');
+const formidable = require('formidable');
+const { Writable } = require('stream');
+const { body, param, query, validationResult } = require('express-validator');
 require('dotenv').config();
 
 const TemplateManager = require('./core/template_manager');
-const { ErrorHandler, ValidationError, AuthenticationError } = require('./core/error_handler');
+const VersionManager = require('./core/version_manager');
+const {
+    ErrorHandler,
+    ValidationError,
+    RequestValidationError,
+    TemplateVariableError,
+    AuthenticationError
+} = require('./core/error_handler');
 const HealthMonitor = require('./core/health_monitor');
-const ClaudeProvider = require('./providers/claude_provider');
+const providerFactory = require('./providers/provider_factory');
+const ProviderExecutor = require('./core/provider_executor');
+const ProviderRouter = require('./core/provider_router');
+const JobQueue = require('./core/job_queue');
+const ConversationManager = require('./core/conversation_manager');
+const ComparisonStore = require('./core/comparison_store');
+const ResponseCache = require('./core/response_cache');
+const { modelCatalog } = require('./core/model_catalog');
+const ToolRegistry = require('./core/tool_registry');
+const StructuredOutput = require('./core/structured_output');
+const AttachmentProcessor = require('./core/attachments');
 const config = require('./config/basic-config.json');
 const { logger } = require('./core/logger');
 const MonitoringService = require('./core/monitoring');
 
+// Generation options a template's registry `defaults` can supply, besides the provider
+const TEMPLATE_PARAMETERS = ['model', 'temperature', 'maxTokens', 'stopSequences', 'systemPrompt'];
+
 class ApiServer {
-    constructor() {
+    /**
+     * @param {Object} [options] - `templateDir` and `configDir` override where templates are
+     *   read from and where registries, jobs and conversations are stored
+     */
+    constructor(options = {}) {
         this.app = express();
         this.port = config.application.port || 3000;
         this.monitoring = new MonitoringService({
@@ -40,11 +66,78 @@ class ApiServer {
             sanitizeErrors: true,
             monitoring: this.monitoring
         });
-        this.templateManager = new TemplateManager();
+        this.versionManager = new VersionManager({ configDir: options.configDir });
+        this.templateManager = new TemplateManager({
+            templateDir: options.templateDir,
+            configDir: options.configDir,
+            versionManager: this.versionManager
+        });
         this.providers = new Map();
         this.healthMonitor = new HealthMonitor();
+        // Unsubscribe functions for the health refresh listeners on shared circuit breakers
+        this.breakerSubscriptions = [];
+
+        // Mock mode serves every generation from the mock provider, so no API keys are needed
+        const environmentSettings = process.env.NODE_ENV === 'production' ? config.production : config.development;
+        this.mockMode = process.env.ENABLE_MOCK_PROVIDERS !== undefined
+            ? process.env.ENABLE_MOCK_PROVIDERS === 'true'
+            : Boolean(environmentSettings.enableMockProviders);
+        this.defaultProvider = this.mockMode ? 'mock' : config.providers.defaultProvider;
 
         this.initializeProviders();
+        for (const [name, provider] of this.providers.entries()) {
+            if (provider.rateLimiter) {
+                this.monitoring.registerRateLimiter(name, provider.rateLimiter);
+            }
+        }
+        this.providerExecutor = new ProviderExecutor({
+            providers: this.providers,
+            fallbackProviders: config.providers.fallbackProvider,
+            maxRetries: config.providers.maxRetries,
+            retryDelay: config.providers.retryDelay
+        });
+        this.providerRouter = new ProviderRouter({
+            providers: this.providers,
+            monitoring: this.monitoring
+        });
+        this.jobQueue = new JobQueue({
+            processor: (job, signal) => this.runGenerationJob(job, signal),
+            formatError: (error) => {
+                const details = { ...this.errorHandler.handleError(error) };
+                delete details.error;
+                return details;
+            },
+            concurrency: config.jobs.concurrency,
+            retentionMs: config.jobs.retentionMs,
+            callbackSecret: process.env.JOB_CALLBACK_SECRET,
+            callbackRetries: config.jobs.callbackRetries,
+            callbackTimeout: config.jobs.callbackTimeout,
+            configDir: options.configDir
+        });
+        this.responseCache = new ResponseCache({
+            enabled: config.cache.enableResponseCache,
+            ttl: config.cache.cacheTtl,
+            maxSize: config.cache.maxCacheSize,
+            backend: config.cache.responseCacheBackend
+        });
+        this.conversationManager = new ConversationManager({
+            ttlMs: config.conversations.ttlMs,
+            configDir: options.configDir
+        });
+        this.comparisonStore = new ComparisonStore({
+            maxRecords: config.comparisons.maxRecords,
+            configDir: options.configDir
+        });
+        this.toolRegistry = new ToolRegistry({
+            webhookBaseUrl: process.env.N8N_WEBHOOK_BASE_URL,
+            webhookToken: process.env.N8N_WEBHOOK_TOKEN,
+            webhookTimeout: config.tools.webhookTimeout,
+            maxOutputLength: config.tools.maxOutputLength
+        });
+        this.structuredOutput = new StructuredOutput({
+            maxRepairAttempts: config.structuredOutput.maxRepairAttempts
+        });
+        this.attachmentProcessor = new AttachmentProcessor(config.attachments);
         this.setupHealthChecks();
         this.setupMiddleware();
         this.setupRoutes();
@@ -77,12 +170,21 @@ class ApiServer {
         // Register provider health checks
         for (const [name, provider] of this.providers.entries()) {
             this.healthMonitor.registerService(`provider_${name}`, async () => {
-                if (provider.testConnection) {
-                    const result = await provider.testConnection();
-                    return { healthy: result.success, ...result };
-                }
-                return { healthy: true };
-            }, { critical: name === config.providers.defaultProvider });
+                const result = await provider.testConnection();
+                return { healthy: result.success, ...result };
+            }, { critical: name === this.defaultProvider });
+
+            // Breaker state is reported as soon as it changes, not at the next check interval
+            if (provider.circuitBreaker) {
+                const breaker = provider.circuitBreaker;
+                const serviceName = `circuit_${name}`;
+                this.healthMonitor.registerService(serviceName, async () => {
+                    const status = breaker.getStatus();
+                    return { healthy: status.state !== 'open', details: status };
+                });
+                // Breakers are shared across instances, so the listener is removed again on shutdown
+                this.breakerSubscriptions.push(breaker.onStateChange(() => this.healthMonitor.refreshService(serviceName)));
+            }
         }
 
         // Start monitoring
@@ -93,21 +195,58 @@ class ApiServer {
             services: Array.from(this.providers.keys())
         });
     }
+
+    /**
+     * Initialize every provider configured through the environment
+     * In mock mode only the mock provider is created
+     */
     initializeProviders() {
-        // Initialize Claude provider if API key is available
-        const claudeApiKey = process.env.ANTHROPIC_API_KEY;
-        if (claudeApiKey) {
-            this.providers.set('claude', new ClaudeProvider(claudeApiKey));
-            logger.info('Provider initialized', {
-                provider: 'claude',
+        if (this.mockMode) {
+            this.providers.set('mock', providerFactory.createProvider('mock', {
+                timeout: config.providers.requestTimeout
+            }));
+            logger.info('Mock provider mode enabled, real providers are not initialized', {
+                provider: 'mock',
                 eventType: 'provider_initialization'
             });
-        } else {
-            logger.warn('Provider initialization failed', {
-                provider: 'claude',
-                reason: 'ANTHROPIC_API_KEY not found',
-                eventType: 'provider_initialization_failed'
-            });
+            return;
+        }
+
+        providerFactory.loadEnvironmentConfig();
+
+        for (const name of providerFactory.getAvailableProviders()) {
+            // The mock provider only serves mock mode
+            if (name === 'mock') continue;
+
+            if (!providerFactory.getConfiguredProviders().includes(name)) {
+                logger.warn('Provider initialization skipped', {
+                    provider: name,
+                    reason: 'No configuration found in environment',
+                    eventType: 'provider_initialization_failed'
+                });
+                continue;
+            }
+
+            try {
+                const provider = providerFactory.createProvider(name, {
+                    timeout: config.providers.requestTimeout
+                });
+                this.providers.set(name, provider);
+                // Servers that report their models are asked once at startup; failures are only logged
+                if (typeof provider.discoverModels === 'function') {
+                    provider.discoverModels();
+                }
+                logger.info('Provider initialized', {
+                    provider: name,
+                    eventType: 'provider_initialization'
+                });
+            } catch (error) {
+                logger.warn('Provider initialization failed', {
+                    provider: name,
+                    reason: error.message,
+                    eventType: 'provider_initialization_failed'
+                });
+            }
         }
     }
 
@@ -199,10 +338,15 @@ class ApiServer {
 
             this.app.use('/api/', limiter);
             this.app.use('/api/generate', generateLimiter);
+            this.app.post('/api/jobs', generateLimiter);
+            this.app.post('/api/compare', generateLimiter);
+            this.app.post('/api/conversations/:id/messages', generateLimiter);
         }
 
-        // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        // Body parsing; JSON bodies carry base64 attachments, which are 4/3 of their size,
+        // plus up to 1 MB for the template, variables and options
+        const jsonLimit = Math.ceil(config.attachments.maxTotalSize * 4 / 3) + 1024 * 1024;
+        this.app.use(express.json({ limit: jsonLimit }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
         // JSON parsing error handler
@@ -245,6 +389,9 @@ class ApiServer {
                     health: '/api/health',
                     templates: '/api/templates',
                     generate: '/api/generate',
+                    jobs: '/api/jobs',
+                    conversations: '/api/conversations',
+                    compare: '/api/compare',
                     providers: '/api/providers',
                     metrics: '/api/metrics'
                 }
@@ -336,18 +483,137 @@ class ApiServer {
         this.app.get('/api/templates/:category', this.getTemplatesByCategory.bind(this));
         this.app.get('/api/templates/:category/:name', this.getTemplate.bind(this));
 
+        // Render a template without calling a provider
+        this.app.post('/api/templates/render', [
+            body('template').notEmpty().withMessage('Template is required'),
+            body('variables').optional().isObject().withMessage('Variables must be an object')
+        ], this.renderTemplate.bind(this));
+
+        // Template authoring and version history endpoints
+        const templateParams = [
+            param('category').matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid category'),
+            param('name').matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid template name')
+        ];
+        const templateBody = [
+            body('content').isString().notEmpty().withMessage('Content is required'),
+            body('metadata').optional().isObject().withMessage('Metadata must be an object')
+        ];
+        this.app.post('/api/templates/:category/:name', [...templateParams, ...templateBody], this.createTemplate.bind(this));
+        this.app.put('/api/templates/:category/:name', [...templateParams, ...templateBody], this.updateTemplate.bind(this));
+        this.app.delete('/api/templates/:category/:name', templateParams, this.deleteTemplate.bind(this));
+        this.app.get('/api/templates/:category/:name/versions', templateParams, this.getTemplateVersions.bind(this));
+        this.app.get('/api/templates/:category/:name/versions/:version', templateParams, this.getTemplateVersion.bind(this));
+        this.app.get('/api/templates/:category/:name/diff', [
+            ...templateParams,
+            query('from').notEmpty().withMessage('from version is required'),
+            query('to').notEmpty().withMessage('to version is required')
+        ], this.diffTemplateVersions.bind(this));
+        this.app.post('/api/templates/:category/:name/rollback', [
+            ...templateParams,
+            body('version').isString().notEmpty().withMessage('Version is required')
+        ], this.rollbackTemplate.bind(this));
+        this.app.put('/api/templates/:category/:name/defaults', [
+            ...templateParams,
+            body('defaults').isObject().withMessage('Defaults must be an object')
+        ], this.setTemplateDefaults.bind(this));
+
         // Generation endpoint with validation
-        this.app.post('/api/generate', [
+        this.app.post('/api/generate', this.parseMultipartBody.bind(this), [
             body('template').notEmpty().withMessage('Template is required'),
             body('variables').optional().isObject().withMessage('Variables must be an object'),
             body('provider').optional().isString().withMessage('Provider must be a string'),
-            body('options').optional().isObject().withMessage('Options must be an object')
+            body('options').optional().isObject().withMessage('Options must be an object'),
+            body('outputSchema').optional().isObject().withMessage('Output schema must be an object'),
+            body('attachments').optional().isArray().withMessage('Attachments must be an array'),
+            body('routing').optional().custom(value => typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value)))
+                .withMessage('Routing must be a policy name or an object'),
+            body('stream').optional().isBoolean().withMessage('Stream must be a boolean')
         ], this.generateCompletion.bind(this));
 
+        // Batch generation: one template, many variable sets
+        this.app.post('/api/generate/batch', [
+            body('template').notEmpty().withMessage('Template is required'),
+            body('items').isArray({ min: 1, max: config.batch.maxItems })
+                .withMessage(`Items must be an array of 1 to ${config.batch.maxItems} variable objects`),
+            body('items.*').isObject().withMessage('Each item must be a variables object'),
+            body('provider').optional().isString().withMessage('Provider must be a string'),
+            body('options').optional().isObject().withMessage('Options must be an object'),
+            body('outputSchema').optional().isObject().withMessage('Output schema must be an object'),
+            body('stream').optional().isBoolean().withMessage('Stream must be a boolean')
+        ], this.generateBatch.bind(this));
+
+        // Asynchronous generation jobs
+        this.app.post('/api/jobs', [
+            body('template').notEmpty().withMessage('Template is required'),
+            body('variables').optional().isObject().withMessage('Variables must be an object'),
+            body('provider').optional().isString().withMessage('Provider must be a string'),
+            body('options').optional().isObject().withMessage('Options must be an object'),
+            body('outputSchema').optional().isObject().withMessage('Output schema must be an object'),
+            body('routing').optional().custom(value => typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value)))
+                .withMessage('Routing must be a policy name or an object'),
+            body('callbackUrl').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+                .withMessage('Callback URL must be an http(s) URL')
+        ], this.createJob.bind(this));
+        this.app.get('/api/jobs/:id', this.getJob.bind(this));
+        this.app.delete('/api/jobs/:id', this.cancelJob.bind(this));
+
+        // Side-by-side model comparisons
+        this.app.post('/api/compare', [
+            body('template').notEmpty().withMessage('Template is required'),
+            body('variables').optional().isObject().withMessage('Variables must be an object'),
+            body('targets').isArray({ min: 1, max: config.comparisons.maxTargets })
+                .withMessage(`Targets must be an array of 1 to ${config.comparisons.maxTargets} providers`),
+            body('targets.*.provider').isString().notEmpty().withMessage('Each target needs a provider'),
+            body('targets.*.model').optional().isString().withMessage('Target model must be a string'),
+            body('targets.*.options').optional().isObject().withMessage('Target options must be an object'),
+            body('options').optional().isObject().withMessage('Options must be an object'),
+            body('outputSchema').optional().isObject().withMessage('Output schema must be an object'),
+            body('label').optional().isString().withMessage('Label must be a string'),
+            body('save').optional().isBoolean().withMessage('Save must be a boolean')
+        ], this.compareModels.bind(this));
+        this.app.get('/api/comparisons', [
+            query('template').optional().isString().withMessage('Template must be a string'),
+            query('limit').optional().isInt({ min: 1, max: config.comparisons.maxRecords }).toInt()
+                .withMessage('Limit must be a positive integer')
+        ], this.listComparisons.bind(this));
+        this.app.get('/api/comparisons/:id', this.getComparison.bind(this));
+        this.app.delete('/api/comparisons/:id', this.deleteComparison.bind(this));
+
+        // Multi-turn conversations
+        this.app.post('/api/conversations', [
+            body('template').optional().isString().notEmpty().withMessage('Template must be a string'),
+            body('variables').optional().isObject().withMessage('Variables must be an object'),
+            body('systemPrompt').optional().isString().withMessage('System prompt must be a string'),
+            body('provider').optional().isString().withMessage('Provider must be a string'),
+            body('options').optional().isObject().withMessage('Options must be an object')
+        ], this.createConversation.bind(this));
+        this.app.get('/api/conversations/:id', this.getConversation.bind(this));
+        this.app.delete('/api/conversations/:id', this.deleteConversation.bind(this));
+        this.app.post('/api/conversations/:id/messages', [
+            body('content').isString().notEmpty().withMessage('Message content is required'),
+            body('options').optional().isObject().withMessage('Options must be an object')
+        ], this.sendConversationMessage.bind(this));
+
         // Provider endpoints
         this.app.get('/api/providers', this.getProviders.bind(this));
+        this.app.get('/api/models', [
+            query('provider').optional().isString().withMessage('Provider must be a string')
+        ], this.getModels.bind(this));
         this.app.post('/api/providers/:provider/test', this.testProvider.bind(this));
 
+        // Ollama model management through the local provider
+        const modelName = /^[\w.:/-]+$/;
+        this.app.get('/api/providers/local/models', this.listLocalModels.bind(this));
+        this.app.post('/api/providers/local/models', [
+            body('name').isString().matches(modelName).withMessage('Invalid model name')
+        ], this.pullLocalModel.bind(this));
+        this.app.get('/api/providers/local/models/:name(*)', [
+            param('name').matches(modelName).withMessage('Invalid model name')
+        ], this.getLocalModel.bind(this));
+        this.app.delete('/api/providers/local/models/:name(*)', [
+            param('name').matches(modelName).withMessage('Invalid model name')
+        ], this.deleteLocalModel.bind(this));
+
         // Metrics endpoint
         this.app.get('/api/metrics', this.getMetrics.bind(this));
 
@@ -451,170 +717,175 @@ class ApiServer {
     }
 
     /**
-     * Generate completion
+     * Create a new template file
      */
-    async generateCompletion(req, res, next) {
-        const startTime = Date.now();
-
+    async createTemplate(req, res, next) {
         try {
-            // Validate request
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 throw new ValidationError('Validation failed', errors.array());
             }
 
-            const { template, variables = {}, provider = 'claude', options = {} } = req.body;
+            const { category, name } = req.params;
+            if (await this.templateManager.templateExists(category, name)) {
+                return res.status(409).json({
+                    error: true,
+                    message: 'Template already exists'
+                });
+            }
+
+            const { template, version } = await this.templateManager.saveTemplate(
+                category, name, req.body.content, this.getVersionMetadata(req)
+            );
 
-            logger.business('Generation request started', {
-                template,
-                provider,
-                variableCount: Object.keys(variables).length,
+            logger.business('Template created', {
+                template: template.key,
+                version: template.version,
                 correlationId: req.correlationId
             });
 
-            // Get provider
-            const providerInstance = this.providers.get(provider);
-            if (!providerInstance) {
-                throw new ValidationError(`Provider '${provider}' not available`);
-            }
+            res.status(201).json({
+                success: true,
+                template,
+                version
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 
-            // Get template content
-            const templateData = await this.templateManager.getTemplate(template);
-            if (!templateData) {
-                throw new ValidationError(`Template '${template}' not found`);
+    /**
+     * Replace the content of an existing template
+     */
+    async updateTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
             }
 
-            // Replace variables in template
-            let prompt = templateData.content;
-            for (const [key, value] of Object.entries(variables)) {
-                const placeholder = `{{${key}}}`;
-                prompt = prompt.replace(new RegExp(placeholder, 'g'), value);
+            const { category, name } = req.params;
+            if (!await this.templateManager.templateExists(category, name)) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Template not found'
+                });
             }
 
-            // Generate completion
-            const result = await providerInstance.generateCompletion(prompt, options);
-            const responseTime = Date.now() - startTime;
-
-            // Track provider usage
-            this.monitoring.trackProviderUsage(
-                provider,
-                'generate_completion',
-                true,
-                responseTime,
-                result.cost || 0,
-                {
-                    template,
-                    tokensUsed: result.usage?.totalTokens || 0,
-                    model: result.model
-                }
+            const { template, version } = await this.templateManager.saveTemplate(
+                category, name, req.body.content, this.getVersionMetadata(req)
             );
 
-            // Update template usage
-            await this.templateManager.updateTemplateUsage(template, {
-                success: true,
-                responseTime,
-                tokensUsed: result.usage?.totalTokens || 0,
-                cost: result.cost || 0
-            });
-
-            logger.business('Generation request completed', {
-                template,
-                provider,
-                success: true,
-                responseTime,
-                tokensUsed: result.usage?.totalTokens || 0,
-                cost: result.cost || 0,
+            logger.business('Template updated', {
+                template: template.key,
+                version: template.version,
+                changeType: version?.changeType,
                 correlationId: req.correlationId
             });
 
             res.json({
                 success: true,
-                result: {
-                    content: result.content,
-                    template,
-                    provider,
-                    usage: result.usage,
-                    cost: result.cost,
-                    responseTime,
-                    model: result.model
-                }
+                template,
+                version
             });
-
         } catch (error) {
-            const responseTime = Date.now() - startTime;
+            next(error);
+        }
+    }
 
-            // Track failed provider usage
-            if (req.body.provider) {
-                this.monitoring.trackProviderUsage(
-                    req.body.provider,
-                    'generate_completion',
-                    false,
-                    responseTime,
-                    0,
-                    {
-                        template: req.body.template,
-                        errorType: error.name
-                    }
-                );
+    /**
+     * Delete a template file
+     */
+    async deleteTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
             }
 
-            // Update template usage for failed generation
-            if (req.body.template) {
-                await this.templateManager.updateTemplateUsage(req.body.template, {
-                    success: false,
-                    responseTime,
-                    tokensUsed: 0,
-                    cost: 0
+            const { category, name } = req.params;
+            const deleted = await this.templateManager.deleteTemplate(category, name);
+            if (!deleted) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Template not found'
                 });
             }
 
-            logger.business('Generation request failed', {
-                template: req.body.template,
-                provider: req.body.provider,
-                success: false,
-                responseTime,
-                error: error.message,
+            logger.business('Template deleted', {
+                template: `${category}/${name}`,
                 correlationId: req.correlationId
             });
 
+            res.json({
+                success: true,
+                template: `${category}/${name}`
+            });
+        } catch (error) {
             next(error);
         }
     }
 
     /**
-     * Get available providers
+     * Replace the generation defaults stored in a template's registry entry
      */
-    getProviders(req, res) {
-        const providers = Array.from(this.providers.entries()).map(([name, provider]) => ({
-            name,
-            models: provider.getAvailableModels ? provider.getAvailableModels() : [],
-            available: true
-        }));
+    async setTemplateDefaults(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
 
-        res.json({
-            success: true,
-            providers,
-            default: config.providers.defaultProvider
-        });
+            const templateKey = `${req.params.category}/${req.params.name}`;
+            const { defaults } = req.body;
+            this.templateManager.validateDefaults(defaults);
+            if (defaults.model) {
+                await this.requireProviderModel(defaults.provider || this.defaultProvider, defaults.model);
+            }
+
+            const stored = await this.templateManager.setTemplateDefaults(templateKey, defaults);
+            if (!stored) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Template not found'
+                });
+            }
+
+            logger.business('Template defaults updated', {
+                template: templateKey,
+                fields: Object.keys(stored),
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                template: templateKey,
+                defaults: stored
+            });
+        } catch (error) {
+            next(error);
+        }
     }
 
     /**
-     * Test provider connection
+     * List the version history of a template
      */
-    async testProvider(req, res, next) {
+    async getTemplateVersions(req, res, next) {
         try {
-            const { provider } = req.params;
-            const providerInstance = this.providers.get(provider);
-
-            if (!providerInstance) {
-                throw new ValidationError(`Provider '${provider}' not available`);
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
             }
 
-            const result = await providerInstance.testConnection();
+            const templateKey = `${req.params.category}/${req.params.name}`;
+            const versions = this.versionManager.getAllVersions(templateKey).map(({ content: _content, ...version }) => version);
+
             res.json({
                 success: true,
-                provider,
-                test: result
+                template: templateKey,
+                current: this.versionManager.getCurrentVersion(templateKey)?.version || null,
+                versions,
+                count: versions.length
             });
         } catch (error) {
             next(error);
@@ -622,55 +893,2036 @@ class ApiServer {
     }
 
     /**
-     * Get system metrics
+     * Get one version of a template, including its content
      */
-    getMetrics(req, res) {
-        const templateStats = this.templateManager.getTemplateStats();
-        const healthMetrics = this.healthMonitor.getMetrics();
+    async getTemplateVersion(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
 
-        res.json({
-            success: true,
-            metrics: {
-                ...healthMetrics,
-                memory: healthMetrics.system?.memory || {},
-                templates: templateStats,
-                providers: Array.from(this.providers.keys()),
-                timestamp: new Date().toISOString()
+            const templateKey = `${req.params.category}/${req.params.name}`;
+            const version = this.versionManager.getVersion(templateKey, req.params.version);
+            if (!version) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Template version not found'
+                });
             }
-        });
+
+            res.json({
+                success: true,
+                template: templateKey,
+                version
+            });
+        } catch (error) {
+            next(error);
+        }
     }
 
     /**
-     * Get comprehensive monitoring metrics
+     * Diff two versions of a template
      */
-    getMonitoringMetrics(req, res) {
-        const monitoringMetrics = this.monitoring.getMetrics();
-        const healthStatus = this.monitoring.getHealthStatus();
+    async diffTemplateVersions(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
 
-        res.json({
-            success: true,
-            monitoring: monitoringMetrics,
-            health: healthStatus,
-            timestamp: new Date().toISOString()
-        });
-    }
+            const templateKey = `${req.params.category}/${req.params.name}`;
+            const diff = this.versionManager.diffVersions(templateKey, req.query.from, req.query.to);
+            if (!diff) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Template version not found'
+                });
+            }
 
-    /**
-     * Setup error handling
-     */
-    setupErrorHandling() {
-        // 404 handler
-        this.app.use('*', (req, res) => {
-            res.status(404).json({
-                error: true,
-                message: 'Endpoint not found',
-                type: 'not_found_error'
+            res.json({
+                success: true,
+                diff
             });
-        });
-
-        // Global error handler
-        this.app.use(logger.errorLoggingMiddleware());
-        this.app.use(this.errorHandler.expressMiddleware());
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Restore a template to an earlier version
+     */
+    async rollbackTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { category, name } = req.params;
+            const templateKey = `${category}/${name}`;
+            if (!this.versionManager.getVersion(templateKey, req.body.version)) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Template version not found'
+                });
+            }
+
+            const { template, rollback } = await this.templateManager.rollbackTemplate(category, name, req.body.version);
+
+            logger.business('Template rolled back', {
+                template: templateKey,
+                fromVersion: rollback.previousVersion,
+                toVersion: rollback.currentVersion,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                template,
+                rollback
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Metadata recorded with each template version
+     */
+    getVersionMetadata(req) {
+        return {
+            ...(req.body.metadata || {}),
+            correlationId: req.correlationId
+        };
+    }
+
+    /**
+     * Generate completion
+     */
+    async generateCompletion(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            // Validate request
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const {
+                template,
+                variables = {},
+                stream = false
+            } = req.body;
+
+            const prepared = await this.prepareTemplatePrompt(template, variables);
+            const { prompt, tools } = prepared;
+            const parameters = this.applyTemplateDefaults(prepared.templateData, req.body);
+            const { provider, options } = parameters;
+
+            logger.business('Generation request started', {
+                template,
+                provider,
+                stream,
+                variableCount: Object.keys(variables).length,
+                correlationId: req.correlationId
+            });
+
+            let providerChain = await this.resolveProviderChain(provider, parameters.explicit, options.model);
+            const outputSchema = this.resolveOutputSchema(req.body.outputSchema, prepared.outputSchema);
+            const attachments = this.attachmentProcessor.normalize(req.body.attachments);
+            const attachmentOptions = this.getAttachmentOptions(attachments, prepared.templateData);
+
+            const routed = this.routeProviderChain(providerChain, {
+                routing: req.body.routing,
+                templateData: prepared.templateData,
+                explicit: parameters.explicit,
+                prompt,
+                options: { ...options, attachments },
+                capabilities: this.getRequiredCapabilities({ stream, tools, attachments })
+            });
+            providerChain = routed.providerChain;
+
+            if (attachments.length > 0) {
+                providerChain = this.getAttachmentProviderChain(providerChain, attachments, options.model);
+            }
+
+            if (tools.length > 0) {
+                if (stream) {
+                    throw new RequestValidationError('Streaming is not supported for templates that use tools');
+                }
+                providerChain = this.getToolProviderChain(providerChain, provider);
+            }
+            if (outputSchema && stream) {
+                throw new RequestValidationError('Streaming is not supported with an output schema');
+            }
+
+            if (stream) {
+                return await this.streamCompletion(req, res, {
+                    template,
+                    provider,
+                    providerChain,
+                    prompt,
+                    options: { ...options, ...attachmentOptions, ...this.getPromptCacheOptions(prepared.promptSections) },
+                    parameters,
+                    routing: routed.routing,
+                    startTime
+                });
+            }
+
+            res.json({
+                success: true,
+                result: await this.generateWithCache(req, {
+                    template,
+                    provider,
+                    providerChain,
+                    prompt,
+                    promptSections: prepared.promptSections,
+                    tools,
+                    outputSchema,
+                    ...attachmentOptions,
+                    options,
+                    parameters,
+                    routing: routed.routing,
+                    startTime
+                })
+            });
+
+        } catch (error) {
+            const responseTime = Date.now() - startTime;
+            await this.recordGenerationFailure(req, error, responseTime);
+
+            next(error);
+        }
+    }
+
+    /**
+     * Merge a template's registry `defaults` with the provider and options of a request
+     *
+     * Each parameter comes from the first of these that sets it: the request, the
+     * template's `defaults`, then the provider's configuration. The template's provider is
+     * only used when it is configured, and its model only when its provider serves the
+     * request, since a model name belongs to one provider.
+     *
+     * @param {Object} templateData - Template from prepareTemplatePrompt()
+     * @param {Object} request - `provider` and `options` from the request body
+     * @returns {{provider: string, explicit: boolean, options: Object, sources: Object}} - Provider
+     *   to start from, whether the client named it, merged options, and where each parameter came from
+     */
+    applyTemplateDefaults(templateData, { provider = null, options = {} }) {
+        const defaults = templateData.defaults || {};
+        const templateProvider = this.providers.has(defaults.provider) ? defaults.provider : null;
+        const effectiveProvider = provider || templateProvider || this.defaultProvider;
+        const merged = { ...options };
+        const sources = { provider: provider ? 'request' : templateProvider ? 'template' : 'config' };
+
+        for (const field of TEMPLATE_PARAMETERS) {
+            const appliesToProvider = field !== 'model' || !defaults.provider || defaults.provider === effectiveProvider;
+            if (options[field] !== undefined) {
+                sources[field] = 'request';
+            } else if (defaults[field] !== undefined && appliesToProvider) {
+                merged[field] = defaults[field];
+                sources[field] = 'template';
+            } else {
+                sources[field] = 'provider';
+            }
+        }
+
+        return { provider: effectiveProvider, explicit: Boolean(provider), options: merged, sources };
+    }
+
+    /**
+     * Describe the parameters a generation actually ran with
+     * @param {string} provider - Provider that served the request
+     * @param {string} model - Model that served the request
+     * @param {Object} parameters - Result of applyTemplateDefaults()
+     * @returns {Object} - Effective provider, model, sampling parameters and their sources
+     */
+    describeParameters(provider, model, { provider: requestedProvider, options, sources }) {
+        const providerInstance = this.providers.get(provider);
+        const providerDefaults = providerInstance.getDefaultParameters();
+
+        return {
+            provider,
+            model,
+            // Reported as sent: providers clamp temperatures above what their API accepts
+            temperature: providerInstance.clampTemperature(options.temperature ?? providerDefaults.temperature),
+            maxTokens: providerInstance.clampMaxTokens(options.maxTokens || providerDefaults.maxTokens, providerInstance.getModelInfo(model)),
+            stopSequences: options.stopSequences || null,
+            systemPrompt: options.systemPrompt || null,
+            sources: {
+                ...sources,
+                // A routing policy or failover may serve the request from another provider
+                ...(provider !== requestedProvider && { provider: 'routing' })
+            }
+        };
+    }
+
+    /**
+     * Providers to try for a generation, in order
+     *
+     * When the request names a model, the requested provider must offer it and fallback
+     * providers that do not are left out of the chain.
+     *
+     * @param {string} provider - Requested or default provider
+     * @param {boolean} explicit - Whether the client asked for this provider
+     * @param {string} model - Model named in the request options
+     * @returns {Promise<string[]>} - Provider chain
+     * @throws {ValidationError} - When no usable provider is available
+     * @throws {UnknownModelError} - When the requested provider does not offer the model
+     */
+    async resolveProviderChain(provider, explicit, model = null) {
+        // An explicitly requested provider must exist; the default may fail over
+        if (explicit && !this.providers.has(provider)) {
+            throw new ValidationError(`Provider '${provider}' not available`);
+        }
+
+        let providerChain = this.providerExecutor.getProviderChain(provider);
+        if (model) {
+            await this.requireProviderModel(provider, model);
+            providerChain = providerChain.filter(name => this.providers.get(name).hasModel(model));
+        }
+
+        if (providerChain.length === 0) {
+            throw new ValidationError('No providers available');
+        }
+
+        return providerChain;
+    }
+
+    /**
+     * Check that a provider offers a model
+     * Configured providers also know models outside the catalog, such as installed local models
+     * @throws {UnknownModelError} - When the provider does not offer the model
+     */
+    async requireProviderModel(provider, model) {
+        if (this.providers.has(provider)) {
+            await this.providers.get(provider).ensureModel(model);
+            this.providers.get(provider).resolveModel(model);
+        } else {
+            modelCatalog.requireModel(provider, model);
+        }
+    }
+
+    /**
+     * Order a provider chain with the routing policy of the request or the template
+     *
+     * A `routing` policy in the request replaces the `routing` in the template's front matter.
+     * Under a policy every configured provider offering the requested model is a candidate,
+     * not only the fallback chain. A provider named in the request keeps the chain as it is.
+     *
+     * @param {string[]} providerChain - Chain from resolveProviderChain()
+     * @param {Object} request - `routing`, `templateData`, `explicit`, `prompt`, `options` and `capabilities`
+     * @returns {{providerChain: string[], routing: Object}} - Routed chain and routing explanation
+     * @throws {RequestValidationError} - When the policy is invalid or no provider satisfies it
+     */
+    routeProviderChain(providerChain, { routing, templateData, explicit, prompt, options, capabilities }) {
+        const policy = this.providerRouter.resolvePolicy(routing, 'request') ||
+            this.providerRouter.resolvePolicy(templateData.metadata?.routing, 'template');
+
+        let candidates = providerChain;
+        if (policy && !explicit) {
+            const others = Array.from(this.providers.keys()).filter(name =>
+                !providerChain.includes(name) && (!options.model || this.providers.get(name).hasModel(options.model)));
+            candidates = [...providerChain, ...others];
+        }
+
+        const routed = this.providerRouter.route(candidates, {
+            policy: explicit ? null : policy,
+            explicit,
+            prompt,
+            options,
+            capabilities
+        });
+        return { providerChain: routed.chain, routing: routed.routing };
+    }
+
+    /**
+     * Capability flags a provider needs to serve a request
+     * @returns {string[]} - Names of `getCapabilities()` flags
+     */
+    getRequiredCapabilities({ stream = false, tools = [], attachments = [] }) {
+        const capabilities = [];
+        if (stream) capabilities.push('supportsStreaming');
+        if (tools.length > 0) capabilities.push('supportsTools');
+        if (attachments.some(attachment => attachment.kind === 'image')) capabilities.push('supportsImages');
+        if (attachments.some(attachment => attachment.kind === 'document')) capabilities.push('supportsFiles');
+        return capabilities;
+    }
+
+    /**
+     * Narrow a provider chain to providers that can call tools
+     * @param {string[]} providerChain - Provider chain
+     * @param {string} provider - Requested provider, for the error message
+     * @returns {string[]} - Providers whose capabilities include `supportsTools`
+     * @throws {RequestValidationError} - When no provider in the chain supports tools
+     */
+    getToolProviderChain(providerChain, provider) {
+        const toolChain = providerChain.filter(name => this.providers.get(name).getCapabilities().supportsTools);
+        if (toolChain.length === 0) {
+            throw new RequestValidationError(`Provider '${provider}' does not support tools`);
+        }
+        return toolChain;
+    }
+
+    /**
+     * Output schema for a generation; one sent with the request overrides the template's
+     * @param {Object} requestSchema - `outputSchema` from the request body
+     * @param {Object} templateSchema - `output_schema` from the template front matter
+     * @returns {Object|null} - JSON Schema, or null for free-form text
+     * @throws {RequestValidationError} - When the schema is not an object
+     */
+    resolveOutputSchema(requestSchema, templateSchema) {
+        const schema = requestSchema || templateSchema || null;
+        if (schema) {
+            this.structuredOutput.checkSchema(schema);
+        }
+        return schema;
+    }
+
+    /**
+     * Narrow a provider chain to providers whose model accepts the attachments
+     * @param {string[]} providerChain - Provider chain
+     * @param {Array<Object>} attachments - Normalized attachments
+     * @param {string} model - Model named in the request options
+     * @returns {string[]} - Providers that can read every attachment
+     * @throws {RequestValidationError} - Naming what the requested provider's model cannot read
+     */
+    getAttachmentProviderChain(providerChain, attachments, model) {
+        const attachmentChain = providerChain.filter(name => this.providers.get(name).supportsAttachments(attachments, model));
+        if (attachmentChain.length === 0) {
+            this.providers.get(providerChain[0]).checkAttachments(attachments, model);
+        }
+        return attachmentChain;
+    }
+
+    /**
+     * Provider options that send attachments with the prompt
+     *
+     * Templates choose where attachments go with `attachment_position` in their front
+     * matter: `before` the prompt (the default) or `after` it.
+     *
+     * @param {Array<Object>} attachments - Normalized attachments
+     * @param {Object} templateData - Template from the template manager
+     * @throws {RequestValidationError} - When the template's `attachment_position` is not recognised
+     */
+    getAttachmentOptions(attachments, templateData) {
+        if (attachments.length === 0) {
+            return {};
+        }
+
+        const attachmentPosition = templateData.metadata?.attachment_position || 'before';
+        if (!['before', 'after'].includes(attachmentPosition)) {
+            throw new RequestValidationError('Template attachment_position must be \'before\' or \'after\'');
+        }
+
+        return { attachments, attachmentPosition };
+    }
+
+    /**
+     * Parse multipart/form-data generation requests into the JSON body shape
+     *
+     * Files become base64 `attachments`; the `variables`, `options` and `outputSchema`
+     * fields hold JSON text. Uploads are kept in memory, limited to
+     * `attachments.maxTotalSize` bytes in total. The parsed body is then validated and
+     * sanitized like a JSON body.
+     */
+    async parseMultipartBody(req, res, next) {
+        if (!req.is('multipart/form-data')) {
+            return next();
+        }
+
+        try {
+            const { fields, files } = await this.readMultipart(req);
+            const parsed = { ...fields };
+
+            for (const name of ['variables', 'options', 'outputSchema']) {
+                if (fields[name] === undefined) continue;
+                try {
+                    parsed[name] = JSON.parse(fields[name]);
+                } catch (error) {
+                    throw new RequestValidationError(`Field '${name}' must be valid JSON`);
+                }
+            }
+            if (fields.stream !== undefined) {
+                parsed.stream = fields.stream === 'true';
+            }
+            parsed.attachments = this.attachmentProcessor.fromUploads(files);
+
+            // The body was empty when the global validation middleware ran
+            req.body = parsed;
+            req.multipartParsed = true;
+            this.errorHandler.validationMiddleware()(req, res, next);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Read the fields and uploaded files of a multipart body
+     * @returns {Promise<{fields: Object, files: Array<Object>}>} - Files as `{ buffer, mediaType, name }`
+     */
+    readMultipart(req) {
+        const chunks = new Map();
+        const files = [];
+        const form = formidable({
+            maxFileSize: this.attachmentProcessor.maxTotalSize,
+            maxFields: 20,
+            allowEmptyFiles: false,
+            fileWriteStreamHandler: file => new Writable({
+                write(chunk, encoding, callback) {
+                    if (!chunks.has(file)) {
+                        chunks.set(file, []);
+                    }
+                    chunks.get(file).push(chunk);
+                    callback();
+                }
+            })
+        });
+
+        form.on('file', (name, file) => {
+            files.push({
+                buffer: Buffer.concat(chunks.get(file) || []),
+                mediaType: file.mimetype,
+                name: file.originalFilename
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            form.parse(req, (error, fields) => {
+                if (error) {
+                    reject(new ValidationError(`Invalid multipart body: ${error.message}`));
+                } else {
+                    resolve({ fields, files });
+                }
+            });
+        });
+    }
+
+    /**
+     * Generate completions for many variable sets against one template
+     *
+     * Items run with bounded concurrency (`batch.concurrency`); items over a provider's rate
+     * limit wait in that provider's rate limiter queue. Each item succeeds or fails on its own. With
+     * `stream: true` results are written as NDJSON lines in completion order, followed by
+     * a summary line; otherwise one JSON response lists results in request order.
+     */
+    async generateBatch(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const {
+                template,
+                items,
+                stream = false
+            } = req.body;
+
+            const templateData = await this.templateManager.getTemplate(template);
+            if (!templateData) {
+                throw new ValidationError(`Template '${template}' not found`);
+            }
+            const parameters = this.applyTemplateDefaults(templateData, req.body);
+            const { provider, options } = parameters;
+            let providerChain = await this.resolveProviderChain(provider, parameters.explicit, options.model);
+            if (this.toolRegistry.resolveTools(templateData.metadata?.tools).length > 0) {
+                providerChain = this.getToolProviderChain(providerChain, provider);
+            }
+            const outputSchema = this.resolveOutputSchema(req.body.outputSchema, templateData.metadata?.output_schema);
+
+            logger.business('Batch generation started', {
+                template,
+                provider,
+                itemCount: items.length,
+                stream,
+                correlationId: req.correlationId
+            });
+
+            // Stop starting new items and abort running ones if a streaming client goes away
+            const abortController = new AbortController();
+            if (stream) {
+                res.status(200);
+                res.setHeader('Content-Type', 'application/x-ndjson');
+                res.setHeader('Cache-Control', 'no-cache');
+                res.setHeader('X-Accel-Buffering', 'no');
+                res.flushHeaders();
+                res.on('close', () => {
+                    if (!res.writableEnded) {
+                        abortController.abort();
+                    }
+                });
+            }
+
+            const results = new Array(items.length);
+            await this.mapWithConcurrency(items, config.batch.concurrency, async (variables, index) => {
+                if (abortController.signal.aborted) return;
+
+                const item = await this.runBatchItem(req, {
+                    template,
+                    provider,
+                    providerChain,
+                    variables,
+                    outputSchema,
+                    options,
+                    parameters,
+                    signal: abortController.signal
+                });
+                results[index] = { index, ...item };
+
+                if (stream && !abortController.signal.aborted) {
+                    res.write(`${JSON.stringify({ type: 'item', ...results[index] })}\n`);
+                }
+            });
+
+            const summary = this.summarizeBatch(results.filter(Boolean), Date.now() - startTime);
+
+            logger.business('Batch generation completed', {
+                template,
+                provider,
+                ...summary,
+                correlationId: req.correlationId
+            });
+
+            if (stream) {
+                if (!abortController.signal.aborted) {
+                    res.end(`${JSON.stringify({ type: 'summary', ...summary })}\n`);
+                }
+                return;
+            }
+
+            res.json({
+                success: summary.failed === 0,
+                template,
+                results,
+                summary
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Generate a single batch item; failures are returned rather than thrown
+     * @returns {Promise<Object>} - `{ success: true, result }` or `{ success: false, error }`
+     */
+    async runBatchItem(req, { template, provider, providerChain, variables, outputSchema, options, parameters, signal }) {
+        const startTime = Date.now();
+
+        try {
+            const { prompt, promptSections, tools } = await this.prepareTemplatePrompt(template, variables);
+
+            return {
+                success: true,
+                result: await this.generateWithCache(req, {
+                    template,
+                    provider,
+                    providerChain,
+                    prompt,
+                    promptSections,
+                    tools,
+                    outputSchema,
+                    options,
+                    parameters,
+                    startTime,
+                    signal
+                })
+            };
+        } catch (error) {
+            await this.recordGenerationFailure(req, error, Date.now() - startTime);
+            return {
+                success: false,
+                error: this.errorHandler.handleError(error, req)
+            };
+        }
+    }
+
+    /**
+     * Run one rendered template against several providers and models side by side
+     *
+     * The template is rendered once and every target receives the same prompt in parallel.
+     * Targets bypass the response cache and do not fail over, so each result is that
+     * provider's own answer. A target that fails is reported in place of its output.
+     * With `save: true` the comparison is stored and can be read back from /api/comparisons.
+     */
+    async compareModels(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const {
+                template,
+                variables = {},
+                targets,
+                options = {},
+                label = null,
+                save = false
+            } = req.body;
+
+            const prepared = await this.prepareTemplatePrompt(template, variables);
+            const outputSchema = this.resolveOutputSchema(req.body.outputSchema, prepared.outputSchema);
+
+            // Check every target before calling any provider
+            const resolvedTargets = [];
+            for (const target of targets) {
+                const parameters = this.applyTemplateDefaults(prepared.templateData, {
+                    provider: target.provider,
+                    options: { ...options, ...target.options, ...(target.model && { model: target.model }) }
+                });
+                await this.resolveProviderChain(target.provider, true, parameters.options.model);
+                if (prepared.tools.length > 0) {
+                    this.getToolProviderChain([target.provider], target.provider);
+                }
+                resolvedTargets.push({ provider: target.provider, options: parameters.options, parameters });
+            }
+
+            logger.business('Model comparison started', {
+                template,
+                targets: resolvedTargets.map(target => target.provider),
+                correlationId: req.correlationId
+            });
+
+            const results = await Promise.all(resolvedTargets.map(target => this.runComparisonTarget(req, {
+                template,
+                target,
+                prompt: prepared.prompt,
+                promptSections: prepared.promptSections,
+                tools: prepared.tools,
+                outputSchema
+            })));
+
+            let comparison = {
+                template,
+                label,
+                variables: prepared.variables,
+                prompt: prepared.prompt,
+                results
+            };
+            if (save) {
+                comparison = await this.comparisonStore.save(comparison);
+            }
+
+            logger.business('Model comparison completed', {
+                template,
+                comparisonId: comparison.id,
+                succeeded: results.filter(result => result.success).length,
+                failed: results.filter(result => !result.success).length,
+                responseTime: Date.now() - startTime,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: results.every(result => result.success),
+                saved: save,
+                comparison
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Generate one comparison target; failures are returned rather than thrown
+     * @returns {Promise<Object>} - Output, latency, usage, cost and finish reason, or the error
+     */
+    async runComparisonTarget(req, { template, target, prompt, promptSections, tools, outputSchema }) {
+        const startTime = Date.now();
+        const { provider, options, parameters } = target;
+        const context = { body: { template, provider }, correlationId: req.correlationId };
+
+        try {
+            const execution = await this.executeGeneration(
+                [provider],
+                prompt,
+                { ...options, ...this.getToolOptions(tools), ...this.getPromptCacheOptions(promptSections), template },
+                { outputSchema }
+            );
+            const result = await this.recordGenerationSuccess(context, {
+                template,
+                requestedProvider: provider,
+                execution,
+                parameters,
+                responseTime: Date.now() - startTime
+            });
+
+            return {
+                provider,
+                model: result.model,
+                options,
+                success: true,
+                content: result.content,
+                ...(result.data !== undefined ? { data: result.data } : {}),
+                ...(result.validationErrors ? { validationErrors: result.validationErrors } : {}),
+                ...(result.toolCalls ? { toolCalls: result.toolCalls } : {}),
+                usage: result.usage,
+                cost: result.cost,
+                ...(result.cacheSavings !== undefined ? { cacheSavings: result.cacheSavings } : {}),
+                responseTime: result.responseTime,
+                finishReason: result.finishReason,
+                parameters: result.parameters,
+                attempts: result.attempts
+            };
+        } catch (error) {
+            const responseTime = Date.now() - startTime;
+            await this.recordGenerationFailure(context, error, responseTime);
+            return {
+                provider,
+                model: options.model || this.providers.get(provider).model || null,
+                options,
+                success: false,
+                responseTime,
+                error: this.errorHandler.handleError(error, req)
+            };
+        }
+    }
+
+    /**
+     * List saved comparisons, newest first
+     */
+    listComparisons(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            res.json({
+                success: true,
+                comparisons: this.comparisonStore.list({
+                    template: req.query.template,
+                    limit: req.query.limit
+                })
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a saved comparison with its prompt and outputs
+     */
+    getComparison(req, res, next) {
+        try {
+            const comparison = this.comparisonStore.get(req.params.id);
+            if (!comparison) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Comparison not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                comparison
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a saved comparison
+     */
+    async deleteComparison(req, res, next) {
+        try {
+            if (!await this.comparisonStore.delete(req.params.id)) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Comparison not found'
+                });
+            }
+
+            logger.business('Comparison deleted', {
+                comparisonId: req.params.id,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                comparisonId: req.params.id
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Generate a completion, serving identical earlier requests from the response cache
+     *
+     * The cache key covers the rendered prompt, the primary provider, the model and the
+     * options. Results are stored only when the primary provider served them, so a
+     * failover answer is never cached under another provider's key. A request with
+     * `Cache-Control: no-cache` skips the lookup but still refreshes the entry.
+     * Templates that use tools are never cached, since tool results change over time.
+     *
+     * @returns {Promise<Object>} - Generation result with a `cached` flag
+     */
+    async generateWithCache(req, {
+        template, provider, providerChain, prompt, promptSections = null, tools = [], outputSchema = null,
+        attachments = [], attachmentPosition, options, parameters = null, routing = null, startTime, signal
+    }) {
+        let cacheKey = null;
+
+        if (this.responseCache.enabled && tools.length === 0) {
+            const keyOptions = { ...options };
+            if (outputSchema) {
+                keyOptions.outputSchema = outputSchema;
+            }
+            if (attachments.length > 0) {
+                keyOptions.attachments = attachments.map(attachment => attachment.hash);
+                keyOptions.attachmentPosition = attachmentPosition;
+            }
+
+            cacheKey = this.responseCache.createKey({
+                prompt,
+                provider: providerChain[0],
+                model: options.model || this.providers.get(providerChain[0]).model,
+                options: keyOptions
+            });
+
+            if (/no-cache/i.test(req.get('Cache-Control') || '')) {
+                this.monitoring.trackCacheLookup('bypass', { template });
+            } else {
+                const cached = await this.responseCache.get(cacheKey);
+                this.monitoring.trackCacheLookup(cached ? 'hit' : 'miss', { template });
+
+                if (cached) {
+                    logger.business('Generation served from cache', {
+                        template,
+                        provider: cached.provider,
+                        correlationId: req.correlationId
+                    });
+                    return { ...cached, ...(routing && { routing }), responseTime: Date.now() - startTime, cached: true };
+                }
+            }
+        }
+
+        const requestOptions = {
+            ...options,
+            ...this.getToolOptions(tools),
+            ...this.getPromptCacheOptions(promptSections),
+            template
+        };
+        if (attachments.length > 0) {
+            Object.assign(requestOptions, { attachments, attachmentPosition });
+        }
+        if (signal) {
+            requestOptions.signal = signal;
+        }
+
+        const execution = await this.executeGeneration(providerChain, prompt, requestOptions, { outputSchema, signal });
+        const result = await this.recordGenerationSuccess(req, {
+            template,
+            requestedProvider: provider,
+            execution,
+            parameters,
+            routing,
+            responseTime: Date.now() - startTime
+        });
+
+        if (cacheKey && execution.provider === providerChain[0]) {
+            await this.responseCache.set(cacheKey, result);
+        }
+
+        return { ...result, cached: false };
+    }
+
+    /**
+     * Generate a completion, retrying and failing over along the provider chain
+     *
+     * With an output schema the model is asked for JSON. Output that does not parse or
+     * conform is sent back with the validation errors, up to `maxRepairAttempts` more
+     * times. Usage and cost cover every request made. The result carries the parsed
+     * `data`, and `validationErrors` when the output never conformed.
+     *
+     * @param {string[]} providerChain - Providers to try, in order
+     * @param {string} prompt - Rendered prompt
+     * @param {Object} requestOptions - Provider options
+     * @param {Object} settings - `outputSchema` and `signal`
+     * @returns {Promise<Object>} - Provider executor result `{ result, provider, attempts }`
+     */
+    async executeGeneration(providerChain, prompt, requestOptions, { outputSchema = null, signal } = {}) {
+        const generate = text => this.providerExecutor.execute(
+            providerChain,
+            providerInstance => providerInstance.generateCompletion(text, requestOptions),
+            { signal }
+        );
+
+        if (!outputSchema) {
+            return await generate(prompt);
+        }
+
+        const structuredPrompt = this.structuredOutput.buildPrompt(prompt, outputSchema);
+        const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+        const attempts = [];
+        let cost = 0;
+        let cacheSavings = null;
+        let nextPrompt = structuredPrompt;
+
+        for (let repairAttempts = 0; ; repairAttempts++) {
+            const execution = await generate(nextPrompt);
+            const { result } = execution;
+
+            attempts.push(...execution.attempts);
+            // Token counts, including prompt cache counts when the provider reports them
+            for (const [key, value] of Object.entries(result.usage || {})) {
+                usage[key] = (usage[key] || 0) + value;
+            }
+            cost += result.cost || 0;
+            if (result.cacheSavings !== undefined) {
+                cacheSavings = (cacheSavings || 0) + result.cacheSavings;
+            }
+
+            const parsed = this.structuredOutput.parse(result.content, outputSchema);
+            if (parsed.valid || repairAttempts >= this.structuredOutput.maxRepairAttempts) {
+                return {
+                    ...execution,
+                    attempts,
+                    result: {
+                        ...result,
+                        usage,
+                        cost,
+                        ...(cacheSavings !== null ? { cacheSavings } : {}),
+                        data: parsed.valid ? parsed.data : null,
+                        ...(parsed.valid ? {} : { validationErrors: parsed.errors }),
+                        repairAttempts
+                    }
+                };
+            }
+
+            logger.warn('Structured output did not match the schema', {
+                provider: execution.provider,
+                repairAttempt: repairAttempts + 1,
+                errors: parsed.errors.slice(0, 5),
+                eventType: 'structured_output'
+            });
+            nextPrompt = this.structuredOutput.buildRepairPrompt(structuredPrompt, result.content, parsed.errors);
+        }
+    }
+
+    /**
+     * Provider options that let the model call a template's tools
+     * @param {Array<Object>} tools - Tools from prepareTemplatePrompt()
+     */
+    getToolOptions(tools = []) {
+        return tools.length > 0 ? { tools, maxToolIterations: config.tools.maxIterations } : {};
+    }
+
+    /**
+     * Provider options that mark a template's `{{#cache}}` blocks as prompt cache breakpoints
+     * @param {Array<Object>} promptSections - Sections from prepareTemplatePrompt()
+     */
+    getPromptCacheOptions(promptSections) {
+        return promptSections ? { promptSections } : {};
+    }
+
+    /**
+     * Aggregate usage and cost over batch item results
+     */
+    summarizeBatch(results, responseTime) {
+        const summary = {
+            total: results.length,
+            succeeded: 0,
+            failed: 0,
+            usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+            cost: 0,
+            responseTime
+        };
+
+        for (const item of results) {
+            if (!item.success) {
+                summary.failed++;
+                continue;
+            }
+
+            summary.succeeded++;
+            summary.usage.inputTokens += item.result.usage?.inputTokens || 0;
+            summary.usage.outputTokens += item.result.usage?.outputTokens || 0;
+            summary.usage.totalTokens += item.result.usage?.totalTokens || 0;
+            summary.cost += item.result.cost || 0;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run an async worker over items with at most `limit` running at once
+     */
+    async mapWithConcurrency(items, limit, worker) {
+        let nextIndex = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                await worker(items[index], index);
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    /**
+     * Validate variables and render a template into the prompt sent to providers
+     * @param {string} template - Template key in format "category/name"
+     * @param {Object} variables - Variables from the request
+     * @returns {Promise<Object>} - `{ templateData, variables, prompt, promptSections, tools, outputSchema }` with
+     *   defaults applied to `variables`; `promptSections` splits the prompt at its `{{#cache}}` blocks, or is null without any
+     * @throws {ValidationError} - When the template is unknown or the variables are invalid
+     */
+    async prepareTemplatePrompt(template, variables) {
+        const templateData = await this.templateManager.getTemplate(template);
+        if (!templateData) {
+            throw new ValidationError(`Template '${template}' not found`);
+        }
+
+        // Check variables against the template's declared schema
+        const validation = this.templateManager.validateVariables(template, variables);
+        if (!validation.valid) {
+            throw new TemplateVariableError(template, validation);
+        }
+
+        // Render the template; optional variables left out render as empty text
+        const sections = this.templateManager.renderTemplateSections(templateData.content, validation.variables);
+
+        return {
+            templateData,
+            variables: validation.variables,
+            prompt: sections.map(section => section.text).join(''),
+            promptSections: sections.some(section => section.cache) ? sections : null,
+            tools: this.toolRegistry.resolveTools(templateData.metadata?.tools),
+            outputSchema: templateData.metadata?.output_schema || null
+        };
+    }
+
+    /**
+     * Render a template exactly as /api/generate would, without calling a provider
+     *
+     * Returns the prompt together with per-provider token and cost estimates and the
+     * placeholders that rendered as empty text.
+     */
+    async renderTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { template, variables = {} } = req.body;
+            const prepared = await this.prepareTemplatePrompt(template, variables);
+            const comparison = await providerFactory.getCostComparison(prepared.prompt, Array.from(this.providers.keys()));
+
+            const estimates = {};
+            for (const [name, estimate] of Object.entries(comparison)) {
+                estimates[name] = estimate.error
+                    ? { available: false, error: estimate.error }
+                    : {
+                        model: estimate.model,
+                        inputTokens: estimate.estimatedUsage.inputTokens,
+                        estimatedCost: estimate.estimatedCost
+                    };
+            }
+
+            logger.business('Template rendered', {
+                template,
+                promptLength: prepared.prompt.length,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                template,
+                prompt: prepared.prompt,
+                variables: prepared.variables,
+                unresolvedPlaceholders: this.templateManager.findUnresolvedVariables(prepared.templateData.content, prepared.variables),
+                tools: prepared.tools.map(tool => tool.name),
+                cacheBreakpoints: (prepared.promptSections || []).filter(section => section.cache).length,
+                estimates
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Queue a generation and return its job id
+     *
+     * The request is validated up front so clients get the same 400 responses as
+     * /api/generate; the provider call happens in the background.
+     */
+    async createJob(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { template, variables = {}, provider, options = {}, outputSchema, routing, callbackUrl } = req.body;
+
+            if (callbackUrl && !this.jobQueue.callbackSecret) {
+                throw new RequestValidationError('Job callbacks require JOB_CALLBACK_SECRET to be configured');
+            }
+
+            // Template defaults are applied again when the job runs, so later edits to them take effect
+            const prepared = await this.prepareTemplatePrompt(template, variables);
+            const parameters = this.applyTemplateDefaults(prepared.templateData, { provider, options });
+            const providerChain = await this.resolveProviderChain(parameters.provider, parameters.explicit, parameters.options.model);
+            if (prepared.tools.length > 0) {
+                this.getToolProviderChain(providerChain, parameters.provider);
+            }
+            this.resolveOutputSchema(outputSchema, prepared.outputSchema);
+            this.routeProviderChain(providerChain, {
+                routing,
+                templateData: prepared.templateData,
+                explicit: parameters.explicit,
+                prompt: prepared.prompt,
+                options: parameters.options,
+                capabilities: this.getRequiredCapabilities({ tools: prepared.tools })
+            });
+
+            const job = await this.jobQueue.enqueue(
+                { template, variables, provider, options, outputSchema, routing },
+                { callbackUrl, correlationId: req.correlationId }
+            );
+
+            res.status(202).json({
+                success: true,
+                job: this.jobQueue.describeJob(job),
+                statusUrl: `/api/jobs/${job.id}`
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the status and, once finished, the result of a job
+     */
+    async getJob(req, res, next) {
+        try {
+            const job = this.jobQueue.getJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Job not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                job: this.jobQueue.describeJob(job)
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Cancel a queued or running job
+     */
+    async cancelJob(req, res, next) {
+        try {
+            const job = await this.jobQueue.cancel(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Job not found'
+                });
+            }
+            if (job.status !== 'cancelled') {
+                return res.status(409).json({
+                    error: true,
+                    message: `Job already ${job.status}`
+                });
+            }
+
+            res.json({
+                success: true,
+                job: this.jobQueue.describeJob(job)
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Start a conversation, seeding its system prompt from a template or a literal prompt
+     */
+    async createConversation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { template, variables = {}, systemPrompt, provider, options = {} } = req.body;
+            if (template && systemPrompt) {
+                throw new RequestValidationError('Provide either a template or a systemPrompt, not both');
+            }
+
+            await this.resolveProviderChain(provider || this.defaultProvider, Boolean(provider), options.model);
+
+            let system = systemPrompt || null;
+            let systemSections = null;
+            if (template) {
+                const prepared = await this.prepareTemplatePrompt(template, variables);
+                if (prepared.tools.length > 0) {
+                    throw new RequestValidationError('Templates that use tools cannot start a conversation');
+                }
+                system = prepared.prompt;
+                systemSections = prepared.promptSections;
+            }
+
+            const conversation = await this.conversationManager.create({
+                template: template || null,
+                systemPrompt: system,
+                systemPromptSections: systemSections,
+                provider: provider || null,
+                options
+            });
+
+            logger.business('Conversation started', {
+                conversationId: conversation.id,
+                template,
+                provider,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                conversation
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a conversation and its message history
+     */
+    async getConversation(req, res, next) {
+        try {
+            const conversation = this.conversationManager.getConversation(req.params.id);
+            if (!conversation) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Conversation not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                conversation
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a conversation
+     */
+    async deleteConversation(req, res, next) {
+        try {
+            if (!await this.conversationManager.delete(req.params.id)) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Conversation not found'
+                });
+            }
+
+            logger.business('Conversation deleted', {
+                conversationId: req.params.id,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                conversationId: req.params.id
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Send a user message and return the assistant's reply
+     *
+     * The history sent to the provider is trimmed, oldest exchanges first, to fit the
+     * smallest context window in the provider chain. The exchange is stored only when
+     * the provider call succeeds, so a failed message can simply be sent again.
+     */
+    async sendConversationMessage(req, res, next) {
+        const startTime = Date.now();
+        const conversationId = req.params.id;
+        let acquired = false;
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const conversation = this.conversationManager.getConversation(conversationId);
+            if (!conversation) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Conversation not found'
+                });
+            }
+
+            acquired = this.conversationManager.acquire(conversationId);
+            if (!acquired) {
+                return res.status(409).json({
+                    error: true,
+                    message: 'Another message is already being processed for this conversation'
+                });
+            }
+
+            const { content, options = {} } = req.body;
+            const requestedProvider = conversation.provider || this.defaultProvider;
+            const requestOptions = { ...conversation.options, ...options };
+            const providerChain = await this.resolveProviderChain(requestedProvider, Boolean(conversation.provider), requestOptions.model);
+
+            const contextWindow = Math.min(
+                config.conversations.maxContextTokens,
+                ...providerChain.map(name => this.providers.get(name).getContextWindow(requestOptions.model))
+            );
+            const primaryProvider = this.providers.get(providerChain[0]);
+            const context = this.conversationManager.buildContext(conversation, content, {
+                contextWindow,
+                reserveTokens: requestOptions.maxTokens || 1000,
+                estimateTokens: text => primaryProvider.estimateTokens(text)
+            });
+
+            const execution = await this.providerExecutor.execute(
+                providerChain,
+                providerInstance => providerInstance.generateCompletion(content, {
+                    ...requestOptions,
+                    template: conversation.template || undefined,
+                    systemPrompt: conversation.systemPrompt || undefined,
+                    systemPromptSections: conversation.systemPromptSections || undefined,
+                    messages: context.messages
+                })
+            );
+
+            const result = await this.recordGenerationSuccess(req, {
+                template: conversation.template,
+                requestedProvider,
+                execution,
+                responseTime: Date.now() - startTime
+            });
+            await this.conversationManager.appendExchange(conversation, content, result);
+
+            res.json({
+                success: true,
+                conversationId,
+                message: { role: 'assistant', content: result.content },
+                result,
+                context: {
+                    sentMessages: context.messages.length + 1,
+                    trimmedMessages: context.trimmed
+                }
+            });
+        } catch (error) {
+            await this.recordGenerationFailure(req, error, Date.now() - startTime);
+            next(error);
+        } finally {
+            if (acquired) {
+                this.conversationManager.release(conversationId);
+            }
+        }
+    }
+
+    /**
+     * Run a queued generation job; the job queue stores the returned result
+     * @param {Object} job - Queued job
+     * @param {AbortSignal} signal - Aborted when the job is cancelled
+     * @returns {Promise<Object>} - Same result object /api/generate returns
+     */
+    async runGenerationJob(job, signal) {
+        const startTime = Date.now();
+        const { template, variables = {} } = job.request;
+        const context = { body: job.request, correlationId: job.correlationId };
+
+        try {
+            const prepared = await this.prepareTemplatePrompt(template, variables);
+            const parameters = this.applyTemplateDefaults(prepared.templateData, job.request);
+            const { provider: requestedProvider, options } = parameters;
+            let providerChain = await this.resolveProviderChain(requestedProvider, parameters.explicit, options.model);
+            const routed = this.routeProviderChain(providerChain, {
+                routing: job.request.routing,
+                templateData: prepared.templateData,
+                explicit: parameters.explicit,
+                prompt: prepared.prompt,
+                options,
+                capabilities: this.getRequiredCapabilities({ tools: prepared.tools })
+            });
+            providerChain = routed.providerChain;
+            if (prepared.tools.length > 0) {
+                providerChain = this.getToolProviderChain(providerChain, requestedProvider);
+            }
+            const outputSchema = this.resolveOutputSchema(job.request.outputSchema, prepared.outputSchema);
+
+            // Jobs are not bound by the HTTP client's patience, so they get a longer provider timeout
+            const execution = await this.executeGeneration(
+                providerChain,
+                prepared.prompt,
+                {
+                    timeout: config.jobs.requestTimeout,
+                    ...options,
+                    ...this.getToolOptions(prepared.tools),
+                    ...this.getPromptCacheOptions(prepared.promptSections),
+                    template,
+                    signal
+                },
+                { outputSchema, signal }
+            );
+
+            return await this.recordGenerationSuccess(context, {
+                template,
+                requestedProvider,
+                execution,
+                parameters,
+                routing: routed.routing,
+                responseTime: Date.now() - startTime
+            });
+        } catch (error) {
+            await this.recordGenerationFailure(context, error, Date.now() - startTime);
+            throw error;
+        }
+    }
+
+    /**
+     * Stream a completion to the client as Server-Sent Events
+     *
+     * Emits `delta` events with content fragments and a final `done` event carrying
+     * the same result object the JSON response returns. Errors raised before the first
+     * event propagate to the caller so they get a regular JSON error response; later
+     * errors are reported as an `error` event.
+     */
+    async streamCompletion(req, res, { template, provider, providerChain, prompt, options, parameters = null, routing = null, startTime }) {
+        const streamingChain = providerChain.filter(name => {
+            const capabilities = this.providers.get(name).getCapabilities();
+            return capabilities.supportsStreaming;
+        });
+        if (streamingChain.length === 0) {
+            throw new RequestValidationError(`Provider '${provider}' does not support streaming`);
+        }
+
+        // Abort the upstream request if the client goes away
+        const abortController = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                abortController.abort();
+            }
+        });
+
+        // Retries and failover are only possible until the first event has been received
+        const execution = await this.providerExecutor.executeStream(
+            streamingChain,
+            providerInstance => providerInstance.streamCompletion(prompt, { ...options, template, signal: abortController.signal }),
+            { signal: abortController.signal }
+        );
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        try {
+            for await (const event of execution.result) {
+                if (event.type === 'delta') {
+                    sendEvent('delta', { content: event.content });
+                } else if (event.type === 'done') {
+                    const responseTime = Date.now() - startTime;
+                    const result = await this.recordGenerationSuccess(req, {
+                        template,
+                        requestedProvider: provider,
+                        execution: { ...execution, result: event },
+                        parameters,
+                        routing,
+                        responseTime
+                    });
+                    sendEvent('done', { success: true, result });
+                }
+            }
+        } catch (error) {
+            const responseTime = Date.now() - startTime;
+            error.attempts = [...execution.attempts, {
+                provider: execution.provider,
+                success: false,
+                responseTime,
+                errorType: error.name
+            }];
+            await this.recordGenerationFailure(req, error, responseTime);
+
+            if (!abortController.signal.aborted) {
+                sendEvent('error', this.errorHandler.handleError(error, req));
+            }
+        }
+
+        res.end();
+    }
+
+    /**
+     * Track a successful generation and build the result returned to the client
+     * @param {Object} req - Express request, or `{ body, correlationId }` for background jobs
+     * @param {Object} details - `parameters` from applyTemplateDefaults() adds the effective
+     *   generation parameters to the result
+     */
+    async recordGenerationSuccess(req, { template, requestedProvider, execution, parameters = null, routing = null, responseTime }) {
+        const { result, provider, attempts } = execution;
+
+        this.trackFailedAttempts(template, attempts);
+
+        // Track provider usage
+        this.monitoring.trackProviderUsage(
+            provider,
+            'generate_completion',
+            true,
+            responseTime,
+            result.cost || 0,
+            {
+                template,
+                tokensUsed: result.usage?.totalTokens || 0,
+                model: result.model
+            }
+        );
+
+        // Update template usage
+        await this.templateManager.updateTemplateUsage(template, {
+            success: true,
+            provider,
+            model: result.model,
+            responseTime,
+            tokensUsed: result.usage?.totalTokens || 0,
+            cost: result.cost || 0,
+            cacheReadTokens: result.usage?.cacheReadInputTokens || 0,
+            cacheWriteTokens: result.usage?.cacheCreationInputTokens || 0,
+            cacheSavings: result.cacheSavings || 0
+        });
+
+        logger.business('Generation request completed', {
+            template,
+            provider,
+            success: true,
+            responseTime,
+            tokensUsed: result.usage?.totalTokens || 0,
+            cost: result.cost || 0,
+            correlationId: req.correlationId
+        });
+
+        return {
+            content: result.content,
+            template,
+            provider,
+            usage: result.usage,
+            cost: result.cost,
+            ...(result.cacheSavings !== undefined ? { cacheSavings: result.cacheSavings } : {}),
+            responseTime,
+            model: result.model,
+            finishReason: result.finishReason,
+            ...(result.toolCalls ? { toolCalls: result.toolCalls } : {}),
+            ...(result.data !== undefined ? { data: result.data, repairAttempts: result.repairAttempts } : {}),
+            ...(result.validationErrors ? { validationErrors: result.validationErrors } : {}),
+            requestedProvider,
+            attempts: attempts.length,
+            ...(parameters ? { parameters: this.describeParameters(provider, result.model, parameters) } : {}),
+            ...(routing ? { routing } : {})
+        };
+    }
+
+    /**
+     * Record failed provider attempts made while retrying or failing over
+     */
+    trackFailedAttempts(template, attempts = []) {
+        // Calls skipped by an open circuit breaker never reached the provider
+        for (const attempt of attempts.filter(a => !a.success && !a.shortCircuited)) {
+            this.monitoring.trackProviderUsage(
+                attempt.provider,
+                'generate_completion',
+                false,
+                attempt.responseTime,
+                0,
+                {
+                    template,
+                    errorType: attempt.errorType
+                }
+            );
+        }
+    }
+
+    /**
+     * Track a failed generation
+     * @param {Object} req - Express request, or `{ body, correlationId }` for background jobs
+     */
+    async recordGenerationFailure(req, error, responseTime) {
+        // Track failed provider usage
+        if (error.attempts) {
+            this.trackFailedAttempts(req.body.template, error.attempts);
+        } else if (req.body.provider) {
+            this.monitoring.trackProviderUsage(
+                req.body.provider,
+                'generate_completion',
+                false,
+                responseTime,
+                0,
+                {
+                    template: req.body.template,
+                    errorType: error.name
+                }
+            );
+        }
+
+        // Update template usage for failed generation
+        if (req.body.template) {
+            await this.templateManager.updateTemplateUsage(req.body.template, {
+                success: false,
+                responseTime,
+                tokensUsed: 0,
+                cost: 0
+            });
+        }
+
+        logger.business('Generation request failed', {
+            template: req.body.template,
+            provider: req.body.provider,
+            success: false,
+            attempts: error.attempts ? error.attempts.length : 0,
+            responseTime,
+            error: error.message,
+            correlationId: req.correlationId
+        });
+    }
+
+    /**
+     * Get available providers
+     */
+    getProviders(req, res) {
+        const providers = Array.from(this.providers.entries()).map(([name, provider]) => ({
+            name,
+            models: provider.getAvailableModels ? provider.getAvailableModels() : [],
+            available: true,
+            circuitState: provider.circuitBreaker ? provider.circuitBreaker.state : null
+        }));
+
+        res.json({
+            success: true,
+            providers,
+            default: this.defaultProvider,
+            mockMode: this.mockMode,
+            fallbackChain: this.providerExecutor.getProviderChain(this.defaultProvider)
+        });
+    }
+
+    /**
+     * List the models in the model catalog with their limits and pricing
+     * `available` tells whether the provider is configured on this server
+     */
+    getModels(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { provider } = req.query;
+            if (provider && !modelCatalog.getProvider(provider)) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Provider not found'
+                });
+            }
+
+            const providers = modelCatalog.describe(provider);
+            for (const [name, description] of Object.entries(providers)) {
+                description.available = this.providers.has(name);
+            }
+
+            res.json({
+                success: true,
+                providers
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Test provider connection
+     */
+    async testProvider(req, res, next) {
+        try {
+            const { provider } = req.params;
+            const providerInstance = this.providers.get(provider);
+
+            if (!providerInstance) {
+                throw new ValidationError(`Provider '${provider}' not available`);
+            }
+
+            const result = await providerInstance.testConnection();
+            res.json({
+                success: true,
+                provider,
+                test: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * The local provider, whose Ollama server the model endpoints manage
+     * @throws {ValidationError} - When the local provider is not configured
+     */
+    getLocalProvider() {
+        const provider = this.providers.get('local');
+        if (!provider) {
+            throw new ValidationError('Provider \'local\' not available');
+        }
+        return provider;
+    }
+
+    /**
+     * Names of the templates that have generated successfully with a local model
+     */
+    getTemplatesValidatedWith(provider, model, validated = this.templateManager.getValidatedModels('local')) {
+        return Object.keys(validated)
+            .filter(templateKey => Object.keys(validated[templateKey]).some(name => provider.isSameModel(name, model)));
+    }
+
+    /**
+     * List the models installed on the Ollama server
+     *
+     * Each model lists the templates validated against it, meaning they have generated
+     * successfully with it; `templates` gives the same from the template side.
+     */
+    async listLocalModels(req, res, next) {
+        try {
+            const provider = this.getLocalProvider();
+            const models = await provider.listOllamaModels();
+            const validated = this.templateManager.getValidatedModels('local');
+
+            const templates = {};
+            for (const [templateKey, templateModels] of Object.entries(validated)) {
+                templates[templateKey] = Object.entries(templateModels).map(([model, validation]) => ({
+                    model,
+                    ...validation,
+                    installed: models.some(installed => provider.isSameModel(installed.name, model))
+                }));
+            }
+
+            res.json({
+                success: true,
+                models: models.map(model => ({
+                    ...model,
+                    validatedTemplates: this.getTemplatesValidatedWith(provider, model.name, validated)
+                })),
+                templates
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Show the details of an installed Ollama model
+     */
+    async getLocalModel(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const provider = this.getLocalProvider();
+            const model = await provider.showModel(req.params.name);
+            if (!model) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Model not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                model: {
+                    ...model,
+                    validatedTemplates: this.getTemplatesValidatedWith(provider, model.name)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Pull a model onto the Ollama server, streaming progress as Server-Sent Events
+     *
+     * Emits `progress` events with Ollama's status and byte counts, then `done`. Errors
+     * before the first event get a regular JSON error response; later ones an `error` event.
+     * Disconnecting cancels the pull.
+     */
+    async pullLocalModel(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { name } = req.body;
+            const provider = this.getLocalProvider();
+            const abortController = new AbortController();
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    abortController.abort();
+                }
+            });
+
+            const progress = provider.pullModel(name, { signal: abortController.signal });
+            let step = await progress.next();
+
+            res.status(200);
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            const sendEvent = (event, data) => {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            try {
+                while (!step.done) {
+                    const { total, completed } = step.value;
+                    sendEvent('progress', {
+                        ...step.value,
+                        percent: total && completed ? Math.round((completed / total) * 100) : null
+                    });
+                    step = await progress.next();
+                }
+
+                logger.business('Local model pulled', {
+                    provider: 'local',
+                    model: name,
+                    correlationId: req.correlationId
+                });
+                sendEvent('done', { success: true, model: name });
+            } catch (error) {
+                if (!abortController.signal.aborted) {
+                    sendEvent('error', this.errorHandler.handleError(error, req));
+                }
+            }
+
+            res.end();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Remove a model from the Ollama server
+     */
+    async deleteLocalModel(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ValidationError('Validation failed', errors.array());
+            }
+
+            const { name } = req.params;
+            const deleted = await this.getLocalProvider().deleteModel(name);
+            if (!deleted) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Model not found'
+                });
+            }
+
+            logger.business('Local model deleted', {
+                provider: 'local',
+                model: name,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                model: name
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get system metrics
+     */
+    async getMetrics(req, res) {
+        const templateStats = this.templateManager.getTemplateStats();
+        const healthMetrics = this.healthMonitor.getMetrics();
+        const monitoringMetrics = this.monitoring.getMetrics();
+
+        res.json({
+            success: true,
+            metrics: {
+                ...healthMetrics,
+                memory: healthMetrics.system?.memory || {},
+                templates: templateStats,
+                providers: Array.from(this.providers.keys()),
+                responseCache: {
+                    ...await this.responseCache.getStats(),
+                    ...monitoringMetrics.cache
+                },
+                rateLimits: monitoringMetrics.rateLimits,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Get comprehensive monitoring metrics
+     */
+    getMonitoringMetrics(req, res) {
+        const monitoringMetrics = this.monitoring.getMetrics();
+        const healthStatus = this.monitoring.getHealthStatus();
+
+        res.json({
+            success: true,
+            monitoring: monitoringMetrics,
+            health: healthStatus,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Setup error handling
+     */
+    setupErrorHandling() {
+        // 404 handler
+        this.app.use('*', (req, res) => {
+            res.status(404).json({
+                error: true,
+                message: 'Endpoint not found',
+                type: 'not_found_error'
+            });
+        });
+
+        // Global error handler
+        this.app.use(logger.errorLoggingMiddleware());
+        this.app.use(this.errorHandler.expressMiddleware());
     }
 
     /**
@@ -701,6 +2953,13 @@ class ApiServer {
 
         this.monitoring.stop();
         this.healthMonitor.stop();
+        for (const unsubscribe of this.breakerSubscriptions) {
+            unsubscribe();
+        }
+        this.breakerSubscriptions = [];
+        this.templateManager.stop();
+        this.jobQueue.stop();
+        this.conversationManager.stop();
         logger.cleanup();
     }
 }
@@ -0,0 +1,151 @@
+/**
+ * Attachments - Image and PDF inputs sent to providers with a prompt
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Base64 attachments from JSON bodies and files from multipart uploads
+ * - MIME type allow-list checked against the file's actual signature
+ * - Per-file, per-request and total size limits
+ * - Content hashes for response cache keys
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { RequestValidationError } = require('./error_handler');
+
+// Leading bytes of each accepted file type
+const SIGNATURES = {
+    'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    'image/gif': buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')),
+    'image/webp': buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+    'application/pdf': buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+class AttachmentProcessor {
+    /**
+     * @param {Object} options - `maxFiles`, `maxFileSize` and `maxTotalSize` (bytes), `allowedTypes` (MIME types)
+     */
+    constructor(options = {}) {
+        this.maxFiles = options.maxFiles || 5;
+        this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024;
+        this.maxTotalSize = options.maxTotalSize || 20 * 1024 * 1024;
+        this.allowedTypes = options.allowedTypes || Object.keys(SIGNATURES);
+    }
+
+    /**
+     * Validate attachments from a request body
+     *
+     * Each entry is `{ mediaType, data, name }` with base64 `data`. A `data:` URL is
+     * accepted in place of `data`, in which case `mediaType` may be left out.
+     *
+     * @param {Array<Object>} attachments - Attachments from the request
+     * @returns {Array<Object>} - `{ kind, mediaType, data, name, size, hash }` with `kind` `image` or `document`;
+     *   documents also carry an estimated `pages` count
+     * @throws {RequestValidationError} - When an attachment is malformed, too large or of a type that is not allowed
+     */
+    normalize(attachments) {
+        if (!attachments) {
+            return [];
+        }
+        if (!Array.isArray(attachments)) {
+            throw new RequestValidationError('Attachments must be a list');
+        }
+        if (attachments.length > this.maxFiles) {
+            throw new RequestValidationError(`At most ${this.maxFiles} attachments are allowed per request`);
+        }
+
+        const normalized = attachments.map((attachment, index) => this.normalizeOne(attachment, index));
+
+        const totalSize = normalized.reduce((sum, attachment) => sum + attachment.size, 0);
+        if (totalSize > this.maxTotalSize) {
+            throw new RequestValidationError(`Attachments exceed the total size limit of ${this.maxTotalSize} bytes`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate one attachment
+     */
+    normalizeOne(attachment, index) {
+        if (!attachment || typeof attachment !== 'object' || typeof attachment.data !== 'string') {
+            throw new RequestValidationError(`Attachment ${index + 1} must be an object with base64 data`);
+        }
+
+        let { mediaType, data } = attachment;
+        const dataUrl = data.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+        if (dataUrl) {
+            mediaType = mediaType || dataUrl[1];
+            data = dataUrl[2];
+        }
+        data = data.replace(/\s/g, '');
+
+        const label = attachment.name ? `'${attachment.name}'` : String(index + 1);
+        mediaType = String(mediaType || '').toLowerCase();
+
+        if (!this.allowedTypes.includes(mediaType) || !SIGNATURES[mediaType]) {
+            throw new RequestValidationError(`Attachment ${label} has unsupported type '${mediaType}'. Allowed types: ${this.allowedTypes.join(', ')}`);
+        }
+        if (!data || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+            throw new RequestValidationError(`Attachment ${label} is not valid base64`);
+        }
+
+        const buffer = Buffer.from(data, 'base64');
+        if (buffer.length > this.maxFileSize) {
+            throw new RequestValidationError(`Attachment ${label} exceeds the size limit of ${this.maxFileSize} bytes`);
+        }
+        if (!SIGNATURES[mediaType](buffer)) {
+            throw new RequestValidationError(`Attachment ${label} content does not match its type '${mediaType}'`);
+        }
+
+        const attachmentData = {
+            kind: mediaType === 'application/pdf' ? 'document' : 'image',
+            mediaType,
+            data,
+            name: attachment.name ? String(attachment.name).replace(/[^\w .()-]/g, '_').slice(0, 255) : null,
+            size: buffer.length,
+            hash: crypto.createHash('sha256').update(buffer).digest('hex')
+        };
+        if (attachmentData.kind === 'document') {
+            attachmentData.pages = this.countPdfPages(buffer);
+        }
+
+        return attachmentData;
+    }
+
+    /**
+     * Rough PDF page count for token estimates
+     * Page objects inside compressed object streams are not visible, so this counts at least one page
+     */
+    countPdfPages(buffer) {
+        const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-z])/gi);
+        return Math.max(1, matches ? matches.length : 0);
+    }
+
+    /**
+     * Turn uploaded files into request attachments for normalize()
+     * @param {Array<Object>} files - `{ buffer, mediaType, name }` read from a multipart body
+     * @returns {Array<Object>} - `{ mediaType, data, name }` with base64 `data`
+     */
+    fromUploads(files) {
+        return files.map(file => ({
+            mediaType: file.mediaType,
+            data: file.buffer.toString('base64'),
+            name: file.name
+        }));
+    }
+
+    /**
+     * Public description of attachments, without their data
+     */
+    describe(attachments = []) {
+        return attachments.map(({ kind, mediaType, name, size }) => ({ kind, mediaType, name, size }));
+    }
+}
+
+module.exports = AttachmentProcessor;
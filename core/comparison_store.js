@@ -0,0 +1,134 @@
+/**
+ * Comparison Store - Saved side-by-side model comparisons
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - One record per /api/compare run: the rendered prompt and every target's output
+ * - Listing by template, newest first
+ * - File-backed storage capped at `maxRecords`, dropping the oldest records
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+class ComparisonStore {
+    constructor(options = {}) {
+        this.configDir = options.configDir || path.join(__dirname, '../config');
+        this.comparisonsFile = path.join(this.configDir, 'comparisons.json');
+        this.maxRecords = options.maxRecords || 500;
+        this.comparisons = new Map();
+        this.saveChain = Promise.resolve();
+
+        if (options.autoInit !== false) {
+            this.ready = this.loadComparisons();
+        }
+    }
+
+    /**
+     * Load stored comparisons from file
+     */
+    async loadComparisons() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.comparisonsFile, 'utf8'));
+            this.comparisons = new Map((data.comparisons || []).map(comparison => [comparison.id, comparison]));
+            logger.info('Comparisons loaded', { count: this.comparisons.size, eventType: 'comparison_load' });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to load comparisons, starting empty', { error: error.message });
+            }
+            this.comparisons = new Map();
+        }
+    }
+
+    /**
+     * Persist comparisons to file; writes are serialized so the file is never written concurrently
+     */
+    saveComparisons() {
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                const data = {
+                    last_updated: new Date().toISOString(),
+                    comparisons: Array.from(this.comparisons.values())
+                };
+                const tempFile = `${this.comparisonsFile}.tmp`;
+                await fs.mkdir(this.configDir, { recursive: true });
+                await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+                await fs.rename(tempFile, this.comparisonsFile);
+            } catch (error) {
+                logger.error('Failed to save comparisons', error);
+            }
+        });
+        return this.saveChain;
+    }
+
+    /**
+     * Save a comparison, dropping the oldest records beyond `maxRecords`
+     * @param {Object} comparison - `template`, `label`, `variables`, `prompt`, `options` and `results`
+     * @returns {Promise<Object>} - The stored record with its `id` and `createdAt`
+     */
+    async save(comparison) {
+        await this.ready;
+
+        const record = {
+            id: `cmp_${uuidv4()}`,
+            ...comparison,
+            createdAt: new Date().toISOString()
+        };
+        this.comparisons.set(record.id, record);
+
+        // Maps keep insertion order, so the first keys are the oldest records
+        for (const id of this.comparisons.keys()) {
+            if (this.comparisons.size <= this.maxRecords) break;
+            this.comparisons.delete(id);
+        }
+
+        await this.saveComparisons();
+        return record;
+    }
+
+    /**
+     * Get a saved comparison
+     */
+    get(id) {
+        return this.comparisons.get(id) || null;
+    }
+
+    /**
+     * List saved comparisons, newest first, without their prompts and outputs
+     * @param {Object} filters - `template` and `limit`
+     * @returns {Array<Object>} - Summaries with each target's model, latency, cost and outcome
+     */
+    list({ template = null, limit = 50 } = {}) {
+        return Array.from(this.comparisons.values())
+            .filter(comparison => !template || comparison.template === template)
+            .reverse()
+            .slice(0, limit)
+            .map(({ id, template: name, label, createdAt, results }) => ({
+                id,
+                template: name,
+                label,
+                createdAt,
+                results: results.map(({ provider, model, success, responseTime, cost, finishReason }) =>
+                    ({ provider, model, success, responseTime, cost, finishReason }))
+            }));
+    }
+
+    /**
+     * Delete a saved comparison
+     * @returns {Promise<boolean>} - False if it did not exist
+     */
+    async delete(id) {
+        if (!this.comparisons.delete(id)) {
+            return false;
+        }
+        await this.saveComparisons();
+        return true;
+    }
+}
+
+module.exports = ComparisonStore;
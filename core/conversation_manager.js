@@ -0,0 +1,249 @@
+/**
+ * Conversation Manager - Multi-turn conversation sessions
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Message history with a system prompt seeded from a template
+ * - History trimming to fit the model's context window
+ * - File-backed storage with an idle TTL
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+// Rough per-message overhead of role markers and separators, in tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+class ConversationManager {
+    constructor(options = {}) {
+        this.configDir = options.configDir || path.join(__dirname, '../config');
+        this.conversationsFile = path.join(this.configDir, 'conversations.json');
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000; // 24 hours since the last message
+        this.conversations = new Map();
+        this.busy = new Set();
+        this.saveChain = Promise.resolve();
+
+        if (options.autoInit !== false) {
+            this.init();
+        }
+    }
+
+    /**
+     * Load stored conversations and start removing expired ones
+     */
+    async init() {
+        await this.loadConversations();
+        await this.pruneExpired();
+
+        this.cleanupInterval = setInterval(() => this.pruneExpired(), 60 * 60 * 1000);
+        this.cleanupInterval.unref();
+    }
+
+    /**
+     * Stop the cleanup timer
+     */
+    stop() {
+        clearInterval(this.cleanupInterval);
+    }
+
+    /**
+     * Load conversations from file
+     */
+    async loadConversations() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.conversationsFile, 'utf8'));
+            this.conversations = new Map((data.conversations || []).map(conversation => [conversation.id, conversation]));
+            logger.info('Conversations loaded', { count: this.conversations.size, eventType: 'conversation_load' });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to load conversations, starting empty', { error: error.message });
+            }
+            this.conversations = new Map();
+        }
+    }
+
+    /**
+     * Persist conversations to file; writes are serialized so the file is never written concurrently
+     */
+    saveConversations() {
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                const data = {
+                    last_updated: new Date().toISOString(),
+                    conversations: Array.from(this.conversations.values())
+                };
+                const tempFile = `${this.conversationsFile}.tmp`;
+                await fs.mkdir(this.configDir, { recursive: true });
+                await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+                await fs.rename(tempFile, this.conversationsFile);
+            } catch (error) {
+                logger.error('Failed to save conversations', error);
+            }
+        });
+        return this.saveChain;
+    }
+
+    /**
+     * Start a conversation
+     * @param {Object} settings - `template`, `systemPrompt`, `systemPromptSections` (the system prompt split at
+     *   its template's `{{#cache}}` blocks), `provider` and default request `options`
+     * @returns {Promise<Object>} - The new conversation
+     */
+    async create({ template = null, systemPrompt = null, systemPromptSections = null, provider = null, options = {} } = {}) {
+        const now = new Date();
+        const conversation = {
+            id: `conv_${uuidv4()}`,
+            template,
+            systemPrompt,
+            ...(systemPromptSections && { systemPromptSections }),
+            provider,
+            options,
+            messages: [],
+            usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+            cost: 0,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+        };
+
+        this.conversations.set(conversation.id, conversation);
+        await this.saveConversations();
+        return conversation;
+    }
+
+    /**
+     * Get a conversation that has not expired
+     */
+    getConversation(id) {
+        const conversation = this.conversations.get(id);
+        if (!conversation || new Date(conversation.expiresAt).getTime() <= Date.now()) {
+            return null;
+        }
+        return conversation;
+    }
+
+    /**
+     * Delete a conversation
+     * @returns {Promise<boolean>} - False if it did not exist
+     */
+    async delete(id) {
+        if (!this.conversations.delete(id)) {
+            return false;
+        }
+        await this.saveConversations();
+        return true;
+    }
+
+    /**
+     * Mark a conversation as busy so concurrent messages cannot interleave
+     * @returns {boolean} - False if another message is already in progress
+     */
+    acquire(id) {
+        if (this.busy.has(id)) {
+            return false;
+        }
+        this.busy.add(id);
+        return true;
+    }
+
+    /**
+     * Release a conversation marked busy by acquire()
+     */
+    release(id) {
+        this.busy.delete(id);
+    }
+
+    /**
+     * Select the history to send with a new message
+     *
+     * Keeps the most recent user/assistant exchanges that fit in the context window after
+     * the system prompt, the new message and the completion budget are accounted for.
+     *
+     * @param {Object} conversation - Conversation
+     * @param {string} content - New user message
+     * @param {Object} limits - `contextWindow`, `reserveTokens` (completion budget) and `estimateTokens(text)`
+     * @returns {{messages: Array<Object>, trimmed: number}} - History to send and how many messages were left out
+     */
+    buildContext(conversation, content, { contextWindow, reserveTokens, estimateTokens }) {
+        let budget = contextWindow - reserveTokens -
+            estimateTokens(conversation.systemPrompt || '') -
+            estimateTokens(content) - MESSAGE_OVERHEAD_TOKENS;
+
+        const history = conversation.messages;
+        let start = history.length;
+
+        // Exchanges are stored in pairs, so trimming whole pairs keeps the history starting with a user turn
+        while (start >= 2) {
+            const cost = history.slice(start - 2, start)
+                .reduce((total, message) => total + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+            if (cost > budget) break;
+
+            budget -= cost;
+            start -= 2;
+        }
+
+        return {
+            messages: history.slice(start).map(({ role, content: text }) => ({ role, content: text })),
+            trimmed: start
+        };
+    }
+
+    /**
+     * Record a completed exchange and extend the conversation's expiry
+     * @param {Object} conversation - Conversation
+     * @param {string} content - User message that was sent
+     * @param {Object} result - Generation result for the reply
+     */
+    async appendExchange(conversation, content, result) {
+        const now = new Date();
+
+        conversation.messages.push(
+            { role: 'user', content, createdAt: now.toISOString() },
+            {
+                role: 'assistant',
+                content: result.content,
+                createdAt: now.toISOString(),
+                provider: result.provider,
+                model: result.model,
+                usage: result.usage
+            }
+        );
+
+        conversation.usage.inputTokens += result.usage?.inputTokens || 0;
+        conversation.usage.outputTokens += result.usage?.outputTokens || 0;
+        conversation.usage.totalTokens += result.usage?.totalTokens || 0;
+        conversation.cost += result.cost || 0;
+        conversation.updatedAt = now.toISOString();
+        conversation.expiresAt = new Date(now.getTime() + this.ttlMs).toISOString();
+
+        await this.saveConversations();
+    }
+
+    /**
+     * Remove conversations past their expiry
+     */
+    async pruneExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [id, conversation] of this.conversations.entries()) {
+            if (new Date(conversation.expiresAt).getTime() <= now && !this.busy.has(id)) {
+                this.conversations.delete(id);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            await this.saveConversations();
+            logger.info('Expired conversations removed', { count: removed, eventType: 'conversation_cleanup' });
+        }
+        return removed;
+    }
+}
+
+module.exports = ConversationManager;
@@ -167,14 +167,24 @@ class ErrorHandler {
                 errors.push('Template is required for generation');
             }
 
-            if (req.body.variables) {
-                const variableErrors = this.validateTemplateVariables(req.body.variables);
-                errors.push(...variableErrors);
+            // Batch requests carry one variable set per item
+            if (Array.isArray(req.body.items)) {
+                req.body.items.forEach((variables, index) => {
+                    const variableErrors = this.validateTemplateVariables(variables);
+                    errors.push(...variableErrors.map(error => `Item ${index}: ${error}`));
+                });
             }
         }
 
-        // Validate headers for POST requests only
-        if (req.method === 'POST' && (!req.headers['content-type'] || !req.headers['content-type'].includes('application/json'))) {
+        // Template variables are checked wherever they are accepted (generation, jobs, conversations)
+        if (req.body?.variables) {
+            const variableErrors = this.validateTemplateVariables(req.body.variables);
+            errors.push(...variableErrors);
+        }
+
+        // Validate headers for POST requests only; routes that accept uploads parse multipart bodies themselves
+        if (req.method === 'POST' && !req.multipartParsed &&
+            (!req.headers['content-type'] || !req.headers['content-type'].includes('application/json'))) {
             errors.push('Content-Type must be application/json');
         }
 
@@ -199,7 +209,7 @@ class ErrorHandler {
 
         // Track security events if relevant
         if (this.monitoring) {
-            if (error.name === 'ValidationError') {
+            if (error.name === 'ValidationError' || error.name === 'RequestValidationError') {
                 this.monitoring.trackSecurityEvent('input_validation_failure', {
                     errorId,
                     errorType: error.name
@@ -241,15 +251,57 @@ class ErrorHandler {
         };
 
         // Map internal errors to safe external messages
-        if (error.name === 'ValidationError') {
+        if (error.name === 'TemplateVariableError') {
+            // Field names only - the caller needs them to fix the request
+            sanitizedResponse.message = error.message;
+            sanitizedResponse.type = 'validation_error';
+            sanitizedResponse.details = {
+                missing: error.missing,
+                unknown: error.unknown,
+                invalid: error.invalid
+            };
+        } else if (error.name === 'UnknownModelError') {
+            sanitizedResponse.message = error.message;
+            sanitizedResponse.type = 'validation_error';
+            sanitizedResponse.details = {
+                provider: error.provider,
+                model: error.model,
+                availableModels: error.availableModels
+            };
+        } else if (error.name === 'TemplateSyntaxError') {
+            sanitizedResponse.message = error.message;
+            sanitizedResponse.type = 'validation_error';
+        } else if (error.name === 'RequestValidationError') {
+            sanitizedResponse.message = error.message;
+            sanitizedResponse.type = 'validation_error';
+            if (error.details.length > 0) {
+                sanitizedResponse.details = error.details;
+            }
+        } else if (error.name === 'ValidationError') {
             sanitizedResponse.message = 'Invalid input provided';
             sanitizedResponse.type = 'validation_error';
+        } else if (error.type === 'entity.too.large') {
+            // Raised by the body parser before any handler runs
+            sanitizedResponse.message = `Request body exceeds the ${error.limit} byte limit`;
+            sanitizedResponse.type = 'payload_too_large_error';
         } else if (error.name === 'AuthenticationError') {
             sanitizedResponse.message = 'Authentication failed';
             sanitizedResponse.type = 'auth_error';
-        } else if (error.name === 'RateLimitError') {
+        } else if (error.name === 'RateLimitError' || error.name === 'ProviderRateLimitError') {
             sanitizedResponse.message = 'Rate limit exceeded';
             sanitizedResponse.type = 'rate_limit_error';
+        } else if (error.name === 'ProviderTimeoutError') {
+            sanitizedResponse.message = 'External service timed out';
+            sanitizedResponse.type = 'timeout_error';
+        } else if (error.name === 'ProviderCircuitOpenError') {
+            sanitizedResponse.message = 'Provider temporarily unavailable';
+            sanitizedResponse.type = 'service_error';
+        } else if (error.name === 'ProviderRequestError') {
+            sanitizedResponse.message = 'Client error occurred';
+            sanitizedResponse.type = 'client_error';
+        } else if (error instanceof ProviderError) {
+            sanitizedResponse.message = 'External service error';
+            sanitizedResponse.type = 'service_error';
         } else if (error.code === 'ENOENT') {
             sanitizedResponse.message = 'Resource not found';
             sanitizedResponse.type = 'not_found_error';
@@ -292,9 +344,11 @@ class ErrorHandler {
             if (handledError.type === 'validation_error') statusCode = 400;
             else if (handledError.type === 'auth_error') statusCode = 401;
             else if (handledError.type === 'not_found_error') statusCode = 404;
+            else if (handledError.type === 'payload_too_large_error') statusCode = 413;
             else if (handledError.type === 'rate_limit_error') statusCode = 429;
             else if (handledError.type === 'client_error') statusCode = 400;
             else if (handledError.type === 'service_error') statusCode = 502;
+            else if (handledError.type === 'timeout_error') statusCode = 504;
 
             res.status(statusCode).json(handledError);
         };
@@ -305,6 +359,11 @@ class ErrorHandler {
      */
     validationMiddleware() {
         return (req, res, next) => {
+            // Multipart bodies are validated once the route that accepts them has parsed them
+            if (req.is('multipart/form-data') && !req.multipartParsed) {
+                return next();
+            }
+
             try {
                 const errors = this.validateApiRequest(req);
 
@@ -357,7 +416,8 @@ class ErrorHandler {
         } else if (body && typeof body === 'object') {
             const sanitized = {};
             for (const [key, value] of Object.entries(body)) {
-                sanitized[key] = this.sanitizeRequestBody(value);
+                // Attachment data is base64, checked by AttachmentProcessor instead of sanitized as text
+                sanitized[key] = key === 'attachments' ? value : this.sanitizeRequestBody(value);
             }
             return sanitized;
         }
@@ -384,6 +444,53 @@ class ValidationError extends Error {
     }
 }
 
+/**
+ * A request the server cannot serve as sent, with a message written for the client
+ * Unlike other validation errors the message is returned in the response
+ */
+class RequestValidationError extends ValidationError {
+    constructor(message, details = []) {
+        super(message, details);
+        this.name = 'RequestValidationError';
+    }
+}
+
+/**
+ * Variables supplied for a template do not match its variable schema
+ */
+class TemplateVariableError extends ValidationError {
+    constructor(templateKey, { missing = [], unknown = [], invalid = [] } = {}) {
+        super(`Variables for template '${templateKey}' failed validation`);
+        this.name = 'TemplateVariableError';
+        this.missing = missing;
+        this.unknown = unknown;
+        this.invalid = invalid;
+    }
+}
+
+/**
+ * A request named a model that the model catalog does not list for the provider
+ */
+class UnknownModelError extends ValidationError {
+    constructor(provider, model, availableModels = []) {
+        super(`Unknown model '${model}' for provider '${provider}'. Available models: ${availableModels.join(', ') || 'none'}`);
+        this.name = 'UnknownModelError';
+        this.provider = provider;
+        this.model = model;
+        this.availableModels = availableModels;
+    }
+}
+
+/**
+ * A template could not be parsed or rendered
+ */
+class TemplateSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateSyntaxError';
+    }
+}
+
 class AuthenticationError extends Error {
     constructor(message) {
         super(message);
@@ -398,9 +505,92 @@ class RateLimitError extends Error {
     }
 }
 
+/**
+ * Base class for every error raised by an LLM provider
+ * `retryable` tells callers whether repeating the same request may succeed
+ */
+class ProviderError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = options.provider || null;
+        this.status = options.status || null;
+        this.code = options.code || null;
+        this.retryable = options.retryable || false;
+        this.originalError = options.cause || null;
+    }
+}
+
+class ProviderAuthenticationError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ProviderAuthenticationError';
+    }
+}
+
+class ProviderRequestError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ProviderRequestError';
+    }
+}
+
+class ProviderRateLimitError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, retryable: true });
+        this.name = 'ProviderRateLimitError';
+        this.retryAfter = options.retryAfter || null;
+    }
+}
+
+class ProviderTimeoutError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, retryable: true });
+        this.name = 'ProviderTimeoutError';
+    }
+}
+
+class ProviderUnavailableError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, retryable: true });
+        this.name = 'ProviderUnavailableError';
+    }
+}
+
+/**
+ * Raised without calling the provider while its circuit breaker is open
+ * Not retryable against the same provider; failover moves on to the next one
+ */
+class ProviderCircuitOpenError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { status: 503, code: 'circuit_open', ...options });
+        this.name = 'ProviderCircuitOpenError';
+        this.retryAfter = options.retryAfter || null;
+    }
+}
+
+class ProviderResponseError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ProviderResponseError';
+    }
+}
+
 module.exports = {
     ErrorHandler,
     ValidationError,
+    RequestValidationError,
+    TemplateVariableError,
+    TemplateSyntaxError,
+    UnknownModelError,
     AuthenticationError,
-    RateLimitError
+    RateLimitError,
+    ProviderError,
+    ProviderAuthenticationError,
+    ProviderRequestError,
+    ProviderRateLimitError,
+    ProviderTimeoutError,
+    ProviderUnavailableError,
+    ProviderCircuitOpenError,
+    ProviderResponseError
 };
@@ -58,6 +58,7 @@ class HealthMonitor {
 
     /**
      * Register a service for monitoring
+     * A check may return `details`, which are reported with the service's status
      */
     registerService(name, checkFunction, options = {}) {
         this.services.set(name, {
@@ -69,10 +70,21 @@ class HealthMonitor {
             status: 'unknown',
             responseTime: 0,
             errorCount: 0,
-            totalChecks: 0
+            totalChecks: 0,
+            details: null
         });
     }
 
+    /**
+     * Check one service now instead of waiting for the next interval
+     */
+    async refreshService(name) {
+        const service = this.services.get(name);
+        if (service) {
+            await this.checkService(service);
+        }
+    }
+
     /**
      * Perform health checks on all registered services
      */
@@ -90,17 +102,19 @@ class HealthMonitor {
     async checkService(service) {
         const startTime = Date.now();
         service.totalChecks++;
+        const timeout = this.timeout(service.timeout);
 
         try {
             const result = await Promise.race([
                 service.checkFunction(),
-                this.timeout(service.timeout)
+                timeout.promise
             ]);
 
             service.status = result?.healthy !== false ? 'healthy' : 'unhealthy';
             service.responseTime = Date.now() - startTime;
             service.lastCheck = new Date().toISOString();
             service.lastError = null;
+            service.details = result?.details || null;
 
         } catch (error) {
             service.status = 'unhealthy';
@@ -112,16 +126,21 @@ class HealthMonitor {
             if (service.critical) {
                 console.error(`Critical service ${service.name} is unhealthy:`, error.message);
             }
+        } finally {
+            timeout.clear();
         }
     }
 
     /**
      * Create timeout promise
+     * Cleared once the check settles, so checks run on demand leave no timer behind
      */
     timeout(ms) {
-        return new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Health check timeout')), ms);
+        let timer;
+        const promise = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Health check timeout')), ms);
         });
+        return { promise, clear: () => clearTimeout(timer) };
     }
 
     /**
@@ -138,7 +157,8 @@ class HealthMonitor {
                 responseTime: service.responseTime,
                 errorCount: service.errorCount,
                 totalChecks: service.totalChecks,
-                lastError: service.lastError
+                lastError: service.lastError,
+                ...(service.details && { details: service.details })
             };
         }
 
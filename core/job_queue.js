@@ -0,0 +1,375 @@
+/**
+ * Job Queue - Asynchronous generation jobs with webhook callbacks
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - File-backed queue that survives server restarts
+ * - Concurrency limit, cancellation and retention of finished jobs
+ * - Result delivery to a callback URL, signed with an HMAC-SHA256 header
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {Function} options.processor - `async (job, signal) => result` that runs a job
+     * @param {Function} [options.formatError] - Converts a job error into the object stored on the job
+     */
+    constructor(options = {}) {
+        this.configDir = options.configDir || path.join(__dirname, '../config');
+        this.jobsFile = path.join(this.configDir, 'jobs.json');
+        this.processor = options.processor;
+        this.formatError = options.formatError || (error => ({ message: error.message, type: error.name }));
+        this.concurrency = options.concurrency || 2;
+        this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000; // 24 hours
+        this.callbackSecret = options.callbackSecret || null;
+        this.callbackRetries = options.callbackRetries !== undefined ? options.callbackRetries : 3;
+        this.callbackTimeout = options.callbackTimeout || 10000;
+        this.callbackRetryDelay = options.callbackRetryDelay || 1000;
+
+        this.jobs = new Map();
+        this.active = new Map(); // job id -> AbortController
+        this.saveChain = Promise.resolve();
+        this.isRunning = false;
+
+        if (options.autoInit !== false) {
+            this.init();
+        }
+    }
+
+    /**
+     * Load persisted jobs and start processing
+     * Jobs interrupted by a restart are queued again and undelivered callbacks are retried.
+     */
+    async init() {
+        await this.loadJobs();
+
+        for (const job of this.jobs.values()) {
+            if (job.status === 'running') {
+                job.status = 'queued';
+                job.startedAt = null;
+            }
+        }
+
+        this.start();
+
+        for (const job of this.jobs.values()) {
+            if (job.callback?.status === 'pending' && FINISHED_STATUSES.includes(job.status)) {
+                this.deliverCallback(job);
+            }
+        }
+    }
+
+    /**
+     * Start processing queued jobs
+     */
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.cleanupInterval = setInterval(() => this.pruneJobs(), 60 * 60 * 1000);
+        this.cleanupInterval.unref();
+        this.processQueue();
+    }
+
+    /**
+     * Stop taking new jobs; running jobs are queued again on the next start
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        clearInterval(this.cleanupInterval);
+    }
+
+    /**
+     * Load jobs from file
+     */
+    async loadJobs() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.jobsFile, 'utf8'));
+            this.jobs = new Map((data.jobs || []).map(job => [job.id, job]));
+            logger.info('Jobs loaded', { count: this.jobs.size, eventType: 'job_queue_load' });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to load jobs, starting with an empty queue', { error: error.message });
+            }
+            this.jobs = new Map();
+        }
+    }
+
+    /**
+     * Persist jobs to file; writes are serialized so the file is never written concurrently
+     */
+    saveJobs() {
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                const data = {
+                    last_updated: new Date().toISOString(),
+                    jobs: Array.from(this.jobs.values())
+                };
+                const tempFile = `${this.jobsFile}.tmp`;
+                await fs.mkdir(this.configDir, { recursive: true });
+                await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+                await fs.rename(tempFile, this.jobsFile);
+            } catch (error) {
+                logger.error('Failed to save jobs', error);
+            }
+        });
+        return this.saveChain;
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {Object} request - Generation request (`template`, `variables`, `provider`, `options`)
+     * @param {Object} options - `callbackUrl` and `correlationId`
+     * @returns {Promise<Object>} - The queued job
+     */
+    async enqueue(request, { callbackUrl = null, correlationId = null } = {}) {
+        const job = {
+            id: `job_${uuidv4()}`,
+            status: 'queued',
+            request,
+            correlationId,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null,
+            result: null,
+            error: null,
+            callback: callbackUrl ? { url: callbackUrl, status: 'pending', attempts: 0, lastError: null } : null
+        };
+
+        this.jobs.set(job.id, job);
+        await this.saveJobs();
+
+        logger.business('Job queued', {
+            jobId: job.id,
+            template: request.template,
+            callback: Boolean(callbackUrl),
+            correlationId
+        });
+
+        this.processQueue();
+        return job;
+    }
+
+    /**
+     * Get a job by id
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} - The job, or null if it does not exist
+     */
+    async cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || FINISHED_STATUSES.includes(job.status)) {
+            return job || null;
+        }
+
+        job.status = 'cancelled';
+        job.completedAt = new Date().toISOString();
+        if (job.callback) {
+            job.callback.status = 'skipped';
+        }
+
+        // A running job stops at its next abort check; its outcome is discarded
+        this.active.get(id)?.abort();
+
+        await this.saveJobs();
+        logger.business('Job cancelled', { jobId: id, correlationId: job.correlationId });
+        return job;
+    }
+
+    /**
+     * Start queued jobs up to the concurrency limit
+     */
+    processQueue() {
+        if (!this.isRunning) return;
+
+        for (const job of this.jobs.values()) {
+            if (this.active.size >= this.concurrency) break;
+            if (job.status === 'queued') {
+                this.runJob(job);
+            }
+        }
+    }
+
+    /**
+     * Run a single job through the processor
+     */
+    async runJob(job) {
+        const abortController = new AbortController();
+        this.active.set(job.id, abortController);
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await this.saveJobs();
+
+        try {
+            const result = await this.processor(job, abortController.signal);
+            if (job.status === 'running') {
+                job.status = 'completed';
+                job.result = result;
+            }
+        } catch (error) {
+            if (job.status === 'running') {
+                job.status = 'failed';
+                job.error = this.formatError(error, job);
+            }
+        } finally {
+            this.active.delete(job.id);
+        }
+
+        if (job.status !== 'cancelled') {
+            job.completedAt = new Date().toISOString();
+            logger.business('Job finished', {
+                jobId: job.id,
+                status: job.status,
+                correlationId: job.correlationId
+            });
+        }
+        await this.saveJobs();
+
+        if (job.callback?.status === 'pending') {
+            this.deliverCallback(job);
+        }
+
+        this.processQueue();
+    }
+
+    /**
+     * Sign a callback body
+     * @param {string} body - JSON payload
+     * @param {number} timestamp - Unix time in seconds, included in the signature to prevent replays
+     * @returns {string} - `sha256=<hex digest>` of `<timestamp>.<body>`
+     */
+    signPayload(body, timestamp) {
+        const digest = crypto.createHmac('sha256', this.callbackSecret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * POST the job outcome to its callback URL, retrying with exponential backoff
+     */
+    async deliverCallback(job) {
+        const body = JSON.stringify({
+            jobId: job.id,
+            status: job.status,
+            result: job.result,
+            error: job.error,
+            completedAt: job.completedAt
+        });
+
+        for (let attempt = 0; attempt <= this.callbackRetries; attempt++) {
+            const timestamp = Math.floor(Date.now() / 1000);
+            job.callback.attempts++;
+
+            try {
+                await axios.post(job.callback.url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Job-Id': job.id,
+                        'X-Signature-Timestamp': String(timestamp),
+                        'X-Signature': this.signPayload(body, timestamp)
+                    },
+                    timeout: this.callbackTimeout,
+                    maxRedirects: 0
+                });
+
+                job.callback.status = 'delivered';
+                job.callback.deliveredAt = new Date().toISOString();
+                job.callback.lastError = null;
+                break;
+            } catch (error) {
+                job.callback.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+                logger.warn('Job callback failed', {
+                    jobId: job.id,
+                    attempt: job.callback.attempts,
+                    error: job.callback.lastError
+                });
+
+                if (attempt === this.callbackRetries) {
+                    job.callback.status = 'failed';
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, this.callbackRetryDelay * Math.pow(2, attempt)));
+                }
+            }
+        }
+
+        await this.saveJobs();
+    }
+
+    /**
+     * Remove finished jobs older than the retention period
+     */
+    async pruneJobs() {
+        const cutoff = Date.now() - this.retentionMs;
+        let removed = 0;
+
+        for (const [id, job] of this.jobs.entries()) {
+            if (FINISHED_STATUSES.includes(job.status) && job.callback?.status !== 'pending' &&
+                new Date(job.completedAt).getTime() < cutoff) {
+                this.jobs.delete(id);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            await this.saveJobs();
+        }
+        return removed;
+    }
+
+    /**
+     * Public representation of a job; request variables are not echoed back
+     */
+    describeJob(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            template: job.request.template,
+            provider: job.request.provider || null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            result: job.result,
+            error: job.error,
+            callback: job.callback ? {
+                status: job.callback.status,
+                attempts: job.callback.attempts,
+                lastError: job.callback.lastError
+            } : null
+        };
+    }
+
+    /**
+     * Job counts by status
+     */
+    getStats() {
+        const stats = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) {
+            stats[job.status]++;
+        }
+        return stats;
+    }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,253 @@
+/**
+ * Model Catalog - Models, limits and pricing for every LLM provider
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Loads models from config/llm-providers.json and reloads the file when it changes
+ * - Cost calculation from `cost_per_million_tokens`
+ * - `max_tokens` clamping and context windows per model
+ * - Model name validation with a list of the available models
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UnknownModelError } = require('./error_handler');
+const { logger } = require('./logger');
+
+class ModelCatalog {
+    /**
+     * @param {Object} options - `file` (catalog path) and `checkInterval` (ms between checks for file changes)
+     */
+    constructor(options = {}) {
+        this.file = options.file || path.join(__dirname, '../config/llm-providers.json');
+        this.checkInterval = options.checkInterval ?? 5000;
+        this.providers = {};
+        this.globalSettings = {};
+        this.loadedMtime = null;
+        this.lastCheck = 0;
+
+        this.load();
+    }
+
+    /**
+     * Read the catalog file; a file that fails to parse keeps the previously loaded catalog
+     */
+    load() {
+        try {
+            const stats = fs.statSync(this.file);
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+            this.providers = data.providers || {};
+            this.globalSettings = data.global_settings || {};
+            this.loadedMtime = stats.mtimeMs;
+            logger.info('Model catalog loaded', {
+                providers: Object.keys(this.providers).length,
+                eventType: 'model_catalog_load'
+            });
+        } catch (error) {
+            logger.error('Failed to load model catalog', error);
+        }
+        this.lastCheck = Date.now();
+    }
+
+    /**
+     * Reload the catalog if the file changed since it was loaded
+     * Checks at most once per `checkInterval` so lookups stay cheap
+     */
+    refresh() {
+        if (Date.now() - this.lastCheck < this.checkInterval) {
+            return;
+        }
+        this.lastCheck = Date.now();
+
+        try {
+            if (fs.statSync(this.file).mtimeMs !== this.loadedMtime) {
+                this.load();
+            }
+        } catch (error) {
+            logger.warn('Model catalog file is not readable, keeping loaded catalog', { error: error.message });
+        }
+    }
+
+    /**
+     * Catalog entry of a provider
+     * @param {string} provider - Provider name (`claude`, `openai`, `local`)
+     * @returns {Object|null} - Provider entry
+     */
+    getProvider(provider) {
+        this.refresh();
+        return this.providers[provider] || null;
+    }
+
+    /**
+     * Names of the providers in the catalog
+     */
+    getProviderNames() {
+        this.refresh();
+        return Object.keys(this.providers);
+    }
+
+    /**
+     * Settings that apply to every provider (`global_settings`)
+     */
+    getGlobalSettings() {
+        this.refresh();
+        return this.globalSettings;
+    }
+
+    /**
+     * Models listed for a provider
+     * @returns {Array<Object>} - Model entries
+     */
+    getModels(provider) {
+        return this.getProvider(provider)?.models || [];
+    }
+
+    /**
+     * Default model of a provider
+     * @returns {string|null} - Model name
+     */
+    getDefaultModel(provider) {
+        return this.getProvider(provider)?.default_model || null;
+    }
+
+    /**
+     * Find a model entry by name
+     *
+     * Dated or tagged variants of a listed model (`gpt-4-0613`, `llama2:latest`) resolve to
+     * that model, so responses naming a specific snapshot are still priced.
+     *
+     * @param {string} provider - Provider name
+     * @param {string} name - Model name
+     * @returns {Object|null} - Model entry
+     */
+    findModel(provider, name) {
+        if (!name) {
+            return null;
+        }
+
+        const models = this.getModels(provider);
+        const exact = models.find(model => model.name === name);
+        if (exact) {
+            return exact;
+        }
+
+        return models
+            .filter(model => name.startsWith(`${model.name}-`) || name.startsWith(`${model.name}:`))
+            .sort((a, b) => b.name.length - a.name.length)[0] || null;
+    }
+
+    /**
+     * Find a model entry, rejecting models the catalog does not list
+     * @throws {UnknownModelError} - When the provider does not offer the model
+     */
+    requireModel(provider, name) {
+        const model = this.findModel(provider, name);
+        if (!model) {
+            throw new UnknownModelError(provider, name, this.getModels(provider).map(entry => entry.name));
+        }
+        return model;
+    }
+
+    /**
+     * Whether a provider offers a model
+     */
+    hasModel(provider, name) {
+        return this.findModel(provider, name) !== null;
+    }
+
+    /**
+     * Cost of a request from the model's per-million-token prices
+     * Input tokens written to or read from the prompt cache are priced at `cache_write` and
+     * `cache_read` when the model has them, and at the input price otherwise.
+     * @param {Object} model - Model entry
+     * @param {Object} usage - Normalized token usage (`inputTokens`, `outputTokens`,
+     *   `cacheCreationInputTokens`, `cacheReadInputTokens`)
+     * @returns {number} - Cost in USD
+     */
+    calculateCost(model, usage = {}) {
+        const pricing = model?.cost_per_million_tokens;
+        if (!pricing) {
+            return 0;
+        }
+
+        const outputCost = ((usage.outputTokens || 0) / 1000000) * (pricing.output || 0);
+
+        return this.calculateInputCost(pricing, usage) + outputCost;
+    }
+
+    /**
+     * Difference between the input cost without the prompt cache and the actual input cost
+     * @param {Object} model - Model entry
+     * @param {Object} usage - Normalized token usage
+     * @returns {number} - Saving in USD; negative when cache writes cost more than cache reads saved
+     */
+    calculateCacheSavings(model, usage = {}) {
+        const pricing = model?.cost_per_million_tokens;
+        if (!pricing) {
+            return 0;
+        }
+
+        const uncachedCost = ((usage.inputTokens || 0) / 1000000) * (pricing.input || 0);
+        return uncachedCost - this.calculateInputCost(pricing, usage);
+    }
+
+    /**
+     * Input cost in USD, with prompt cache writes and reads priced separately
+     */
+    calculateInputCost(pricing, usage) {
+        const cacheWriteTokens = usage.cacheCreationInputTokens || 0;
+        const cacheReadTokens = usage.cacheReadInputTokens || 0;
+        const uncachedTokens = (usage.inputTokens || 0) - cacheWriteTokens - cacheReadTokens;
+
+        return (uncachedTokens * (pricing.input || 0) +
+            cacheWriteTokens * (pricing.cache_write ?? pricing.input ?? 0) +
+            cacheReadTokens * (pricing.cache_read ?? pricing.input ?? 0)) / 1000000;
+    }
+
+    /**
+     * Limit requested completion tokens to what the model can produce
+     * @param {Object} model - Model entry
+     * @param {number} requested - Requested `maxTokens`
+     * @returns {number} - Completion token limit to send
+     */
+    clampMaxTokens(model, requested) {
+        return model?.max_tokens ? Math.min(requested, model.max_tokens) : requested;
+    }
+
+    /**
+     * Public description of the catalog, as served by GET /api/models
+     * @param {string} provider - Only describe this provider
+     */
+    describe(provider = null) {
+        const names = provider ? [provider] : this.getProviderNames();
+        const description = {};
+
+        for (const name of names) {
+            const entry = this.getProvider(name);
+            if (!entry) continue;
+
+            description[name] = {
+                name: entry.name,
+                defaultModel: entry.default_model,
+                models: (entry.models || []).map(model => ({
+                    name: model.name,
+                    displayName: model.display_name,
+                    maxTokens: model.max_tokens,
+                    contextWindow: model.context_window,
+                    supportsImages: Boolean(model.supports_images),
+                    supportsPdf: Boolean(model.supports_pdf),
+                    costPerMillionTokens: model.cost_per_million_tokens
+                }))
+            };
+        }
+
+        return description;
+    }
+}
+
+module.exports = ModelCatalog;
+module.exports.modelCatalog = new ModelCatalog();
@@ -54,6 +54,11 @@ class MonitoringService {
                 responseTimes: new Map(),
                 costs: new Map()
             },
+            cache: {
+                hits: 0,
+                misses: 0,
+                bypasses: 0
+            },
             system: {
                 uptime: process.uptime(),
                 startTime: Date.now(),
@@ -62,6 +67,7 @@ class MonitoringService {
             }
         };
 
+        this.rateLimiters = new Map();
         this.isRunning = false;
         this.monitoringInterval = null;
     }
@@ -268,6 +274,39 @@ class MonitoringService {
         });
     }
 
+    /**
+     * Track a response cache lookup
+     * @param {'hit'|'miss'|'bypass'} result - Lookup outcome; `bypass` when the client sent Cache-Control: no-cache
+     */
+    trackCacheLookup(result, metadata = {}) {
+        switch (result) {
+        case 'hit':
+            this.metrics.cache.hits++;
+            break;
+        case 'miss':
+            this.metrics.cache.misses++;
+            break;
+        case 'bypass':
+            this.metrics.cache.bypasses++;
+            break;
+        }
+
+        logger.debug('Response cache lookup', {
+            eventType: 'cache_lookup',
+            result,
+            ...metadata
+        });
+    }
+
+    /**
+     * Report a provider rate limiter's queue depth and budget usage in getMetrics()
+     * @param {string} provider - Provider name
+     * @param {Object} limiter - Limiter with a getStats() method
+     */
+    registerRateLimiter(provider, limiter) {
+        this.rateLimiters.set(provider, limiter);
+    }
+
     /**
      * Track provider usage and performance
      */
@@ -325,6 +364,30 @@ class MonitoringService {
         });
     }
 
+    /**
+     * Rolling latency and error rate of a provider
+     * @param {string} provider - Provider name
+     * @param {number} windowMs - How far back to look
+     * @returns {{requests: number, failures: number, errorRate: number, avgResponseTime: number|null}}
+     *   - `avgResponseTime` covers successful calls and is null when there were none
+     */
+    getProviderStats(provider, windowMs = 300000) {
+        const cutoff = Date.now() - windowMs;
+        const recent = (this.metrics.providers.responseTimes.get(provider) || [])
+            .filter(rt => rt.timestamp > cutoff);
+        const successes = recent.filter(rt => rt.success);
+        const failures = recent.length - successes.length;
+
+        return {
+            requests: recent.length,
+            failures,
+            errorRate: recent.length > 0 ? failures / recent.length : 0,
+            avgResponseTime: successes.length > 0
+                ? Math.round(successes.reduce((sum, rt) => sum + rt.responseTime, 0) / successes.length)
+                : null
+        };
+    }
+
     /**
      * Check alert thresholds and trigger alerts
      */
@@ -495,6 +558,17 @@ class MonitoringService {
                 suspiciousRequests: this.metrics.security.suspiciousRequests
             },
             providers: providerStats,
+            cache: {
+                hits: this.metrics.cache.hits,
+                misses: this.metrics.cache.misses,
+                bypasses: this.metrics.cache.bypasses,
+                hitRate: this.metrics.cache.hits + this.metrics.cache.misses > 0
+                    ? `${((this.metrics.cache.hits / (this.metrics.cache.hits + this.metrics.cache.misses)) * 100).toFixed(2)}%`
+                    : '0%'
+            },
+            rateLimits: Object.fromEntries(
+                Array.from(this.rateLimiters.entries()).map(([provider, limiter]) => [provider, limiter.getStats()])
+            ),
             alerts: {
                 active: this.metrics.system.alerts.filter(alert =>
                     alert.timestamp > now - 3600000 // Last hour
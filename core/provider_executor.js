@@ -0,0 +1,212 @@
+/**
+ * Provider Executor - Retry and failover handling for provider calls
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Exponential backoff retries for transient provider errors
+ * - Failover along a configured provider chain
+ * - Circuit breaker checks, skipping providers whose breaker is open
+ * - Per-attempt trace for reporting and monitoring
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { logger } = require('./logger');
+const { ProviderAuthenticationError, ProviderCircuitOpenError } = require('./error_handler');
+
+// Statuses specific to one provider's account or model - pointless to retry, but another provider may succeed
+const FAILOVER_STATUSES = [401, 403, 404];
+
+class ProviderExecutor {
+    constructor(options = {}) {
+        this.providers = options.providers || new Map();
+        this.fallbackProviders = [].concat(options.fallbackProviders || []);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+    }
+
+    /**
+     * Build the ordered list of available providers to try for a request
+     * @param {string} primary - Requested provider name
+     * @returns {string[]} - Provider names, primary first, without duplicates
+     */
+    getProviderChain(primary) {
+        const chain = [];
+
+        for (const name of [primary, ...this.fallbackProviders]) {
+            if (name && this.providers.has(name) && !chain.includes(name)) {
+                chain.push(name);
+            }
+        }
+
+        return chain;
+    }
+
+    /**
+     * Classify an error to decide how to proceed
+     * @param {Error} error - Error thrown by a provider
+     * @returns {'retry'|'failover'|'fatal'} - Retry the same provider, move on to the next one, or give up
+     */
+    classifyError(error) {
+        if (error.retryable) {
+            return 'retry';
+        }
+
+        if (error instanceof ProviderAuthenticationError || error instanceof ProviderCircuitOpenError ||
+            FAILOVER_STATUSES.includes(error.status)) {
+            return 'failover';
+        }
+
+        // Validation errors, cancelled requests and malformed requests fail the same way everywhere
+        return 'fatal';
+    }
+
+    /**
+     * Delay before the given retry, with exponential backoff and jitter
+     * @param {number} retry - Zero-based retry number
+     * @param {number} [retryAfter] - Delay in seconds requested by the provider
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(retry, retryAfter = null) {
+        if (retryAfter) {
+            return Math.min(retryAfter * 1000, this.maxRetryDelay);
+        }
+
+        const exponential = this.retryDelay * Math.pow(2, retry);
+        const jitter = Math.random() * this.retryDelay * 0.25;
+        return Math.min(exponential + jitter, this.maxRetryDelay);
+    }
+
+    /**
+     * Run an operation against the provider chain
+     * Each call goes through the provider's `circuitBreaker`, when it has one, and its outcome is recorded there
+     * @param {string[]} chain - Provider names to try, in order
+     * @param {Function} operation - `(provider, name) => Promise` performing the call
+     * @param {Object} [options] - `signal` stops retrying once aborted; `deferSuccess` leaves
+     *   recording a successful call to the caller
+     * @returns {Promise<{result: *, provider: string, attempts: Object[]}>}
+     */
+    async execute(chain, operation, options = {}) {
+        const attempts = [];
+        let lastError = null;
+
+        for (const name of chain) {
+            const provider = this.providers.get(name);
+            const breaker = provider.circuitBreaker || null;
+
+            for (let retry = 0; retry <= this.maxRetries; retry++) {
+                const startTime = Date.now();
+
+                try {
+                    breaker?.acquire();
+                    const result = await operation(provider, name);
+                    if (!options.deferSuccess) {
+                        breaker?.recordSuccess();
+                    }
+                    attempts.push({ provider: name, success: true, responseTime: Date.now() - startTime });
+                    return { result, provider: name, attempts };
+                } catch (error) {
+                    const shortCircuited = error instanceof ProviderCircuitOpenError;
+                    if (breaker && !shortCircuited) {
+                        breaker.recordFailure(error);
+                    }
+
+                    const decision = this.classifyError(error);
+                    lastError = error;
+                    attempts.push({
+                        provider: name,
+                        success: false,
+                        responseTime: Date.now() - startTime,
+                        error: error.message,
+                        errorType: error.name,
+                        ...(shortCircuited && { shortCircuited })
+                    });
+
+                    logger.warn('Provider attempt failed', {
+                        eventType: 'provider_attempt_failed',
+                        provider: name,
+                        attempt: attempts.length,
+                        decision,
+                        error: error.message
+                    });
+
+                    if (decision === 'fatal' || options.signal?.aborted) {
+                        error.attempts = attempts;
+                        throw error;
+                    }
+
+                    if (decision === 'failover' || retry === this.maxRetries) {
+                        break;
+                    }
+
+                    await this.sleep(this.getRetryDelay(retry, error.retryAfter));
+                }
+            }
+        }
+
+        if (!lastError) {
+            lastError = new Error('No providers available');
+        }
+        lastError.attempts = attempts;
+        throw lastError;
+    }
+
+    /**
+     * Start a stream along the provider chain
+     *
+     * Retries and failover only cover the request up to its first event. The circuit breaker
+     * records the outcome when the stream ends, so a provider that drops connections
+     * mid-stream counts as failing.
+     *
+     * @param {string[]} chain - Provider names to try, in order
+     * @param {Function} start - `(provider, name) => AsyncGenerator` of stream events
+     * @param {Object} [options] - `signal` stops retrying once aborted
+     * @returns {Promise<{result: AsyncGenerator, provider: string, attempts: Object[]}>} - Stream
+     *   events, starting with the first one
+     */
+    async executeStream(chain, start, options = {}) {
+        const execution = await this.execute(chain, async (provider, name) => {
+            const events = start(provider, name);
+            return { events, first: await events.next() };
+        }, { ...options, deferSuccess: true });
+
+        const breaker = this.providers.get(execution.provider).circuitBreaker || null;
+        return { ...execution, result: this.trackStream(execution.result, breaker) };
+    }
+
+    /**
+     * Pass stream events through and record the stream's outcome on the circuit breaker
+     */
+    async *trackStream({ events, first }, breaker) {
+        let settled = false;
+
+        try {
+            for (let next = first; !next.done; next = await events.next()) {
+                yield next.value;
+            }
+            settled = true;
+            breaker?.recordSuccess();
+        } catch (error) {
+            settled = true;
+            breaker?.recordFailure(error);
+            throw error;
+        } finally {
+            // A consumer that stops early frees the call without saying anything about the provider
+            if (!settled) {
+                breaker?.recordFailure(new Error('Stream closed before it ended'));
+                await events.return();
+            }
+        }
+    }
+
+    /**
+     * Promise based delay
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = ProviderExecutor;
@@ -0,0 +1,225 @@
+/**
+ * Provider Router - Choose the provider order for a request from live data
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Routing policies: `cheapest`, `fastest` and `quality`, each with an optional `maxCost` cap
+ * - Cost estimates from catalog prices, latency and error rates from MonitoringService
+ * - Context window fit and required capability checks
+ * - A routing explanation returned with every generation
+ *
+ * Each candidate provider is scored with the model it would use. Error rates scale every
+ * policy's measure by the chance of success, so a cheap or fast provider that keeps failing
+ * drops down the order. Providers whose circuit breaker is open go last.
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { RequestValidationError } = require('./error_handler');
+
+const POLICIES = ['cheapest', 'fastest', 'quality'];
+
+// Quality rating of models without a `quality` entry in config/llm-providers.json (1-5)
+const DEFAULT_QUALITY = 3;
+
+// Lowest success rate used in scoring, so providers that always fail still get a finite score
+const MIN_SUCCESS_RATE = 0.05;
+
+class ProviderRouter {
+    /**
+     * @param {Object} options - `providers` (name to instance map), `monitoring` (MonitoringService
+     *   supplying latency and error rates) and `statsWindowMs` (how far back those are measured)
+     */
+    constructor(options = {}) {
+        this.providers = options.providers || new Map();
+        this.monitoring = options.monitoring || null;
+        this.statsWindowMs = options.statsWindowMs || 300000;
+    }
+
+    /**
+     * Normalize a routing policy given as a name or as `{ policy, maxCost }`
+     * @param {string|Object} routing - Policy from a request or template front matter
+     * @param {string} source - Where the policy came from, reported in the explanation
+     * @returns {Object|null} - `{ policy, maxCost, source }`, or null when no policy is given
+     * @throws {RequestValidationError} - When the policy is unknown or the cost cap is not a positive number
+     */
+    resolvePolicy(routing, source) {
+        if (routing === undefined || routing === null) {
+            return null;
+        }
+
+        const { policy, maxCost = null } = typeof routing === 'string' ? { policy: routing } : routing;
+        if (!POLICIES.includes(policy)) {
+            throw new RequestValidationError(`Unknown routing policy '${policy}'. Supported: ${POLICIES.join(', ')}`);
+        }
+        if (maxCost !== null && !(typeof maxCost === 'number' && maxCost > 0)) {
+            throw new RequestValidationError('Routing maxCost must be a positive number');
+        }
+
+        return { policy, maxCost, source };
+    }
+
+    /**
+     * Order candidate providers for a request
+     * Without a policy the candidates keep their order and are only described
+     * @param {string[]} candidates - Provider names, in their default order
+     * @param {Object} request - `policy` (from resolvePolicy), `explicit` (the client named the first
+     *   provider), `prompt`, `inputTokens` (prompt size to assume instead of estimating it from
+     *   `prompt`), `options` (`model`, `maxTokens`, `attachments`) and `capabilities` (capability
+     *   flags every provider must have)
+     * @returns {{chain: string[], routing: Object}} - Provider chain and routing explanation
+     * @throws {RequestValidationError} - When a policy leaves no provider to route to
+     */
+    route(candidates, { policy = null, explicit = false, prompt = '', inputTokens = null, options = {}, capabilities = [] } = {}) {
+        const described = candidates.map(name => this.describeCandidate(name, { prompt, inputTokens, options }));
+
+        if (!policy) {
+            return {
+                chain: candidates,
+                routing: {
+                    policy: explicit ? 'provider' : 'default',
+                    source: explicit ? 'request' : 'config',
+                    selected: candidates[0] || null,
+                    reason: explicit
+                        ? 'Provider named in the request, followed by the configured fallbacks'
+                        : 'Default provider followed by the configured fallbacks',
+                    candidates: described.map((candidate, index) => ({ ...candidate, rank: index + 1 }))
+                }
+            };
+        }
+
+        for (const candidate of described) {
+            const excluded = this.getExclusion(candidate, { options, capabilities, maxCost: policy.maxCost });
+            if (excluded) {
+                candidate.excluded = excluded;
+            }
+        }
+
+        const eligible = described.filter(candidate => !candidate.excluded);
+        if (eligible.length === 0) {
+            throw new RequestValidationError(
+                `No provider satisfies the '${policy.policy}' routing policy`,
+                described.map(({ provider, excluded }) => ({ provider, reason: excluded }))
+            );
+        }
+
+        const ranked = eligible.sort((a, b) =>
+            this.compare(policy.policy, a, b) || described.indexOf(a) - described.indexOf(b));
+        const chain = ranked.map(candidate => candidate.provider);
+        const ranks = new Map(chain.map((name, index) => [name, index + 1]));
+
+        return {
+            chain,
+            routing: {
+                policy: policy.policy,
+                source: policy.source,
+                ...(policy.maxCost !== null && { maxCost: policy.maxCost }),
+                selected: chain[0],
+                reason: this.explain(policy.policy, ranked[0]),
+                candidates: described.map(candidate => ({
+                    ...candidate,
+                    rank: ranks.get(candidate.provider) || null
+                }))
+            }
+        };
+    }
+
+    /**
+     * Measure one provider for a request
+     * @returns {Object} - Model, cost and context estimates and live stats
+     */
+    describeCandidate(name, { prompt, inputTokens: assumedTokens = null, options }) {
+        const provider = this.providers.get(name);
+        const model = options.model || provider.model || provider.getDefaultModel?.() || null;
+        const modelInfo = provider.getModelInfo?.(model) || null;
+
+        const inputTokens = assumedTokens ??
+            provider.estimateTokens(prompt) + (provider.estimateAttachmentTokens?.(options.attachments) || 0);
+        // Same response size assumption as the /api/templates/render estimates when maxTokens is not set
+        const outputTokens = options.maxTokens || Math.ceil(inputTokens / 2);
+        const contextWindow = provider.getContextWindow(model);
+        const stats = this.monitoring
+            ? this.monitoring.getProviderStats(name, this.statsWindowMs)
+            : { requests: 0, errorRate: 0, avgResponseTime: null };
+
+        return {
+            provider: name,
+            model,
+            estimatedInputTokens: inputTokens,
+            estimatedCost: Number(provider.calculateCost(provider.normalizeUsage(inputTokens, outputTokens), model).toFixed(6)),
+            contextWindow,
+            quality: modelInfo?.quality || DEFAULT_QUALITY,
+            avgResponseTime: stats.avgResponseTime,
+            errorRate: Number(stats.errorRate.toFixed(2)),
+            recentRequests: stats.requests,
+            circuitState: provider.circuitBreaker ? provider.circuitBreaker.state : null
+        };
+    }
+
+    /**
+     * Why a provider cannot serve a request under a policy
+     * @returns {string|null} - Reason, or null when the provider is eligible
+     */
+    getExclusion(candidate, { options, capabilities, maxCost }) {
+        const providerCapabilities = this.providers.get(candidate.provider).getCapabilities();
+        const missing = capabilities.filter(capability => !providerCapabilities[capability]);
+        const neededTokens = candidate.estimatedInputTokens + (options.maxTokens || 0);
+
+        if (missing.length > 0) {
+            return `Missing capabilities: ${missing.join(', ')}`;
+        }
+        if (neededTokens > candidate.contextWindow) {
+            return `Prompt needs about ${neededTokens} tokens, context window is ${candidate.contextWindow}`;
+        }
+        if (maxCost !== null && candidate.estimatedCost > maxCost) {
+            return `Estimated cost ${candidate.estimatedCost} is over the ${maxCost} cap`;
+        }
+        return null;
+    }
+
+    /**
+     * Sort order for a policy; providers with an open circuit breaker go last
+     */
+    compare(policy, a, b) {
+        const aOpen = a.circuitState === 'open';
+        const bOpen = b.circuitState === 'open';
+        if (aOpen !== bOpen) {
+            return aOpen ? 1 : -1;
+        }
+
+        return this.score(policy, a) - this.score(policy, b);
+    }
+
+    /**
+     * Lower is better: expected cost or latency per successful call, or negated expected quality
+     * Providers without latency data sort after those with it under `fastest`
+     */
+    score(policy, candidate) {
+        const successRate = Math.max(1 - candidate.errorRate, MIN_SUCCESS_RATE);
+
+        if (policy === 'cheapest') {
+            return candidate.estimatedCost / successRate;
+        }
+        if (policy === 'fastest') {
+            return candidate.avgResponseTime === null ? Number.MAX_SAFE_INTEGER : candidate.avgResponseTime / successRate;
+        }
+        return -candidate.quality * successRate;
+    }
+
+    explain(policy, selected) {
+        const reliability = selected.errorRate > 0 ? `, ${Math.round(selected.errorRate * 100)}% recent errors` : '';
+        if (policy === 'cheapest') {
+            return `Lowest estimated cost (${selected.estimatedCost}${reliability})`;
+        }
+        if (policy === 'fastest') {
+            return selected.avgResponseTime === null
+                ? 'No provider has recent latency data; default order kept'
+                : `Lowest recent latency (${selected.avgResponseTime}ms${reliability})`;
+        }
+        return `Highest quality model (${selected.model}, quality ${selected.quality}${reliability})`;
+    }
+}
+
+module.exports = ProviderRouter;
+module.exports.POLICIES = POLICIES;
@@ -0,0 +1,227 @@
+/**
+ * Response Cache - Content-addressed cache for generation results
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Keys derived from the rendered prompt, provider, model and request options
+ * - TTL expiry and least-recently-used eviction
+ * - Pluggable storage backends (in-memory or file-backed)
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Request options that do not change the generated content
+const IGNORED_OPTIONS = ['signal', 'timeout'];
+
+/**
+ * In-memory backend; a Map keeps entries in least- to most-recently-used order
+ */
+class MemoryCacheBackend {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async init() {}
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Keys from least to most recently used
+     */
+    async keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * File-backed backend; entries are kept in memory and written through to a JSON file
+ */
+class FileCacheBackend extends MemoryCacheBackend {
+    constructor(options = {}) {
+        super();
+        this.name = 'file';
+        this.file = options.file || path.join(__dirname, '../config/response-cache.json');
+        this.saveChain = Promise.resolve();
+    }
+
+    async init() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.entries = new Map(data.entries || []);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to load response cache, starting empty', { error: error.message });
+            }
+        }
+    }
+
+    async set(key, entry) {
+        await super.set(key, entry);
+        await this.persist();
+    }
+
+    async delete(key) {
+        await super.delete(key);
+        await this.persist();
+    }
+
+    async clear() {
+        await super.clear();
+        await this.persist();
+    }
+
+    /**
+     * Write all entries to file; writes are serialized so the file is never written concurrently
+     */
+    persist() {
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                const tempFile = `${this.file}.tmp`;
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(tempFile, JSON.stringify({ entries: Array.from(this.entries.entries()) }));
+                await fs.rename(tempFile, this.file);
+            } catch (error) {
+                logger.error('Failed to save response cache', error);
+            }
+        });
+        return this.saveChain;
+    }
+}
+
+const BACKENDS = {
+    memory: MemoryCacheBackend,
+    file: FileCacheBackend
+};
+
+class ResponseCache {
+    /**
+     * @param {Object} options - `enabled`, `ttl` (ms), `maxSize` (entries) and `backend`
+     *   (`'memory'`, `'file'` or an object implementing the backend methods)
+     */
+    constructor(options = {}) {
+        this.enabled = Boolean(options.enabled);
+        this.ttl = options.ttl || 3600000;
+        this.maxSize = options.maxSize || 100;
+        this.evictions = 0;
+
+        if (options.backend && typeof options.backend === 'object') {
+            this.backend = options.backend;
+        } else {
+            const Backend = BACKENDS[options.backend || 'memory'];
+            if (!Backend) {
+                throw new Error(`Unknown response cache backend '${options.backend}'. Available backends: ${Object.keys(BACKENDS).join(', ')}`);
+            }
+            this.backend = new Backend(options.backendOptions);
+        }
+
+        this.ready = this.enabled ? this.backend.init() : Promise.resolve();
+    }
+
+    /**
+     * Build the cache key for a generation request
+     * @param {Object} request - `prompt`, `provider`, `model` and `options`
+     * @returns {string} - SHA-256 hex digest
+     */
+    createKey({ prompt, provider, model, options = {} }) {
+        const relevantOptions = {};
+        for (const name of Object.keys(options).sort()) {
+            if (!IGNORED_OPTIONS.includes(name)) {
+                relevantOptions[name] = options[name];
+            }
+        }
+
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ prompt, provider, model, options: relevantOptions }))
+            .digest('hex');
+    }
+
+    /**
+     * Look up a cached result
+     * @returns {Promise<Object|null>} - Cached value, or null when missing or expired
+     */
+    async get(key) {
+        await this.ready;
+
+        const entry = await this.backend.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            await this.backend.delete(key);
+            return null;
+        }
+
+        // Re-inserting marks the entry as most recently used
+        await this.backend.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a result, evicting least recently used entries beyond maxSize
+     */
+    async set(key, value) {
+        await this.ready;
+
+        const now = Date.now();
+        await this.backend.set(key, { value, createdAt: now, expiresAt: now + this.ttl });
+
+        const keys = await this.backend.keys();
+        for (const oldKey of keys.slice(0, Math.max(0, keys.length - this.maxSize))) {
+            await this.backend.delete(oldKey);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        await this.ready;
+        await this.backend.clear();
+    }
+
+    /**
+     * Cache configuration and size
+     */
+    async getStats() {
+        return {
+            enabled: this.enabled,
+            backend: this.backend.name || 'custom',
+            size: this.enabled ? await this.backend.size() : 0,
+            maxSize: this.maxSize,
+            ttl: this.ttl,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = ResponseCache;
+module.exports.MemoryCacheBackend = MemoryCacheBackend;
+module.exports.FileCacheBackend = FileCacheBackend;
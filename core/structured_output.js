@@ -0,0 +1,158 @@
+/**
+ * Structured Output - JSON responses that conform to a JSON Schema
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Prompt instructions asking the model for JSON matching a schema
+ * - JSON extraction from completions wrapped in prose or code fences
+ * - Schema validation with readable error messages
+ * - Repair prompts that show the model its previous answer and what was wrong
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { Validator } = require('jsonschema');
+const { RequestValidationError } = require('./error_handler');
+
+const MAX_ECHOED_RESPONSE_LENGTH = 8000;
+
+class StructuredOutput {
+    /**
+     * @param {Object} options - `maxRepairAttempts`: extra requests made when the output does not conform
+     */
+    constructor(options = {}) {
+        this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
+        this.validator = new Validator();
+    }
+
+    /**
+     * Reject output schemas that are not JSON Schema objects
+     * @param {*} schema - Schema from the request or template metadata
+     * @throws {RequestValidationError} - When the schema is not an object
+     */
+    checkSchema(schema) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new RequestValidationError('Output schema must be a JSON Schema object');
+        }
+    }
+
+    /**
+     * Append instructions asking for JSON that matches the schema
+     * @param {string} prompt - Rendered prompt
+     * @param {Object} schema - JSON Schema
+     * @returns {string} - Prompt sent to the provider
+     */
+    buildPrompt(prompt, schema) {
+        return `${prompt}
+
+Respond with a single JSON value that conforms to this JSON Schema:
+${JSON.stringify(schema, null, 2)}
+
+Output only the JSON. Do not add explanations or Markdown code fences.`;
+    }
+
+    /**
+     * Ask the model to correct a response that did not conform
+     * @param {string} prompt - Prompt from buildPrompt()
+     * @param {string} content - Previous completion
+     * @param {string[]} errors - Problems found by parse()
+     * @returns {string} - Repair prompt
+     */
+    buildRepairPrompt(prompt, content, errors) {
+        const previous = content.length > MAX_ECHOED_RESPONSE_LENGTH
+            ? `${content.slice(0, MAX_ECHOED_RESPONSE_LENGTH)}... [truncated]`
+            : content;
+
+        return `${prompt}
+
+Your previous response was:
+"""
+${previous}
+"""
+
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with only the corrected JSON.`;
+    }
+
+    /**
+     * Extract the JSON value from a completion and validate it against the schema
+     * @param {string} content - Completion text
+     * @param {Object} schema - JSON Schema
+     * @returns {{valid: boolean, data: *, errors: string[]}} - `data` is null when no JSON was found
+     */
+    parse(content, schema) {
+        const extracted = this.extractJson(content);
+        if (!extracted.found) {
+            return { valid: false, data: null, errors: ['Response does not contain valid JSON'] };
+        }
+
+        const errors = this.validator.validate(extracted.value, schema).errors
+            .map(error => `${error.property.replace(/^instance/, '$')} ${error.message}`);
+
+        return { valid: errors.length === 0, data: extracted.value, errors };
+    }
+
+    /**
+     * Find the JSON value in a completion
+     *
+     * Tries the whole text, then fenced code blocks, then each balanced `{...}` or
+     * `[...]` span, so answers with a sentence before or after the JSON still parse.
+     *
+     * @param {string} content - Completion text
+     * @returns {{found: boolean, value: *}} - Parsed value
+     */
+    extractJson(content) {
+        const text = String(content || '').trim();
+
+        for (const candidate of this.jsonCandidates(text)) {
+            try {
+                return { found: true, value: JSON.parse(candidate) };
+            } catch (error) {
+                // Not JSON; try the next candidate
+            }
+        }
+
+        return { found: false, value: null };
+    }
+
+    /**
+     * Substrings that may hold the JSON value, most likely first
+     */
+    *jsonCandidates(text) {
+        yield text;
+
+        for (const match of text.matchAll(/```(?:json)?\s*\n?([\s\S]*?)```/gi)) {
+            yield match[1].trim();
+        }
+
+        // Spans that open with `{` or `[` and close at the matching bracket
+        for (let start = 0; start < text.length; start++) {
+            if (text[start] !== '{' && text[start] !== '[') continue;
+
+            let depth = 0;
+            let inString = false;
+            for (let index = start; index < text.length; index++) {
+                const char = text[index];
+                if (inString) {
+                    if (char === '\\') index++;
+                    else if (char === '"') inString = false;
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth++;
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                    if (depth === 0) {
+                        yield text.slice(start, index + 1);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+}
+
+module.exports = StructuredOutput;
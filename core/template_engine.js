@@ -0,0 +1,614 @@
+/**
+ * Template Engine - Sandboxed renderer for prompt templates
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - `{{name}}` and `{{customer.name}}` substitution with filters (`{{tone | default: "professional"}}`)
+ * - `{{#if}}` / `{{#unless}}` blocks with comparisons, `and`, `or` and `{{else}}`
+ * - `{{#each list}}` loops with `this`, `@index`, `@first`, `@last` and `@key`
+ * - `{{> name}}` partials and includes of other templates
+ * - `{{#cache}}` blocks marking static text as a prompt cache breakpoint
+ * - Comments (`{{! note }}`) and removal of lines that only hold a block tag
+ *
+ * Templates are parsed into a tree and interpreted - nothing is ever evaluated as
+ * JavaScript, and variable values are inserted as text without being parsed again.
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { TemplateSyntaxError } = require('./error_handler');
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+// Expression tokens: quoted strings, numbers, operators/punctuation and paths
+const EXPRESSION_TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|(==|!=|>=|<=|>|<|\||:|,|!)|(@?[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*))/y;
+
+// Property names that must never be read from variables
+const BLOCKED_PROPERTIES = ['__proto__', 'constructor', 'prototype'];
+
+const MAX_PARTIAL_DEPTH = 10;
+
+// Marks the end of a `{{#cache}}` block in rendered text; removed from template text and variable values
+const CACHE_BREAKPOINT = '\u0000';
+
+const FILTERS = {
+    default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+    upper: value => toText(value).toUpperCase(),
+    lower: value => toText(value).toLowerCase(),
+    trim: value => toText(value).trim(),
+    capitalize: value => {
+        const text = toText(value);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+    truncate: (value, length = 100, suffix = '...') => {
+        const text = toText(value);
+        return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+    },
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+    json: (value, indent = 0) => JSON.stringify(value === undefined ? null : value, null, indent),
+    length: value => (Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value || {}).length)
+};
+
+/**
+ * Whether a value counts as not provided
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Convert a value to the text inserted into the prompt
+ */
+function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(toText).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Truthiness used by `#if` - empty lists and objects are false
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return Boolean(value);
+}
+
+class TemplateEngine {
+    /**
+     * @param {Object} options - `resolvePartial(name)` returns partial source or null
+     */
+    constructor(options = {}) {
+        this.resolvePartial = options.resolvePartial || (() => null);
+    }
+
+    /**
+     * Render a template with the given variables
+     * @param {string} source - Template source
+     * @param {Object} variables - Variable values
+     * @returns {string} - Rendered text
+     * @throws {TemplateSyntaxError} - When the template or one of its partials is malformed
+     */
+    render(source, variables = {}) {
+        return this.renderNodes(this.parse(source), [variables], {}, 0).split(CACHE_BREAKPOINT).join('');
+    }
+
+    /**
+     * Render a template split at the end of each `{{#cache}}` block
+     * Joining the section texts gives the same prompt render() returns.
+     * @param {string} source - Template source
+     * @param {Object} variables - Variable values
+     * @returns {Array<{text: string, cache: boolean}>} - Sections in order; `cache` is set on sections
+     *   ending at a cache breakpoint
+     * @throws {TemplateSyntaxError} - When the template or one of its partials is malformed
+     */
+    renderSections(source, variables = {}) {
+        const parts = this.renderNodes(this.parse(source), [variables], {}, 0).split(CACHE_BREAKPOINT);
+        return parts
+            .map((text, index) => ({ text, cache: index < parts.length - 1 }))
+            .filter(section => section.text.length > 0);
+    }
+
+    /**
+     * List the variables a template reads
+     * Variables only used in conditions, inside conditional blocks or with a `default` filter are optional.
+     * Names inside `#each` bodies refer to the current item and are not listed.
+     * @param {string} source - Template source
+     * @returns {{variables: string[], optional: string[]}} - Variable names in order of first use
+     */
+    analyze(source) {
+        const usage = new Map();
+        this.collectVariables(this.parse(source), usage, { conditional: false, loop: false, depth: 0 });
+
+        const variables = Array.from(usage.keys());
+        return {
+            variables,
+            optional: variables.filter(name => usage.get(name))
+        };
+    }
+
+    /**
+     * Parse template source into a node tree
+     * @param {string} source - Template source
+     * @returns {Array<Object>} - Nodes
+     */
+    parse(source) {
+        const root = { type: 'root', body: [] };
+        const stack = [root];
+        // Node list being filled for each open block (its body, or its alternate after {{else}})
+        const lists = [root.body];
+        let current = root.body;
+        let lastIndex = 0;
+        const tagPattern = new RegExp(TAG_PATTERN.source, 'g');
+        let match;
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            const tag = match[1];
+            let textEnd = match.index;
+            let tagEnd = tagPattern.lastIndex;
+
+            // Drop the whole line when it only holds a block tag
+            if (/^[#/!]|^else\b/.test(tag)) {
+                const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+                const trailing = /^[ \t]*(?:\r?\n|$)/.exec(source.slice(tagEnd));
+                if (lineStart >= lastIndex && /^[ \t]*$/.test(source.slice(lineStart, match.index)) && trailing) {
+                    textEnd = lineStart;
+                    tagEnd += trailing[0].length;
+                }
+            }
+
+            if (textEnd > lastIndex) {
+                current.push({ type: 'text', value: source.slice(lastIndex, textEnd) });
+            }
+            lastIndex = tagEnd;
+            tagPattern.lastIndex = tagEnd;
+
+            if (tag.startsWith('!')) {
+                continue;
+            }
+
+            if (tag.startsWith('#')) {
+                const [, blockName, argument] = /^#(\w+)\s*([\s\S]*)$/.exec(tag) || [];
+                let node;
+                if (blockName === 'if' || blockName === 'unless') {
+                    node = { type: blockName, condition: this.parseCondition(argument), body: [], alternate: [] };
+                } else if (blockName === 'each') {
+                    node = { type: 'each', expression: this.parseExpression(argument), body: [], alternate: [] };
+                } else if (blockName === 'cache' && !argument) {
+                    node = { type: 'cache', body: [] };
+                } else {
+                    throw new TemplateSyntaxError(`Unknown block '{{${tag}}}'`);
+                }
+                current.push(node);
+                stack.push(node);
+                lists.push(node.body);
+                current = node.body;
+                continue;
+            }
+
+            if (tag.startsWith('/')) {
+                const blockName = tag.slice(1).trim();
+                const node = stack[stack.length - 1];
+                if (stack.length === 1 || node.type !== blockName) {
+                    throw new TemplateSyntaxError(`Unexpected '{{${tag}}}'`);
+                }
+                stack.pop();
+                lists.pop();
+                current = lists[lists.length - 1];
+                continue;
+            }
+
+            if (tag === 'else') {
+                const node = stack[stack.length - 1];
+                if (stack.length === 1 || !node.alternate || current === node.alternate) {
+                    throw new TemplateSyntaxError('Unexpected \'{{else}}\'');
+                }
+                lists[lists.length - 1] = node.alternate;
+                current = node.alternate;
+                continue;
+            }
+
+            if (tag.startsWith('>')) {
+                const name = tag.slice(1).trim();
+                if (!/^[\w-]+(?:\/[\w-]+)?$/.test(name)) {
+                    throw new TemplateSyntaxError(`Invalid partial name '${name}'`);
+                }
+                current.push({ type: 'partial', name });
+                continue;
+            }
+
+            current.push({ type: 'output', expression: this.parseExpression(tag) });
+        }
+
+        if (stack.length > 1) {
+            throw new TemplateSyntaxError(`Unclosed '{{#${stack[stack.length - 1].type}}}' block`);
+        }
+
+        if (lastIndex < source.length) {
+            current.push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        return root.body;
+    }
+
+    /**
+     * Split an expression into tokens
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let position = 0;
+
+        while (position < expression.length) {
+            if (/^\s*$/.test(expression.slice(position))) break;
+
+            EXPRESSION_TOKEN.lastIndex = position;
+            const match = EXPRESSION_TOKEN.exec(expression);
+            if (!match) {
+                throw new TemplateSyntaxError(`Invalid expression '${expression}'`);
+            }
+            position = EXPRESSION_TOKEN.lastIndex;
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'literal', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'literal', value: Number(match[2]) });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'operator', value: match[3] });
+            } else if (['true', 'false', 'null'].includes(match[4])) {
+                tokens.push({ type: 'literal', value: JSON.parse(match[4]) });
+            } else if (['and', 'or', 'not'].includes(match[4])) {
+                tokens.push({ type: 'operator', value: match[4] });
+            } else {
+                tokens.push({ type: 'path', value: match[4] });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse `value | filter: arg, arg | filter`
+     */
+    parseExpression(expression) {
+        const tokens = this.tokenize(expression);
+        const result = this.readFilteredValue(tokens, 0, expression);
+        if (result.next !== tokens.length) {
+            throw new TemplateSyntaxError(`Invalid expression '${expression}'`);
+        }
+        return result.node;
+    }
+
+    /**
+     * Parse a condition: comparisons joined with `and` / `or`, optionally negated with `not` or `!`
+     */
+    parseCondition(expression) {
+        const tokens = this.tokenize(expression);
+        if (tokens.length === 0) {
+            throw new TemplateSyntaxError('Missing condition');
+        }
+
+        let position = 0;
+        const isOperator = (value) => tokens[position]?.type === 'operator' && tokens[position].value === value;
+
+        const readComparison = () => {
+            if (isOperator('not') || isOperator('!')) {
+                position++;
+                return { type: 'not', operand: readComparison() };
+            }
+
+            const left = this.readFilteredValue(tokens, position, expression);
+            position = left.next;
+
+            const operator = tokens[position];
+            if (operator?.type === 'operator' && ['==', '!=', '>', '<', '>=', '<='].includes(operator.value)) {
+                const right = this.readFilteredValue(tokens, position + 1, expression);
+                position = right.next;
+                return { type: 'compare', operator: operator.value, left: left.node, right: right.node };
+            }
+
+            return left.node;
+        };
+
+        const readAnd = () => {
+            let node = readComparison();
+            while (isOperator('and')) {
+                position++;
+                node = { type: 'and', left: node, right: readComparison() };
+            }
+            return node;
+        };
+
+        let node = readAnd();
+        while (isOperator('or')) {
+            position++;
+            node = { type: 'or', left: node, right: readAnd() };
+        }
+
+        if (position !== tokens.length) {
+            throw new TemplateSyntaxError(`Invalid condition '${expression}'`);
+        }
+        return node;
+    }
+
+    /**
+     * Read one operand followed by any number of filters
+     */
+    readFilteredValue(tokens, start, expression) {
+        const operand = tokens[start];
+        if (!operand || (operand.type !== 'literal' && operand.type !== 'path')) {
+            throw new TemplateSyntaxError(`Invalid expression '${expression}'`);
+        }
+
+        const node = { type: 'value', operand: this.toOperand(operand), filters: [] };
+        let position = start + 1;
+
+        while (tokens[position]?.type === 'operator' && tokens[position].value === '|') {
+            const filterToken = tokens[position + 1];
+            if (!filterToken || filterToken.type !== 'path' || !Object.prototype.hasOwnProperty.call(FILTERS, filterToken.value)) {
+                throw new TemplateSyntaxError(`Unknown filter in '${expression}'`);
+            }
+
+            const filter = { name: filterToken.value, args: [] };
+            position += 2;
+
+            if (tokens[position]?.type === 'operator' && tokens[position].value === ':') {
+                do {
+                    position++;
+                    const argument = tokens[position];
+                    if (!argument || (argument.type !== 'literal' && argument.type !== 'path')) {
+                        throw new TemplateSyntaxError(`Invalid filter argument in '${expression}'`);
+                    }
+                    filter.args.push(this.toOperand(argument));
+                    position++;
+                } while (tokens[position]?.type === 'operator' && tokens[position].value === ',');
+            }
+
+            node.filters.push(filter);
+        }
+
+        return { node, next: position };
+    }
+
+    /**
+     * Convert a token into a literal or path operand
+     */
+    toOperand(token) {
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+
+        const path = token.value.split('.');
+        if (path.some(segment => BLOCKED_PROPERTIES.includes(segment))) {
+            throw new TemplateSyntaxError(`Access to '${token.value}' is not allowed`);
+        }
+        return { type: 'path', path };
+    }
+
+    /**
+     * Render a list of nodes
+     * @param {Array<Object>} nodes - Parsed nodes
+     * @param {Array<Object>} scopes - Variable scopes, innermost last
+     * @param {Object} loop - Current loop metadata (`@index`, `@first`, ...)
+     * @param {number} depth - Partial nesting depth
+     */
+    renderNodes(nodes, scopes, loop, depth) {
+        let output = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+            case 'text':
+                output += node.value.split(CACHE_BREAKPOINT).join('');
+                break;
+            case 'output':
+                output += toText(this.evaluate(node.expression, scopes, loop)).split(CACHE_BREAKPOINT).join('');
+                break;
+            case 'if':
+            case 'unless': {
+                const passed = isTruthy(this.evaluate(node.condition, scopes, loop));
+                const branch = passed === (node.type === 'if') ? node.body : node.alternate;
+                output += this.renderNodes(branch, scopes, loop, depth);
+                break;
+            }
+            case 'each':
+                output += this.renderEach(node, scopes, loop, depth);
+                break;
+            case 'cache':
+                output += this.renderNodes(node.body, scopes, loop, depth) + CACHE_BREAKPOINT;
+                break;
+            case 'partial':
+                output += this.renderNodes(this.loadPartial(node.name, depth), scopes, loop, depth + 1);
+                break;
+            default:
+                break;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Render an `#each` block over an array or the values of an object
+     */
+    renderEach(node, scopes, loop, depth) {
+        const collection = this.evaluate(node.expression, scopes, loop);
+        const entries = Array.isArray(collection)
+            ? collection.map((item, index) => [index, item])
+            : (collection && typeof collection === 'object' ? Object.entries(collection) : []);
+
+        if (entries.length === 0) {
+            return this.renderNodes(node.alternate, scopes, loop, depth);
+        }
+
+        return entries.map(([key, item], index) => this.renderNodes(node.body, [...scopes, item], {
+            '@index': index,
+            '@key': key,
+            '@first': index === 0,
+            '@last': index === entries.length - 1
+        }, depth)).join('');
+    }
+
+    /**
+     * Parse a partial, guarding against missing partials and runaway recursion
+     */
+    loadPartial(name, depth) {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+            throw new TemplateSyntaxError(`Partials nested deeper than ${MAX_PARTIAL_DEPTH} levels at '${name}'`);
+        }
+
+        const source = this.resolvePartial(name);
+        if (typeof source !== 'string') {
+            throw new TemplateSyntaxError(`Partial '${name}' not found`);
+        }
+        return this.parse(source);
+    }
+
+    /**
+     * Evaluate a condition or value node
+     */
+    evaluate(node, scopes, loop) {
+        switch (node.type) {
+        case 'not':
+            return !isTruthy(this.evaluate(node.operand, scopes, loop));
+        case 'and':
+            return isTruthy(this.evaluate(node.left, scopes, loop)) && isTruthy(this.evaluate(node.right, scopes, loop));
+        case 'or':
+            return isTruthy(this.evaluate(node.left, scopes, loop)) || isTruthy(this.evaluate(node.right, scopes, loop));
+        case 'compare':
+            return this.compare(node.operator, this.evaluate(node.left, scopes, loop), this.evaluate(node.right, scopes, loop));
+        default: {
+            let value = this.resolveOperand(node.operand, scopes, loop);
+            for (const filter of node.filters) {
+                const args = filter.args.map(argument => this.resolveOperand(argument, scopes, loop));
+                value = FILTERS[filter.name](value, ...args);
+            }
+            return value;
+        }
+        }
+    }
+
+    /**
+     * Apply a comparison operator
+     */
+    compare(operator, left, right) {
+        switch (operator) {
+        case '==': return left === right || (left !== undefined && left !== null && String(left) === String(right));
+        case '!=': return !this.compare('==', left, right);
+        case '>': return Number(left) > Number(right);
+        case '<': return Number(left) < Number(right);
+        case '>=': return Number(left) >= Number(right);
+        case '<=': return Number(left) <= Number(right);
+        default: return false;
+        }
+    }
+
+    /**
+     * Resolve a literal, loop variable or variable path
+     */
+    resolveOperand(operand, scopes, loop) {
+        if (operand.type === 'literal') {
+            return operand.value;
+        }
+
+        const [head, ...rest] = operand.path;
+        let value;
+
+        if (head.startsWith('@')) {
+            value = loop[head];
+        } else if (head === 'this') {
+            value = scopes[scopes.length - 1];
+        } else {
+            // Innermost scope that defines the name wins
+            for (let i = scopes.length - 1; i >= 0; i--) {
+                const scope = scopes[i];
+                if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, head)) {
+                    value = scope[head];
+                    break;
+                }
+            }
+        }
+
+        for (const segment of rest) {
+            if (value === undefined || value === null || typeof value !== 'object' ||
+                !Object.prototype.hasOwnProperty.call(value, segment)) {
+                return undefined;
+            }
+            value = value[segment];
+        }
+
+        return value;
+    }
+
+    /**
+     * Record the root variable names read by a node tree
+     * @param {Array<Object>} nodes - Parsed nodes
+     * @param {Map<string, boolean>} usage - Name to "only used optionally" flag
+     * @param {Object} context - `conditional`, `loop` and partial `depth`
+     */
+    collectVariables(nodes, usage, context) {
+        const record = (operand, optional) => {
+            if (operand.type !== 'path' || context.loop) return;
+            const name = operand.path[0];
+            if (name === 'this' || name.startsWith('@')) return;
+            usage.set(name, usage.has(name) ? usage.get(name) && optional : optional);
+        };
+
+        const visit = (node, optional) => {
+            switch (node.type) {
+            case 'not':
+                visit(node.operand, optional);
+                break;
+            case 'and':
+            case 'or':
+            case 'compare':
+                visit(node.left, optional);
+                visit(node.right, optional);
+                break;
+            case 'value': {
+                const hasDefault = node.filters.some(filter => filter.name === 'default');
+                record(node.operand, optional || hasDefault);
+                node.filters.forEach(filter => filter.args.forEach(argument => record(argument, true)));
+                break;
+            }
+            default:
+                break;
+            }
+        };
+
+        for (const node of nodes) {
+            switch (node.type) {
+            case 'output':
+                visit(node.expression, context.conditional);
+                break;
+            case 'if':
+            case 'unless': {
+                visit(node.condition, true);
+                const nested = { ...context, conditional: true };
+                this.collectVariables(node.body, usage, nested);
+                this.collectVariables(node.alternate, usage, nested);
+                break;
+            }
+            case 'each':
+                visit(node.expression, context.conditional);
+                this.collectVariables(node.body, usage, { ...context, loop: true });
+                this.collectVariables(node.alternate, usage, context);
+                break;
+            case 'cache':
+                this.collectVariables(node.body, usage, context);
+                break;
+            case 'partial': {
+                const source = context.depth < MAX_PARTIAL_DEPTH ? this.resolvePartial(node.name) : null;
+                if (typeof source === 'string') {
+                    this.collectVariables(this.parse(source), usage, { ...context, depth: context.depth + 1 });
+                }
+                break;
+            }
+            default:
+                break;
+            }
+        }
+    }
+}
+
+module.exports = TemplateEngine;
@@ -5,8 +5,12 @@
  * Features:
  * - Automatic template discovery and scanning
  * - Template validation and quality scoring
+ * - Front matter metadata and per-template variable schemas
+ * - Rendering with conditionals, loops, filters and shared partials
  * - Template caching and metadata management
+ * - Per-template generation defaults (provider, model and sampling parameters)
  * - Version control integration
+ * - Writing templates to disk with version history
  * - Template lifecycle management (CRUD operations)
  *
  * @author Bader Abdulrahim
@@ -16,19 +20,48 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const yaml = require('js-yaml');
+const VariableSchema = require('./variable_schema');
+const TemplateEngine = require('./template_engine');
+const { RequestValidationError, ValidationError, TemplateSyntaxError } = require('./error_handler');
+
+// Category and template names become directory and file names
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// YAML or JSON block between `---` lines at the very top of a template file
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Generation defaults a registry entry may carry, with the check each value must pass
+const DEFAULT_CHECKS = {
+    provider: value => typeof value === 'string' && value.length > 0,
+    model: value => typeof value === 'string' && value.length > 0,
+    temperature: value => typeof value === 'number' && value >= 0 && value <= 2,
+    maxTokens: value => Number.isInteger(value) && value > 0,
+    stopSequences: value => Array.isArray(value) && value.length <= 4 &&
+        value.every(sequence => typeof sequence === 'string' && sequence.length > 0),
+    systemPrompt: value => typeof value === 'string' && value.trim().length > 0
+};
 
 class TemplateManager {
     constructor(options = {}) {
         this.templateDir = options.templateDir || path.join(__dirname, '../templates');
         this.configDir = options.configDir || path.join(__dirname, '../config');
+        this.variablesDir = options.variablesDir || path.join(__dirname, '../variables');
+        this.partialsDir = options.partialsDir || path.join(this.templateDir, 'partials');
         this.registryFile = path.join(this.configDir, 'template-registry.json');
         this.cacheFile = path.join(this.configDir, 'template-cache.json');
         this.scanInterval = options.scanInterval || 24 * 60 * 60 * 1000; // 24 hours
         this.registry = new Map();
         this.cache = new Map();
+        this.partials = new Map();
+        this.engine = new TemplateEngine({ resolvePartial: name => this.resolvePartial(name) });
+        this.versionManager = options.versionManager || null;
         this.isScanning = false;
+        this.scanTimer = null;
+        this.stopped = false;
 
-        this.init();
+        // Resolves once the registry is loaded and the first scan is done
+        this.ready = options.autoInit !== false ? this.init() : Promise.resolve();
     }
 
     /**
@@ -54,6 +87,17 @@ class TemplateManager {
             const registryData = JSON.parse(data);
             this.registry = new Map(Object.entries(registryData.templates || {}));
             console.log(`Loaded ${this.registry.size} templates from registry`);
+
+            // Entries are hand-editable, so invalid defaults are dropped rather than sent to providers
+            for (const [templateKey, template] of this.registry) {
+                if (!template.defaults) continue;
+                try {
+                    this.validateDefaults(template.defaults);
+                } catch (error) {
+                    console.warn(`Ignoring invalid defaults for template ${templateKey}: ${error.message}`);
+                    delete template.defaults;
+                }
+            }
         } catch (error) {
             console.log('Creating new template registry...');
             this.registry = new Map();
@@ -116,15 +160,27 @@ class TemplateManager {
     async startAutoDiscovery() {
         // Initial scan
         await this.scanTemplates();
+        if (this.stopped) {
+            return;
+        }
 
         // Schedule periodic scans
-        setInterval(() => {
+        this.scanTimer = setInterval(() => {
             this.scanTemplates();
         }, this.scanInterval);
 
         console.log('Auto-discovery started, scanning every 24 hours');
     }
 
+    /**
+     * Stop periodic template scans
+     */
+    stop() {
+        this.stopped = true;
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+    }
+
     /**
      * Scan templates directory for new or updated templates
      */
@@ -138,6 +194,8 @@ class TemplateManager {
         console.log('Starting template scan...');
 
         try {
+            await this.loadPartials();
+
             const categories = await this.getTemplateCategories();
             let totalTemplates = 0;
             let newTemplates = 0;
@@ -156,6 +214,9 @@ class TemplateManager {
                     } else if (template.hash !== existingTemplate.hash) {
                         await this.updateTemplate(template, category);
                         updatedTemplates++;
+                    } else if (!this.cache.has(templateKey)) {
+                        // Registry survived a restart but the cache did not
+                        this.cacheTemplate(templateKey, template);
                     }
 
                     totalTemplates++;
@@ -186,7 +247,7 @@ class TemplateManager {
                 const itemPath = path.join(this.templateDir, item);
                 const stats = await fs.stat(itemPath);
 
-                if (stats.isDirectory()) {
+                if (stats.isDirectory() && itemPath !== this.partialsDir) {
                     categories.push(item);
                 }
             }
@@ -235,27 +296,14 @@ class TemplateManager {
      */
     async loadTemplateFile(templatePath) {
         try {
-            const content = await fs.readFile(templatePath, 'utf8');
+            const rawContent = await fs.readFile(templatePath, 'utf8');
             const stats = await fs.stat(templatePath);
-
-            // Extract variables from template
-            const variables = this.extractVariables(content);
-
-            // Calculate content hash
-            const hash = crypto.createHash('sha256').update(content).digest('hex');
-
-            // Calculate quality score
-            const qualityScore = this.calculateQualityScore(content, variables);
+            const analysis = await this.analyzeTemplate(rawContent, path.basename(templatePath, '.txt'));
 
             return {
-                content,
-                variables,
-                hash,
-                qualityScore,
+                ...analysis,
                 fileSize: stats.size,
-                lastModified: stats.mtime.toISOString(),
-                characterCount: content.length,
-                wordCount: content.split(/\s+/).length
+                lastModified: stats.mtime.toISOString()
             };
         } catch (error) {
             console.error(`Failed to load template file ${templatePath}:`, error);
@@ -263,21 +311,187 @@ class TemplateManager {
         }
     }
 
+    /**
+     * Parse template source and derive its variables, schema, hash and quality score
+     * @param {string} rawContent - Template file contents including front matter
+     * @param {string} templateName - Template file name without extension
+     * @returns {Promise<Object>} - Template analysis
+     * @throws {TemplateSyntaxError} - When the front matter or template body is malformed
+     */
+    async analyzeTemplate(rawContent, templateName) {
+        const { metadata, content } = this.parseFrontMatter(rawContent);
+
+        // Extract variables from template (this also rejects templates with syntax errors)
+        const { variables, optional } = this.engine.analyze(content);
+
+        // Variable declarations come from front matter, or else a sidecar file in variables/
+        let declaration = metadata.variables ? metadata : null;
+        let sidecar = null;
+        if (!declaration) {
+            sidecar = await this.loadVariableDefinitions(templateName);
+            declaration = sidecar ? sidecar.definitions : null;
+        }
+        const variableSchema = VariableSchema.fromDeclaration(declaration, variables, optional);
+
+        // Calculate content hash (a sidecar change counts as a template change)
+        const hash = crypto.createHash('sha256')
+            .update(rawContent)
+            .update(sidecar ? sidecar.raw : '')
+            .digest('hex');
+
+        // Calculate quality score
+        const qualityScore = this.calculateQualityScore(content, variables);
+
+        // The variable declarations are reported through variableSchema
+        const templateMetadata = { ...metadata };
+        delete templateMetadata.variables;
+
+        return {
+            content,
+            variables,
+            variableSchema: variableSchema.toJSON(),
+            metadata: templateMetadata,
+            hash,
+            qualityScore,
+            characterCount: content.length,
+            wordCount: content.split(/\s+/).length
+        };
+    }
+
+    /**
+     * Split YAML/JSON front matter from the template body
+     * @param {string} rawContent - Template file contents
+     * @returns {{metadata: Object, content: string}} - Parsed front matter and the remaining body
+     */
+    parseFrontMatter(rawContent) {
+        const match = rawContent.match(FRONT_MATTER_PATTERN);
+        if (!match) {
+            return { metadata: {}, content: rawContent };
+        }
+
+        let metadata;
+        try {
+            metadata = yaml.load(match[1]) || {};
+        } catch (error) {
+            throw new TemplateSyntaxError(`Invalid front matter: ${error.reason || error.message}`);
+        }
+        if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+            throw new TemplateSyntaxError('Template front matter must be a mapping');
+        }
+
+        return {
+            metadata,
+            content: rawContent.slice(match[0].length)
+        };
+    }
+
+    /**
+     * Load the sidecar variable definitions for a template, if one exists
+     * Looks for `<name>_vars.json`, `<name without _template>_vars.json` and `<name>.json`
+     * @param {string} templateName - Template file name without extension
+     * @returns {Promise<{definitions: Object, raw: string}|null>} - Parsed definitions and raw file contents
+     */
+    async loadVariableDefinitions(templateName) {
+        const baseName = templateName.replace(/_template$/, '');
+        const candidates = [`${templateName}_vars.json`, `${baseName}_vars.json`, `${templateName}.json`];
+
+        for (const fileName of candidates) {
+            const filePath = path.join(this.variablesDir, fileName);
+            let raw;
+            try {
+                raw = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            const definitions = JSON.parse(raw);
+
+            // A sidecar naming a different template belongs to that template
+            if (definitions.template_name && ![templateName, baseName].includes(definitions.template_name)) {
+                continue;
+            }
+
+            return { definitions, raw };
+        }
+
+        return null;
+    }
+
     /**
      * Extract variables from template content
      */
     extractVariables(content) {
-        const variablePattern = /\{\{(\w+)\}\}/g;
-        const variables = [];
-        let match;
+        return this.engine.analyze(content).variables;
+    }
+
+    /**
+     * Load shared partials from the partials directory
+     */
+    async loadPartials() {
+        const partials = new Map();
 
-        while ((match = variablePattern.exec(content)) !== null) {
-            if (!variables.includes(match[1])) {
-                variables.push(match[1]);
+        try {
+            const files = await fs.readdir(this.partialsDir);
+            for (const file of files) {
+                if (file.endsWith('.txt')) {
+                    const content = await fs.readFile(path.join(this.partialsDir, file), 'utf8');
+                    partials.set(file.replace('.txt', ''), content);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load template partials:', error);
             }
         }
 
-        return variables;
+        this.partials = partials;
+    }
+
+    /**
+     * Resolve `{{> name}}` to a partial, or `{{> category/name}}` to another template
+     */
+    resolvePartial(name) {
+        if (this.partials.has(name)) {
+            return this.partials.get(name);
+        }
+
+        const cachedTemplate = name.includes('/') ? this.cache.get(name) : null;
+        return cachedTemplate ? cachedTemplate.content : null;
+    }
+
+    /**
+     * Render template content with variables
+     * @param {string} content - Template body
+     * @param {Object} variables - Variable values (defaults already applied)
+     * @returns {string} - Rendered prompt
+     */
+    renderTemplate(content, variables) {
+        return this.engine.render(content, variables);
+    }
+
+    /**
+     * Render template content split at its `{{#cache}}` blocks
+     * @param {string} content - Template body
+     * @param {Object} variables - Variable values (defaults already applied)
+     * @returns {Array<{text: string, cache: boolean}>} - Prompt sections; `cache` marks a cache breakpoint after the section
+     */
+    renderTemplateSections(content, variables) {
+        return this.engine.renderSections(content, variables);
+    }
+
+    /**
+     * Find placeholders that will render as empty text
+     * Variables only read in conditions, conditional blocks or with a `default` filter are not reported.
+     * @param {string} content - Template content
+     * @param {Object} variables - Variables the template will be rendered with
+     * @returns {string[]} - Names of variables printed without a value
+     */
+    findUnresolvedVariables(content, variables) {
+        const { variables: used, optional } = this.engine.analyze(content);
+        return used.filter(name =>
+            !optional.includes(name) &&
+            (variables[name] === undefined || variables[name] === null || variables[name] === '')
+        );
     }
 
     /**
@@ -315,15 +529,17 @@ class TemplateManager {
     /**
      * Add a new template to the registry
      */
-    async addTemplate(template, category) {
+    async addTemplate(template, category, version = '1.0.0') {
         const templateKey = `${category}/${template.name}`;
 
         const templateMetadata = {
             name: template.name,
             category: category,
-            version: '1.0.0',
+            version,
             hash: template.hash,
             variables: template.variables,
+            variableSchema: template.variableSchema,
+            metadata: template.metadata,
             qualityScore: template.qualityScore,
             stats: {
                 fileSize: template.fileSize,
@@ -342,17 +558,16 @@ class TemplateManager {
                 failedExecutions: 0,
                 averageResponseTime: 0,
                 totalTokensUsed: 0,
-                totalCost: 0
+                totalCost: 0,
+                cacheReadTokens: 0,
+                cacheWriteTokens: 0,
+                cacheSavings: 0
             },
             status: 'active'
         };
 
         this.registry.set(templateKey, templateMetadata);
-        this.cache.set(templateKey, {
-            content: template.content,
-            variables: template.variables,
-            lastCached: new Date().toISOString()
-        });
+        this.cacheTemplate(templateKey, template);
 
         console.log(`Added new template: ${templateKey}`);
     }
@@ -360,19 +575,24 @@ class TemplateManager {
     /**
      * Update an existing template in the registry
      */
-    async updateTemplate(template, category) {
+    async updateTemplate(template, category, version = null) {
         const templateKey = `${category}/${template.name}`;
         const existingTemplate = this.registry.get(templateKey);
 
         if (existingTemplate) {
-            // Increment version
-            const versionParts = existingTemplate.version.split('.');
-            versionParts[2] = (parseInt(versionParts[2]) + 1).toString();
-            const newVersion = versionParts.join('.');
+            // Increment version unless the version history assigned one
+            let newVersion = version;
+            if (!newVersion) {
+                const versionParts = existingTemplate.version.split('.');
+                versionParts[2] = (parseInt(versionParts[2]) + 1).toString();
+                newVersion = versionParts.join('.');
+            }
 
             existingTemplate.version = newVersion;
             existingTemplate.hash = template.hash;
             existingTemplate.variables = template.variables;
+            existingTemplate.variableSchema = template.variableSchema;
+            existingTemplate.metadata = template.metadata;
             existingTemplate.qualityScore = template.qualityScore;
             existingTemplate.stats = {
                 fileSize: template.fileSize,
@@ -383,16 +603,23 @@ class TemplateManager {
             existingTemplate.timestamps.lastModified = template.lastModified;
 
             this.registry.set(templateKey, existingTemplate);
-            this.cache.set(templateKey, {
-                content: template.content,
-                variables: template.variables,
-                lastCached: new Date().toISOString()
-            });
+            this.cacheTemplate(templateKey, template);
 
             console.log(`Updated template: ${templateKey} -> v${newVersion}`);
         }
     }
 
+    /**
+     * Store the renderable body of a template in the cache
+     */
+    cacheTemplate(templateKey, template) {
+        this.cache.set(templateKey, {
+            content: template.content,
+            variables: template.variables,
+            lastCached: new Date().toISOString()
+        });
+    }
+
     /**
      * Get template by key
      */
@@ -410,6 +637,73 @@ class TemplateManager {
         return null;
     }
 
+    /**
+     * Check the generation defaults of a registry entry
+     * @param {Object} defaults - `provider`, `model`, `temperature`, `maxTokens`, `stopSequences` and `systemPrompt`
+     * @returns {Object} - The defaults
+     * @throws {RequestValidationError} - When a field is unknown or its value is invalid
+     */
+    validateDefaults(defaults) {
+        if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+            throw new RequestValidationError('Template defaults must be an object');
+        }
+
+        for (const [field, value] of Object.entries(defaults)) {
+            if (!DEFAULT_CHECKS[field]) {
+                throw new RequestValidationError(`Unknown template default '${field}'. Supported: ${Object.keys(DEFAULT_CHECKS).join(', ')}`);
+            }
+            if (!DEFAULT_CHECKS[field](value)) {
+                throw new RequestValidationError(`Invalid value for template default '${field}'`);
+            }
+        }
+        return defaults;
+    }
+
+    /**
+     * Replace a template's generation defaults; an empty object removes them
+     * Defaults live only in the registry, so template rescans and edits keep them.
+     * @param {string} templateKey - Template key in format "category/name"
+     * @param {Object} defaults - Defaults accepted by validateDefaults()
+     * @returns {Promise<Object|null>} - Stored defaults, or null if the template is unknown
+     * @throws {RequestValidationError} - When the defaults are invalid
+     */
+    async setTemplateDefaults(templateKey, defaults) {
+        const template = this.registry.get(templateKey);
+        if (!template) {
+            return null;
+        }
+
+        this.validateDefaults(defaults);
+        if (Object.keys(defaults).length > 0) {
+            template.defaults = defaults;
+        } else {
+            delete template.defaults;
+        }
+
+        await this.saveRegistry();
+        return template.defaults || {};
+    }
+
+    /**
+     * Validate variables against a template's variable schema
+     * @param {string} templateKey - Template key in format "category/name"
+     * @param {Object} variables - Variables supplied by the caller
+     * @returns {Object|null} - Validation result from VariableSchema.validate, or null if the template is unknown
+     */
+    validateVariables(templateKey, variables) {
+        const template = this.registry.get(templateKey);
+        if (!template) {
+            return null;
+        }
+
+        // Registries written before schemas existed only list placeholder names
+        const schema = template.variableSchema
+            ? new VariableSchema(template.variableSchema)
+            : VariableSchema.fromDeclaration(null, template.variables);
+
+        return schema.validate(variables);
+    }
+
     /**
      * Get all templates
      */
@@ -462,13 +756,47 @@ class TemplateManager {
 
             template.usage.totalTokensUsed += executionData.tokensUsed || 0;
             template.usage.totalCost += executionData.cost || 0;
+
+            // Prompt caching; savings are negative while cache writes cost more than they have saved
+            template.usage.cacheReadTokens = (template.usage.cacheReadTokens || 0) + (executionData.cacheReadTokens || 0);
+            template.usage.cacheWriteTokens = (template.usage.cacheWriteTokens || 0) + (executionData.cacheWriteTokens || 0);
+            template.usage.cacheSavings = (template.usage.cacheSavings || 0) + (executionData.cacheSavings || 0);
             template.timestamps.lastUsed = new Date().toISOString();
 
+            // A successful generation validates the template against the model that produced it
+            if (executionData.success && executionData.provider && executionData.model) {
+                template.validatedModels = template.validatedModels || {};
+                const models = template.validatedModels[executionData.provider] = template.validatedModels[executionData.provider] || {};
+                const validation = models[executionData.model] || { successfulExecutions: 0 };
+                models[executionData.model] = {
+                    successfulExecutions: validation.successfulExecutions + 1,
+                    lastValidated: template.timestamps.lastUsed,
+                    version: template.version
+                };
+            }
+
             this.registry.set(templateKey, template);
             await this.saveRegistry();
         }
     }
 
+    /**
+     * Models each template has generated successfully with
+     * @param {string} provider - Provider name
+     * @returns {Object} - Template key to `{ model: { successfulExecutions, lastValidated, version } }`,
+     *   where `version` is the template version last validated
+     */
+    getValidatedModels(provider) {
+        const validated = {};
+        for (const [templateKey, template] of this.registry.entries()) {
+            const models = template.validatedModels?.[provider];
+            if (models && Object.keys(models).length > 0) {
+                validated[templateKey] = models;
+            }
+        }
+        return validated;
+    }
+
     /**
      * Get template statistics
      */
@@ -482,7 +810,8 @@ class TemplateManager {
             averageQualityScore: templates.reduce((sum, t) => sum + t.qualityScore, 0) / templates.length,
             totalExecutions: templates.reduce((sum, t) => sum + t.usage.totalExecutions, 0),
             totalTokensUsed: templates.reduce((sum, t) => sum + t.usage.totalTokensUsed, 0),
-            totalCost: templates.reduce((sum, t) => sum + t.usage.totalCost, 0)
+            totalCost: templates.reduce((sum, t) => sum + t.usage.totalCost, 0),
+            totalCacheSavings: templates.reduce((sum, t) => sum + (t.usage.cacheSavings || 0), 0)
         };
     }
 
@@ -501,6 +830,132 @@ class TemplateManager {
         return false;
     }
 
+    /**
+     * Resolve the file path of a template, rejecting names that are not plain identifiers
+     */
+    getTemplatePath(category, name) {
+        if (!NAME_PATTERN.test(category) || !NAME_PATTERN.test(name)) {
+            throw new RequestValidationError('Category and template name may only contain letters, numbers, underscores and dashes');
+        }
+
+        const categoryPath = path.join(this.templateDir, category);
+        if (categoryPath === this.partialsDir) {
+            throw new RequestValidationError(`'${category}' is reserved for partials`);
+        }
+
+        return path.join(categoryPath, `${name}.txt`);
+    }
+
+    /**
+     * Check whether a template file exists on disk
+     */
+    async templateExists(category, name) {
+        try {
+            await fs.access(this.getTemplatePath(category, name));
+            return true;
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            return false;
+        }
+    }
+
+    /**
+     * Create or overwrite a template file and record a new version
+     * @param {string} category - Template category (directory)
+     * @param {string} name - Template name (file name without `.txt`)
+     * @param {string} rawContent - Template source, optionally with front matter
+     * @param {Object} metadata - Version metadata (e.g. `author`, `message`)
+     * @returns {Promise<Object>} - `{ template, version }` with the registry entry and version info
+     * @throws {TemplateSyntaxError} - When the template does not parse
+     */
+    async saveTemplate(category, name, rawContent, metadata = {}) {
+        const templatePath = this.getTemplatePath(category, name);
+        const templateKey = `${category}/${name}`;
+
+        // Reject broken templates before touching the file
+        await this.analyzeTemplate(rawContent, name);
+
+        let versionInfo = null;
+        if (this.versionManager) {
+            // Templates created by hand start their history with the content already on disk
+            if (!this.versionManager.getCurrentVersion(templateKey) && await this.templateExists(category, name)) {
+                const existingContent = await fs.readFile(templatePath, 'utf8');
+                await this.versionManager.createVersion(templateKey, existingContent, { source: 'existing_file' });
+            }
+            versionInfo = await this.versionManager.createVersion(templateKey, rawContent, metadata);
+        }
+
+        await fs.mkdir(path.dirname(templatePath), { recursive: true });
+        await fs.writeFile(templatePath, rawContent);
+
+        const template = await this.writeRegistryEntry(category, name, templatePath, versionInfo?.version);
+        console.log(`Saved template: ${templateKey} -> v${template.version}`);
+
+        return { template, version: versionInfo };
+    }
+
+    /**
+     * Restore a template file to an earlier version from its history
+     * @param {string} category - Template category
+     * @param {string} name - Template name
+     * @param {string} version - Version to restore
+     * @returns {Promise<Object>} - `{ template, rollback }`
+     */
+    async rollbackTemplate(category, name, version) {
+        if (!this.versionManager) {
+            throw new Error('Version history is not enabled');
+        }
+
+        const templatePath = this.getTemplatePath(category, name);
+        const templateKey = `${category}/${name}`;
+        const rollback = await this.versionManager.rollbackToVersion(templateKey, version);
+        const versionData = this.versionManager.getVersion(templateKey, version);
+
+        await fs.mkdir(path.dirname(templatePath), { recursive: true });
+        await fs.writeFile(templatePath, versionData.content);
+
+        const template = await this.writeRegistryEntry(category, name, templatePath, version);
+        return { template, rollback };
+    }
+
+    /**
+     * Delete a template file and remove it from the registry (its version history is kept)
+     * @returns {Promise<boolean>} - False if the template did not exist
+     */
+    async deleteTemplate(category, name) {
+        const templatePath = this.getTemplatePath(category, name);
+
+        try {
+            await fs.unlink(templatePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        await this.removeTemplate(`${category}/${name}`);
+        return true;
+    }
+
+    /**
+     * Reload a written template file into the registry and cache
+     */
+    async writeRegistryEntry(category, name, templatePath, version) {
+        const templateKey = `${category}/${name}`;
+        const templateData = await this.loadTemplateFile(templatePath);
+        const template = { name, path: templatePath, category, ...templateData };
+
+        if (this.registry.has(templateKey)) {
+            await this.updateTemplate(template, category, version);
+        } else {
+            await this.addTemplate(template, category, version);
+        }
+
+        await this.saveRegistry();
+        await this.saveCache();
+
+        return { key: templateKey, ...this.registry.get(templateKey) };
+    }
+
     /**
      * Refresh template cache
      */
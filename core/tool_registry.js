@@ -0,0 +1,332 @@
+/**
+ * Tool Registry - Tools that models can call while generating a completion
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Built-in calculator and date tools
+ * - n8n webhook tools declared in template front matter
+ * - Input checks against each tool's JSON input schema
+ * - Tool failures are reported back to the model instead of failing the request
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { RequestValidationError } = require('./error_handler');
+const { logger } = require('./logger');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const DURATION_UNITS = {
+    minutes: 60 * 1000,
+    hours: 60 * 60 * 1000,
+    days: 24 * 60 * 60 * 1000,
+    weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ * Supports numbers, + - * / % ^, parentheses and unary minus
+ * @param {string} expression - Expression text
+ * @returns {number} - Result
+ */
+function evaluateExpression(expression) {
+    const tokens = String(expression).match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|[-+*/%^()]|\S/gi) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === '(') {
+            const value = parseSum();
+            if (next() !== ')') throw new Error('Missing closing parenthesis');
+            return value;
+        }
+        if (token === '-') return -parsePrimary();
+        if (token === '+') return parsePrimary();
+        if (token !== undefined && /^\d/.test(token)) return Number(token);
+        throw new Error(token === undefined ? 'Unexpected end of expression' : `Unexpected token '${token}'`);
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, parsePower());
+        }
+        return base;
+    };
+
+    const parseProduct = () => {
+        let value = parsePower();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = next();
+            const operand = parsePower();
+            value = operator === '*' ? value * operand : operator === '/' ? value / operand : value % operand;
+        }
+        return value;
+    };
+
+    const parseSum = () => {
+        let value = parseProduct();
+        while (['+', '-'].includes(peek())) {
+            value = next() === '+' ? value + parseProduct() : value - parseProduct();
+        }
+        return value;
+    };
+
+    const result = parseSum();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected token '${peek()}'`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('Result is not a finite number');
+    }
+    return result;
+}
+
+/**
+ * Parse a date input, defaulting to now
+ */
+function parseDate(value) {
+    const date = value ? new Date(value) : new Date();
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date '${value}'`);
+    }
+    return date;
+}
+
+/**
+ * Describe a date in a form models read reliably
+ */
+function describeDate(date) {
+    return {
+        iso: date.toISOString(),
+        date: date.toISOString().slice(0, 10),
+        weekday: date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+    };
+}
+
+const BUILT_IN_TOOLS = [
+    {
+        name: 'calculator',
+        description: 'Evaluate an arithmetic expression. Supports + - * / % ^ and parentheses.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) - 3"' }
+            },
+            required: ['expression']
+        },
+        handler: async ({ expression }) => ({ expression, result: evaluateExpression(expression) })
+    },
+    {
+        name: 'date',
+        description: 'Get the current date and time (UTC), add a duration to a date, or count the time between two dates.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                operation: { type: 'string', enum: ['now', 'add', 'difference'] },
+                date: { type: 'string', description: 'ISO 8601 date; defaults to now' },
+                to: { type: 'string', description: 'End date for "difference"' },
+                amount: { type: 'number', description: 'Amount to add for "add"; may be negative' },
+                unit: { type: 'string', enum: Object.keys(DURATION_UNITS) }
+            },
+            required: ['operation']
+        },
+        handler: async ({ operation, date, to, amount = 0, unit = 'days' }) => {
+            const unitMs = DURATION_UNITS[unit];
+            if (!unitMs) {
+                throw new Error(`Unknown unit '${unit}'`);
+            }
+
+            switch (operation) {
+            case 'now':
+                return describeDate(new Date());
+            case 'add':
+                return describeDate(new Date(parseDate(date).getTime() + amount * unitMs));
+            case 'difference':
+                return {
+                    unit,
+                    difference: (parseDate(to).getTime() - parseDate(date).getTime()) / unitMs
+                };
+            default:
+                throw new Error(`Unknown operation '${operation}'`);
+            }
+        }
+    }
+];
+
+class ToolRegistry {
+    /**
+     * @param {Object} options - `webhookBaseUrl` and `webhookToken` for n8n webhook tools,
+     *   `webhookTimeout` (ms) and `maxOutputLength` (characters returned to the model)
+     */
+    constructor(options = {}) {
+        this.webhookBaseUrl = options.webhookBaseUrl ? options.webhookBaseUrl.replace(/\/$/, '') : null;
+        this.webhookToken = options.webhookToken || null;
+        this.webhookTimeout = options.webhookTimeout || 10000;
+        this.maxOutputLength = options.maxOutputLength || 10000;
+        this.tools = new Map();
+
+        for (const tool of BUILT_IN_TOOLS) {
+            this.register(tool);
+        }
+    }
+
+    /**
+     * Register a tool
+     * @param {Object} tool - `name`, `description`, `inputSchema` (JSON schema) and async `handler(input, context)`
+     */
+    register(tool) {
+        if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+            throw new RequestValidationError(`Invalid tool name '${tool.name}'`);
+        }
+        this.tools.set(tool.name, tool);
+    }
+
+    /**
+     * Names of the registered tools
+     */
+    getToolNames() {
+        return Array.from(this.tools.keys());
+    }
+
+    /**
+     * Turn a template's `tools` front matter into tools a provider can call
+     *
+     * Entries are either the name of a registered tool or an n8n webhook tool:
+     * `{ name, description, input_schema, webhook }`, where `webhook` is a path
+     * under the configured n8n webhook base URL.
+     *
+     * @param {Array} declarations - Front matter `tools` entries
+     * @returns {Array<Object>} - `{ name, description, inputSchema, execute(input, context) }`
+     * @throws {RequestValidationError} - When a declaration is malformed or names an unknown tool
+     */
+    resolveTools(declarations) {
+        if (!declarations) {
+            return [];
+        }
+        if (!Array.isArray(declarations)) {
+            throw new RequestValidationError('Template tools must be a list');
+        }
+
+        const resolved = declarations.map(declaration => {
+            if (typeof declaration === 'string') {
+                const tool = this.tools.get(declaration);
+                if (!tool) {
+                    throw new RequestValidationError(`Unknown tool '${declaration}'. Available tools: ${this.getToolNames().join(', ')}`);
+                }
+                return this.createCallableTool(tool);
+            }
+
+            if (declaration && typeof declaration === 'object' && declaration.webhook) {
+                return this.createCallableTool(this.createWebhookTool(declaration));
+            }
+
+            throw new RequestValidationError('Template tools must be tool names or webhook tool declarations');
+        });
+
+        const names = resolved.map(tool => tool.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new RequestValidationError(`Tool '${duplicate}' is declared more than once`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Build a tool that posts its input to an n8n webhook and returns the response
+     * @param {Object} declaration - `{ name, description, input_schema, webhook }`
+     */
+    createWebhookTool(declaration) {
+        const { name, description, webhook } = declaration;
+
+        if (!TOOL_NAME_PATTERN.test(name || '') || !description) {
+            throw new RequestValidationError('Webhook tools need a name (letters, digits, _ and -) and a description');
+        }
+        if (!this.webhookBaseUrl) {
+            throw new RequestValidationError(`Tool '${name}' calls an n8n webhook, but N8N_WEBHOOK_BASE_URL is not configured`);
+        }
+        // Templates only choose the path, so they cannot send data to arbitrary hosts
+        if (/^[a-z][a-z0-9+.-]*:|^\/\/|\.\./i.test(webhook)) {
+            throw new RequestValidationError(`Tool '${name}' webhook must be a path under the n8n webhook base URL`);
+        }
+
+        const url = `${this.webhookBaseUrl}/${String(webhook).replace(/^\//, '')}`;
+
+        return {
+            name,
+            description,
+            inputSchema: declaration.input_schema || { type: 'object', properties: {} },
+            handler: async (input, context = {}) => {
+                const headers = { 'Content-Type': 'application/json' };
+                if (this.webhookToken) {
+                    headers.Authorization = `Bearer ${this.webhookToken}`;
+                }
+
+                const timeoutSignal = AbortSignal.timeout(this.webhookTimeout);
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ tool: name, input }),
+                    signal: context.signal && typeof AbortSignal.any === 'function'
+                        ? AbortSignal.any([context.signal, timeoutSignal])
+                        : timeoutSignal
+                });
+
+                const text = await response.text();
+                if (!response.ok) {
+                    throw new Error(`Webhook responded with ${response.status}: ${text.slice(0, 200)}`);
+                }
+
+                try {
+                    return JSON.parse(text);
+                } catch (parseError) {
+                    return text;
+                }
+            }
+        };
+    }
+
+    /**
+     * Wrap a tool so calling it never throws
+     * @returns {Object} - Tool with `execute(input, context)` resolving to `{ output, isError }`
+     */
+    createCallableTool(tool) {
+        return {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            execute: async (input = {}, context = {}) => {
+                try {
+                    const missing = (tool.inputSchema?.required || []).filter(field => input[field] === undefined);
+                    if (missing.length > 0) {
+                        throw new Error(`Missing required input: ${missing.join(', ')}`);
+                    }
+
+                    const result = await tool.handler(input, context);
+                    return { output: this.formatOutput(result), isError: false };
+                } catch (error) {
+                    logger.warn('Tool call failed', { tool: tool.name, error: error.message, eventType: 'tool_call' });
+                    return { output: error.message, isError: true };
+                }
+            }
+        };
+    }
+
+    /**
+     * Serialize a tool result for the model, truncated to maxOutputLength
+     */
+    formatOutput(result) {
+        const text = typeof result === 'string' ? result : JSON.stringify(result);
+        return text.length > this.maxOutputLength
+            ? `${text.slice(0, this.maxOutputLength)}... [truncated]`
+            : text;
+    }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,227 @@
+/**
+ * Variable Schema - Declared variables for a template and validation of incoming values
+ * Part of the n8n Claude Prompt System
+ *
+ * Features:
+ * - Normalizes front matter and `variables/*_vars.json` definitions into one shape
+ * - Required/optional variables, types, enums, defaults and string constraints
+ * - Reports missing, unknown and invalid variables separately
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+class VariableSchema {
+    /**
+     * @param {Object} schema - Normalized schema (`required`, `optional`, `definitions`, `declared`)
+     */
+    constructor(schema = {}) {
+        this.required = schema.required || [];
+        this.optional = schema.optional || [];
+        this.definitions = schema.definitions || {};
+        this.declared = Boolean(schema.declared);
+    }
+
+    /**
+     * Build a schema from a template's declaration and the placeholders it uses
+     *
+     * Accepts the `variables` section of `schemas/template_schema.json`, the
+     * `required_variables`/`variable_definitions` layout of `variables/*_vars.json`,
+     * a list of `{ name, required }` entries, or a flat map of definitions.
+     * Variables the declaration does not mention are required, unless the template
+     * only reads them optionally (in conditions, conditional blocks or with a default).
+     *
+     * @param {Object|null} declaration - Front matter or sidecar file contents
+     * @param {string[]} templateVariables - Variables read by the template body
+     * @param {string[]} optionalVariables - Template variables the body only reads optionally
+     * @returns {VariableSchema} - Normalized schema
+     */
+    static fromDeclaration(declaration, templateVariables = [], optionalVariables = []) {
+        const { required, optional, definitions } = VariableSchema.normalizeDeclaration(declaration);
+        const known = new Set([...required, ...optional, ...Object.keys(definitions)]);
+
+        for (const name of templateVariables) {
+            if (!known.has(name)) {
+                if (!optionalVariables.includes(name)) {
+                    required.push(name);
+                }
+                known.add(name);
+            }
+        }
+
+        return new VariableSchema({
+            required,
+            optional: Array.from(known).filter(name => !required.includes(name)),
+            definitions,
+            declared: Boolean(declaration)
+        });
+    }
+
+    /**
+     * Convert any supported declaration layout into required/optional lists and definitions
+     */
+    static normalizeDeclaration(declaration) {
+        const result = { required: [], optional: [], definitions: {} };
+        if (!declaration || typeof declaration !== 'object') {
+            return result;
+        }
+
+        const variables = declaration.variables;
+
+        if (Array.isArray(variables)) {
+            // [{ name, required, type, ... }]
+            for (const { name, required, ...definition } of variables) {
+                if (!name) continue;
+                result.definitions[name] = definition;
+                (required ? result.required : result.optional).push(name);
+            }
+        } else if (variables && typeof variables === 'object') {
+            // { required: [], optional: [], definitions: {} }
+            result.required = [...(variables.required || [])];
+            result.optional = [...(variables.optional || [])];
+            result.definitions = { ...(variables.definitions || {}) };
+        } else if (declaration.required_variables || declaration.variable_definitions) {
+            result.required = [...(declaration.required_variables || [])];
+            result.optional = [...(declaration.optional_variables || [])];
+            result.definitions = { ...(declaration.variable_definitions || {}) };
+        } else {
+            // Flat map of definitions keyed by variable name
+            for (const [name, definition] of Object.entries(declaration)) {
+                if (definition && typeof definition === 'object' && VARIABLE_TYPES.includes(definition.type)) {
+                    result.definitions[name] = definition;
+                    (definition.required ? result.required : result.optional).push(name);
+                }
+            }
+        }
+
+        // A default makes a required variable effectively optional
+        result.required = result.required.filter(name => result.definitions[name]?.default === undefined);
+        for (const name of Object.keys(result.definitions)) {
+            if (!result.required.includes(name) && !result.optional.includes(name)) {
+                result.optional.push(name);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate variables supplied for a generation request
+     * @param {Object} variables - Variables from the request
+     * @returns {Object} - `{ valid, variables, missing, unknown, invalid }`; `variables` has defaults applied
+     */
+    validate(variables = {}) {
+        const resolved = { ...variables };
+        const missing = [];
+        const unknown = [];
+        const invalid = [];
+
+        for (const [name, definition] of Object.entries(this.definitions)) {
+            if (this.isEmpty(resolved[name]) && definition.default !== undefined) {
+                resolved[name] = definition.default;
+            }
+        }
+
+        for (const name of this.required) {
+            if (this.isEmpty(resolved[name])) {
+                missing.push(name);
+            }
+        }
+
+        // Without a declaration there is nothing to compare extra variables against
+        if (this.declared) {
+            const known = new Set([...this.required, ...this.optional]);
+            for (const name of Object.keys(variables)) {
+                if (!known.has(name)) {
+                    unknown.push(name);
+                }
+            }
+        }
+
+        for (const [name, value] of Object.entries(resolved)) {
+            const definition = this.definitions[name];
+            if (!definition || this.isEmpty(value)) continue;
+
+            const reason = this.checkValue(value, definition);
+            if (reason) {
+                invalid.push({ name, reason });
+            }
+        }
+
+        return {
+            valid: missing.length === 0 && unknown.length === 0 && invalid.length === 0,
+            variables: resolved,
+            missing,
+            unknown,
+            invalid
+        };
+    }
+
+    /**
+     * Check a single value against its definition
+     * @returns {string|null} - Reason the value is invalid, or null when valid
+     */
+    checkValue(value, definition) {
+        if (definition.type && !this.matchesType(value, definition.type)) {
+            return `Expected ${definition.type}`;
+        }
+
+        if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+            return `Must be one of: ${definition.enum.join(', ')}`;
+        }
+
+        const rules = definition.validation || {};
+        if (typeof value === 'string') {
+            if (rules.min_length !== undefined && value.length < rules.min_length) {
+                return `Must be at least ${rules.min_length} characters`;
+            }
+            if (rules.max_length !== undefined && value.length > rules.max_length) {
+                return `Must be at most ${rules.max_length} characters`;
+            }
+            if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+                return `Must match pattern ${rules.pattern}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a value against a declared variable type
+     */
+    matchesType(value, type) {
+        switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+        }
+    }
+
+    /**
+     * Whether a variable counts as not provided
+     */
+    isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    /**
+     * Plain representation stored in the template registry
+     */
+    toJSON() {
+        return {
+            required: this.required,
+            optional: this.optional,
+            definitions: this.definitions,
+            declared: this.declared
+        };
+    }
+}
+
+module.exports = VariableSchema;
@@ -9,6 +9,7 @@
  * - Rollback capabilities
  * - Version history tracking
  * - Backward compatibility checks
+ * - Line diffs between versions
  *
  * @author Bader Abdulrahim
  * @version 1.0.0
@@ -17,6 +18,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const TemplateEngine = require('./template_engine');
 
 class VersionManager {
     constructor(options = {}) {
@@ -24,13 +26,16 @@ class VersionManager {
         this.versionsFile = path.join(this.configDir, 'template-versions.json');
         this.backupDir = path.join(this.configDir, 'backups');
         this.versions = new Map();
+        this.engine = new TemplateEngine();
         this.deprecationPolicies = {
             minor: 30 * 24 * 60 * 60 * 1000, // 30 days
             major: 90 * 24 * 60 * 60 * 1000, // 90 days
             patch: 7 * 24 * 60 * 60 * 1000   // 7 days
         };
 
-        this.init();
+        if (options.autoInit !== false) {
+            this.init();
+        }
     }
 
     /**
@@ -179,17 +184,12 @@ class VersionManager {
      * Extract variables from template content
      */
     extractVariables(content) {
-        const variablePattern = /\{\{(\w+)\}\}/g;
-        const variables = [];
-        let match;
-
-        while ((match = variablePattern.exec(content)) !== null) {
-            if (!variables.includes(match[1])) {
-                variables.push(match[1]);
-            }
+        try {
+            return this.engine.analyze(content).variables;
+        } catch (error) {
+            // Versions are validated before they are stored; unparsable legacy content has no known variables
+            return [];
         }
-
-        return variables;
     }
 
     /**
@@ -462,6 +462,74 @@ class VersionManager {
         };
     }
 
+    /**
+     * Line diff between two versions of a template
+     * @param {string} templateKey - Template key
+     * @param {string} fromVersion - Base version
+     * @param {string} toVersion - Compared version
+     * @returns {Object|null} - Changed lines, summary and migration requirements, or null if a version is missing
+     */
+    diffVersions(templateKey, fromVersion, toVersion) {
+        const fromVersionData = this.getVersion(templateKey, fromVersion);
+        const toVersionData = this.getVersion(templateKey, toVersion);
+
+        if (!fromVersionData || !toVersionData) {
+            return null;
+        }
+
+        const changes = this.diffLines(fromVersionData.content.split('\n'), toVersionData.content.split('\n'));
+
+        return {
+            templateKey,
+            fromVersion,
+            toVersion,
+            summary: {
+                added: changes.filter(change => change.type === 'added').length,
+                removed: changes.filter(change => change.type === 'removed').length,
+                unchanged: changes.filter(change => change.type === 'unchanged').length
+            },
+            changes,
+            migration: this.getMigrationRequirements(templateKey, fromVersion, toVersion)
+        };
+    }
+
+    /**
+     * Longest-common-subsequence diff of two line arrays
+     */
+    diffLines(oldLines, newLines) {
+        const rows = oldLines.length;
+        const columns = newLines.length;
+
+        // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+        const lengths = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(0));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i][j] = oldLines[i] === newLines[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const changes = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < columns) {
+            if (i < rows && j < columns && oldLines[i] === newLines[j]) {
+                changes.push({ type: 'unchanged', line: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+                i++;
+                j++;
+            } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                changes.push({ type: 'removed', line: oldLines[i], oldLine: i + 1 });
+                i++;
+            } else {
+                changes.push({ type: 'added', line: newLines[j], newLine: j + 1 });
+                j++;
+            }
+        }
+
+        return changes;
+    }
+
     /**
      * Generate migration steps
      */
@@ -1,24 +1,80 @@
+const {
+    ProviderError,
+    ProviderAuthenticationError,
+    ProviderRequestError,
+    ProviderRateLimitError,
+    ProviderTimeoutError,
+    ProviderUnavailableError,
+    RequestValidationError,
+    ValidationError
+} = require('../core/error_handler');
+const { modelCatalog } = require('../core/model_catalog');
+const { getSharedRateLimiter } = require('./rate_limiter');
+const { getSharedCircuitBreaker } = require('./circuit_breaker');
+const { getCassetteRecorder } = require('./cassette');
+
+// Network level error codes that indicate the provider could not be reached
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
 /**
  * Abstract Base Provider for LLM Integration
  * Defines the interface that all LLM providers must implement
+ *
+ * Every provider returns the same result shape from `generateCompletion`:
+ *   { content, model, usage: { inputTokens, outputTokens, totalTokens }, cost, responseTime, finishReason }
+ * and throws a `ProviderError` subclass on failure.
+ *
+ * Subclasses pass `catalogProvider`, their entry in config/llm-providers.json; the model
+ * catalog then supplies model validation, `max_tokens` limits, context windows, pricing,
+ * the rate limits enforced before each request and the circuit breaker thresholds.
  */
 class BaseProvider {
     constructor(config = {}) {
         this.config = config;
         this.name = this.constructor.name;
         this.rateLimits = config.rateLimits || {};
+        this.circuitBreakerOptions = config.circuitBreaker || {};
         this.maxRetries = config.maxRetries || 3;
         this.timeout = config.timeout || 30000;
+        this.maxTokens = config.maxTokens || 1000;
+        this.temperature = config.temperature ?? 0.7;
+        // Highest sampling temperature the provider's API accepts; higher values are sent as this
+        this.maxTemperature = 2;
+        this.modelCatalog = config.modelCatalog || modelCatalog;
+        this.catalogProvider = config.catalogProvider || null;
+        this.rateLimiter = config.rateLimiter || this.createRateLimiter();
+        this.circuitBreaker = this.createCircuitBreaker();
+        this.cassette = config.cassette || getCassetteRecorder();
     }
 
     /**
    * Abstract method - must be implemented by subclasses
    * @param {string} prompt - The processed prompt to send
-   * @param {Object} options - Provider-specific options
-   * @returns {Promise<Object>} - Standardized response object
+   * @param {Object} options - Provider-specific options (`signal` aborts the request,
+   *   `messages` holds earlier conversation turns sent before the prompt, `tools` lists
+   *   tools the model may call when the provider's capabilities include `supportsTools`,
+   *   `attachments` holds images and PDFs from AttachmentProcessor and `attachmentPosition`
+   *   places them `before` or `after` the prompt; `template` names the template the prompt
+   *   was rendered from, when there is one)
+   * @returns {Promise<Object>} - Normalized completion result
+   * @throws {ProviderError} - When the provider call fails
    */
-    async generateResponse(prompt, _options = {}) {
-        throw new Error('generateResponse method must be implemented by subclass');
+    async generateCompletion(_prompt, _options = {}) {
+        throw new Error('generateCompletion method must be implemented by subclass');
+    }
+
+    /**
+   * Stream a completion as it is generated - implemented by providers that support streaming
+   * @param {string} prompt - The processed prompt to send
+   * @param {Object} options - Provider-specific options (`signal` aborts the request)
+   * @returns {AsyncGenerator<Object>} - Yields `{ type: 'delta', content }` events,
+   *   then a single `{ type: 'done', ...completionResult }` event
+   */
+    streamCompletion(_prompt, _options = {}) {
+        throw new Error(`${this.name} does not support streaming`);
     }
 
     /**
@@ -34,9 +90,10 @@ class BaseProvider {
     /**
    * Abstract method - must be implemented by subclasses
    * @param {Object} response - Raw provider response
-   * @returns {Object} - Standardized response format
+   * @param {Object} context - Request context (e.g. `responseTime`)
+   * @returns {Object} - Normalized completion result
    */
-    formatResponse(_response) {
+    formatResponse(_response, _context = {}) {
         throw new Error('formatResponse method must be implemented by subclass');
     }
 
@@ -49,12 +106,26 @@ class BaseProvider {
     }
 
     /**
-   * Get provider-specific cost calculation
-   * @param {Object} usage - Token usage information
+   * Calculate cost from the model catalog's per-million-token prices
+   * Models the catalog does not list are priced as the provider's configured model
+   * @param {Object} usage - Normalized token usage (`inputTokens`, `outputTokens`)
+   * @param {string} model - Model used
    * @returns {number} - Cost in USD
    */
-    calculateCost(_usage) {
-        return 0; // Override in subclasses
+    calculateCost(usage, model) {
+        const modelInfo = this.getModelInfo(model) || this.getModelInfo(this.model);
+        return this.modelCatalog.calculateCost(modelInfo, usage);
+    }
+
+    /**
+   * Calculate what the prompt cache saved compared to paying the full input price
+   * @param {Object} usage - Normalized token usage with cache token counts
+   * @param {string} model - Model used
+   * @returns {number} - Saving in USD, negative when only cache writes were made
+   */
+    calculateCacheSavings(usage, model) {
+        const modelInfo = this.getModelInfo(model) || this.getModelInfo(this.model);
+        return this.modelCatalog.calculateCacheSavings(modelInfo, usage);
     }
 
     /**
@@ -67,55 +138,440 @@ class BaseProvider {
             supportsStreaming: false,
             supportsImages: false,
             supportsFiles: false,
+            supportsTools: false,
             maxTokens: 4000,
+            contextWindow: 4096,
             supportedModels: []
         };
     }
 
     /**
-   * Standardized error handling
-   * @param {Error} error - Original error
-   * @param {string} context - Context where error occurred
-   * @returns {Object} - Standardized error object
+   * Catalog entry of a model
+   * @param {string} model - Model name (defaults to the provider's configured model)
+   * @returns {Object|null} - Model entry, or null when the catalog does not list it
+   */
+    getModelInfo(model) {
+        if (!this.catalogProvider) {
+            return null;
+        }
+        return this.modelCatalog.findModel(this.catalogProvider, model || this.model);
+    }
+
+    /**
+   * Catalog entry of a model a request is about to use
+   * @param {string} model - Requested model name
+   * @returns {Object|null} - Model entry (null for providers without a catalog entry)
+   * @throws {UnknownModelError} - When the catalog does not list the model
+   */
+    resolveModel(model) {
+        if (!this.catalogProvider) {
+            return null;
+        }
+        return this.modelCatalog.requireModel(this.catalogProvider, model);
+    }
+
+    /**
+   * Make sure a model's details are loaded before it is validated
+   * Providers that learn their models at runtime override this; others have nothing to load
+   * @param {string} _model - Model name
+   */
+    async ensureModel(_model) {}
+
+    /**
+   * Whether this provider offers a model
+   * Providers without a catalog entry accept any model
+   * @param {string} model - Model name
+   * @returns {boolean} - True when the model can be requested
+   */
+    hasModel(model) {
+        return !this.catalogProvider || this.modelCatalog.hasModel(this.catalogProvider, model);
+    }
+
+    /**
+   * Sampling parameters used when neither the request nor the template sets them
+   * @returns {{temperature: number, maxTokens: number}} - Configured or built-in defaults
+   */
+    getDefaultParameters() {
+        return { temperature: this.temperature, maxTokens: this.maxTokens };
+    }
+
+    /**
+   * Limit a sampling temperature to the range the provider's API accepts
+   * @param {number} temperature - Requested temperature
+   * @returns {number} - Temperature to send
+   */
+    clampTemperature(temperature) {
+        return Math.max(0, Math.min(this.maxTemperature, temperature));
+    }
+
+    /**
+   * Limit requested completion tokens to the model's maximum
+   * @param {number} requested - Requested `maxTokens`
+   * @param {Object} modelInfo - Catalog entry from resolveModel()
+   * @returns {number} - Completion token limit to send
+   */
+    clampMaxTokens(requested, modelInfo) {
+        return this.modelCatalog.clampMaxTokens(modelInfo, requested);
+    }
+
+    /**
+   * Whether a model accepts the given attachments
+   * Models opt in through `supports_images` and `supports_pdf` in the model catalog
+   * @param {Array<Object>} attachments - Normalized attachments (`kind` is `image` or `document`)
+   * @param {string} model - Model name (defaults to the provider's configured model)
+   * @returns {boolean} - True when every attachment can be sent
+   */
+    supportsAttachments(attachments = [], model) {
+        return this.findUnsupportedAttachment(attachments, model) === null;
+    }
+
+    /**
+   * Reject attachments the model cannot read
+   * @throws {RequestValidationError} - When the model does not accept an attachment's kind
+   */
+    checkAttachments(attachments = [], model) {
+        const unsupported = this.findUnsupportedAttachment(attachments, model);
+        if (unsupported) {
+            const kind = unsupported.kind === 'document' ? 'PDF documents' : 'images';
+            throw new RequestValidationError(`Model '${model || this.model}' of provider '${this.catalogProvider || this.name}' does not accept ${kind}`);
+        }
+    }
+
+    /**
+   * First attachment the model does not accept, or null
+   */
+    findUnsupportedAttachment(attachments, model) {
+        const modelInfo = this.getModelInfo(model);
+        return attachments.find(attachment => (attachment.kind === 'document'
+            ? !modelInfo?.supports_pdf
+            : !modelInfo?.supports_images)) || null;
+    }
+
+    /**
+   * Estimated input tokens of attachments
+   * Images cost up to about 1,600 tokens; each PDF page is read as text plus an image
+   * @param {Array<Object>} attachments - Normalized attachments
+   * @returns {number} - Estimated tokens
+   */
+    estimateAttachmentTokens(attachments = []) {
+        return attachments.reduce((sum, attachment) => sum + (attachment.kind === 'document'
+            ? (attachment.pages || 1) * 2500
+            : 1600), 0);
+    }
+
+    /**
+   * Default model of this provider from the model catalog
+   * @returns {string|null} - Model name
+   */
+    getDefaultModel() {
+        return this.catalogProvider ? this.modelCatalog.getDefaultModel(this.catalogProvider) : null;
+    }
+
+    /**
+   * Get the context window (prompt plus completion tokens) of a model
+   * @param {string} model - Model name
+   * @returns {number} - Context window in tokens
+   */
+    getContextWindow(model) {
+        const modelInfo = this.getModelInfo(model) || this.getModelInfo(this.model);
+        return modelInfo?.context_window || this.getCapabilities().contextWindow || 4096;
+    }
+
+    /**
+   * Create the rate limiter shared by every instance of this provider
+   * Limits come from `config.rateLimits` or the catalog's `rate_limits`
+   * @returns {RateLimiter|null} - Limiter, or null when rate limiting is disabled or unconfigured
+   */
+    createRateLimiter() {
+        const settings = this.modelCatalog.getGlobalSettings();
+        const catalogLimits = this.catalogProvider ? this.modelCatalog.getProvider(this.catalogProvider)?.rate_limits || {} : {};
+        const requestsPerMinute = this.rateLimits.requestsPerMinute || catalogLimits.requests_per_minute;
+        const tokensPerMinute = this.rateLimits.tokensPerMinute || catalogLimits.tokens_per_minute;
+
+        if (settings.enable_rate_limiting === false || (!requestsPerMinute && !tokensPerMinute)) {
+            return null;
+        }
+
+        return getSharedRateLimiter(this.catalogProvider || this.name, {
+            requestsPerMinute,
+            tokensPerMinute,
+            maxWaitMs: this.rateLimits.maxWaitMs ?? settings.rate_limit_max_wait_ms
+        });
+    }
+
+    /**
+   * Create the circuit breaker shared by every instance of this provider
+   * Thresholds come from `config.circuitBreaker`, the catalog's `circuit_breaker` or the
+   * global `circuit_breaker` settings, in that order
+   * @returns {CircuitBreaker|null} - Breaker, or null when circuit breaking is disabled
    */
-    handleError(error, context = 'unknown') {
+    createCircuitBreaker() {
+        const settings = this.modelCatalog.getGlobalSettings();
+        if (settings.enable_circuit_breaker === false || this.circuitBreakerOptions.enabled === false) {
+            return null;
+        }
+
+        const thresholds = {
+            ...settings.circuit_breaker,
+            ...(this.catalogProvider ? this.modelCatalog.getProvider(this.catalogProvider)?.circuit_breaker : {})
+        };
+        return getSharedCircuitBreaker(this.catalogProvider || this.name, {
+            failureThreshold: thresholds.failure_threshold,
+            errorRateThreshold: thresholds.error_rate_threshold,
+            minimumRequests: thresholds.minimum_requests,
+            windowMs: thresholds.window_ms,
+            openMs: thresholds.open_ms,
+            halfOpenMaxCalls: thresholds.half_open_max_calls,
+            ...this.circuitBreakerOptions
+        });
+    }
+
+    /**
+   * Wait until the rate limiter has room for a request
+   * Reserves the estimated prompt tokens plus the full completion budget
+   * @param {string} prompt - The processed prompt
+   * @param {Object} options - Request options (`systemPrompt`, `messages`, `maxTokens`, `signal`)
+   * @returns {Promise<Object|null>} - Reservation to pass to releaseRateLimit()
+   */
+    async acquireRateLimit(prompt, options = {}) {
+        if (!this.rateLimiter) {
+            return null;
+        }
+
+        const history = this.getConversationMessages(options).map(message => message.content).join('\n');
+        const estimatedTokens = this.estimateTokens(`${options.systemPrompt || ''}${history}${prompt}`) +
+            this.estimateAttachmentTokens(options.attachments) +
+            (options.maxTokens || this.maxTokens || 1000);
+
+        return this.rateLimiter.acquire(estimatedTokens, { signal: options.signal });
+    }
+
+    /**
+   * Correct a reservation with the tokens the request actually used
+   * @param {Object} reservation - Reservation from acquireRateLimit()
+   * @param {Object} result - Completion result, or null when the request failed
+   */
+    releaseRateLimit(reservation, result) {
+        if (this.rateLimiter && reservation) {
+            this.rateLimiter.record(reservation, result?.usage?.totalTokens || 0);
+        }
+    }
+
+    /**
+   * Let the rate limiter honour limits reported in provider response headers
+   * @param {Object|Headers} headers - Response headers
+   */
+    updateRateLimits(headers) {
+        if (this.rateLimiter) {
+            this.rateLimiter.updateFromHeaders(headers);
+        }
+    }
+
+    /**
+   * Send an HTTP request with fetch, through the cassette recorder when one is enabled
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} - Live or recorded response
+   */
+    fetch(url, init = {}) {
+        if (this.cassette) {
+            return this.cassette.fetch(this.catalogProvider || this.name, url, init);
+        }
+        return fetch(url, init);
+    }
+
+    /**
+   * axios `adapter` option that routes requests through the cassette recorder
+   * @returns {Function|undefined} - Adapter, or undefined to use axios' default
+   */
+    getHttpAdapter() {
+        return this.cassette ? this.cassette.createAxiosAdapter(this.catalogProvider || this.name) : undefined;
+    }
+
+    /**
+   * Earlier conversation turns from request options
+   * @param {Object} options - Request options (`messages`)
+   * @returns {Array<Object>} - `{ role, content }` entries with role `user` or `assistant`
+   */
+    getConversationMessages(options = {}) {
+        if (!Array.isArray(options.messages)) {
+            return [];
+        }
+
+        return options.messages
+            .filter(message => ['user', 'assistant'].includes(message?.role) && typeof message.content === 'string')
+            .map(({ role, content }) => ({ role, content }));
+    }
+
+    /**
+   * Get models this provider can serve
+   * @returns {Array} - Model names
+   */
+    getAvailableModels() {
+        if (this.catalogProvider) {
+            return this.modelCatalog.getModels(this.catalogProvider).map(model => model.name);
+        }
+        return this.getCapabilities().supportedModels;
+    }
+
+    /**
+   * Estimate how many tokens a text uses with this provider's models
+   * @param {string} text - Text to estimate
+   * @returns {number} - Approximate token count (1 token ~= 4 characters)
+   */
+    estimateTokens(text = '') {
+        return Math.ceil(text.length / 4);
+    }
+
+    /**
+   * Build a normalized token usage object
+   * @param {number} inputTokens - Prompt tokens, including any written to or read from the prompt cache
+   * @param {number} outputTokens - Completion tokens
+   * @param {Object} cache - `cacheCreationInputTokens` and `cacheReadInputTokens`, for providers with prompt caching
+   * @returns {Object} - `{ inputTokens, outputTokens, totalTokens }`, plus the cache counts when either is set
+   */
+    normalizeUsage(inputTokens = 0, outputTokens = 0, { cacheCreationInputTokens = 0, cacheReadInputTokens = 0 } = {}) {
         return {
-            success: false,
-            error: {
-                message: error.message || 'Unknown error',
-                type: error.name || 'Error',
-                context: context,
-                timestamp: new Date().toISOString(),
-                provider: this.name
-            }
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens,
+            ...((cacheCreationInputTokens || cacheReadInputTokens) && { cacheCreationInputTokens, cacheReadInputTokens })
         };
     }
 
     /**
-   * Standardized success response
-   * @param {string} content - Generated content
-   * @param {Object} metadata - Additional metadata
-   * @returns {Object} - Standardized success object
+   * Build the normalized completion result returned by every provider
+   * @param {Object} data - `content`, `model`, `usage`, `finishReason`, `responseTime` and extra fields
+   * @returns {Object} - Completion result with cost calculated from usage, and `cacheSavings` when
+   *   the prompt cache was used
    */
-    createSuccessResponse(content, metadata = {}) {
+    createCompletionResult({ content, model, usage, finishReason = null, responseTime = 0, ...extra }) {
+        const normalizedUsage = usage || this.normalizeUsage();
+        const cached = normalizedUsage.cacheCreationInputTokens || normalizedUsage.cacheReadInputTokens;
+
+        return {
+            content,
+            model,
+            usage: normalizedUsage,
+            cost: this.calculateCost(normalizedUsage, model),
+            ...(cached && { cacheSavings: this.calculateCacheSavings(normalizedUsage, model) }),
+            responseTime,
+            finishReason,
+            ...extra
+        };
+    }
+
+    /**
+   * Combine the caller's abort signal with the provider timeout
+   * Call `clear()` once the request settles so the timeout does not outlive it
+   * @param {Object} options - Request options (`signal`, `timeout`)
+   * @returns {{signal: AbortSignal, clear: Function}} - Signal that aborts on either condition
+   */
+    createRequestSignal(options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+        }, options.timeout || this.timeout);
+        timer.unref?.();
+
+        const onAbort = () => controller.abort(options.signal.reason);
+        if (options.signal?.aborted) {
+            onAbort();
+        } else if (options.signal) {
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
         return {
-            success: true,
-            content: content,
-            metadata: {
-                provider: this.name,
-                timestamp: new Date().toISOString(),
-                ...metadata
+            signal: controller.signal,
+            clear: () => {
+                clearTimeout(timer);
+                options.signal?.removeEventListener('abort', onAbort);
             }
         };
     }
 
+    /**
+   * Create a typed error for an HTTP error response
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @param {Object} options - Extra error options (`retryAfter`, `code`)
+   * @returns {ProviderError} - Typed provider error
+   */
+    createHttpError(status, message, options = {}) {
+        const errorOptions = { provider: this.name, status, ...options };
+
+        if (status === 401 || status === 403) {
+            return new ProviderAuthenticationError(message, errorOptions);
+        }
+        if (status === 429) {
+            return new ProviderRateLimitError(message, errorOptions);
+        }
+        if (status === 408) {
+            return new ProviderTimeoutError(message, errorOptions);
+        }
+        if (status >= 500) {
+            return new ProviderUnavailableError(message, errorOptions);
+        }
+        return new ProviderRequestError(message, errorOptions);
+    }
+
+    /**
+   * Convert any error raised while calling the provider into a ProviderError
+   * @param {Error} error - Original error
+   * @returns {Error} - ProviderError subclass (validation errors pass through unchanged)
+   */
+    normalizeError(error) {
+        if (error instanceof ProviderError || error instanceof ValidationError) {
+            return error;
+        }
+
+        const code = error.code || error.cause?.code;
+        const status = error.status || error.response?.status;
+        const options = { provider: this.name, code, cause: error };
+
+        if (error.name === 'TimeoutError' || code === 'ECONNABORTED' || code === 'ETIMEDOUT') {
+            return new ProviderTimeoutError(`${this.name} request timed out`, options);
+        }
+        if (error.name === 'AbortError' || code === 'ERR_CANCELED') {
+            return new ProviderError(`${this.name} request was cancelled`, options);
+        }
+        if (status) {
+            return this.createHttpError(status, error.message, options);
+        }
+        if (NETWORK_ERROR_CODES.includes(code) || error.message === 'fetch failed') {
+            return new ProviderUnavailableError(`${this.name} is unreachable`, options);
+        }
+
+        return new ProviderError(error.message || 'Unknown provider error', options);
+    }
+
+    /**
+   * Send a minimal request to verify credentials and connectivity
+   * @returns {Promise<Object>} - `{ success, model, responseTime }` or `{ success: false, error }`
+   */
+    async testConnection() {
+        try {
+            const response = await this.generateCompletion('Hello', { maxTokens: 5 });
+            return {
+                success: true,
+                model: response.model,
+                responseTime: response.responseTime
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
    * Check if provider is available/healthy
    * @returns {Promise<boolean>} - True if healthy
    */
     async healthCheck() {
-        // Override in subclasses for specific health checks
-        return true;
+        const result = await this.testConnection();
+        return result.success;
     }
 }
 
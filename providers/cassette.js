@@ -0,0 +1,317 @@
+/**
+ * Cassette - Record and replay provider HTTP traffic
+ * Part of the n8n Claude Prompt System
+ *
+ * In `record` mode provider requests go to the network as usual and each request and
+ * response pair is written to a cassette file. In `replay` mode responses are served from
+ * the cassette and nothing is sent, so real provider responses can be used offline in
+ * regression tests and when debugging.
+ *
+ * Requests are matched on provider, method, URL and body. Identical requests recorded more
+ * than once replay in the order they were recorded, the last one repeating. Headers and URL
+ * query parameters named in `Logger.sensitiveFields` are redacted before anything is written,
+ * and their values are also scrubbed from bodies. Streamed responses are buffered while
+ * recording.
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const { ProviderRequestError } = require('../core/error_handler');
+const { logger } = require('../core/logger');
+
+const MODES = ['off', 'record', 'replay'];
+const REDACTED = '[REDACTED]';
+
+class CassetteRecorder {
+    /**
+     * @param {Object} options - `mode` (`record` or `replay`) and `file` (cassette path)
+     */
+    constructor(options = {}) {
+        if (!['record', 'replay'].includes(options.mode)) {
+            throw new Error(`Unknown cassette mode '${options.mode}'. Supported: record, replay`);
+        }
+
+        this.mode = options.mode;
+        this.file = options.file;
+        this.interactions = this.load();
+        this.recordedKeys = new Set();
+        this.replayCounts = new Map();
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Read the cassette file; a missing file is an empty cassette
+     * @returns {Array<Object>} - Recorded interactions
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+        return JSON.parse(fs.readFileSync(this.file, 'utf8')).interactions || [];
+    }
+
+    /**
+     * fetch() replacement for providers that use fetch
+     * @param {string} provider - Provider the request belongs to
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options
+     * @returns {Promise<Response>} - Live or recorded response
+     */
+    async fetch(provider, url, init = {}) {
+        const request = {
+            method: (init.method || 'GET').toUpperCase(),
+            url: String(url),
+            headers: Object.fromEntries(new Headers(init.headers || {}).entries()),
+            body: init.body === undefined ? null : String(init.body)
+        };
+
+        if (this.mode === 'replay') {
+            init.signal?.throwIfAborted();
+            const { response } = this.replay(provider, request);
+            return new Response(response.status === 204 ? null : response.body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: this.replayHeaders(response.headers)
+            });
+        }
+
+        const live = await fetch(url, init);
+        const body = await live.text();
+        await this.record(provider, request, {
+            status: live.status,
+            statusText: live.statusText,
+            headers: Object.fromEntries(live.headers.entries()),
+            body
+        });
+
+        return new Response(live.status === 204 ? null : body, {
+            status: live.status,
+            statusText: live.statusText,
+            headers: live.headers
+        });
+    }
+
+    /**
+     * axios adapter for providers that use axios
+     * @param {string} provider - Provider the requests belong to
+     * @returns {Function} - Adapter passed as the `adapter` request option
+     */
+    createAxiosAdapter(provider) {
+        const defaultAdapter = axios.getAdapter(axios.defaults.adapter);
+
+        return async (config) => {
+            const request = {
+                method: (config.method || 'get').toUpperCase(),
+                url: axios.getUri(config),
+                headers: config.headers?.toJSON ? config.headers.toJSON() : { ...config.headers },
+                body: config.data === undefined ? null : String(config.data)
+            };
+
+            let recorded;
+            if (this.mode === 'replay') {
+                config.signal?.throwIfAborted();
+                recorded = this.replay(provider, request).response;
+            } else {
+                // Every status is recorded; the caller's validateStatus is applied below
+                const live = await defaultAdapter({ ...config, validateStatus: () => true });
+                recorded = {
+                    status: live.status,
+                    statusText: live.statusText,
+                    headers: live.headers?.toJSON ? live.headers.toJSON() : { ...live.headers },
+                    body: config.responseType === 'stream' ? await this.readStream(live.data) : String(live.data ?? '')
+                };
+                await this.record(provider, request, recorded);
+            }
+
+            const response = {
+                status: recorded.status,
+                statusText: recorded.statusText,
+                headers: new axios.AxiosHeaders(this.replayHeaders(recorded.headers)),
+                data: config.responseType === 'stream' ? Readable.from([Buffer.from(recorded.body)]) : recorded.body,
+                config,
+                request: null
+            };
+
+            if (config.validateStatus && !config.validateStatus(response.status)) {
+                throw new axios.AxiosError(
+                    `Request failed with status code ${response.status}`,
+                    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+                    config,
+                    null,
+                    response
+                );
+            }
+            return response;
+        };
+    }
+
+    /**
+     * Find the recorded response for a request
+     * @throws {ProviderRequestError} - When the cassette has no matching request
+     */
+    replay(provider, request) {
+        const key = this.getRequestKey(provider, request);
+        const matches = this.interactions.filter(interaction => interaction.key === key);
+        if (matches.length === 0) {
+            throw new ProviderRequestError(
+                `No recorded response in cassette '${path.basename(this.file)}' for ${request.method} ${this.sanitizeUrl(request.url, [])}`,
+                { provider, code: 'cassette_miss' }
+            );
+        }
+
+        const count = this.replayCounts.get(key) || 0;
+        this.replayCounts.set(key, count + 1);
+        return matches[Math.min(count, matches.length - 1)];
+    }
+
+    /**
+     * Add a sanitized interaction to the cassette and save it
+     * The first recording of a request in this process replaces earlier recordings of it
+     */
+    async record(provider, request, response) {
+        const key = this.getRequestKey(provider, request);
+        if (!this.recordedKeys.has(key)) {
+            this.recordedKeys.add(key);
+            this.interactions = this.interactions.filter(interaction => interaction.key !== key);
+        }
+
+        const secrets = this.findSecrets(request.headers);
+        this.interactions.push({
+            key,
+            provider,
+            recordedAt: new Date().toISOString(),
+            request: {
+                method: request.method,
+                url: this.sanitizeUrl(request.url, secrets),
+                headers: this.sanitizeHeaders(request.headers),
+                body: this.scrub(request.body, secrets)
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: this.sanitizeHeaders(response.headers),
+                body: this.scrub(response.body, secrets)
+            }
+        });
+
+        await this.save();
+    }
+
+    /**
+     * Write the cassette; writes are serialized so the file is never written concurrently
+     */
+    save() {
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                const tempFile = `${this.file}.tmp`;
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(tempFile, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2));
+                await fs.promises.rename(tempFile, this.file);
+            } catch (error) {
+                logger.error('Failed to save cassette', error);
+            }
+        });
+        return this.saveChain;
+    }
+
+    /**
+     * Key identifying a request; the URL is sanitized first so recorded and live keys agree
+     */
+    getRequestKey(provider, request) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([provider, request.method, this.sanitizeUrl(request.url, []), request.body]))
+            .digest('hex');
+    }
+
+    /**
+     * Whether a header or query parameter name is in the logger's sensitive field list
+     */
+    isSensitive(name) {
+        const lowerName = String(name).toLowerCase();
+        return logger.sensitiveFields.some(field => lowerName.includes(field));
+    }
+
+    /**
+     * Values of sensitive request headers, to be scrubbed wherever they appear
+     */
+    findSecrets(headers = {}) {
+        return Object.entries(headers)
+            .filter(([name, value]) => this.isSensitive(name) && value)
+            .flatMap(([, value]) => [String(value), String(value).replace(/^Bearer\s+/i, '')])
+            .filter(secret => secret.length >= 8);
+    }
+
+    sanitizeHeaders(headers = {}) {
+        return Object.fromEntries(Object.entries(headers)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => [name.toLowerCase(), this.isSensitive(name) ? REDACTED : String(value)]));
+    }
+
+    sanitizeUrl(url, secrets) {
+        const parsed = new URL(url);
+        for (const name of [...parsed.searchParams.keys()]) {
+            if (this.isSensitive(name)) {
+                parsed.searchParams.set(name, REDACTED);
+            }
+        }
+        return this.scrub(parsed.toString(), secrets);
+    }
+
+    scrub(text, secrets) {
+        if (typeof text !== 'string') {
+            return text;
+        }
+        return secrets.reduce((scrubbed, secret) => scrubbed.split(secret).join(REDACTED), text);
+    }
+
+    /**
+     * Recorded headers without redacted values, which would mislead rate limit tracking
+     */
+    replayHeaders(headers = {}) {
+        return Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== REDACTED));
+    }
+
+    async readStream(stream) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk));
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+}
+
+let sharedRecorder;
+
+/**
+ * Get the recorder configured by PROVIDER_CASSETTE_MODE, shared by every provider
+ * @returns {CassetteRecorder|null} - Null when recording and replay are off
+ */
+function getCassetteRecorder() {
+    if (sharedRecorder === undefined) {
+        const mode = (process.env.PROVIDER_CASSETTE_MODE || 'off').toLowerCase();
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown PROVIDER_CASSETTE_MODE '${mode}'. Supported: ${MODES.join(', ')}`);
+        }
+
+        sharedRecorder = mode === 'off' ? null : new CassetteRecorder({
+            mode,
+            file: path.resolve(
+                process.env.PROVIDER_CASSETTE_DIR || path.join(__dirname, '../cassettes'),
+                `${process.env.PROVIDER_CASSETTE || 'default'}.json`
+            )
+        });
+        if (sharedRecorder) {
+            logger.info('Provider cassette enabled', { mode, file: sharedRecorder.file, eventType: 'cassette_enabled' });
+        }
+    }
+    return sharedRecorder;
+}
+
+module.exports = CassetteRecorder;
+module.exports.getCassetteRecorder = getCassetteRecorder;
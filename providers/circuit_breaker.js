@@ -0,0 +1,263 @@
+/**
+ * Circuit Breaker - Stop calling a provider while it is failing
+ * Part of the n8n Claude Prompt System
+ *
+ * A closed breaker lets every call through. It opens after `failureThreshold` consecutive
+ * failures, or when at least `minimumRequests` calls in the last `windowMs` failed at
+ * `errorRateThreshold` or more. While open, calls fail at once with ProviderCircuitOpenError
+ * so failover can move on without waiting for the provider to time out. After `openMs` the
+ * breaker is half-open and lets `halfOpenMaxCalls` trial calls through: a successful trial
+ * closes it again, a failed one reopens it.
+ *
+ * Only timeouts, unavailability and 5xx responses count as failures. Any other error response
+ * shows the provider is answering and counts as a success. Errors raised before the provider
+ * was reached, such as cancelled calls and local validation, count as neither.
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const {
+    ProviderError,
+    ProviderCircuitOpenError,
+    ProviderTimeoutError,
+    ProviderUnavailableError
+} = require('../core/error_handler');
+const { logger } = require('../core/logger');
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+// Health status logged for each state
+const HEALTH_STATUS = { closed: 'healthy', half_open: 'degraded', open: 'unhealthy' };
+
+const THRESHOLDS = ['failureThreshold', 'errorRateThreshold', 'minimumRequests', 'windowMs', 'openMs', 'halfOpenMaxCalls'];
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - `name`, `failureThreshold`, `errorRateThreshold`, `minimumRequests`,
+     *   `windowMs`, `openMs` and `halfOpenMaxCalls`
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'provider';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.errorRateThreshold = options.errorRateThreshold || 0.5;
+        this.minimumRequests = options.minimumRequests || 10;
+        this.windowMs = options.windowMs || 60000;
+        this.openMs = options.openMs || 30000;
+        this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.outcomes = []; // Calls in the current window: { time, failed }
+        this.openedAt = null;
+        this.halfOpenCalls = 0;
+        this.listeners = [];
+        this.stats = { successes: 0, failures: 0, shortCircuited: 0, opened: 0 };
+    }
+
+    /**
+     * Let a call through, or reject it while the breaker is open
+     * Every call let through must be followed by recordSuccess() or recordFailure()
+     * @throws {ProviderCircuitOpenError} - While open, or half-open with every trial slot taken
+     */
+    acquire() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.openMs) {
+            this.transition(STATES.HALF_OPEN, 'Open period elapsed');
+        }
+
+        if (this.state === STATES.CLOSED) {
+            return;
+        }
+        if (this.state === STATES.HALF_OPEN && this.halfOpenCalls < this.halfOpenMaxCalls) {
+            this.halfOpenCalls++;
+            return;
+        }
+
+        this.stats.shortCircuited++;
+        const retryAfter = Math.max(1, Math.ceil((this.openedAt + this.openMs - Date.now()) / 1000));
+        throw new ProviderCircuitOpenError(
+            `Circuit breaker for provider '${this.name}' is ${this.state === STATES.OPEN ? 'open' : 'half-open'}`,
+            { provider: this.name, retryAfter }
+        );
+    }
+
+    /**
+     * Record a call that got an answer from the provider
+     */
+    recordSuccess() {
+        this.stats.successes++;
+        this.consecutiveFailures = 0;
+        this.addOutcome(false);
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.transition(STATES.CLOSED, 'Trial call succeeded');
+        }
+    }
+
+    /**
+     * Record a call that threw; only errors saying something about the provider's health count
+     * @param {Error} error - Error thrown by the call
+     */
+    recordFailure(error) {
+        if (this.isFailure(error)) {
+            this.addFailure(error);
+        } else if (this.isAnswer(error)) {
+            this.recordSuccess();
+        } else if (this.state === STATES.HALF_OPEN) {
+            this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+        }
+    }
+
+    addFailure(error) {
+        this.stats.failures++;
+        this.consecutiveFailures++;
+        this.addOutcome(true);
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.transition(STATES.OPEN, `Trial call failed: ${error.message}`);
+        } else if (this.state === STATES.CLOSED) {
+            const { requests, errorRate } = this.getWindow();
+            if (this.consecutiveFailures >= this.failureThreshold) {
+                this.transition(STATES.OPEN, `${this.consecutiveFailures} consecutive failures`);
+            } else if (requests >= this.minimumRequests && errorRate >= this.errorRateThreshold) {
+                this.transition(STATES.OPEN, `Error rate ${Math.round(errorRate * 100)}% over ${requests} requests`);
+            }
+        }
+    }
+
+    /**
+     * Whether an error means the provider is failing
+     */
+    isFailure(error) {
+        return error instanceof ProviderTimeoutError ||
+            error instanceof ProviderUnavailableError ||
+            error?.status >= 500;
+    }
+
+    /**
+     * Whether an error is a response from the provider, which shows it is up
+     */
+    isAnswer(error) {
+        return error instanceof ProviderError && Boolean(error.status);
+    }
+
+    /**
+     * Call `listener(state, previousState, reason)` on every state change
+     * @returns {Function} - Removes the listener again
+     */
+    onStateChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    }
+
+    transition(state, reason) {
+        const previousState = this.state;
+        this.state = state;
+        this.halfOpenCalls = 0;
+
+        if (state === STATES.OPEN) {
+            this.openedAt = Date.now();
+            this.stats.opened++;
+        } else if (state === STATES.CLOSED) {
+            this.openedAt = null;
+            this.consecutiveFailures = 0;
+            this.outcomes = [];
+        }
+
+        logger.health(`circuit_${this.name}`, HEALTH_STATUS[state], {
+            provider: this.name,
+            state,
+            previousState,
+            reason,
+            consecutiveFailures: this.consecutiveFailures,
+            errorRate: this.getWindow().errorRate
+        });
+
+        for (const listener of this.listeners) {
+            try {
+                listener(state, previousState, reason);
+            } catch (error) {
+                logger.error('Circuit breaker listener failed', error);
+            }
+        }
+    }
+
+    addOutcome(failed) {
+        this.outcomes.push({ time: Date.now(), failed });
+    }
+
+    /**
+     * Calls in the current window and the share of them that failed
+     */
+    getWindow() {
+        const cutoff = Date.now() - this.windowMs;
+        this.outcomes = this.outcomes.filter(outcome => outcome.time > cutoff);
+
+        const failures = this.outcomes.filter(outcome => outcome.failed).length;
+        return {
+            requests: this.outcomes.length,
+            failures,
+            errorRate: this.outcomes.length > 0 ? failures / this.outcomes.length : 0
+        };
+    }
+
+    /**
+     * Current state, window and thresholds for health reporting
+     */
+    getStatus() {
+        const window = this.getWindow();
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            windowRequests: window.requests,
+            windowFailures: window.failures,
+            errorRate: Number(window.errorRate.toFixed(2)),
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.openMs).toISOString() : null,
+            thresholds: {
+                failureThreshold: this.failureThreshold,
+                errorRateThreshold: this.errorRateThreshold,
+                minimumRequests: this.minimumRequests,
+                windowMs: this.windowMs,
+                openMs: this.openMs,
+                halfOpenMaxCalls: this.halfOpenMaxCalls
+            },
+            stats: { ...this.stats }
+        };
+    }
+}
+
+// One breaker per provider, shared by every instance since they call the same service
+const sharedBreakers = new Map();
+
+/**
+ * Get the breaker shared by all instances of a provider
+ * Thresholds only apply when the breaker is first created; a later caller asking for
+ * different ones gets the existing breaker and a warning naming the thresholds ignored
+ * @param {string} name - Provider name
+ * @param {Object} options - Thresholds used when the breaker is first created
+ * @returns {CircuitBreaker} - Shared breaker
+ */
+function getSharedCircuitBreaker(name, options = {}) {
+    if (!sharedBreakers.has(name)) {
+        sharedBreakers.set(name, new CircuitBreaker({ name, ...options }));
+        return sharedBreakers.get(name);
+    }
+
+    const breaker = sharedBreakers.get(name);
+    const ignored = THRESHOLDS.filter(key => options[key] !== undefined && options[key] !== breaker[key]);
+    if (ignored.length > 0) {
+        logger.warn('Circuit breaker thresholds ignored, the shared breaker already exists', {
+            provider: name,
+            ignored: Object.fromEntries(ignored.map(key => [key, { requested: options[key], applied: breaker[key] }])),
+            eventType: 'circuit_breaker_config'
+        });
+    }
+    return breaker;
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
+module.exports.getSharedCircuitBreaker = getSharedCircuitBreaker;
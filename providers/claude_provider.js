@@ -1,158 +1,485 @@
 const axios = require('axios');
 const BaseProvider = require('./base_provider');
-const { ErrorHandler, ValidationError } = require('../core/error_handler');
+const {
+    ErrorHandler,
+    ValidationError,
+    ProviderResponseError
+} = require('../core/error_handler');
+const { parseServerSentEvents, readStreamText } = require('./stream_parser');
+
+// Most `cache_control` breakpoints the Messages API accepts in one request
+const MAX_CACHE_BREAKPOINTS = 4;
 
 class ClaudeProvider extends BaseProvider {
+    /**
+   * @param {string|Object} apiKey - API key, or a ProviderFactory config object (`apiKey`, `model`, ...)
+   * @param {Object} options - Additional options (`errorHandler`)
+   */
     constructor(apiKey, options = {}) {
-        super();
-        this.apiKey = apiKey;
+        const config = typeof apiKey === 'object' && apiKey !== null ? apiKey : { ...options, apiKey };
+        super({ catalogProvider: 'claude', ...config });
+        this.apiKey = config.apiKey;
+        this.model = config.model || this.getDefaultModel();
         this.apiUrl = 'https://api.anthropic.com/v1/messages';
         this.apiVersion = '2023-06-01';
-        this.errorHandler = new ErrorHandler(options.errorHandler || {});
-        this.rateLimiter = this.createRateLimiter();
+        this.maxTemperature = 1;
+        this.errorHandler = new ErrorHandler(config.errorHandler || options.errorHandler || {});
 
         if (!this.apiKey) {
             throw new ValidationError('Claude API key is required');
         }
     }
 
-    /**
-   * Create simple rate limiter to prevent API abuse
-   */
-    createRateLimiter() {
-        const requests = [];
-        const maxRequests = 50; // Requests per minute
-        const windowMs = 60 * 1000; // 1 minute
-
-        return {
-            checkLimit: () => {
-                const now = Date.now();
-                // Remove old requests outside the window
-                while (requests.length > 0 && requests[0] < now - windowMs) {
-                    requests.shift();
-                }
-
-                if (requests.length >= maxRequests) {
-                    const error = new Error('Rate limit exceeded');
-                    error.name = 'RateLimitError';
-                    throw error;
-                }
-
-                requests.push(now);
-            }
-        };
-    }
-
     /**
    * Generate completion using modern Claude Messages API
+   * With `options.tools` the model may call tools; see runToolLoop()
    */
     async generateCompletion(prompt, options = {}) {
         try {
-            // Check rate limit
-            this.rateLimiter.checkLimit();
+            const requestData = this.formatRequest(prompt, options);
 
-            // Validate and sanitize input
-            const sanitizedPrompt = this.errorHandler.sanitizeInput(prompt);
-            if (!sanitizedPrompt || sanitizedPrompt.trim().length === 0) {
-                throw new ValidationError('Prompt cannot be empty');
+            if (requestData.tools) {
+                return await this.runToolLoop(requestData, options);
             }
 
-            if (sanitizedPrompt.length > 200000) {
-                throw new ValidationError('Prompt exceeds maximum length of 200,000 characters');
-            }
+            const { data, responseTime } = await this.sendRequest(requestData, options);
+            return this.formatResponse(data, { responseTime });
 
-            // Prepare request data for Messages API
-            const requestData = {
-                model: options.model || 'claude-3-haiku-20240307',
-                max_tokens: Math.min(options.maxTokens || 1000, 4096),
-                temperature: Math.max(0, Math.min(1, options.temperature || 0.7)),
-                messages: [
-                    {
-                        role: 'user',
-                        content: sanitizedPrompt
-                    }
-                ]
-            };
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
 
-            // Add system prompt if provided
-            if (options.systemPrompt) {
-                const sanitizedSystem = this.errorHandler.sanitizeInput(options.systemPrompt);
-                requestData.system = sanitizedSystem;
-            }
+    /**
+   * Wait for room under the request and token budgets for a Messages API request
+   * Reserves the clamped `max_tokens` of the request, so streamed and plain calls reserve the same budget
+   * @param {Object} requestData - Request from formatRequest()
+   * @param {Object} options - Request options (`systemPrompt`, `attachments`, `signal`)
+   * @returns {Promise<Object>} - Rate limiter reservation
+   */
+    acquireRequestRateLimit(requestData, options = {}) {
+        // Attachment data is estimated separately from the message text
+        const messageText = JSON.stringify(requestData.messages, (key, value) => (key === 'source' && value?.type === 'base64' ? undefined : value));
+        return this.acquireRateLimit(messageText, {
+            systemPrompt: options.systemPrompt,
+            maxTokens: requestData.max_tokens,
+            attachments: options.attachments,
+            signal: options.signal
+        });
+    }
 
-            // Add stop sequences if provided
-            if (options.stopSequences && Array.isArray(options.stopSequences)) {
-                requestData.stop_sequences = options.stopSequences.slice(0, 4); // Max 4 stop sequences
-            }
+    /**
+   * Send one Messages API request within the rate limits
+   * @returns {Promise<{data: Object, responseTime: number}>} - Response body and time taken
+   */
+    async sendRequest(requestData, options = {}) {
+        let reservation = null;
+        let usage = null;
+
+        try {
+            reservation = await this.acquireRequestRateLimit(requestData, options);
 
             const startTime = Date.now();
             const response = await axios.post(
                 this.apiUrl,
                 requestData,
                 {
-                    headers: {
-                        'x-api-key': this.apiKey,
-                        'Content-Type': 'application/json',
-                        'anthropic-version': this.apiVersion
-                    },
-                    timeout: options.timeout || 30000, // 30 second timeout
+                    headers: this.getRequestHeaders(),
+                    timeout: options.timeout || this.timeout, // 30 second default timeout
+                    signal: options.signal,
+                    adapter: this.getHttpAdapter(),
                     validateStatus: (status) => status < 500 // Don't throw on 4xx errors
                 }
             );
 
             const responseTime = Date.now() - startTime;
+            this.updateRateLimits(response.headers);
 
             // Handle error responses
             if (response.status >= 400) {
                 this.handleApiError(response);
             }
 
-            if (!response.data || !response.data.content || !Array.isArray(response.data.content)) {
-                throw new Error('Invalid response format from Claude API');
+            usage = this.parseUsage(response.data?.usage);
+            return { data: response.data, responseTime };
+
+        } finally {
+            this.releaseRateLimit(reservation, usage && { usage });
+        }
+    }
+
+    /**
+   * Let the model call tools until it produces a final answer
+   *
+   * Each `tool_use` block is run with the matching tool's `execute(input, context)`, which
+   * resolves to `{ output, isError }`, and the results are sent back as `tool_result` blocks.
+   * After `maxToolIterations` model turns the last request disables tools, so the model has
+   * to answer with what it has. Usage and cost cover every turn.
+   *
+   * @param {Object} requestData - Request body from formatRequest() including `tools`
+   * @param {Object} options - Request options (`tools`, `maxToolIterations`, `signal`, `timeout`)
+   * @returns {Promise<Object>} - Completion result with a `toolCalls` trace
+   */
+    async runToolLoop(requestData, options) {
+        const tools = new Map(options.tools.map(tool => [tool.name, tool]));
+        const maxIterations = options.maxToolIterations || 5;
+        const messages = [...requestData.messages];
+        const toolCalls = [];
+        // Raw Messages API usage summed over every turn
+        const usage = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+        let responseTime = 0;
+
+        for (let iteration = 1; ; iteration++) {
+            const request = { ...requestData, messages };
+            if (iteration > maxIterations) {
+                request.tool_choice = { type: 'none' };
             }
 
-            // Extract text content from response
-            const textContent = response.data.content
-                .filter(item => item.type === 'text')
-                .map(item => item.text)
-                .join('');
+            const response = await this.sendRequest(request, options);
+            const data = response.data;
+            for (const key of Object.keys(usage)) {
+                usage[key] += data.usage?.[key] || 0;
+            }
+            responseTime += response.responseTime;
+
+            const toolUses = (data.content || []).filter(block => block.type === 'tool_use');
+            if (data.stop_reason !== 'tool_use' || toolUses.length === 0) {
+                return {
+                    ...this.formatResponse({ ...data, usage }, { responseTime }),
+                    toolCalls
+                };
+            }
 
-            if (!textContent) {
-                throw new Error('No text content returned from Claude API');
+            const toolResults = [];
+            for (const toolUse of toolUses) {
+                const tool = tools.get(toolUse.name);
+                const startTime = Date.now();
+                const { output, isError } = tool
+                    ? await tool.execute(toolUse.input, { signal: options.signal })
+                    : { output: `Unknown tool '${toolUse.name}'`, isError: true };
+
+                toolCalls.push({
+                    iteration,
+                    id: toolUse.id,
+                    name: toolUse.name,
+                    input: toolUse.input,
+                    output,
+                    isError,
+                    duration: Date.now() - startTime
+                });
+                toolResults.push({
+                    type: 'tool_result',
+                    tool_use_id: toolUse.id,
+                    content: output,
+                    ...(isError ? { is_error: true } : {})
+                });
             }
 
-            // Calculate usage metrics
-            const inputTokens = response.data.usage?.input_tokens || 0;
-            const outputTokens = response.data.usage?.output_tokens || 0;
-            const totalTokens = inputTokens + outputTokens;
-
-            return {
-                content: textContent,
-                model: response.data.model,
-                usage: {
-                    inputTokens,
-                    outputTokens,
-                    totalTokens
-                },
-                cost: this.calculateCost(inputTokens, outputTokens, response.data.model),
-                responseTime,
-                finishReason: response.data.stop_reason
-            };
+            messages.push({ role: 'assistant', content: data.content });
+            messages.push({ role: 'user', content: toolResults });
+        }
+    }
+
+    /**
+   * Convert a Messages API response into a completion result
+   */
+    formatResponse(data, context = {}) {
+        if (!data || !data.content || !Array.isArray(data.content)) {
+            throw new ProviderResponseError('Invalid response format from Claude API', { provider: this.name });
+        }
+
+        // Extract text content from response
+        const textContent = data.content
+            .filter(item => item.type === 'text')
+            .map(item => item.text)
+            .join('');
+
+        if (!textContent) {
+            throw new ProviderResponseError('No text content returned from Claude API', { provider: this.name });
+        }
+
+        return this.createCompletionResult({
+            content: textContent,
+            model: data.model,
+            usage: this.parseUsage(data.usage),
+            responseTime: context.responseTime,
+            finishReason: data.stop_reason
+        });
+    }
+
+    /**
+   * Normalize Messages API usage
+   * `input_tokens` leaves out tokens written to or read from the prompt cache, so they are added back
+   * to report the full prompt size in `inputTokens`
+   */
+    parseUsage(usage) {
+        const cacheCreationInputTokens = usage?.cache_creation_input_tokens || 0;
+        const cacheReadInputTokens = usage?.cache_read_input_tokens || 0;
+
+        return this.normalizeUsage(
+            (usage?.input_tokens || 0) + cacheCreationInputTokens + cacheReadInputTokens,
+            usage?.output_tokens || 0,
+            { cacheCreationInputTokens, cacheReadInputTokens }
+        );
+    }
+
+    /**
+   * Stream a completion from the Messages API as Server-Sent Events
+   * @param {string} prompt - The processed prompt
+   * @param {Object} options - Same options as generateCompletion
+   * @returns {AsyncGenerator<Object>} - Delta events followed by a final done event
+   */
+    async *streamCompletion(prompt, options = {}) {
+        let reservation = null;
+        let result = null;
+
+        try {
+            const requestData = { ...this.formatRequest(prompt, options), stream: true };
+            reservation = await this.acquireRequestRateLimit(requestData, options);
+
+            const startTime = Date.now();
+            const response = await axios.post(
+                this.apiUrl,
+                requestData,
+                {
+                    headers: this.getRequestHeaders(),
+                    timeout: options.timeout || this.timeout,
+                    signal: options.signal,
+                    adapter: this.getHttpAdapter(),
+                    responseType: 'stream',
+                    validateStatus: (status) => status < 500
+                }
+            );
+            this.updateRateLimits(response.headers);
+
+            if (response.status >= 400) {
+                const body = await readStreamText(response.data);
+                let data = null;
+                try {
+                    data = JSON.parse(body);
+                } catch (parseError) {
+                    data = null;
+                }
+                this.handleApiError({ status: response.status, data, headers: response.headers });
+            }
+
+            let content = '';
+            let model = requestData.model;
+            let inputUsage = {};
+            let outputTokens = 0;
+            let finishReason = null;
+
+            for await (const { event, data } of parseServerSentEvents(response.data)) {
+                const payload = JSON.parse(data);
+
+                switch (event) {
+                case 'message_start':
+                    model = payload.message?.model || model;
+                    inputUsage = payload.message?.usage || {};
+                    break;
+                case 'content_block_delta':
+                    if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+                        content += payload.delta.text;
+                        yield { type: 'delta', content: payload.delta.text };
+                    }
+                    break;
+                case 'message_delta':
+                    finishReason = payload.delta?.stop_reason || finishReason;
+                    outputTokens = payload.usage?.output_tokens || outputTokens;
+                    break;
+                case 'error':
+                    this.handleApiError({ status: 500, data: payload });
+                    break;
+                default:
+                    break;
+                }
+            }
+
+            result = this.createCompletionResult({
+                content,
+                model,
+                usage: this.parseUsage({ ...inputUsage, output_tokens: outputTokens }),
+                responseTime: Date.now() - startTime,
+                finishReason
+            });
+            yield { type: 'done', ...result };
 
         } catch (error) {
-            // Handle and log errors securely
-            const handledError = this.errorHandler.handleError(error);
+            throw this.wrapError(error);
+        } finally {
+            this.releaseRateLimit(reservation, result);
+        }
+    }
+
+    /**
+   * Build a Messages API request body from a prompt and options
+   */
+    formatRequest(prompt, options = {}) {
+        // Validate and sanitize input
+        const sanitizedPrompt = this.errorHandler.sanitizeInput(prompt);
+        if (!sanitizedPrompt || sanitizedPrompt.trim().length === 0) {
+            throw new ValidationError('Prompt cannot be empty');
+        }
 
-            // Re-throw with additional context
-            const claudeError = new Error(handledError.message);
-            claudeError.name = handledError.type;
-            claudeError.originalError = error;
-            claudeError.provider = 'claude';
+        if (sanitizedPrompt.length > 200000) {
+            throw new ValidationError('Prompt exceeds maximum length of 200,000 characters');
+        }
 
-            throw claudeError;
+        const model = options.model || this.model;
+        const modelInfo = this.resolveModel(model);
+        const attachments = options.attachments || [];
+        this.checkAttachments(attachments, model);
+
+        // Prompt sections from a template's {{#cache}} blocks become cached content blocks
+        const promptContent = this.formatCachedText(prompt, options.promptSections) || sanitizedPrompt;
+
+        // Prepare request data for Messages API
+        const requestData = {
+            model,
+            max_tokens: this.clampMaxTokens(options.maxTokens || this.maxTokens, modelInfo),
+            temperature: this.clampTemperature(options.temperature ?? this.temperature),
+            messages: [
+                ...this.getConversationMessages(options).map(message => ({
+                    role: message.role,
+                    content: this.errorHandler.sanitizeInput(message.content)
+                })),
+                {
+                    role: 'user',
+                    content: attachments.length > 0
+                        ? this.formatAttachmentContent(promptContent, attachments, options.attachmentPosition)
+                        : promptContent
+                }
+            ]
+        };
+
+        // Add system prompt if provided; `cacheSystemPrompt` caches all of it
+        if (options.systemPrompt) {
+            const systemSections = options.cacheSystemPrompt
+                ? [{ text: options.systemPrompt, cache: true }]
+                : options.systemPromptSections;
+            requestData.system = this.formatCachedText(options.systemPrompt, systemSections) ||
+                this.errorHandler.sanitizeInput(options.systemPrompt);
+        }
+        this.limitCacheBreakpoints(requestData);
+
+        // Tools the model may call; runToolLoop() executes them
+        if (Array.isArray(options.tools) && options.tools.length > 0) {
+            requestData.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.inputSchema
+            }));
+        }
+
+        // Add stop sequences if provided
+        if (options.stopSequences && Array.isArray(options.stopSequences)) {
+            requestData.stop_sequences = options.stopSequences.slice(0, 4); // Max 4 stop sequences
+        }
+
+        return requestData;
+    }
+
+    /**
+   * Text content blocks with a `cache_control` breakpoint after each section marked `cache`
+   *
+   * The sections must make up the start of the text. Text after them, such as structured
+   * output instructions appended to a rendered template, is sent as a final uncached block.
+   *
+   * @param {string} text - Prompt or system prompt
+   * @param {Array<{text: string, cache: boolean}>} sections - Sections from TemplateManager.renderTemplateSections()
+   * @returns {Array<Object>|null} - Sanitized text blocks, or null when no section is cached or
+   *   the sections do not match the text
+   */
+    formatCachedText(text, sections) {
+        if (!Array.isArray(sections) || !sections.some(section => section.cache)) {
+            return null;
+        }
+
+        const prefix = sections.map(section => section.text).join('');
+        if (!text.startsWith(prefix)) {
+            return null;
+        }
+
+        // sanitizeInput() trims, so whitespace between sections is put back; blocks need non-whitespace text
+        const blocks = [...sections, { text: text.slice(prefix.length), cache: false }]
+            .map(section => {
+                const [, leading, trailing] = /^(\s*)[\s\S]*?(\s*)$/.exec(section.text);
+                return {
+                    type: 'text',
+                    text: leading + this.errorHandler.sanitizeInput(section.text) + trailing,
+                    ...(section.cache && { cache_control: { type: 'ephemeral' } })
+                };
+            })
+            .filter(block => block.text.trim().length > 0);
+        if (blocks.length === 0) {
+            return null;
+        }
+
+        blocks[0].text = blocks[0].text.trimStart();
+        blocks[blocks.length - 1].text = blocks[blocks.length - 1].text.trimEnd();
+        return blocks;
+    }
+
+    /**
+   * Keep the last MAX_CACHE_BREAKPOINTS breakpoints of a request
+   * The cache is read by prefix, so the latest breakpoints cover the most text.
+   */
+    limitCacheBreakpoints(requestData) {
+        const blocks = [requestData.system, ...requestData.messages.map(message => message.content)]
+            .filter(Array.isArray)
+            .flat()
+            .filter(block => block.cache_control);
+
+        for (const block of blocks.slice(0, Math.max(0, blocks.length - MAX_CACHE_BREAKPOINTS))) {
+            delete block.cache_control;
         }
     }
 
+    /**
+   * Content blocks for a prompt with images and PDF documents
+   * @param {string|Array<Object>} text - Sanitized prompt, or its text blocks from formatCachedText()
+   * @param {Array<Object>} attachments - Normalized attachments
+   * @param {string} position - `before` (default) or `after` the prompt
+   * @returns {Array<Object>} - Messages API content blocks
+   */
+    formatAttachmentContent(text, attachments, position = 'before') {
+        const blocks = attachments.map(attachment => ({
+            type: attachment.kind === 'document' ? 'document' : 'image',
+            source: {
+                type: 'base64',
+                media_type: attachment.mediaType,
+                data: attachment.data
+            }
+        }));
+        const textBlocks = Array.isArray(text) ? text : [{ type: 'text', text }];
+
+        return position === 'after' ? [...textBlocks, ...blocks] : [...blocks, ...textBlocks];
+    }
+
+    /**
+   * Headers sent with every Messages API request
+   */
+    getRequestHeaders() {
+        return {
+            'x-api-key': this.apiKey,
+            'Content-Type': 'application/json',
+            'anthropic-version': this.apiVersion
+        };
+    }
+
+    /**
+   * Log an error securely and convert it to a ProviderError
+   */
+    wrapError(error) {
+        // Server errors are thrown by axios; their Retry-After still applies
+        this.updateRateLimits(error.response?.headers);
+
+        // Handle and log errors securely
+        this.errorHandler.handleError(error);
+
+        return this.normalizeError(error);
+    }
+
     /**
    * Handle API error responses
    */
@@ -188,43 +515,28 @@ class ClaudeProvider extends BaseProvider {
             }
         }
 
-        const error = new Error(errorMessage);
-        error.status = response.status;
-        error.type = errorData?.type || 'api_error';
+        const retryAfter = Number(response.headers?.['retry-after']) || null;
 
-        throw error;
+        throw this.createHttpError(response.status, errorMessage, {
+            code: errorData?.type || 'api_error',
+            retryAfter
+        });
     }
 
     /**
-   * Calculate cost based on model and token usage
+   * Get Claude provider capabilities
    */
-    calculateCost(inputTokens, outputTokens, model) {
-    // Pricing as of 2024 (per million tokens)
-        const pricing = {
-            'claude-3-opus-20240229': { input: 15.00, output: 75.00 },
-            'claude-3-sonnet-20240229': { input: 3.00, output: 15.00 },
-            'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
-            'claude-3-5-sonnet-20241022': { input: 3.00, output: 15.00 }
+    getCapabilities() {
+        return {
+            name: 'ClaudeProvider',
+            supportsStreaming: true,
+            supportsImages: Boolean(this.getModelInfo()?.supports_images),
+            supportsFiles: Boolean(this.getModelInfo()?.supports_pdf),
+            supportsTools: true,
+            maxTokens: this.getModelInfo()?.max_tokens,
+            contextWindow: this.getModelInfo()?.context_window,
+            supportedModels: this.getAvailableModels()
         };
-
-        const modelPricing = pricing[model] || pricing['claude-3-haiku-20240307'];
-
-        const inputCost = (inputTokens / 1000000) * modelPricing.input;
-        const outputCost = (outputTokens / 1000000) * modelPricing.output;
-
-        return inputCost + outputCost;
-    }
-
-    /**
-   * Get available models
-   */
-    getAvailableModels() {
-        return [
-            'claude-3-opus-20240229',
-            'claude-3-sonnet-20240229',
-            'claude-3-haiku-20240307',
-            'claude-3-5-sonnet-20241022'
-        ];
     }
 
     /**
@@ -238,28 +550,6 @@ class ClaudeProvider extends BaseProvider {
         // Anthropic API keys start with 'sk-ant-'
         return this.apiKey.startsWith('sk-ant-') && this.apiKey.length > 20;
     }
-
-    /**
-   * Test API connection
-   */
-    async testConnection() {
-        try {
-            const response = await this.generateCompletion('Hello', {
-                maxTokens: 5,
-                model: 'claude-3-haiku-20240307'
-            });
-            return {
-                success: true,
-                model: response.model,
-                responseTime: response.responseTime
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
 }
 
 module.exports = ClaudeProvider;
@@ -1,55 +1,188 @@
 const BaseProvider = require('./base_provider');
+const { ProviderError, ProviderRequestError, RequestValidationError, UnknownModelError } = require('../core/error_handler');
+const { parseServerSentEvents, parseJsonLines } = require('./stream_parser');
+const { logger } = require('../core/logger');
+
+// How long the installed model list is trusted before an unknown model triggers another lookup
+const DISCOVERY_TTL_MS = 60 * 1000;
 
 /**
  * Local Provider for self-hosted LLM models
  * Implements the BaseProvider interface for local/on-premise models
+ *
+ * The catalog supplies limits for the local models it lists, but does not restrict which
+ * models can be used: the configured model and every model the server reports as installed
+ * are accepted, with the configured `contextWindow` and no completion limit when the catalog
+ * does not list them.
  */
 class LocalProvider extends BaseProvider {
     constructor(config = {}) {
-        super(config);
+        super({ catalogProvider: 'local', ...config });
         this.endpoint = config.endpoint || process.env.LOCAL_LLM_ENDPOINT || 'http://localhost:11434';
-        this.model = config.model || process.env.LOCAL_LLM_MODEL || 'llama2';
+        this.model = config.model || process.env.LOCAL_LLM_MODEL || this.getDefaultModel();
         this.maxTokens = config.maxTokens || 1000;
         this.apiType = config.apiType || 'ollama'; // 'ollama', 'llamacpp', 'textgen'
-        this.temperature = config.temperature || 0.7;
-
-        // Local models are typically free
-        this.costPerToken = 0;
+        this.temperature = config.temperature ?? 0.7;
+        this.contextWindow = config.contextWindow || null;
+        this.installedModels = new Map();
+        this.modelsDiscoveredAt = 0;
     }
 
     /**
-   * Generate response using local LLM
+   * Generate completion using local LLM
    * @param {string} prompt - The processed prompt
    * @param {Object} options - Local-specific options
-   * @returns {Promise<Object>} - Standardized response
+   * @returns {Promise<Object>} - Normalized completion result
    */
-    async generateResponse(prompt, options = {}) {
+    async generateCompletion(prompt, options = {}) {
+        let reservation = null;
+        let result = null;
+        let request = null;
+
         try {
+            await this.ensureModel(options.model);
             if (!this.validateConfig()) {
-                throw new Error('Invalid Local LLM configuration');
+                throw new ProviderRequestError('Invalid Local LLM configuration', { provider: this.name });
             }
 
             const requestBody = this.formatRequest(prompt, options);
             const endpoint = this.getEndpoint();
+            reservation = await this.acquireRateLimit(prompt, options);
 
-            const response = await fetch(endpoint, {
+            const startTime = Date.now();
+            request = this.createRequestSignal(options);
+            const response = await this.fetch(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestBody),
-                timeout: this.timeout
+                signal: request.signal
             });
 
             if (!response.ok) {
-                throw new Error(`Local LLM API Error: ${response.status} ${response.statusText}`);
+                throw this.createHttpError(response.status, `Local LLM API Error: ${response.status} ${response.statusText}`);
             }
 
             const data = await response.json();
-            return this.formatResponse(data);
+            result = this.formatResponse(data, { responseTime: Date.now() - startTime });
+            return result;
+
+        } catch (error) {
+            throw this.normalizeError(error);
+        } finally {
+            request?.clear();
+            this.releaseRateLimit(reservation, result);
+        }
+    }
 
+    /**
+   * Stream a response from the local LLM service
+   * Ollama streams newline-delimited JSON; llama.cpp and textgen stream Server-Sent Events
+   * @param {string} prompt - The processed prompt
+   * @param {Object} options - Local-specific options
+   * @returns {AsyncGenerator<Object>} - Delta events followed by a final done event
+   */
+    async *streamCompletion(prompt, options = {}) {
+        try {
+            await this.ensureModel(options.model);
+            yield* this.readCompletionStream(prompt, options);
         } catch (error) {
-            return this.handleError(error, 'generateResponse');
+            throw this.normalizeError(error);
+        }
+    }
+
+    /**
+   * Send a streaming request and translate its chunks into stream events
+   */
+    async *readCompletionStream(prompt, options) {
+        if (!this.validateConfig()) {
+            throw new ProviderRequestError('Invalid Local LLM configuration', { provider: this.name });
+        }
+
+        const requestBody = this.formatRequest(prompt, { ...options, stream: true });
+        const apiType = this.apiType.toLowerCase();
+
+        const reservation = await this.acquireRateLimit(prompt, options);
+        // The provider timeout covers the whole stream, so a server that stalls mid-stream is cut off
+        const request = this.createRequestSignal(options);
+        let result = null;
+
+        try {
+            const startTime = Date.now();
+            const response = await this.fetch(this.getEndpoint(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody),
+                signal: request.signal
+            });
+
+            if (!response.ok) {
+                throw this.createHttpError(response.status, `Local LLM API Error: ${response.status} ${response.statusText}`);
+            }
+
+            let content = '';
+            let model = requestBody.model || this.model;
+            let inputTokens = 0;
+            let outputTokens = 0;
+            let finishReason = null;
+
+            if (apiType === 'ollama') {
+                for await (const chunk of parseJsonLines(response.body)) {
+                    if (chunk.error) {
+                        throw new ProviderError(`Local LLM API Error: ${chunk.error}`, { provider: this.name });
+                    }
+                    if (chunk.response) {
+                        content += chunk.response;
+                        yield { type: 'delta', content: chunk.response };
+                    }
+                    if (chunk.done) {
+                        model = chunk.model || model;
+                        inputTokens = chunk.prompt_eval_count || 0;
+                        outputTokens = chunk.eval_count || 0;
+                        finishReason = chunk.done_reason || 'stop';
+                    }
+                }
+            } else {
+                for await (const { data } of parseServerSentEvents(response.body)) {
+                    if (data === '[DONE]') break;
+
+                    const chunk = JSON.parse(data);
+                    const choice = chunk.choices && chunk.choices[0];
+                    const text = apiType === 'llamacpp' ? chunk.content : choice?.text;
+
+                    if (text) {
+                        content += text;
+                        yield { type: 'delta', content: text };
+                    }
+
+                    if (apiType === 'llamacpp' && chunk.stop) {
+                        inputTokens = chunk.tokens_evaluated || 0;
+                        outputTokens = chunk.tokens_predicted || 0;
+                        finishReason = chunk.stopped_eos ? 'stop' : 'length';
+                    } else if (choice?.finish_reason) {
+                        finishReason = choice.finish_reason;
+                    }
+                    if (chunk.usage) {
+                        inputTokens = chunk.usage.prompt_tokens || inputTokens;
+                        outputTokens = chunk.usage.completion_tokens || outputTokens;
+                    }
+                }
+            }
+
+            result = this.createCompletionResult({
+                content,
+                model,
+                usage: this.normalizeUsage(inputTokens, outputTokens),
+                responseTime: Date.now() - startTime,
+                finishReason
+            });
+            yield { type: 'done', ...result };
+        } finally {
+            request.clear();
+            this.releaseRateLimit(reservation, result);
         }
     }
 
@@ -79,13 +212,20 @@ class LocalProvider extends BaseProvider {
    * @returns {Object} - Local LLM formatted request
    */
     formatRequest(prompt, options = {}) {
+        const model = options.model || this.model;
+        const modelInfo = this.resolveModel(model);
+        this.checkAttachments(options.attachments, model);
+
+        // Ollama formats `system` with the model's own prompt template; other servers get it in the prompt
+        const ollama = this.apiType.toLowerCase() === 'ollama';
         const baseRequest = {
-            model: options.model || this.model,
-            prompt: prompt,
-            stream: false,
-            temperature: options.temperature || this.temperature,
-            max_tokens: options.maxTokens || this.maxTokens
+            model,
+            prompt: this.formatConversationPrompt(prompt, { ...options, systemPrompt: ollama ? null : options.systemPrompt }),
+            stream: Boolean(options.stream),
+            temperature: this.clampTemperature(options.temperature ?? this.temperature),
+            max_tokens: this.clampMaxTokens(options.maxTokens || this.maxTokens, modelInfo)
         };
+        const stop = options.stopSequences?.slice(0, 4);
 
         // Format based on API type
         switch (this.apiType.toLowerCase()) {
@@ -93,12 +233,14 @@ class LocalProvider extends BaseProvider {
             return {
                 model: baseRequest.model,
                 prompt: baseRequest.prompt,
+                ...(options.systemPrompt && { system: options.systemPrompt }),
                 stream: baseRequest.stream,
                 options: {
                     temperature: baseRequest.temperature,
                     num_predict: baseRequest.max_tokens,
                     top_p: options.topP || 0.9,
-                    repeat_penalty: options.repeatPenalty || 1.1
+                    repeat_penalty: options.repeatPenalty || 1.1,
+                    ...(stop && { stop })
                 }
             };
 
@@ -109,6 +251,7 @@ class LocalProvider extends BaseProvider {
                 temperature: baseRequest.temperature,
                 top_p: options.topP || 0.9,
                 repeat_penalty: options.repeatPenalty || 1.1,
+                ...(stop && { stop }),
                 stream: baseRequest.stream
             };
 
@@ -119,6 +262,7 @@ class LocalProvider extends BaseProvider {
                 temperature: baseRequest.temperature,
                 top_p: options.topP || 0.9,
                 repetition_penalty: options.repeatPenalty || 1.1,
+                ...(stop && { stopping_strings: stop }),
                 stream: baseRequest.stream
             };
 
@@ -128,55 +272,73 @@ class LocalProvider extends BaseProvider {
     }
 
     /**
-   * Format local LLM response to standard format
+   * Fold the system prompt and earlier conversation turns into a single completion-style prompt
+   * @param {string} prompt - The new user message
+   * @param {Object} options - Request options (`systemPrompt`, `messages`)
+   * @returns {string} - Prompt text
+   */
+    formatConversationPrompt(prompt, options = {}) {
+        const history = this.getConversationMessages(options);
+        if (history.length === 0) {
+            return options.systemPrompt ? `${options.systemPrompt}\n\n${prompt}` : prompt;
+        }
+
+        const lines = options.systemPrompt ? [options.systemPrompt, ''] : [];
+        for (const message of [...history, { role: 'user', content: prompt }]) {
+            lines.push(`${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`);
+        }
+        lines.push('Assistant:');
+
+        return lines.join('\n');
+    }
+
+    /**
+   * Format local LLM response to a completion result
    * @param {Object} response - Raw local LLM response
-   * @returns {Object} - Standardized response
+   * @param {Object} context - Request context (`responseTime`)
+   * @returns {Object} - Normalized completion result
    */
-    formatResponse(response) {
+    formatResponse(response, context = {}) {
         let content = '';
-        let usage = {};
+        let usage = null;
+        let finishReason = null;
 
         // Parse response based on API type
         switch (this.apiType.toLowerCase()) {
         case 'ollama':
-            content = response.response || 'No response content';
-            usage = {
-                prompt_tokens: response.prompt_eval_count || 0,
-                completion_tokens: response.eval_count || 0,
-                total_tokens: (response.prompt_eval_count || 0) + (response.eval_count || 0)
-            };
+            content = response.response || '';
+            usage = this.normalizeUsage(response.prompt_eval_count || 0, response.eval_count || 0);
+            finishReason = response.done_reason || (response.done ? 'stop' : null);
             break;
 
         case 'llamacpp':
-            content = response.content || 'No response content';
-            usage = {
-                prompt_tokens: response.tokens_evaluated || 0,
-                completion_tokens: response.tokens_generated || 0,
-                total_tokens: (response.tokens_evaluated || 0) + (response.tokens_generated || 0)
-            };
+            content = response.content || '';
+            usage = this.normalizeUsage(response.tokens_evaluated || 0, response.tokens_predicted || 0);
+            finishReason = response.stopped_eos ? 'stop' : 'length';
             break;
 
         case 'textgen': {
             const choice = response.choices && response.choices[0];
-            content = choice ? choice.text : 'No response content';
-            usage = response.usage || {};
+            content = choice ? choice.text : '';
+            finishReason = choice?.finish_reason || null;
             break;
         }
 
         default:
-            content = response.response || response.content || 'No response content';
-            usage = response.usage || {};
+            content = response.response || response.content || '';
         }
 
-        const cost = this.calculateCost(usage);
+        if (!usage) {
+            usage = this.normalizeUsage(response.usage?.prompt_tokens || 0, response.usage?.completion_tokens || 0);
+        }
 
-        return this.createSuccessResponse(content, {
+        return this.createCompletionResult({
+            content,
             model: response.model || this.model,
-            usage: usage,
-            cost: cost,
-            apiType: this.apiType,
-            done: response.done,
-            created_at: response.created_at
+            usage,
+            responseTime: context.responseTime,
+            finishReason,
+            apiType: this.apiType
         });
     }
 
@@ -199,17 +361,118 @@ class LocalProvider extends BaseProvider {
     }
 
     /**
-   * Calculate cost for local LLM usage (typically free)
-   * @param {Object} usage - Token usage
-   * @returns {number} - Cost in USD (usually 0)
+   * Refresh the installed models when a request names a model they do not include
+   * Lookups are made at most once per minute
+   */
+    async ensureModel(model) {
+        const stale = Date.now() - this.modelsDiscoveredAt > DISCOVERY_TTL_MS;
+        if (stale && !this.hasModel(model || this.model)) {
+            await this.discoverModels();
+        }
+    }
+
+    /**
+   * Ask the server which models are installed
+   * Failures are logged and keep the previously discovered models
+   * @returns {Promise<Array<string>>} - Installed model names
+   */
+    async discoverModels() {
+        try {
+            const response = await this.fetch(this.getModelsEndpoint(), {
+                method: 'GET',
+                signal: AbortSignal.timeout(5000)
+            });
+            if (!response.ok) {
+                throw new Error(`Model list request failed with status ${response.status}`);
+            }
+
+            const names = this.parseModelsResponse(await response.json());
+            this.installedModels = new Map(names.map(name => [name, this.createModelEntry(name)]));
+
+            logger.info('Discovered provider models', {
+                provider: this.name,
+                models: names,
+                eventType: 'provider_models_discovered'
+            });
+        } catch (error) {
+            logger.warn('Model discovery failed', {
+                provider: this.name,
+                reason: error.message,
+                eventType: 'provider_models_discovery_failed'
+            });
+        }
+
+        this.modelsDiscoveredAt = Date.now();
+        return Array.from(this.installedModels.keys());
+    }
+
+    /**
+   * Model entry for a model the catalog does not list
+   */
+    createModelEntry(name) {
+        return {
+            name,
+            display_name: name,
+            context_window: this.contextWindow || 4096,
+            max_tokens: null,
+            cost_per_million_tokens: { input: 0, output: 0 },
+            discovered: true
+        };
+    }
+
+    /**
+   * Catalog entry of a model, or a default entry for the configured and installed models
+   */
+    getModelInfo(model) {
+        const name = model || this.model;
+        const catalogEntry = super.getModelInfo(name);
+        if (catalogEntry || !name) {
+            return catalogEntry;
+        }
+
+        const installed = this.installedModels.get(name) ||
+            Array.from(this.installedModels.values()).find(entry => this.isSameModel(entry.name, name));
+        if (installed) {
+            return installed;
+        }
+        return name === this.model ? this.createModelEntry(name) : null;
+    }
+
+    /**
+   * Model entry for a request, rejecting models that are neither listed, configured nor installed
+   * @throws {UnknownModelError} - When the model is not available
    */
-    calculateCost(usage) {
-        if (this.costPerToken === 0) {
-            return 0;
+    resolveModel(model) {
+        const modelInfo = this.getModelInfo(model);
+        if (!modelInfo) {
+            throw new UnknownModelError(this.catalogProvider, model, this.getAvailableModels());
         }
+        return modelInfo;
+    }
+
+    /**
+   * Whether the catalog lists a model, or it is configured or installed
+   */
+    hasModel(model) {
+        return this.getModelInfo(model) !== null;
+    }
+
+    /**
+   * Catalog models followed by the configured and installed ones
+   * @returns {Array<string>} - Model names
+   */
+    getAvailableModels() {
+        return [...new Set([...super.getAvailableModels(), this.model, ...this.installedModels.keys()].filter(Boolean))];
+    }
 
-        const totalTokens = usage.total_tokens || 0;
-        return (totalTokens / 1000) * this.costPerToken;
+    /**
+   * Get the context window of a local model
+   * A configured `contextWindow` wins, since it depends on how the server was started
+   * @param {string} model - Model name
+   * @returns {number} - Context window in tokens
+   */
+    getContextWindow(model) {
+        return this.contextWindow || super.getContextWindow(model);
     }
 
     /**
@@ -222,18 +485,9 @@ class LocalProvider extends BaseProvider {
             supportsStreaming: true,
             supportsImages: false,
             supportsFiles: false,
-            maxTokens: this.maxTokens,
-            supportedModels: [
-                'llama2',
-                'llama2:13b',
-                'llama2:70b',
-                'codellama',
-                'mistral',
-                'mistral:7b',
-                'vicuna',
-                'alpaca',
-                'custom'
-            ],
+            maxTokens: this.getModelInfo()?.max_tokens,
+            contextWindow: this.contextWindow || this.getModelInfo()?.context_window,
+            supportedModels: this.getAvailableModels(),
             apiType: this.apiType,
             endpoint: this.endpoint,
             free: true
@@ -248,7 +502,7 @@ class LocalProvider extends BaseProvider {
         try {
             // Try to make a simple request to check if the service is running
             const healthEndpoint = this.getHealthEndpoint();
-            const response = await fetch(healthEndpoint, {
+            const response = await this.fetch(healthEndpoint, {
                 method: 'GET',
                 timeout: 5000
             });
@@ -258,8 +512,8 @@ class LocalProvider extends BaseProvider {
             }
 
             // Fallback: try a simple generation request
-            const testResponse = await this.generateResponse('Test', { maxTokens: 5 });
-            return testResponse.success;
+            const testResult = await this.testConnection();
+            return testResult.success;
 
         } catch (error) {
             console.error('Local LLM health check failed:', error);
@@ -293,7 +547,7 @@ class LocalProvider extends BaseProvider {
     async listModels() {
         try {
             const endpoint = this.getModelsEndpoint();
-            const response = await fetch(endpoint, {
+            const response = await this.fetch(endpoint, {
                 method: 'GET',
                 timeout: 5000
             });
@@ -347,6 +601,157 @@ class LocalProvider extends BaseProvider {
             return [];
         }
     }
+
+    /**
+   * Models installed on the Ollama server, with their details
+   * @returns {Promise<Array<Object>>} - `{ name, size, digest, modifiedAt, details }` entries
+   * @throws {ProviderError} - When the server cannot be reached
+   */
+    async listOllamaModels() {
+        const data = await this.sendOllamaRequest('GET', '/api/tags');
+        return (data.models || []).map(model => ({
+            name: model.name,
+            size: model.size,
+            digest: model.digest,
+            modifiedAt: model.modified_at,
+            details: model.details || {}
+        }));
+    }
+
+    /**
+   * Details of an installed Ollama model
+   * @param {string} name - Model name
+   * @returns {Promise<Object|null>} - Model details, or null when the model is not installed
+   */
+    async showModel(name) {
+        const data = await this.sendOllamaRequest('POST', '/api/show', { model: name }, { allowNotFound: true });
+        if (!data) {
+            return null;
+        }
+
+        return {
+            name,
+            details: data.details || {},
+            parameters: data.parameters || null,
+            template: data.template || null,
+            capabilities: data.capabilities || [],
+            modelInfo: data.model_info || {},
+            modifiedAt: data.modified_at || null
+        };
+    }
+
+    /**
+   * Remove an Ollama model and refresh the installed models
+   * @param {string} name - Model name
+   * @returns {Promise<boolean>} - False when the model was not installed
+   */
+    async deleteModel(name) {
+        const data = await this.sendOllamaRequest('DELETE', '/api/delete', { model: name }, { allowNotFound: true });
+        if (data === null) {
+            return false;
+        }
+        await this.discoverModels();
+        return true;
+    }
+
+    /**
+   * Download an Ollama model, reporting progress as it goes
+   * The installed models are refreshed once the download finishes, so it can be used right away
+   * @param {string} name - Model name, e.g. `llama3.1:8b`
+   * @param {Object} options - `signal` cancels the download
+   * @returns {AsyncGenerator<Object>} - `{ status, digest, total, completed }` progress events;
+   *   the last one has status `success`
+   */
+    async *pullModel(name, options = {}) {
+        this.requireOllama();
+
+        try {
+            const response = await this.fetch(`${this.endpoint.replace(/\/$/, '')}/api/pull`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: name, stream: true }),
+                signal: options.signal
+            });
+            if (!response.ok) {
+                throw await this.createOllamaError(response);
+            }
+
+            for await (const chunk of parseJsonLines(response.body)) {
+                if (chunk.error) {
+                    throw new ProviderRequestError(`Failed to pull model '${name}': ${chunk.error}`, { provider: this.name });
+                }
+                yield {
+                    status: chunk.status,
+                    digest: chunk.digest || null,
+                    total: chunk.total || null,
+                    completed: chunk.completed || null
+                };
+            }
+            await this.discoverModels();
+        } catch (error) {
+            throw this.normalizeError(error);
+        }
+    }
+
+    /**
+   * Send a request to the Ollama management API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} body - JSON body
+   * @param {Object} options - `allowNotFound` resolves a 404 to null
+   * @returns {Promise<Object|null>} - Parsed response body
+   */
+    async sendOllamaRequest(method, path, body = null, options = {}) {
+        this.requireOllama();
+
+        try {
+            const response = await this.fetch(`${this.endpoint.replace(/\/$/, '')}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            if (response.status === 404 && options.allowNotFound) {
+                return null;
+            }
+            if (!response.ok) {
+                throw await this.createOllamaError(response);
+            }
+
+            const text = await response.text();
+            return text ? JSON.parse(text) : {};
+        } catch (error) {
+            throw this.normalizeError(error);
+        }
+    }
+
+    /**
+   * Build a typed error from a failed Ollama response
+   */
+    async createOllamaError(response) {
+        const errorData = await response.json().catch(() => ({}));
+        return this.createHttpError(response.status, `Local LLM API Error: ${errorData.error || response.statusText}`);
+    }
+
+    /**
+   * Whether two Ollama model names refer to the same model
+   * Ollama treats a name without a tag as the `latest` tag
+   */
+    isSameModel(first, second) {
+        const withTag = name => (name.includes(':') ? name : `${name}:latest`);
+        return withTag(first) === withTag(second);
+    }
+
+    /**
+   * Model management is only available through the Ollama API
+   * @throws {RequestValidationError} - When the provider talks to another server type
+   */
+    requireOllama() {
+        if (this.apiType.toLowerCase() !== 'ollama') {
+            throw new RequestValidationError(`Model management requires the Ollama API; the local provider uses '${this.apiType}'`);
+        }
+    }
 }
 
 module.exports = LocalProvider;
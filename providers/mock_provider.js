@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./base_provider');
+const { ProviderRequestError } = require('../core/error_handler');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, '../config/mock-fixtures.json');
+
+// Provider errors each injectable failure simulates
+const FAILURES = {
+    timeout: { status: 408, message: 'Mock provider timed out' },
+    rate_limit: { status: 429, message: 'Mock provider rate limit exceeded' },
+    server_error: { status: 500, message: 'Mock provider internal error' },
+    overloaded: { status: 529, message: 'Mock provider overloaded' },
+    auth_error: { status: 401, message: 'Mock provider rejected the API key' }
+};
+
+/**
+ * Mock Provider for development and tests
+ * Returns deterministic completions without calling an LLM API
+ *
+ * Responses come from fixtures, matched in file order by `template` (template key),
+ * `promptHash` (sha256 of the prompt as sent) or `pattern` (regular expression over the
+ * prompt). A fixture replies with `content` or `json`; prompts no fixture matches get a
+ * fixed reply naming the prompt hash. Fixtures can set `latencyMs`, `usage` and an injected
+ * `error` (`timeout`, `rate_limit`, `server_error`, `overloaded`, `auth_error`), optionally
+ * only for the first `failures` calls.
+ */
+class MockProvider extends BaseProvider {
+    /**
+   * @param {Object} config - `fixtures` and `defaults`, or `fixturesFile` (defaults to
+   *   MOCK_FIXTURES_FILE or config/mock-fixtures.json)
+   */
+    constructor(config = {}) {
+        super({ catalogProvider: 'mock', ...config });
+        this.model = config.model || this.getDefaultModel();
+        this.maxTokens = config.maxTokens || 1000;
+        this.fixturesFile = config.fixturesFile || process.env.MOCK_FIXTURES_FILE || DEFAULT_FIXTURES_FILE;
+        this.failureCounts = new Map();
+
+        const fixtureData = config.fixtures ? config : this.loadFixtures();
+        this.fixtures = (fixtureData.fixtures || []).map(fixture => this.compileFixture(fixture));
+        this.defaults = { latencyMs: 50, ...fixtureData.defaults };
+    }
+
+    /**
+   * Read fixtures from the fixtures file; a missing file means no fixtures
+   * @returns {Object} - `{ fixtures, defaults }`
+   */
+    loadFixtures() {
+        if (!fs.existsSync(this.fixturesFile)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(this.fixturesFile, 'utf8'));
+    }
+
+    /**
+   * Prepare a fixture for matching
+   */
+    compileFixture(fixture) {
+        if (fixture.error && !FAILURES[fixture.error]) {
+            throw new Error(`Unknown mock failure '${fixture.error}'. Supported: ${Object.keys(FAILURES).join(', ')}`);
+        }
+        return {
+            ...fixture,
+            regex: fixture.pattern ? new RegExp(fixture.pattern, fixture.flags || '') : null
+        };
+    }
+
+    /**
+   * Generate a mock completion
+   * @param {string} prompt - The processed prompt
+   * @param {Object} options - Request options (`template` selects template fixtures)
+   * @returns {Promise<Object>} - Normalized completion result
+   */
+    async generateCompletion(prompt, options = {}) {
+        const startTime = Date.now();
+        const { fixture, content, model } = this.prepareResponse(prompt, options);
+
+        await this.simulateLatency(fixture, options);
+        this.injectFailure(fixture);
+
+        return this.createCompletionResult({
+            content,
+            model,
+            usage: this.getUsage(prompt, content, fixture, options),
+            finishReason: 'end_turn',
+            responseTime: Date.now() - startTime
+        });
+    }
+
+    /**
+   * Stream a mock completion word by word
+   * @param {string} prompt - The processed prompt
+   * @param {Object} options - Request options
+   * @returns {AsyncGenerator<Object>} - Delta events followed by a final done event
+   */
+    async *streamCompletion(prompt, options = {}) {
+        const startTime = Date.now();
+        const { fixture, content, model } = this.prepareResponse(prompt, options);
+
+        await this.simulateLatency(fixture, options);
+        this.injectFailure(fixture);
+
+        for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+            yield { type: 'delta', content: piece };
+        }
+
+        yield {
+            type: 'done',
+            ...this.createCompletionResult({
+                content,
+                model,
+                usage: this.getUsage(prompt, content, fixture, options),
+                finishReason: 'end_turn',
+                responseTime: Date.now() - startTime
+            })
+        };
+    }
+
+    /**
+   * Validate the request and pick the fixture and reply for a prompt
+   * @returns {{fixture: Object|null, content: string, model: string}} - Matched fixture and reply text
+   */
+    prepareResponse(prompt, options = {}) {
+        if (!prompt || String(prompt).trim().length === 0) {
+            throw new ProviderRequestError('Prompt cannot be empty', { provider: this.name });
+        }
+
+        const model = options.model || this.model;
+        this.resolveModel(model);
+        this.checkAttachments(options.attachments, model);
+
+        const promptHash = this.hashPrompt(prompt);
+        const fixture = this.findFixture(prompt, promptHash, options.template) || null;
+
+        let content;
+        if (fixture?.content !== undefined) {
+            content = fixture.content;
+        } else if (fixture?.json !== undefined) {
+            content = JSON.stringify(fixture.json);
+        } else {
+            const subject = options.template ? `template '${options.template}'` : 'prompt';
+            content = `Mock response for ${subject} (prompt hash ${promptHash.slice(0, 12)})`;
+        }
+
+        return { fixture, content, model };
+    }
+
+    /**
+   * First fixture matching the template key, prompt hash or pattern
+   */
+    findFixture(prompt, promptHash, template) {
+        return this.fixtures.find(fixture => (
+            (fixture.template !== undefined && fixture.template === template) ||
+            (fixture.promptHash !== undefined && fixture.promptHash === promptHash) ||
+            (fixture.regex !== null && fixture.regex.test(prompt))
+        ));
+    }
+
+    /**
+   * sha256 of a prompt, as matched by `promptHash` fixtures
+   */
+    hashPrompt(prompt) {
+        return crypto.createHash('sha256').update(String(prompt)).digest('hex');
+    }
+
+    /**
+   * Wait for the fixture's latency; aborting the request stops the wait
+   */
+    simulateLatency(fixture, options = {}) {
+        const latency = fixture?.latencyMs ?? this.defaults.latencyMs;
+        if (!latency) {
+            return Promise.resolve();
+        }
+
+        const { signal, clear } = this.createRequestSignal(options);
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                clear();
+                reject(this.normalizeError(signal.reason || new Error('Request aborted')));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                clear();
+                resolve();
+            }, latency);
+
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+   * Throw the fixture's injected failure, if it still applies
+   * @throws {ProviderError} - The simulated provider error
+   */
+    injectFailure(fixture) {
+        if (!fixture?.error) {
+            return;
+        }
+
+        if (fixture.failures !== undefined) {
+            const count = this.failureCounts.get(fixture) || 0;
+            if (count >= fixture.failures) {
+                return;
+            }
+            this.failureCounts.set(fixture, count + 1);
+        }
+
+        const failure = FAILURES[fixture.error];
+        throw this.createHttpError(failure.status, failure.message, {
+            code: fixture.error,
+            retryAfter: fixture.retryAfter || null
+        });
+    }
+
+    /**
+   * Token usage from the fixture, or estimated from the prompt and reply
+   */
+    getUsage(prompt, content, fixture, options = {}) {
+        if (fixture?.usage) {
+            return this.normalizeUsage(fixture.usage.inputTokens || 0, fixture.usage.outputTokens || 0);
+        }
+
+        const history = this.getConversationMessages(options).map(message => message.content).join('\n');
+        return this.normalizeUsage(
+            this.estimateTokens(`${options.systemPrompt || ''}${history}${prompt}`) + this.estimateAttachmentTokens(options.attachments),
+            this.estimateTokens(content)
+        );
+    }
+
+    /**
+   * The mock provider needs no configuration
+   * @returns {boolean} - Always true
+   */
+    validateConfig() {
+        return true;
+    }
+
+    /**
+   * Get mock provider capabilities
+   * @returns {Object} - Provider capabilities
+   */
+    getCapabilities() {
+        return {
+            name: 'MockProvider',
+            supportsStreaming: true,
+            supportsImages: Boolean(this.getModelInfo()?.supports_images),
+            supportsFiles: Boolean(this.getModelInfo()?.supports_pdf),
+            supportsTools: false,
+            maxTokens: this.getModelInfo()?.max_tokens,
+            contextWindow: this.getModelInfo()?.context_window,
+            supportedModels: this.getAvailableModels()
+        };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,222 @@
+const OpenAIProvider = require('./openai_provider');
+const { ProviderRequestError, UnknownModelError } = require('../core/error_handler');
+const { logger } = require('../core/logger');
+
+// How long discovered models are trusted before an unknown model triggers another lookup
+const DISCOVERY_TTL_MS = 60 * 1000;
+
+/**
+ * OpenAI-compatible Provider for self-hosted chat servers (vLLM, LM Studio, ...)
+ * Talks to any server exposing OpenAI-style `/v1/chat/completions` and `/v1/models`
+ *
+ * Each instance is a named provider with its own catalog entry in config/llm-providers.json
+ * (see ProviderFactory.loadCatalogProviderConfig). Models may be listed there with pricing and
+ * limits; with `discoverModels` the models the server reports from `/v1/models` are accepted
+ * too, priced at zero and limited to the server's `max_model_len` when it reports one.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    /**
+   * @param {Object} config - `name` (provider name and catalog entry), `baseUrl` (server URL up to
+   *   and including `/v1`), `apiKey` (optional), `model`, `discoverModels` and `contextWindow`
+   *   (used for discovered models the server reports no length for)
+   */
+    constructor(config = {}) {
+        super({ catalogProvider: config.name, ...config });
+        this.name = config.name || 'openai-compatible';
+        this.apiBaseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+        this.baseUrl = `${this.apiBaseUrl}/chat/completions`;
+        // Never fall back to the OpenAI account's credentials
+        this.apiKey = config.apiKey || null;
+        this.organization = null;
+        this.discoverModelsEnabled = config.discoverModels !== false;
+        this.contextWindow = config.contextWindow || 4096;
+        this.discoveredModels = new Map();
+        this.modelsDiscoveredAt = 0;
+    }
+
+    /**
+   * Generate a completion, looking up the server's models first when the model is unknown
+   */
+    async generateCompletion(prompt, options = {}) {
+        await this.ensureModel(options.model);
+        return super.generateCompletion(prompt, options);
+    }
+
+    /**
+   * Stream a completion, looking up the server's models first when the model is unknown
+   */
+    async *streamCompletion(prompt, options = {}) {
+        await this.ensureModel(options.model);
+        yield* super.streamCompletion(prompt, options);
+    }
+
+    /**
+   * Refresh the discovered models when a request names a model they do not include
+   * Lookups are made at most once per minute
+   */
+    async ensureModel(model) {
+        const name = model || this.model;
+        const stale = Date.now() - this.modelsDiscoveredAt > DISCOVERY_TTL_MS;
+        if (this.discoverModelsEnabled && stale && (!name || !this.hasModel(name))) {
+            await this.discoverModels();
+        }
+    }
+
+    /**
+   * Ask the server which models it serves
+   * Failures are logged and keep the previously discovered models
+   * @returns {Promise<Array<string>>} - Discovered model names
+   */
+    async discoverModels() {
+        try {
+            const response = await this.fetch(`${this.apiBaseUrl}/models`, {
+                method: 'GET',
+                headers: this.getRequestHeaders(),
+                signal: AbortSignal.timeout(5000)
+            });
+            if (!response.ok) {
+                throw new Error(`Model list request failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.discoveredModels = new Map((data.data || [])
+                .filter(model => model?.id)
+                .map(model => [model.id, {
+                    name: model.id,
+                    display_name: model.id,
+                    context_window: model.max_model_len || this.contextWindow,
+                    max_tokens: model.max_model_len || null,
+                    cost_per_million_tokens: { input: 0, output: 0 },
+                    discovered: true
+                }]));
+            this.model = this.model || this.discoveredModels.keys().next().value || null;
+
+            logger.info('Discovered provider models', {
+                provider: this.name,
+                models: Array.from(this.discoveredModels.keys()),
+                eventType: 'provider_models_discovered'
+            });
+        } catch (error) {
+            logger.warn('Model discovery failed', {
+                provider: this.name,
+                reason: error.message,
+                eventType: 'provider_models_discovery_failed'
+            });
+        }
+
+        this.modelsDiscoveredAt = Date.now();
+        return Array.from(this.discoveredModels.keys());
+    }
+
+    /**
+   * Catalog entry of a model, or the entry built from the server's model list
+   */
+    getModelInfo(model) {
+        return super.getModelInfo(model) || this.discoveredModels.get(model || this.model) || null;
+    }
+
+    /**
+   * Model entry for a request, rejecting models neither the catalog nor the server lists
+   * @throws {UnknownModelError} - When the model is not available
+   */
+    resolveModel(model) {
+        if (!model) {
+            throw new ProviderRequestError(`No model configured for provider '${this.name}'`, { provider: this.name });
+        }
+
+        const modelInfo = this.getModelInfo(model);
+        if (!modelInfo) {
+            throw new UnknownModelError(this.name, model, this.getAvailableModels());
+        }
+        return modelInfo;
+    }
+
+    /**
+   * Whether the catalog or the server lists a model
+   */
+    hasModel(model) {
+        return this.getModelInfo(model) !== null;
+    }
+
+    /**
+   * Catalog models followed by discovered ones
+   * @returns {Array<string>} - Model names
+   */
+    getAvailableModels() {
+        const listed = this.catalogProvider
+            ? this.modelCatalog.getModels(this.catalogProvider).map(model => model.name)
+            : [];
+        return [...new Set([...listed, ...this.discoveredModels.keys()])];
+    }
+
+    /**
+   * Headers sent with every request; the key is only sent when one is configured
+   * @returns {Object} - Request headers
+   */
+    getRequestHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+   * Build a typed error from a failed response
+   * @param {Response} response - Fetch response with a non-2xx status
+   * @returns {Promise<ProviderError>} - Typed provider error
+   */
+    async createResponseError(response) {
+        const errorData = await response.json().catch(() => ({}));
+        const message = errorData.error?.message || errorData.message || response.statusText;
+
+        return this.createHttpError(response.status, `${this.name} API Error: ${message}`, {
+            code: errorData.error?.code || errorData.error?.type,
+            retryAfter: Number(response.headers.get('retry-after')) || null
+        });
+    }
+
+    /**
+   * Validate configuration; only the server URL is required
+   * @returns {boolean} - True if valid
+   */
+    validateConfig() {
+        if (!this.apiBaseUrl) {
+            logger.warn('OpenAI-compatible provider has no base URL', { provider: this.name });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+   * The base URL is the only required setting, so that is what a failed validateConfig() reports
+   * @returns {ProviderRequestError} - Configuration error
+   */
+    createConfigError() {
+        const envVar = this.modelCatalog.getProvider(this.catalogProvider)?.endpoint_env_var;
+        return new ProviderRequestError(
+            `No base URL configured for provider '${this.name}'${envVar ? `; set ${envVar}` : ''}`,
+            { provider: this.name, code: 'missing_base_url' }
+        );
+    }
+
+    /**
+   * Get OpenAI-compatible provider capabilities
+   * @returns {Object} - Provider capabilities
+   */
+    getCapabilities() {
+        return {
+            name: 'OpenAICompatibleProvider',
+            supportsStreaming: true,
+            supportsImages: Boolean(this.getModelInfo()?.supports_images),
+            supportsFiles: Boolean(this.getModelInfo()?.supports_pdf),
+            supportsTools: false,
+            maxTokens: this.getModelInfo()?.max_tokens,
+            contextWindow: this.getModelInfo()?.context_window || this.contextWindow,
+            supportedModels: this.getAvailableModels(),
+            baseUrl: this.apiBaseUrl
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -1,4 +1,6 @@
 const BaseProvider = require('./base_provider');
+const { ProviderAuthenticationError, ProviderResponseError } = require('../core/error_handler');
+const { parseServerSentEvents } = require('./stream_parser');
 
 /**
  * OpenAI Provider for OpenAI's GPT models
@@ -6,64 +8,175 @@ const BaseProvider = require('./base_provider');
  */
 class OpenAIProvider extends BaseProvider {
     constructor(config = {}) {
-        super(config);
+        super({ catalogProvider: 'openai', ...config });
         this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
         this.baseUrl = config.baseUrl || 'https://api.openai.com/v1/chat/completions';
-        this.model = config.model || 'gpt-4';
+        this.model = config.model || this.getDefaultModel();
         this.maxTokens = config.maxTokens || 1000;
         this.organization = config.organization || process.env.OPENAI_ORG_ID;
-
-        // OpenAI pricing (per 1K tokens) - approximate rates
-        this.modelPricing = {
-            'gpt-4': { input: 0.03, output: 0.06 },
-            'gpt-4-turbo': { input: 0.01, output: 0.03 },
-            'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
-            'gpt-3.5-turbo-16k': { input: 0.003, output: 0.004 }
-        };
     }
 
     /**
-   * Generate response using OpenAI API
+   * Generate completion using OpenAI API
    * @param {string} prompt - The processed prompt
    * @param {Object} options - OpenAI-specific options
-   * @returns {Promise<Object>} - Standardized response
+   * @returns {Promise<Object>} - Normalized completion result
    */
-    async generateResponse(prompt, options = {}) {
+    async generateCompletion(prompt, options = {}) {
+        let reservation = null;
+        let result = null;
+        let request = null;
+
         try {
             if (!this.validateConfig()) {
-                throw new Error('Invalid OpenAI configuration');
+                throw this.createConfigError();
             }
 
             const requestBody = this.formatRequest(prompt, options);
+            reservation = await this.acquireRateLimit(prompt, options);
 
-            const headers = {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            };
+            const startTime = Date.now();
+            request = this.createRequestSignal(options);
+            const response = await this.fetch(this.baseUrl, {
+                method: 'POST',
+                headers: this.getRequestHeaders(),
+                body: JSON.stringify(requestBody),
+                signal: request.signal
+            });
+            this.updateRateLimits(response.headers);
 
-            if (this.organization) {
-                headers['OpenAI-Organization'] = this.organization;
+            if (!response.ok) {
+                throw await this.createResponseError(response);
             }
 
-            const response = await fetch(this.baseUrl, {
+            const data = await response.json();
+            result = this.formatResponse(data, { responseTime: Date.now() - startTime });
+            return result;
+
+        } catch (error) {
+            throw this.normalizeError(error);
+        } finally {
+            request?.clear();
+            this.releaseRateLimit(reservation, result);
+        }
+    }
+
+    /**
+   * Stream a response from the OpenAI chat completions API
+   * @param {string} prompt - The processed prompt
+   * @param {Object} options - OpenAI-specific options
+   * @returns {AsyncGenerator<Object>} - Delta events followed by a final done event
+   */
+    async *streamCompletion(prompt, options = {}) {
+        try {
+            yield* this.readCompletionStream(prompt, options);
+        } catch (error) {
+            throw this.normalizeError(error);
+        }
+    }
+
+    /**
+   * Send a streaming request and translate its chunks into stream events
+   */
+    async *readCompletionStream(prompt, options) {
+        if (!this.validateConfig()) {
+            throw this.createConfigError();
+        }
+
+        const requestBody = {
+            ...this.formatRequest(prompt, options),
+            stream: true,
+            stream_options: { include_usage: true }
+        };
+        const reservation = await this.acquireRateLimit(prompt, options);
+        let result = null;
+
+        try {
+            const startTime = Date.now();
+            const response = await this.fetch(this.baseUrl, {
                 method: 'POST',
-                headers: headers,
-                body: JSON.stringify(requestBody)
+                headers: this.getRequestHeaders(),
+                body: JSON.stringify(requestBody),
+                signal: options.signal
             });
+            this.updateRateLimits(response.headers);
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`OpenAI API Error: ${errorData.error?.message || response.statusText}`);
+                throw await this.createResponseError(response);
             }
 
-            const data = await response.json();
-            return this.formatResponse(data);
+            let content = '';
+            let model = requestBody.model;
+            let usage = {};
+            let finishReason = null;
 
-        } catch (error) {
-            return this.handleError(error, 'generateResponse');
+            for await (const { data } of parseServerSentEvents(response.body)) {
+                if (data === '[DONE]') break;
+
+                const chunk = JSON.parse(data);
+                model = chunk.model || model;
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+
+                const choice = chunk.choices && chunk.choices[0];
+                if (choice?.finish_reason) {
+                    finishReason = choice.finish_reason;
+                }
+                if (choice?.delta?.content) {
+                    content += choice.delta.content;
+                    yield { type: 'delta', content: choice.delta.content };
+                }
+            }
+
+            result = this.createCompletionResult({
+                content,
+                model,
+                usage: this.normalizeUsage(usage.prompt_tokens || 0, usage.completion_tokens || 0),
+                responseTime: Date.now() - startTime,
+                finishReason
+            });
+            yield { type: 'done', ...result };
+        } finally {
+            this.releaseRateLimit(reservation, result);
         }
     }
 
+    /**
+   * Build a typed error from a failed OpenAI API response
+   * @param {Response} response - Fetch response with a non-2xx status
+   * @returns {Promise<ProviderError>} - Typed provider error
+   */
+    async createResponseError(response) {
+        const errorData = await response.json().catch(() => ({}));
+
+        return this.createHttpError(
+            response.status,
+            `OpenAI API Error: ${errorData.error?.message || response.statusText}`,
+            {
+                code: errorData.error?.code || errorData.error?.type,
+                retryAfter: Number(response.headers.get('retry-after')) || null
+            }
+        );
+    }
+
+    /**
+   * Headers sent with every OpenAI API request
+   * @returns {Object} - Request headers
+   */
+    getRequestHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.apiKey}`
+        };
+
+        if (this.organization) {
+            headers['OpenAI-Organization'] = this.organization;
+        }
+
+        return headers;
+    }
+
     /**
    * Format request for OpenAI API
    * @param {string} prompt - Raw prompt text
@@ -72,6 +185,10 @@ class OpenAIProvider extends BaseProvider {
    */
     formatRequest(prompt, options = {}) {
         const messages = [];
+        const model = options.model || this.model;
+        const modelInfo = this.resolveModel(model);
+        const attachments = options.attachments || [];
+        this.checkAttachments(attachments, model);
 
         // Add system message if provided
         if (options.systemPrompt) {
@@ -81,46 +198,69 @@ class OpenAIProvider extends BaseProvider {
             });
         }
 
-        // Add user message
+        // Earlier conversation turns, then the new user message
+        messages.push(...this.getConversationMessages(options));
         messages.push({
             role: 'user',
-            content: prompt
+            content: attachments.length > 0
+                ? this.formatAttachmentContent(prompt, attachments, options.attachmentPosition)
+                : prompt
         });
 
         return {
-            model: options.model || this.model,
+            model,
             messages: messages,
-            max_tokens: options.maxTokens || this.maxTokens,
-            temperature: options.temperature || 0.7,
+            max_tokens: this.clampMaxTokens(options.maxTokens || this.maxTokens, modelInfo),
+            temperature: this.clampTemperature(options.temperature ?? this.temperature),
             top_p: options.topP || 1,
             n: options.n || 1,
             stream: options.stream || false,
-            stop: options.stop || null,
+            stop: options.stop || options.stopSequences?.slice(0, 4) || null,
             presence_penalty: options.presencePenalty || 0,
             frequency_penalty: options.frequencyPenalty || 0
         };
     }
 
     /**
-   * Format OpenAI response to standard format
+   * Content parts for a prompt with images and PDF files
+   * @param {string} text - The processed prompt
+   * @param {Array<Object>} attachments - Normalized attachments
+   * @param {string} position - `before` (default) or `after` the prompt
+   * @returns {Array<Object>} - Chat completions content parts
+   */
+    formatAttachmentContent(text, attachments, position = 'before') {
+        const parts = attachments.map(attachment => {
+            const dataUrl = `data:${attachment.mediaType};base64,${attachment.data}`;
+            return attachment.kind === 'document'
+                ? { type: 'file', file: { filename: attachment.name || 'document.pdf', file_data: dataUrl } }
+                : { type: 'image_url', image_url: { url: dataUrl } };
+        });
+        const textPart = { type: 'text', text };
+
+        return position === 'after' ? [textPart, ...parts] : [...parts, textPart];
+    }
+
+    /**
+   * Format OpenAI response to a completion result
    * @param {Object} response - Raw OpenAI response
-   * @returns {Object} - Standardized response
+   * @param {Object} context - Request context (`responseTime`)
+   * @returns {Object} - Normalized completion result
    */
-    formatResponse(response) {
+    formatResponse(response, context = {}) {
         const choice = response.choices && response.choices[0];
-        const content = choice ? choice.message.content : 'No response content';
+        if (!choice || !choice.message) {
+            throw new ProviderResponseError('No choices returned from OpenAI API', { provider: this.name });
+        }
 
         const usage = response.usage || {};
-        const cost = this.calculateCost(usage, response.model);
 
-        return this.createSuccessResponse(content, {
+        return this.createCompletionResult({
+            content: choice.message.content || '',
             model: response.model,
-            usage: usage,
-            cost: cost,
-            finishReason: choice?.finish_reason,
-            id: response.id,
-            object: response.object,
-            created: response.created
+            usage: this.normalizeUsage(usage.prompt_tokens || 0, usage.completion_tokens || 0),
+            responseTime: context.responseTime,
+            finishReason: choice.finish_reason,
+            id: response.id
         });
     }
 
@@ -137,21 +277,11 @@ class OpenAIProvider extends BaseProvider {
     }
 
     /**
-   * Calculate cost for OpenAI usage
-   * @param {Object} usage - Token usage from OpenAI
-   * @param {string} model - Model used
-   * @returns {number} - Cost in USD
+   * Error thrown when validateConfig() fails, naming the missing setting
+   * @returns {ProviderError} - Configuration error
    */
-    calculateCost(usage, model) {
-        const inputTokens = usage.prompt_tokens || 0;
-        const outputTokens = usage.completion_tokens || 0;
-
-        const pricing = this.modelPricing[model] || this.modelPricing['gpt-4'];
-
-        const inputCost = (inputTokens / 1000) * pricing.input;
-        const outputCost = (outputTokens / 1000) * pricing.output;
-
-        return Math.round((inputCost + outputCost) * 100000) / 100000; // Round to 5 decimal places
+    createConfigError() {
+        return new ProviderAuthenticationError('OpenAI API key is required', { provider: this.name });
     }
 
     /**
@@ -162,33 +292,13 @@ class OpenAIProvider extends BaseProvider {
         return {
             name: 'OpenAIProvider',
             supportsStreaming: true,
-            supportsImages: true,
-            supportsFiles: false,
-            maxTokens: 128000,
-            supportedModels: [
-                'gpt-4',
-                'gpt-4-turbo',
-                'gpt-4-turbo-preview',
-                'gpt-3.5-turbo',
-                'gpt-3.5-turbo-16k',
-                'gpt-4-vision-preview'
-            ]
+            supportsImages: Boolean(this.getModelInfo()?.supports_images),
+            supportsFiles: Boolean(this.getModelInfo()?.supports_pdf),
+            maxTokens: this.getModelInfo()?.max_tokens,
+            contextWindow: this.getModelInfo()?.context_window,
+            supportedModels: this.getAvailableModels()
         };
     }
-
-    /**
-   * Health check for OpenAI API
-   * @returns {Promise<boolean>} - True if healthy
-   */
-    async healthCheck() {
-        try {
-            const response = await this.generateResponse('Test health check', { maxTokens: 10 });
-            return response.success;
-        } catch (error) {
-            console.error('OpenAI health check failed:', error);
-            return false;
-        }
-    }
 }
 
 module.exports = OpenAIProvider;
@@ -2,6 +2,26 @@ const BaseProvider = require('./base_provider');
 const ClaudeProvider = require('./claude_provider');
 const OpenAIProvider = require('./openai_provider');
 const LocalProvider = require('./local_provider');
+const MockProvider = require('./mock_provider');
+const OpenAICompatibleProvider = require('./openai_compatible_provider');
+const ProviderRouter = require('../core/provider_router');
+const { modelCatalog } = require('../core/model_catalog');
+
+// Catalog `provider_class` values that can be instantiated under any provider name
+const INSTANCE_CLASSES = {
+    OpenAICompatibleProvider
+};
+
+// Prompt size assumed when comparing provider costs without a prompt
+const DEFAULT_PROMPT_TOKENS = 1000;
+
+// Requirement `features` and the capability flags they need
+const FEATURE_CAPABILITIES = {
+    streaming: 'supportsStreaming',
+    images: 'supportsImages',
+    files: 'supportsFiles',
+    tools: 'supportsTools'
+};
 
 /**
  * Provider Factory for dynamic LLM provider selection
@@ -16,6 +36,21 @@ class ProviderFactory {
         this.registerProvider('claude', ClaudeProvider);
         this.registerProvider('openai', OpenAIProvider);
         this.registerProvider('local', LocalProvider);
+        this.registerProvider('mock', MockProvider);
+        this.registerCatalogProviders();
+    }
+
+    /**
+   * Register the named provider instances listed in the model catalog
+   * Catalog entries whose `provider_class` is OpenAICompatibleProvider become providers of that name
+   */
+    registerCatalogProviders() {
+        for (const name of modelCatalog.getProviderNames()) {
+            const ProviderClass = INSTANCE_CLASSES[modelCatalog.getProvider(name).provider_class];
+            if (ProviderClass) {
+                this.registerProvider(name, ProviderClass);
+            }
+        }
     }
 
     /**
@@ -44,6 +79,14 @@ class ProviderFactory {
         return Array.from(this.providers.keys());
     }
 
+    /**
+   * Get names of providers that have a saved configuration
+   * @returns {Array} - Array of configured provider names
+   */
+    getConfiguredProviders() {
+        return Array.from(this.providerConfigs.keys()).filter(name => this.providers.has(name));
+    }
+
     /**
    * Create a provider instance
    * @param {string} providerName - Provider name
@@ -71,58 +114,68 @@ class ProviderFactory {
     }
 
     /**
-   * Get the best provider for given requirements
-   * @param {Object} requirements - Requirements object
+   * Get the best configured provider for given requirements
+   * Providers are ranked by ProviderRouter. `policy` is `cheapest`, `fastest` or `quality`, with
+   * an optional `maxCost`; the older `budget: 'low'`, `speed: 'high'` and `quality: 'high'`
+   * requirements map to those policies. Without a policy the default provider is preferred.
+   * Without a `prompt`, costs are compared for a prompt of DEFAULT_PROMPT_TOKENS tokens.
+   * @param {Object} requirements - `policy`, `maxCost`, `model`, `features`, `prompt` and
+   *   `monitoring` (MonitoringService, for latency and error rates)
    * @returns {string} - Best provider name
+   * @throws {ValidationError} - When no configured provider satisfies the policy
    */
     getBestProvider(requirements = {}) {
-        const {
-            budget = 'medium',
-            speed = 'medium',
-            quality = 'medium',
-            features = [],
-            model = null
-        } = requirements;
-
-        // If specific model is requested, find the provider that supports it
-        if (model) {
-            for (const [providerName, ProviderClass] of this.providers) {
-                try {
-                    const tempProvider = new ProviderClass({});
-                    const capabilities = tempProvider.getCapabilities();
-                    if (capabilities.supportedModels.includes(model)) {
-                        return providerName;
-                    }
-                } catch (error) {
-                    // Skip providers that can't be instantiated
-                    continue;
+        const { model = null, features = [], prompt = null, monitoring = null } = requirements;
+
+        const providers = new Map();
+        for (const name of this.getConfiguredProviders()) {
+            try {
+                const provider = this.createProvider(name);
+                if (!model || provider.hasModel(model)) {
+                    providers.set(name, provider);
                 }
+            } catch (error) {
+                // Skip providers that can't be instantiated
+                continue;
             }
         }
-
-        // Provider selection logic based on requirements
-        if (budget === 'low') {
-            return 'local'; // Local models are typically free
+        if (providers.size === 0) {
+            return this.defaultProvider;
         }
 
-        if (speed === 'high' && quality === 'high') {
-            return 'openai'; // GPT-4 for best balance
-        }
+        const router = new ProviderRouter({ providers, monitoring });
+        const policy = router.resolvePolicy(this.getRequirementsPolicy(requirements), 'requirements');
+        const candidates = Array.from(providers.keys())
+            .sort((a, b) => (b === this.defaultProvider) - (a === this.defaultProvider));
+
+        const { chain } = router.route(candidates, {
+            policy,
+            prompt: prompt || '',
+            inputTokens: prompt ? null : DEFAULT_PROMPT_TOKENS,
+            options: { model },
+            capabilities: features.map(feature => FEATURE_CAPABILITIES[feature]).filter(Boolean)
+        });
+        return chain[0];
+    }
 
-        if (quality === 'high') {
-            return 'claude'; // Claude for highest quality
+    /**
+   * Routing policy named by provider requirements
+   * @returns {Object|null} - `{ policy, maxCost }`, or null to keep the default order
+   */
+    getRequirementsPolicy({ policy, maxCost = null, budget, speed, quality }) {
+        if (policy) {
+            return { policy, maxCost };
         }
-
-        if (features.includes('streaming')) {
-            return 'openai'; // OpenAI has better streaming support
+        if (budget === 'low') {
+            return { policy: 'cheapest', maxCost };
         }
-
-        if (features.includes('images')) {
-            return 'openai'; // GPT-4 Vision
+        if (speed === 'high') {
+            return { policy: 'fastest', maxCost };
         }
-
-        // Default provider
-        return this.defaultProvider;
+        if (quality === 'high') {
+            return { policy: 'quality', maxCost };
+        }
+        return null;
     }
 
     /**
@@ -189,6 +242,7 @@ class ProviderFactory {
 
     /**
    * Get cost comparison for a request
+   * Costs are estimated from the prompt length; /api/compare runs the providers for measured figures
    * @param {string} prompt - Prompt text
    * @param {Array} providerNames - Providers to compare
    * @returns {Object} - Cost comparison
@@ -200,14 +254,16 @@ class ProviderFactory {
         for (const providerName of providersToTest) {
             try {
                 const provider = this.createProvider(providerName);
-                // Estimate tokens (rough approximation: 1 token ~= 4 characters)
-                const estimatedTokens = Math.ceil(prompt.length / 4);
-                const estimatedCost = provider.calculateCost({
-                    input_tokens: estimatedTokens,
-                    output_tokens: estimatedTokens / 2 // Assume response is half the size
-                });
+                const estimatedTokens = provider.estimateTokens(prompt);
+                const usage = provider.normalizeUsage(
+                    estimatedTokens,
+                    Math.ceil(estimatedTokens / 2) // Assume response is half the size
+                );
+                const estimatedCost = provider.calculateCost(usage, provider.model);
 
                 comparison[providerName] = {
+                    model: provider.model,
+                    estimatedUsage: usage,
                     estimatedCost: estimatedCost,
                     capabilities: provider.getCapabilities()
                 };
@@ -241,7 +297,7 @@ class ProviderFactory {
         if (process.env.ANTHROPIC_API_KEY) {
             this.setProviderConfig('claude', {
                 apiKey: process.env.ANTHROPIC_API_KEY,
-                model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514'
+                model: process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307'
             });
         }
 
@@ -261,6 +317,38 @@ class ProviderFactory {
                 model: process.env.LOCAL_LLM_MODEL || 'llama2'
             });
         }
+
+        // OpenAI-compatible servers listed in the model catalog
+        this.loadCatalogProviderConfig();
+    }
+
+    /**
+   * Configure the catalog's OpenAI-compatible servers
+   *
+   * A server is configured when the variable named by its `endpoint_env_var` is set, or when
+   * its entry has `enabled: true`, in which case `endpoint` is used. `authentication.env_var`
+   * and `model_env_var` name optional variables holding the API key and the default model.
+   */
+    loadCatalogProviderConfig() {
+        this.registerCatalogProviders();
+
+        for (const name of modelCatalog.getProviderNames()) {
+            const entry = modelCatalog.getProvider(name);
+            if (!INSTANCE_CLASSES[entry.provider_class]) continue;
+
+            const baseUrl = (entry.endpoint_env_var && process.env[entry.endpoint_env_var]) ||
+                (entry.enabled ? entry.endpoint : null);
+            if (!baseUrl) continue;
+
+            this.setProviderConfig(name, {
+                name,
+                baseUrl,
+                apiKey: entry.authentication?.env_var ? process.env[entry.authentication.env_var] : undefined,
+                model: (entry.model_env_var && process.env[entry.model_env_var]) || undefined,
+                discoverModels: entry.discover_models !== false,
+                contextWindow: entry.context_window
+            });
+        }
     }
 }
 
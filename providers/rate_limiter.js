@@ -0,0 +1,288 @@
+/**
+ * Rate Limiter - Request and token budgets for LLM provider calls
+ * Part of the n8n Claude Prompt System
+ *
+ * Calls over budget wait in a FIFO queue instead of failing, up to `maxWaitMs`.
+ * Budgets are sliding one-minute windows of requests and tokens. Token reservations
+ * start as estimates and are corrected with the usage the provider reports. Provider
+ * `Retry-After` and `anthropic-ratelimit-*` headers pause the queue until the reset time.
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { ProviderError, ProviderRateLimitError } = require('../core/error_handler');
+const { logger } = require('../core/logger');
+
+const WINDOW_MS = 60 * 1000;
+
+// Limits reported by Anthropic as anthropic-ratelimit-<name>-remaining / -reset
+const ANTHROPIC_LIMITS = ['requests', 'tokens', 'input-tokens', 'output-tokens'];
+
+class RateLimiter {
+    /**
+     * @param {Object} options - `name`, `requestsPerMinute`, `tokensPerMinute` and `maxWaitMs`
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'provider';
+        this.requestsPerMinute = options.requestsPerMinute || null;
+        this.tokensPerMinute = options.tokensPerMinute || null;
+        this.maxWaitMs = options.maxWaitMs ?? 30000;
+
+        this.entries = []; // Granted requests in the current window: { time, tokens }
+        this.queue = [];
+        this.pausedUntil = 0;
+        this.timer = null;
+        this.stats = { granted: 0, queued: 0, waited: 0, rejected: 0, totalWaitMs: 0, maxQueueDepth: 0 };
+    }
+
+    /**
+     * Wait for room to send one request using `tokens` tokens
+     * @param {number} tokens - Estimated tokens for the request
+     * @param {Object} options - `signal` stops waiting when aborted
+     * @returns {Promise<Object>} - Reservation to pass to record()
+     * @throws {ProviderRateLimitError} - When no room frees up within maxWaitMs
+     */
+    acquire(tokens = 0, { signal } = {}) {
+        if (this.queue.length === 0 && this.getDelay(tokens) === 0) {
+            return Promise.resolve(this.grant(tokens));
+        }
+
+        const delay = this.getDelay(tokens);
+        if (this.pausedUntil - Date.now() > this.maxWaitMs) {
+            this.stats.rejected++;
+            return Promise.reject(this.createLimitError(delay));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { tokens, resolve, reject, enqueuedAt: Date.now() };
+
+            const leave = (error) => {
+                this.removeWaiter(waiter);
+                reject(error);
+                this.schedule();
+            };
+
+            waiter.deadline = setTimeout(() => {
+                this.stats.rejected++;
+                leave(this.createLimitError(this.getDelay(tokens)));
+            }, this.maxWaitMs);
+            waiter.deadline.unref?.();
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    const error = new Error(`${this.name} request was cancelled while waiting for the rate limit`);
+                    error.name = 'AbortError';
+                    leave(error);
+                };
+                if (signal.aborted) {
+                    waiter.onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+                waiter.signal = signal;
+            }
+
+            this.queue.push(waiter);
+            this.stats.queued++;
+            this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+
+            logger.debug('Provider request queued by rate limiter', {
+                provider: this.name,
+                queueDepth: this.queue.length,
+                estimatedWaitMs: delay,
+                eventType: 'rate_limit_queue'
+            });
+
+            this.schedule();
+        });
+    }
+
+    /**
+     * Replace a reservation's estimate with the tokens the provider actually used
+     * @param {Object} reservation - Reservation from acquire()
+     * @param {number} tokens - Actual tokens (0 when the request failed)
+     */
+    record(reservation, tokens) {
+        if (!reservation) return;
+
+        reservation.tokens = tokens;
+        this.schedule();
+    }
+
+    /**
+     * Pause the queue according to provider rate limit headers
+     * @param {Object|Headers} headers - Axios header object or fetch Headers
+     */
+    updateFromHeaders(headers) {
+        if (!headers) return;
+
+        const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+        const now = Date.now();
+        let resumeAt = 0;
+
+        const retryAfter = Number(get('retry-after'));
+        if (retryAfter > 0) {
+            resumeAt = now + retryAfter * 1000;
+        }
+
+        for (const limit of ANTHROPIC_LIMITS) {
+            const remaining = get(`anthropic-ratelimit-${limit}-remaining`);
+            const reset = Date.parse(get(`anthropic-ratelimit-${limit}-reset`));
+            if (remaining !== undefined && remaining !== null && Number(remaining) <= 0 && reset > now) {
+                resumeAt = Math.max(resumeAt, reset);
+            }
+        }
+
+        if (resumeAt > this.pausedUntil) {
+            this.pausedUntil = resumeAt;
+            logger.warn('Provider rate limit reached, pausing requests', {
+                provider: this.name,
+                resumeAt: new Date(resumeAt).toISOString(),
+                eventType: 'rate_limit_pause'
+            });
+            this.schedule();
+        }
+    }
+
+    /**
+     * Milliseconds until a request using `tokens` tokens fits the budget
+     */
+    getDelay(tokens, now = Date.now()) {
+        this.entries = this.entries.filter(entry => entry.time > now - WINDOW_MS);
+
+        let delay = Math.max(0, this.pausedUntil - now);
+
+        if (this.requestsPerMinute && this.entries.length >= this.requestsPerMinute) {
+            const oldest = this.entries[this.entries.length - this.requestsPerMinute];
+            delay = Math.max(delay, oldest.time + WINDOW_MS - now);
+        }
+
+        if (this.tokensPerMinute && this.entries.length > 0) {
+            let used = this.entries.reduce((total, entry) => total + entry.tokens, 0);
+
+            // A request larger than the whole budget waits for an empty window rather than forever
+            const needed = Math.min(tokens, this.tokensPerMinute);
+            for (const entry of this.entries) {
+                if (used + needed <= this.tokensPerMinute) break;
+                used -= entry.tokens;
+                delay = Math.max(delay, entry.time + WINDOW_MS - now);
+            }
+        }
+
+        return delay;
+    }
+
+    /**
+     * Count a request against the budget
+     */
+    grant(tokens) {
+        const reservation = { time: Date.now(), tokens };
+        this.entries.push(reservation);
+        this.stats.granted++;
+        return reservation;
+    }
+
+    /**
+     * Start queued requests that fit the budget and wake up when the next one will
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0) {
+            const waiter = this.queue[0];
+            const delay = this.getDelay(waiter.tokens);
+            if (delay > 0) {
+                // Queued work alone does not keep the process running
+                this.timer = setTimeout(() => this.schedule(), delay);
+                this.timer.unref?.();
+                return;
+            }
+
+            this.removeWaiter(waiter);
+            this.stats.waited++;
+            this.stats.totalWaitMs += Date.now() - waiter.enqueuedAt;
+            waiter.resolve(this.grant(waiter.tokens));
+        }
+    }
+
+    /**
+     * Stop the wake-up timer and reject every queued request
+     * The limiter can still be used afterwards; requests within the budget start at once
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        for (const waiter of [...this.queue]) {
+            this.removeWaiter(waiter);
+            waiter.reject(new ProviderError(`${this.name} rate limiter was closed`, { provider: this.name }));
+        }
+    }
+
+    /**
+     * Take a waiter off the queue and drop its timers and listeners
+     */
+    removeWaiter(waiter) {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+        clearTimeout(waiter.deadline);
+        if (waiter.signal) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+    }
+
+    /**
+     * Error for a request that could not be started within maxWaitMs
+     */
+    createLimitError(delay) {
+        return new ProviderRateLimitError(`${this.name} rate limit queue wait exceeded ${this.maxWaitMs}ms`, {
+            provider: this.name,
+            retryAfter: Math.max(1, Math.ceil(delay / 1000))
+        });
+    }
+
+    /**
+     * Current budget usage and queue statistics
+     */
+    getStats() {
+        const now = Date.now();
+        const active = this.entries.filter(entry => entry.time > now - WINDOW_MS);
+
+        return {
+            requestsPerMinute: this.requestsPerMinute,
+            tokensPerMinute: this.tokensPerMinute,
+            requestsInWindow: active.length,
+            tokensInWindow: active.reduce((total, entry) => total + entry.tokens, 0),
+            queueDepth: this.queue.length,
+            maxQueueDepth: this.stats.maxQueueDepth,
+            pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+            granted: this.stats.granted,
+            queued: this.stats.queued,
+            rejected: this.stats.rejected,
+            avgWaitMs: this.stats.waited > 0 ? Math.round(this.stats.totalWaitMs / this.stats.waited) : 0
+        };
+    }
+}
+
+// One limiter per provider, shared by every instance since limits apply to the account
+const sharedLimiters = new Map();
+
+/**
+ * Get the limiter shared by all instances of a provider
+ * @param {string} name - Provider name
+ * @param {Object} limits - Limits used when the limiter is first created
+ * @returns {RateLimiter} - Shared limiter
+ */
+function getSharedRateLimiter(name, limits = {}) {
+    if (!sharedLimiters.has(name)) {
+        sharedLimiters.set(name, new RateLimiter({ name, ...limits }));
+    }
+    return sharedLimiters.get(name);
+}
+
+module.exports = RateLimiter;
+module.exports.getSharedRateLimiter = getSharedRateLimiter;
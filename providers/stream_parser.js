@@ -0,0 +1,108 @@
+/**
+ * Stream Parser - Helpers for reading streamed provider responses
+ * Part of the n8n Claude Prompt System
+ *
+ * Works with both Node.js readable streams (axios `responseType: 'stream'`)
+ * and WHATWG ReadableStreams (fetch `response.body`), since both are async iterable.
+ *
+ * @author Bader Abdulrahim
+ * @version 1.0.0
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Read a byte stream line by line
+ * @param {AsyncIterable<Buffer|Uint8Array|string>} stream - Response body stream
+ * @returns {AsyncGenerator<string>} - Lines without trailing newline characters
+ */
+async function* readLines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(Buffer.from(chunk));
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+            buffer = buffer.slice(newlineIndex + 1);
+            yield line;
+        }
+    }
+
+    buffer += decoder.end();
+    if (buffer.length > 0) {
+        yield buffer.replace(/\r$/, '');
+    }
+}
+
+/**
+ * Parse a Server-Sent Events stream
+ * @param {AsyncIterable} stream - Response body stream
+ * @returns {AsyncGenerator<{event: string, data: string}>} - Parsed events
+ */
+async function* parseServerSentEvents(stream) {
+    let event = 'message';
+    let dataLines = [];
+
+    for await (const line of readLines(stream)) {
+        if (line === '') {
+            if (dataLines.length > 0) {
+                yield { event, data: dataLines.join('\n') };
+            }
+            event = 'message';
+            dataLines = [];
+            continue;
+        }
+
+        // Comment lines (keep-alives) start with a colon
+        if (line.startsWith(':')) continue;
+
+        const separatorIndex = line.indexOf(':');
+        const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+        const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+        if (field === 'event') {
+            event = value;
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    }
+
+    if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+    }
+}
+
+/**
+ * Parse a newline-delimited JSON stream (e.g. Ollama)
+ * @param {AsyncIterable} stream - Response body stream
+ * @returns {AsyncGenerator<Object>} - Parsed JSON objects
+ */
+async function* parseJsonLines(stream) {
+    for await (const line of readLines(stream)) {
+        if (line.trim().length === 0) continue;
+        yield JSON.parse(line);
+    }
+}
+
+/**
+ * Read a whole stream into a string (used for error bodies of streamed requests)
+ * @param {AsyncIterable} stream - Response body stream
+ * @returns {Promise<string>} - Stream contents
+ */
+async function readStreamText(stream) {
+    let text = '';
+    for await (const line of readLines(stream)) {
+        text += (text ? '\n' : '') + line;
+    }
+    return text;
+}
+
+module.exports = {
+    readLines,
+    parseServerSentEvents,
+    parseJsonLines,
+    readStreamText
+};
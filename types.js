@@ -39,9 +39,12 @@
 /**
  * @typedef {Object} ClaudeOptions
  * @property {string} [model] - Claude model to use (default: 'claude-3-haiku-20240307')
- * @property {number} [temperature] - Response creativity (0-1, default: 0.7)
+ * @property {number} [temperature] - Response creativity (0-1, default: the provider's `temperature`, 0.7)
  * @property {number} [maxTokens] - Maximum tokens to generate (default: 1000)
  * @property {string} [systemPrompt] - System-level instructions
+ * @property {boolean} [cacheSystemPrompt] - Cache the whole system prompt
+ * @property {Array<{text: string, cache: boolean}>} [promptSections] - Prompt split at `{{#cache}}` blocks
+ * @property {Array<{text: string, cache: boolean}>} [systemPromptSections] - System prompt split at `{{#cache}}` blocks
  * @property {string[]} [stopSequences] - Sequences to stop generation
  * @property {number} [timeout] - Request timeout in milliseconds
  */
@@ -54,6 +57,26 @@
  * @property {number} [cost] - Estimated cost of the request
  */
 
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens - Prompt tokens, including cached ones
+ * @property {number} outputTokens - Generated tokens
+ * @property {number} totalTokens - Sum of input and output tokens
+ * @property {number} [cacheCreationInputTokens] - Prompt tokens written to the prompt cache
+ * @property {number} [cacheReadInputTokens] - Prompt tokens read from the prompt cache
+ */
+
+/**
+ * @typedef {Object} CompletionResult
+ * @property {string} content - Generated content
+ * @property {string} model - Model used for generation
+ * @property {TokenUsage} usage - Token usage statistics
+ * @property {number} cost - Cost of the request in USD
+ * @property {number} [cacheSavings] - Saving from the prompt cache in USD, when it was used
+ * @property {number} responseTime - Provider response time in milliseconds
+ * @property {string|null} finishReason - Why the provider stopped generating
+ */
+
 /**
  * @typedef {Object} N8nWorkflowData
  * @property {string} template_name - Template to use for processing
@@ -89,6 +112,20 @@
  * @property {WorkflowVariables} variables - Variables to inject
  * @property {string} [provider] - AI provider ('claude', 'openai', 'local')
  * @property {ClaudeOptions} [options] - Provider-specific options
+ * @property {boolean} [stream] - Stream the output as Server-Sent Events
+ */
+
+/**
+ * @typedef {Object} GenerationParameters
+ * @property {string} provider - Provider that served the request
+ * @property {string} model - Model that served the request
+ * @property {number} temperature - Sampling temperature sent
+ * @property {number} maxTokens - Completion token limit sent, after the model's maximum is applied
+ * @property {string[]|null} stopSequences - Stop sequences sent
+ * @property {string|null} systemPrompt - System prompt sent
+ * @property {Object<string, string>} sources - Where each value came from: 'request', 'template',
+ *   'provider' (the provider's configuration), or for `provider` also 'config' (the default provider)
+ *   and 'routing' (a routing policy or failover picked another provider)
  */
 
 /**
@@ -100,6 +137,18 @@
  * @property {string} result.provider - Provider used
  * @property {Object} result.usage - Usage metrics
  * @property {number} result.responseTime - Processing time in milliseconds
+ * @property {string} [result.finishReason] - Why the provider stopped generating
+ * @property {GenerationParameters} result.parameters - Effective generation parameters
+ */
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {'delta'|'done'} type - Event type
+ * @property {string} content - Content fragment (delta) or full content (done)
+ * @property {Object} [usage] - Token usage (done only)
+ * @property {number} [cost] - Request cost (done only)
+ * @property {string} [model] - Model used (done only)
+ * @property {string} [finishReason] - Why generation stopped (done only)
  */
 
 // Export types for JSDoc usage